@@ -3,6 +3,8 @@
  * Ensures all required environment variables are present and valid
  */
 
+const os = require('os');
+const path = require('path');
 const Joi = require('joi');
 require('dotenv').config();
 
@@ -14,6 +16,34 @@ const envSchema = Joi.object({
   // Deepgram configuration
   DEEPGRAM_API_KEY: Joi.string().required(),
   
+  // Speech-to-text provider
+  STT_PROVIDER: Joi.string().default('deepgram'),
+  STT_RECONNECT_MAX_ATTEMPTS: Joi.number().default(10),
+  STT_RECONNECT_BASE_DELAY: Joi.number().default(500),
+  STT_RECONNECT_MAX_DELAY: Joi.number().default(10000),
+  STT_RECONNECT_BUFFER_BYTES: Joi.number().default(2 * 1024 * 1024),
+  STT_LANGUAGE_DETECTION_MS: Joi.number().default(5000),
+  STT_LANGUAGE_FALLBACK: Joi.string().default('en-US'),
+
+  // Voice activity detection on raw PCM streams (silence kept out of the provider stream)
+  VAD_ENABLED: Joi.boolean().default(false),
+  VAD_THRESHOLD_DB: Joi.number().max(0).default(-45),
+  VAD_HANGOVER_MS: Joi.number().min(0).default(1500),
+  VAD_PREROLL_MS: Joi.number().min(0).default(300),
+  VAD_KEEPALIVE_MS: Joi.number().min(1000).default(5000),
+
+  // Custom vocabulary
+  VOCABULARY_FILE: Joi.string().optional(),
+
+  // PII redaction
+  REDACTION_FILE: Joi.string().optional(),
+  REDACTION_DEFAULT_TYPES: Joi.string().allow('').pattern(/^((pci|ssn|numbers)(,(pci|ssn|numbers))*)?$/).default(''),
+  REDACTION_PUBLIC_CHANNELS: Joi.string().allow('').default(''),
+  REDACTION_PUBLIC_TYPES: Joi.string().pattern(/^(pci|ssn|numbers)(,(pci|ssn|numbers))*$/).default('pci,ssn'),
+  TRANSLATION_PROVIDER: Joi.string().default('local'),
+  TRANSLATION_FILE: Joi.string().optional(),
+  TRANSLATION_DEFAULT_TARGETS: Joi.string().allow('').pattern(/^([a-z]{2}(-[A-Z]{2})?(,[a-z]{2}(-[A-Z]{2})?)*)?$/).default(''),
+
   // Slack configuration
   SLACK_BOT_TOKEN: Joi.string().pattern(/^xoxb-/).required(),
   SLACK_APP_TOKEN: Joi.string().pattern(/^xapp-/).required(),
@@ -28,10 +58,72 @@ const envSchema = Joi.object({
   MAX_FILE_SIZE: Joi.string().default('50MB'),
   SUPPORTED_FORMATS: Joi.string().default('wav,mp3,m4a,flac'),
   
+  // Transcoding of video and other audio containers with ffmpeg (wall-clock and CPU time limits per file)
+  TRANSCODE_ENABLED: Joi.boolean().default(true),
+  FFMPEG_PATH: Joi.string().default('ffmpeg'),
+  TRANSCODE_TIMEOUT_MS: Joi.number().min(1000).default(5 * 60 * 1000),
+  TRANSCODE_CPU_SECONDS: Joi.number().integer().min(1).default(300),
+
+  // Background file transcription jobs
+  JOB_CONCURRENCY: Joi.number().integer().min(1).default(2),
+  JOB_MAX_ATTEMPTS: Joi.number().integer().min(1).default(3),
+  JOB_RETRY_DELAY_MS: Joi.number().default(2000),
+  JOB_TTL_MS: Joi.number().default(60 * 60 * 1000),
+  // Shared with callback receivers, so it must not be the key that signs API tokens
+  JOB_CALLBACK_SECRET: Joi.string().min(32).invalid(Joi.ref('JWT_SECRET')).allow('').optional(),
+  REMOTE_AUDIO_TIMEOUT_MS: Joi.number().default(60000),
+  REMOTE_AUDIO_ALLOW_PRIVATE: Joi.boolean().default(false),
+  AUTO_TRANSCRIBE_FILE: Joi.string().optional(),
+
+  // Resumable chunked uploads
+  UPLOAD_DIR: Joi.string().default(path.join(os.tmpdir(), 'transcription-uploads')),
+  UPLOAD_CHUNK_SIZE: Joi.string().pattern(/^\d+(B|KB|MB)$/).default('8MB'),
+  UPLOAD_MAX_SIZE: Joi.string().pattern(/^\d+(B|KB|MB|GB)$/).default('2GB'),
+  UPLOAD_TTL_MS: Joi.number().default(24 * 60 * 60 * 1000),
+
+  // Live session transcripts (store defaults to redis when REDIS_URL is set, otherwise file)
+  TRANSCRIPT_STORE: Joi.string().valid('file', 'redis', 'memory').allow('').optional(),
+  TRANSCRIPT_DIR: Joi.string().default(path.join('data', 'transcripts')),
+  TRANSCRIPT_RETENTION_DAYS: Joi.number().min(0).default(30),
+  SEARCH_INDEX_FILE: Joi.string().allow('').default(path.join('data', 'search-index.jsonl')),
+
+  // End-of-session reports and summaries
+  SESSION_REPORT: Joi.boolean().default(true),
+  SESSION_SUMMARY: Joi.boolean().default(true),
+  SUMMARY_PROVIDER: Joi.string().default('extractive'),
+  SUMMARY_MAX_SENTENCES: Joi.number().integer().min(1).max(10).default(3),
+
+  // Usage metering and quotas in audio minutes (0: unlimited)
+  USAGE_FILE: Joi.string().allow('').default(path.join('data', 'usage.json')),
+  QUOTA_WORKSPACE_DAILY_MINUTES: Joi.number().min(0).default(0),
+  QUOTA_WORKSPACE_MONTHLY_MINUTES: Joi.number().min(0).default(0),
+  QUOTA_CHANNEL_DAILY_MINUTES: Joi.number().min(0).default(0),
+  QUOTA_CHANNEL_MONTHLY_MINUTES: Joi.number().min(0).default(0),
+  QUOTA_USER_DAILY_MINUTES: Joi.number().min(0).default(0),
+  QUOTA_USER_MONTHLY_MINUTES: Joi.number().min(0).default(0),
+  QUOTA_WARNING_PERCENT: Joi.number().min(1).max(100).default(80),
+
+  // Session audio archiving (off unless a store is set; retention 0 keeps recordings forever)
+  RECORDING_STORE: Joi.string().valid('none', 'file', 's3').default('none'),
+  RECORDING_DIR: Joi.string().default(path.join('data', 'recordings')),
+  RECORDING_INDEX_FILE: Joi.string().allow('').default(path.join('data', 'recordings.json')),
+  RECORDING_RETENTION_DAYS: Joi.number().min(0).default(30),
+  RECORDING_MAX_SIZE: Joi.string().pattern(/^\d+(B|KB|MB|GB)$/).default('500MB'),
+  RECORDING_S3_BUCKET: Joi.string().allow('').when('RECORDING_STORE', { is: 's3', then: Joi.string().invalid('').required() }),
+  RECORDING_S3_REGION: Joi.string().default('us-east-1'),
+  RECORDING_S3_ENDPOINT: Joi.string().uri({ scheme: ['http', 'https'] }).allow('').optional(),
+  RECORDING_S3_ACCESS_KEY_ID: Joi.string().allow('').when('RECORDING_STORE', { is: 's3', then: Joi.string().invalid('').required() }),
+  RECORDING_S3_SECRET_ACCESS_KEY: Joi.string().allow('').when('RECORDING_STORE', { is: 's3', then: Joi.string().invalid('').required() }),
+  RECORDING_S3_PREFIX: Joi.string().allow('').default('recordings/'),
+
   // Slack settings
   DEFAULT_CHANNEL: Joi.string().default('#transcriptions'),
   MAX_MESSAGE_LENGTH: Joi.number().default(4000),
   TRANSCRIPTION_THREAD: Joi.boolean().default(true),
+  SLACK_POST_MODE: Joi.string().valid('segment', 'utterance', 'paragraph', 'live').default('utterance'),
+  LIVE_CAPTION_INTERVAL_MS: Joi.number().default(1200),
+  UTTERANCE_DEBOUNCE_MS: Joi.number().default(2000),
+  UTTERANCE_MAX_CHARS: Joi.number().default(1500),
   
   // Optional configurations
   REDIS_URL: Joi.string().uri().optional(),
@@ -70,6 +162,40 @@ function getConfig() {
     deepgram: {
       apiKey: process.env.DEEPGRAM_API_KEY,
     },
+    stt: {
+      provider: process.env.STT_PROVIDER || 'deepgram',
+      reconnect: {
+        maxAttempts: parseInt(process.env.STT_RECONNECT_MAX_ATTEMPTS),
+        baseDelay: parseInt(process.env.STT_RECONNECT_BASE_DELAY),
+        maxDelay: parseInt(process.env.STT_RECONNECT_MAX_DELAY),
+        bufferBytes: parseInt(process.env.STT_RECONNECT_BUFFER_BYTES),
+      },
+      languageDetection: {
+        windowMs: parseInt(process.env.STT_LANGUAGE_DETECTION_MS),
+        fallback: process.env.STT_LANGUAGE_FALLBACK || 'en-US',
+      },
+      vad: {
+        enabled: process.env.VAD_ENABLED === 'true',
+        thresholdDb: parseFloat(process.env.VAD_THRESHOLD_DB),
+        hangoverMs: parseInt(process.env.VAD_HANGOVER_MS),
+        prerollMs: parseInt(process.env.VAD_PREROLL_MS),
+        keepAliveMs: parseInt(process.env.VAD_KEEPALIVE_MS),
+      },
+    },
+    vocabulary: {
+      file: process.env.VOCABULARY_FILE,
+    },
+    redaction: {
+      file: process.env.REDACTION_FILE,
+      defaultTypes: splitList(process.env.REDACTION_DEFAULT_TYPES),
+      publicChannels: splitList(process.env.REDACTION_PUBLIC_CHANNELS),
+      publicTypes: splitList(process.env.REDACTION_PUBLIC_TYPES || 'pci,ssn'),
+    },
+    translation: {
+      provider: process.env.TRANSLATION_PROVIDER || 'local',
+      file: process.env.TRANSLATION_FILE,
+      defaultTargets: splitList(process.env.TRANSLATION_DEFAULT_TARGETS),
+    },
     slack: {
       botToken: process.env.SLACK_BOT_TOKEN,
       appToken: process.env.SLACK_APP_TOKEN,
@@ -77,12 +203,93 @@ function getConfig() {
       defaultChannel: process.env.DEFAULT_CHANNEL,
       maxMessageLength: parseInt(process.env.MAX_MESSAGE_LENGTH),
       useThreads: process.env.TRANSCRIPTION_THREAD === 'true',
+      postMode: process.env.SLACK_POST_MODE || 'utterance',
+      liveCaptionIntervalMs: parseInt(process.env.LIVE_CAPTION_INTERVAL_MS),
+    },
+    utterances: {
+      debounceMs: parseInt(process.env.UTTERANCE_DEBOUNCE_MS),
+      maxChars: parseInt(process.env.UTTERANCE_MAX_CHARS),
     },
     audio: {
       maxDuration: parseInt(process.env.MAX_AUDIO_DURATION),
       maxFileSize: process.env.MAX_FILE_SIZE,
       supportedFormats: process.env.SUPPORTED_FORMATS.split(','),
     },
+    transcoding: {
+      enabled: process.env.TRANSCODE_ENABLED === 'true',
+      ffmpegPath: process.env.FFMPEG_PATH,
+      timeoutMs: parseInt(process.env.TRANSCODE_TIMEOUT_MS),
+      cpuSeconds: parseInt(process.env.TRANSCODE_CPU_SECONDS),
+    },
+    jobs: {
+      concurrency: parseInt(process.env.JOB_CONCURRENCY),
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS),
+      retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS),
+      ttlMs: parseInt(process.env.JOB_TTL_MS),
+      callbackSecret: process.env.JOB_CALLBACK_SECRET || null,
+    },
+    remoteAudio: {
+      timeoutMs: parseInt(process.env.REMOTE_AUDIO_TIMEOUT_MS),
+      allowPrivate: process.env.REMOTE_AUDIO_ALLOW_PRIVATE === 'true',
+    },
+    uploads: {
+      dir: process.env.UPLOAD_DIR,
+      chunkSize: process.env.UPLOAD_CHUNK_SIZE,
+      maxSize: process.env.UPLOAD_MAX_SIZE,
+      ttlMs: parseInt(process.env.UPLOAD_TTL_MS),
+    },
+    transcripts: {
+      store: process.env.TRANSCRIPT_STORE || (process.env.REDIS_URL ? 'redis' : 'file'),
+      dir: process.env.TRANSCRIPT_DIR,
+      retentionDays: parseFloat(process.env.TRANSCRIPT_RETENTION_DAYS),
+    },
+    search: {
+      indexFile: process.env.SEARCH_INDEX_FILE,
+    },
+    report: {
+      enabled: process.env.SESSION_REPORT === 'true',
+    },
+    summary: {
+      enabled: process.env.SESSION_SUMMARY === 'true',
+      provider: process.env.SUMMARY_PROVIDER || 'extractive',
+      maxSentences: parseInt(process.env.SUMMARY_MAX_SENTENCES),
+    },
+    usage: {
+      file: process.env.USAGE_FILE,
+      warningPercent: parseFloat(process.env.QUOTA_WARNING_PERCENT),
+      quotas: {
+        workspace: {
+          daily: parseFloat(process.env.QUOTA_WORKSPACE_DAILY_MINUTES),
+          monthly: parseFloat(process.env.QUOTA_WORKSPACE_MONTHLY_MINUTES),
+        },
+        channel: {
+          daily: parseFloat(process.env.QUOTA_CHANNEL_DAILY_MINUTES),
+          monthly: parseFloat(process.env.QUOTA_CHANNEL_MONTHLY_MINUTES),
+        },
+        user: {
+          daily: parseFloat(process.env.QUOTA_USER_DAILY_MINUTES),
+          monthly: parseFloat(process.env.QUOTA_USER_MONTHLY_MINUTES),
+        },
+      },
+    },
+    recordings: {
+      store: process.env.RECORDING_STORE,
+      dir: process.env.RECORDING_DIR,
+      indexFile: process.env.RECORDING_INDEX_FILE,
+      retentionDays: parseFloat(process.env.RECORDING_RETENTION_DAYS),
+      maxSize: process.env.RECORDING_MAX_SIZE,
+      s3: {
+        bucket: process.env.RECORDING_S3_BUCKET,
+        region: process.env.RECORDING_S3_REGION,
+        endpoint: process.env.RECORDING_S3_ENDPOINT,
+        accessKeyId: process.env.RECORDING_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.RECORDING_S3_SECRET_ACCESS_KEY,
+        prefix: process.env.RECORDING_S3_PREFIX,
+      },
+    },
+    autoTranscribe: {
+      file: process.env.AUTO_TRANSCRIBE_FILE,
+    },
     security: {
       jwtSecret: process.env.JWT_SECRET,
     },
@@ -92,6 +299,15 @@ function getConfig() {
   };
 }
 
+/**
+ * Split a comma separated environment value
+ * @param {string} value - Comma separated list
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 module.exports = {
   validateEnvironment,
   getConfig,
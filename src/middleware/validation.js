@@ -7,6 +7,20 @@ const { validationResult } = require('express-validator');
 const { logger } = require('../utils/logger');
 const { sanitizeInput } = require('../utils/security');
 
+// Body fields holding regular expressions, URLs, file names, MIME types or search queries, which HTML/SQL
+// sanitization would mangle. The routes listed here validate these fields themselves.
+const RAW_BODY_FIELDS = [
+  { path: /^\/redaction\//, fields: ['patterns'] },
+  { path: /^\/transcription\/(remote|uploads)$/, fields: ['url', 'callback_url'] },
+  { path: /^\/transcription\/uploads$/, fields: ['filename', 'mimetype'] },
+  { path: /^\/slack\/commands$/, fields: ['text'], when: body => body.command === '/transcribe-search' },
+];
+
+// Query parameters holding free text searched for as written (quotes, apostrophes, SQL keywords)
+const RAW_QUERY_FIELDS = [
+  { path: /^\/search\/?$/, fields: ['q', 'speaker'] },
+];
+
 /**
  * Express-validator error handling middleware
  * @param {Object} req - Express request object
@@ -58,7 +72,16 @@ function validateRequest(req, res, next) {
     if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
       const contentType = req.get('content-type') || '';
       
-      if (req.path.includes('/upload')) {
+      if (/\/uploads\/[^/]+\/chunks\//.test(req.path)) {
+        // Chunks of resumable uploads are raw bytes
+        if (!contentType.includes('application/octet-stream')) {
+          return res.status(400).json({
+            error: 'Invalid Content-Type for upload chunk',
+            expected: 'application/octet-stream',
+            received: contentType,
+          });
+        }
+      } else if (/\/upload\/?$/.test(req.path)) {
         // File upload endpoints should use multipart/form-data
         if (!contentType.includes('multipart/form-data')) {
           return res.status(400).json({
@@ -90,8 +113,11 @@ function validateRequest(req, res, next) {
     
     // Sanitize query parameters
     if (req.query) {
+      const rawQuery = RAW_QUERY_FIELDS
+        .filter(entry => entry.path.test(req.path))
+        .flatMap(entry => entry.fields);
       for (const [key, value] of Object.entries(req.query)) {
-        if (typeof value === 'string') {
+        if (typeof value === 'string' && !rawQuery.includes(key)) {
           req.query[key] = sanitizeInput(value, { maxLength: 1000 });
         }
       }
@@ -99,7 +125,10 @@ function validateRequest(req, res, next) {
     
     // Sanitize body parameters (for non-file uploads)
     if (req.body && typeof req.body === 'object' && !req.file && !req.files) {
-      sanitizeObjectRecursive(req.body);
+      const rawFields = RAW_BODY_FIELDS
+        .filter(entry => entry.path.test(req.path) && (!entry.when || entry.when(req.body)))
+        .flatMap(entry => entry.fields);
+      sanitizeObjectRecursive(req.body, 0, rawFields);
     }
     
     next();
@@ -117,12 +146,14 @@ function validateRequest(req, res, next) {
  * Recursively sanitize object properties
  * @param {Object} obj - Object to sanitize
  * @param {number} depth - Current recursion depth
+ * @param {Array<string>} skipKeys - Top-level keys left untouched
  */
-function sanitizeObjectRecursive(obj, depth = 0) {
+function sanitizeObjectRecursive(obj, depth = 0, skipKeys = []) {
   // Prevent deep recursion
   if (depth > 10) return;
   
   for (const [key, value] of Object.entries(obj)) {
+    if (skipKeys.includes(key)) continue;
     if (typeof value === 'string') {
       obj[key] = sanitizeInput(value, { maxLength: 10000 });
     } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
@@ -7,7 +7,13 @@ const express = require('express');
 const transcriptionRoutes = require('./transcription');
 const slackRoutes = require('./slack');
 const statusRoutes = require('./status');
-const { authMiddleware } = require('../middleware/auth');
+const vocabularyRoutes = require('./vocabulary');
+const redactionRoutes = require('./redaction');
+const translationRoutes = require('./translation');
+const searchRoutes = require('./search');
+const usageRoutes = require('./usage');
+const recordingRoutes = require('./recordings');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { errorHandler } = require('../middleware/error-handler');
 
@@ -37,6 +43,12 @@ function setupRoutes(app) {
   
   // Protected routes (require authentication)
   apiRouter.use('/transcription', authMiddleware, transcriptionRoutes);
+  apiRouter.use('/vocabulary', authMiddleware, vocabularyRoutes);
+  apiRouter.use('/redaction', authMiddleware, redactionRoutes);
+  apiRouter.use('/translation', authMiddleware, translationRoutes);
+  apiRouter.use('/search', authMiddleware, searchRoutes);
+  apiRouter.use('/usage', authMiddleware, requireAdmin, usageRoutes);
+  apiRouter.use('/recordings', authMiddleware, requireAdmin, recordingRoutes);
   
   // Mount API router
   app.use('/api', apiRouter);
@@ -0,0 +1,183 @@
+/**
+ * Recording API routes (admin)
+ * Lists and deletes archived session audio, and manages recording and retention policies
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { getRecordingService, validatePolicy } = require('../services/recording-service');
+const { logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/security');
+
+const router = express.Router();
+
+const POLICY_PATHS = ['/policies/global', '/policies/channels/:channel'];
+
+const policyValidators = [
+  param('channel').optional().isString().isLength({ min: 1, max: 100 }),
+];
+
+/**
+ * GET /api/recordings
+ * List archived session recordings, newest first
+ * Query: channel (optional Slack channel ID)
+ */
+router.get('/',
+  [
+    query('channel').optional().isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const service = getRecordingService();
+    const channel = req.query.channel === undefined ? undefined : sanitizeInput(String(req.query.channel));
+
+    res.json({
+      enabled: service.enabled,
+      store: service.enabled ? service.storeName : null,
+      recordings: service.listRecordings({ channel }),
+    });
+  },
+);
+
+/**
+ * GET /api/recordings/policies
+ * Get the default policy and all overrides
+ */
+router.get('/policies', (req, res) => {
+  const service = getRecordingService();
+
+  res.json({
+    enabled: service.enabled,
+    defaults: service.defaultPolicy,
+    overrides: service.listPolicies(),
+  });
+});
+
+/**
+ * GET /api/recordings/policies/global
+ * GET /api/recordings/policies/channels/:channel
+ * Get the effective policy of the workspace or a channel, and its override
+ */
+router.get(POLICY_PATHS, policyValidators, (req, res) => {
+  const target = resolveTarget(req);
+  const service = getRecordingService();
+
+  res.json({
+    ...target,
+    policy: service.getPolicy(target.id),
+    override: service.getPolicyOverride(target.scope, target.id) || null,
+  });
+});
+
+/**
+ * PUT /api/recordings/policies/global
+ * PUT /api/recordings/policies/channels/:channel
+ * Override whether sessions are recorded and how long their recordings are kept
+ * Body: { enabled: true, retentionDays: 90 }; retentionDays 0 keeps recordings forever
+ */
+router.put(POLICY_PATHS,
+  [
+    ...policyValidators,
+    body('enabled').optional().isBoolean(),
+    body('retentionDays').optional().isFloat({ min: 0 }),
+  ],
+  (req, res) => {
+    try {
+      const validation = validatePolicy(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: validation.errors.join(', '),
+          code: 'INVALID_POLICY',
+        });
+      }
+
+      const target = resolveTarget(req);
+      const service = getRecordingService();
+      const override = service.setPolicy(target.scope, target.id, validation.policy);
+
+      res.json({
+        success: true,
+        ...target,
+        policy: service.getPolicy(target.id),
+        override,
+      });
+
+    } catch (error) {
+      logger.error('Error updating recording policy:', error);
+      res.status(500).json({
+        error: 'Failed to update recording policy',
+        code: 'UPDATE_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /api/recordings/policies/global
+ * DELETE /api/recordings/policies/channels/:channel
+ * Remove a policy override, restoring the configured defaults
+ */
+router.delete(POLICY_PATHS, policyValidators, (req, res) => {
+  const target = resolveTarget(req);
+  const service = getRecordingService();
+
+  if (!service.deletePolicy(target.scope, target.id)) {
+    return res.status(404).json({
+      error: 'Policy override not found',
+      code: 'POLICY_NOT_FOUND',
+    });
+  }
+
+  res.json({
+    success: true,
+    ...target,
+    policy: service.getPolicy(target.id),
+  });
+});
+
+/**
+ * DELETE /api/recordings/:sessionId
+ * Delete the recording of a session before its retention ends
+ */
+router.delete('/:sessionId',
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+
+      if (!await getRecordingService().deleteRecording(sessionId)) {
+        return res.status(404).json({
+          error: 'Recording not found',
+          code: 'RECORDING_NOT_FOUND',
+        });
+      }
+
+      logger.info(`Deleted recording of session ${sessionId}`);
+      res.json({
+        success: true,
+        sessionId,
+      });
+
+    } catch (error) {
+      logger.error('Error deleting recording:', error);
+      res.status(500).json({
+        error: 'Failed to delete recording',
+        code: 'DELETE_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * Work out which policy a request addresses
+ * @param {Object} req - Express request
+ * @returns {Object} { scope, id }, with no ID for the workspace
+ */
+function resolveTarget(req) {
+  return req.params.channel
+    ? { scope: 'channel', id: sanitizeInput(req.params.channel) }
+    : { scope: 'global' };
+}
+
+module.exports = router;
@@ -0,0 +1,165 @@
+/**
+ * Redaction policy API routes
+ * Attaches PII redaction policies (pci, ssn, numbers, custom patterns) to channels and sessions
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const { getRedactionService, validatePolicy } = require('../services/redaction-service');
+const { createDeepgramService } = require('../services/deepgram-service');
+const { logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/security');
+
+const router = express.Router();
+
+const REDACTION_NOTICE = '🔒 Redaction policy updated';
+
+const SCOPES = {
+  channels: 'channel',
+  sessions: 'session',
+};
+
+const scopeValidators = [
+  param('scope').isIn(Object.keys(SCOPES)),
+  param('id').isString().isLength({ min: 1, max: 100 }),
+];
+
+/**
+ * GET /api/redaction/resolve
+ * Get the effective redaction policy for a channel and/or session
+ */
+router.get('/resolve',
+  [
+    query('channel').optional().isString().isLength({ min: 1, max: 100 }),
+    query('session').optional().isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const channel = sanitizeInput(req.query.channel) || undefined;
+    const session = sanitizeInput(req.query.session) || undefined;
+    const service = getRedactionService();
+    await service.identifyChannel(channel);
+
+    res.json({
+      channel,
+      session,
+      policy: service.resolve({ channel, session }),
+    });
+  },
+);
+
+/**
+ * GET /api/redaction/:scope/:id
+ * Get the redaction policy of a channel or session
+ */
+router.get('/:scope/:id', scopeValidators, async (req, res) => {
+  const scope = SCOPES[req.params.scope];
+  if (!scope) {
+    return res.status(404).json({
+      error: 'Unknown redaction scope',
+      code: 'INVALID_SCOPE',
+    });
+  }
+
+  const id = sanitizeInput(req.params.id);
+  const service = getRedactionService();
+  if (scope === 'channel') await service.identifyChannel(id);
+
+  res.json({
+    scope,
+    id,
+    policy: service.get(scope, id),
+    ...(scope === 'channel' ? { public: service.isPublicChannel(id) } : {}),
+  });
+});
+
+/**
+ * PUT /api/redaction/:scope/:id
+ * Replace the redaction policy of a channel or session
+ * Body: { types: ["pci", "ssn"], patterns: ["ACME-\\d{6}"], profanity: false }
+ */
+router.put('/:scope/:id', scopeValidators, async (req, res) => {
+  try {
+    const scope = SCOPES[req.params.scope];
+    if (!scope) {
+      return res.status(404).json({
+        error: 'Unknown redaction scope',
+        code: 'INVALID_SCOPE',
+      });
+    }
+
+    const id = sanitizeInput(req.params.id);
+    const validation = validatePolicy(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid redaction policy',
+        details: validation.errors,
+        code: 'INVALID_POLICY',
+      });
+    }
+
+    const service = getRedactionService();
+    if (scope === 'channel') await service.identifyChannel(id);
+    if (scope === 'channel' && service.isPublicChannel(id) && !service.meetsPublicRequirements(validation.policy)) {
+      return res.status(403).json({
+        error: `Redaction of ${service.publicTypes.join(', ')} cannot be disabled in public channels`,
+        code: 'REDACTION_REQUIRED',
+      });
+    }
+
+    const policy = service.set(scope, id, validation.policy);
+    const refreshedSessions = await createDeepgramService().refreshSessions({ [scope]: id }, REDACTION_NOTICE);
+
+    res.json({
+      success: true,
+      scope,
+      id,
+      policy,
+      refreshedSessions,
+    });
+
+  } catch (error) {
+    logger.error('Error updating redaction policy:', error);
+    res.status(500).json({
+      error: 'Failed to update redaction policy',
+      code: 'UPDATE_ERROR',
+    });
+  }
+});
+
+/**
+ * DELETE /api/redaction/:scope/:id
+ * Delete the redaction policy of a channel or session
+ */
+router.delete('/:scope/:id', scopeValidators, async (req, res) => {
+  try {
+    const scope = SCOPES[req.params.scope];
+    const id = sanitizeInput(req.params.id);
+    const service = getRedactionService();
+    if (scope === 'channel') await service.identifyChannel(id);
+
+    if (!scope || !service.clear(scope, id)) {
+      return res.status(404).json({
+        error: 'Redaction policy not found',
+        code: 'POLICY_NOT_FOUND',
+      });
+    }
+
+    const refreshedSessions = await createDeepgramService().refreshSessions({ [scope]: id }, REDACTION_NOTICE);
+
+    res.json({
+      success: true,
+      scope,
+      id,
+      refreshedSessions,
+    });
+
+  } catch (error) {
+    logger.error('Error deleting redaction policy:', error);
+    res.status(500).json({
+      error: 'Failed to delete redaction policy',
+      code: 'DELETE_ERROR',
+    });
+  }
+});
+
+module.exports = router;
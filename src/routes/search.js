@@ -0,0 +1,81 @@
+/**
+ * Transcript search API routes
+ * Full-text search across stored live session and file transcripts
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const { getSearchService } = require('../services/search-service');
+const { logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/security');
+
+const router = express.Router();
+
+/**
+ * GET /api/search
+ * Find words and "quoted phrases" in past transcripts
+ * Query: q, channel, conversation, speaker, language, from, to (ISO 8601), limit, offset
+ */
+router.get('/',
+  [
+    query('q').isString().isLength({ min: 1, max: 500 }),
+    query('channel').optional().isString().isLength({ min: 1, max: 100 }),
+    query('conversation').optional().isString().isLength({ min: 1, max: 100 }),
+    query('speaker').optional().isString().isLength({ min: 1, max: 100 }),
+    query('language').optional().isString().matches(/^[a-z]{2}(-[A-Z]{2})?$/),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ],
+  (req, res) => {
+    try {
+      // Left unsanitized by validateRequest: quotes and apostrophes are part of the query
+      const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 500) : '';
+      if (!q) {
+        return res.status(400).json({
+          error: 'q is required',
+          code: 'MISSING_QUERY',
+        });
+      }
+
+      const invalidDate = ['from', 'to'].find(key => req.query[key] && Number.isNaN(Date.parse(req.query[key])));
+      if (invalidDate) {
+        return res.status(400).json({
+          error: `${invalidDate} must be an ISO 8601 date or time`,
+          code: 'INVALID_DATE',
+        });
+      }
+
+      const channel = sanitizeInput(req.query.channel) || undefined;
+      const filters = {
+        channels: channel ? [channel] : undefined,
+        conversation: sanitizeInput(req.query.conversation) || undefined,
+        speaker: typeof req.query.speaker === 'string' ? req.query.speaker.trim().slice(0, 100) : undefined,
+        language: sanitizeInput(req.query.language) || undefined,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit,
+        offset: req.query.offset,
+      };
+
+      const { total, results } = getSearchService().search(q, filters);
+
+      res.json({
+        query: q,
+        total,
+        count: results.length,
+        results,
+      });
+
+    } catch (error) {
+      logger.error('Error searching transcripts:', error);
+      res.status(500).json({
+        error: 'Failed to search transcripts',
+        code: 'SEARCH_ERROR',
+      });
+    }
+  },
+);
+
+module.exports = router;
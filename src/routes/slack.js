@@ -5,7 +5,11 @@
 
 const express = require('express');
 const { body } = require('express-validator');
-const { getSlackService } = require('../services/slack-service');
+const { getSlackService, runSpeakerCommand } = require('../services/slack-service');
+const { createDeepgramService } = require('../services/deepgram-service');
+const { runVocabularyCommand } = require('../services/vocabulary-service');
+const { getAutoTranscribeService, runAutoTranscribeCommand } = require('../services/auto-transcribe-service');
+const { runSearchCommand } = require('../services/search-service');
 const { logger } = require('../utils/logger');
 const { validateSlackSignature } = require('../utils/security');
 const { getConfig } = require('../config/environment');
@@ -122,19 +126,27 @@ async function handleSlackEvent(event) {
   logger.info('Received Slack event:', { type, user, channel });
   
   switch (type) {
-    case 'app_mention':
-      await handleAppMention(event);
-      break;
-      
-    case 'message':
-      // Handle direct messages or channel messages
-      if (text && text.includes('transcribe')) {
-        await handleTranscribeRequest(event);
-      }
-      break;
-      
-    default:
-      logger.debug(`Unhandled event type: ${type}`);
+  case 'app_mention':
+    await handleAppMention(event);
+    break;
+
+  case 'message':
+    // Files shared in channels with auto-transcription on
+    if (event.files) {
+      getAutoTranscribeService().handleEvent(event);
+    }
+    // Handle direct messages or channel messages
+    if (text && text.includes('transcribe')) {
+      await handleTranscribeRequest(event);
+    }
+    break;
+
+  case 'file_shared':
+    getAutoTranscribeService().handleEvent(event);
+    break;
+
+  default:
+    logger.debug(`Unhandled event type: ${type}`);
   }
 }
 
@@ -258,20 +270,32 @@ async function handleSlashCommand(command) {
   const { command: cmd, text, user_id, channel_id } = command;
   
   switch (cmd) {
-    case '/transcribe':
-      return await handleTranscribeSlashCommand(text, channel_id, user_id);
-      
-    case '/transcribe-status':
-      return await handleStatusSlashCommand(channel_id);
-      
-    case '/transcribe-stop':
-      return await handleStopSlashCommand(text, channel_id, user_id);
-      
-    default:
-      return {
-        text: `Unknown command: ${cmd}`,
-        response_type: 'ephemeral',
-      };
+  case '/transcribe':
+    return await handleTranscribeSlashCommand(text, channel_id, user_id);
+
+  case '/transcribe-status':
+    return await handleStatusSlashCommand(channel_id);
+
+  case '/transcribe-stop':
+    return await handleStopSlashCommand(text, channel_id, user_id);
+
+  case '/transcribe-speaker':
+    return handleSpeakerSlashCommand(text);
+
+  case '/transcribe-vocab':
+    return await handleVocabularySlashCommand(text, channel_id);
+
+  case '/transcribe-auto':
+    return await handleAutoTranscribeSlashCommand(text, channel_id, user_id);
+
+  case '/transcribe-search':
+    return handleSearchSlashCommand(text, channel_id, command.channel_name);
+
+  default:
+    return {
+      text: `Unknown command: ${cmd}`,
+      response_type: 'ephemeral',
+    };
   }
 }
 
@@ -365,14 +389,14 @@ async function sendHelpMessage(channel) {
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: '*Available Commands:*\n• `/transcribe` - Start a new transcription session\n• `/transcribe-status` - Check service status\n• `/transcribe-stop <session_id>` - Stop a session\n• Mention me with "help" for this message',
+            text: '*Available Commands:*\n• `/transcribe` - Start a new transcription session\n• `/transcribe-status` - Check service status\n• `/transcribe-stop <session_id>` - Stop a session\n• `/transcribe-speaker <session_id> <speaker_number> <name|@user>` - Name a speaker\n• `/transcribe-vocab [list|add|replace|search|remove|clear]` - Manage this channel\'s vocabulary\n• `/transcribe-auto [status|on|off]` - Transcribe audio and video files shared in this channel\n• `/transcribe-search <words or "phrase">` - Search this channel\'s past transcripts\n• Mention me with "help" for this message',
           },
         },
         {
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: '*Parameters:*\nYou can use key=value pairs with `/transcribe`:\n• `conversation=meeting-123` - Set conversation ID\n• `language=fr-FR` - Set language (default: en-US)\n• `model=nova-2` - Set Deepgram model',
+            text: '*Parameters:*\nYou can use key=value pairs with `/transcribe`:\n• `conversation=meeting-123` - Set conversation ID\n• `language=fr-FR` - Set language (default: en-US, `auto` to detect)\n• `model=nova-2` - Set Deepgram model',
           },
         },
       ],
@@ -501,4 +525,74 @@ async function handleStopSlashCommand(text, channelId, userId) {
   };
 }
 
+/**
+ * Handle speaker naming slash command
+ * Usage: /transcribe-speaker <session_id> <speaker_number> <name|@user>
+ * @param {string} text - Command text
+ * @returns {Object} Response object
+ */
+function handleSpeakerSlashCommand(text) {
+  const result = runSpeakerCommand(text);
+
+  return {
+    // A named speaker is announced to the channel; errors are only shown to the caller
+    response_type: result.assigned ? 'in_channel' : 'ephemeral',
+    text: result.text,
+  };
+}
+
+/**
+ * Handle channel vocabulary slash command
+ * Usage: /transcribe-vocab [list | add <term>[:boost] | replace <find>:<replacement> | search <term> | remove <term> | clear]
+ * @param {string} text - Command text
+ * @param {string} channelId - Channel ID
+ * @returns {Object} Response object
+ */
+async function handleVocabularySlashCommand(text, channelId) {
+  const result = runVocabularyCommand(text, channelId);
+
+  if (result.changed) {
+    await createDeepgramService().refreshSessions({ channel: channelId }, '📚 Custom vocabulary updated');
+  }
+
+  return {
+    response_type: 'ephemeral',
+    text: result.text,
+  };
+}
+
+/**
+ * Handle channel auto-transcription slash command
+ * Usage: /transcribe-auto [status | on [language=<code>|auto] | off]
+ * @param {string} text - Command text
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - User ID
+ * @returns {Object} Response object
+ */
+async function handleAutoTranscribeSlashCommand(text, channelId, userId) {
+  const result = await runAutoTranscribeCommand(text, channelId, userId);
+
+  return {
+    response_type: 'ephemeral',
+    text: result.text,
+  };
+}
+
+/**
+ * Handle transcript search slash command
+ * Usage: /transcribe-search <words or "exact phrase"> [speaker=] [conversation=] [language=] [from=] [to=]
+ * @param {string} text - Command text
+ * @param {string} channelId - Channel ID
+ * @param {string} channelName - Channel name
+ * @returns {Object} Response object
+ */
+function handleSearchSlashCommand(text, channelId, channelName) {
+  const result = runSearchCommand(text, [channelId, channelName && `#${channelName}`].filter(Boolean));
+
+  return {
+    response_type: 'ephemeral',
+    text: result.text,
+  };
+}
+
 module.exports = router;
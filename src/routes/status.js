@@ -5,7 +5,9 @@
 
 const express = require('express');
 const { createDeepgramService } = require('../services/deepgram-service');
+const { getProvider, getDefaultProviderName, listProviders } = require('../services/stt');
 const { getSlackService } = require('../services/slack-service');
+const { getTranscriptionJobService } = require('../services/transcription-job-service');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -37,6 +39,7 @@ router.get('/', async (req, res) => {
       
       status.services.deepgram = {
         status: 'healthy',
+        provider: getDefaultProviderName(),
         activeConnections: connectionStats.activeConnections,
         totalConnections: connectionStats.connections.length,
       };
@@ -86,6 +89,7 @@ router.get('/deepgram', async (req, res) => {
   try {
     const deepgramService = createDeepgramService();
     const stats = deepgramService.getConnectionStats();
+    const capabilities = getProvider('deepgram').getCapabilities();
 
     res.json({
       status: 'healthy',
@@ -93,8 +97,8 @@ router.get('/deepgram', async (req, res) => {
       statistics: stats,
       configuration: {
         maxConnections: 100, // This could be configurable
-        supportedLanguages: ['en-US', 'en-GB', 'fr-FR', 'es-ES', 'de-DE'],
-        supportedModels: ['nova-2', 'nova', 'enhanced', 'base'],
+        supportedLanguages: capabilities.languages,
+        supportedModels: capabilities.models,
       },
     });
 
@@ -108,6 +112,32 @@ router.get('/deepgram', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/status/providers
+ * List registered speech-to-text providers
+ */
+router.get('/providers', (req, res) => {
+  try {
+    const stats = createDeepgramService().getConnectionStats();
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      defaultProvider: getDefaultProviderName(),
+      providers: listProviders().map(provider => ({
+        ...provider,
+        activeConnections: stats.connections.filter(conn => conn.provider === provider.name).length,
+      })),
+    });
+
+  } catch (error) {
+    logger.error('Error listing providers:', error);
+    res.status(500).json({
+      error: 'Failed to list providers',
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
 /**
  * GET /api/status/slack
  * Get Slack service status
@@ -194,6 +224,7 @@ router.get('/metrics', async (req, res) => {
           return acc;
         }, {}),
       },
+      jobs: getTranscriptionJobService().getStats(),
       transcription: {
         sessionsToday: 0, // This would be tracked in a real implementation
         totalMessages: 0, // This would be tracked in a real implementation
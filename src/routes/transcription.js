@@ -1,16 +1,31 @@
 /**
  * Transcription API routes
- * Handles file upload transcription and session management
+ * Handles file upload, chunked upload and remote file transcription, and session management
  */
 
 const express = require('express');
 const multer = require('multer');
+const { pipeline } = require('stream');
 const { body, param, query } = require('express-validator');
 const { createDeepgramService } = require('../services/deepgram-service');
-const { getSlackService } = require('../services/slack-service');
+const { getTranscriptionJobService } = require('../services/transcription-job-service');
+const { getUploadService } = require('../services/upload-service');
+const { getUsageService, describeQuota } = require('../services/usage-service');
+const { getRecordingService } = require('../services/recording-service');
+const { requireAdmin } = require('../middleware/auth');
+const { hasProvider } = require('../services/stt');
 const { logger } = require('../utils/logger');
-const { validateAudioFile } = require('../utils/validation');
+const { validateAudioFile, parseFileSize } = require('../utils/validation');
 const { sanitizeInput } = require('../utils/security');
+const { isFinished } = require('../utils/job-queue');
+const { parseChannelLabels } = require('../utils/speakers');
+const { SUBTITLE_FORMATS, renderSubtitles, segmentsToWords, parseSubtitleOptions } = require('../utils/subtitles');
+const {
+  TRANSCRIPT_FORMATS,
+  describeTranscript,
+  renderTranscriptText,
+  renderTranscriptMarkdown,
+} = require('../utils/transcript-format');
 const { getConfig } = require('../config/environment');
 
 const router = express.Router();
@@ -27,24 +42,51 @@ const upload = multer({
     const allowedTypes = config.audio.supportedFormats.map(ext => `audio/${ext}`);
     if (allowedTypes.some(type => file.mimetype.includes(type.split('/')[1]))) {
       cb(null, true);
+    } else if (config.transcoding.enabled && /^(audio|video)\//.test(file.mimetype)) {
+      // Converted to a supported format by the job before transcription
+      cb(null, true);
     } else {
-      cb(new Error(`Unsupported file type. Allowed: ${config.audio.supportedFormats.join(', ')}`));
+      cb(new Error(`Unsupported file type. Allowed: ${config.audio.supportedFormats.join(', ')}${config.transcoding.enabled ? ' and other audio or video files' : ''}`));
     }
   },
 });
 
+// Parameters shared by uploads and remote files
+const transcriptionValidators = [
+  body('channel').optional().isString().isLength({ min: 1, max: 100 }),
+  body('conversation').optional().isString().isLength({ min: 1, max: 100 }),
+  body('language').optional().isString().matches(/^([a-z]{2}(-[A-Z]{2})?|auto)$/),
+  body('model').optional().isIn(['nova-2', 'nova', 'enhanced', 'base']),
+  body('provider').optional().isString().custom(value => hasProvider(value)).withMessage('Unknown transcription provider'),
+  body('multichannel').optional().isBoolean(),
+  body('channel_labels').optional().isString().matches(/^[\w .-]{1,30}(,[\w .-]{1,30}){0,7}$/),
+  body('format').optional().isIn(Object.keys(SUBTITLE_FORMATS)),
+  body('max_line_length').optional().isInt({ min: 16, max: 80 }),
+  body('max_cue_duration').optional().isFloat({ min: 1, max: 30 }),
+  body('speaker_labels').optional().isBoolean(),
+  body('callback_url').optional().isURL({
+    protocols: config.app.env === 'production' ? ['https'] : ['http', 'https'],
+    require_protocol: true,
+    require_tld: config.app.env === 'production',
+  }),
+];
+
+// Options of subtitle downloads
+const subtitleQueryValidators = [
+  query('format').optional().isIn(Object.keys(SUBTITLE_FORMATS)),
+  query('max_line_length').optional().isInt({ min: 16, max: 80 }),
+  query('max_cue_duration').optional().isFloat({ min: 1, max: 30 }),
+  query('speaker_labels').optional().isBoolean(),
+];
+
 /**
  * POST /api/transcription/upload
- * Upload and transcribe an audio file
+ * Upload an audio file and queue its transcription
+ * Responds 202 with a job to poll at GET /api/transcription/jobs/:jobId
  */
 router.post('/upload',
   upload.single('audio'),
-  [
-    body('channel').optional().isString().isLength({ min: 1, max: 100 }),
-    body('conversation').optional().isString().isLength({ min: 1, max: 100 }),
-    body('language').optional().isString().matches(/^[a-z]{2}(-[A-Z]{2})?$/),
-    body('model').optional().isIn(['nova-2', 'nova', 'enhanced', 'base']),
-  ],
+  transcriptionValidators,
   async (req, res) => {
     try {
       if (!req.file) {
@@ -64,93 +106,377 @@ router.post('/upload',
         });
       }
 
-      // Sanitize input parameters
-      const params = {
-        channel: sanitizeInput(req.body.channel),
-        conversation: sanitizeInput(req.body.conversation),
-        language: sanitizeInput(req.body.language) || 'en-US',
-        model: sanitizeInput(req.body.model) || 'nova-2',
-      };
+      const params = parseTranscriptionParams(req.body, req.user);
+      if (rejectOverQuota(res, params)) return;
+
+      // Checked as a URL rather than sanitized: HTML escaping would corrupt it
+      const callbackUrl = req.body.callback_url || undefined;
+      if (await rejectCallbackUrl(res, callbackUrl)) return;
 
-      logger.info('Processing file transcription', {
+      const job = getTranscriptionJobService().submit(req.file, params, callbackUrl);
+
+      logger.info('Queued file transcription', {
+        jobId: job.id,
         filename: req.file.originalname,
         size: req.file.size,
         mimetype: req.file.mimetype,
         params,
       });
 
-      // Transcribe with Deepgram
-      const deepgramService = createDeepgramService();
-      const result = await deepgramService.transcribeFile(req.file.buffer, {
-        language: params.language,
-        model: params.model,
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        });
+
+    } catch (error) {
+      logger.error('File transcription error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
       });
+    }
+  }
+);
 
-      if (!result.success) {
-        return res.status(500).json({
-          error: 'Transcription failed',
-          details: result.error,
-          code: 'TRANSCRIPTION_ERROR',
+/**
+ * POST /api/transcription/remote
+ * Queue the transcription of an audio file downloaded from a URL or from Slack
+ * Body: { url } or { slack_file_id }, plus the upload parameters
+ * Responds 202 with a job to poll at GET /api/transcription/jobs/:jobId
+ */
+router.post('/remote',
+  [
+    body('url').optional().isURL({
+      protocols: config.app.env === 'production' ? ['https'] : ['http', 'https'],
+      require_protocol: true,
+    }),
+    body('slack_file_id').optional().isString().matches(/^F[A-Z0-9]{6,}$/),
+    ...transcriptionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const { url, slack_file_id: slackFileId } = req.body;
+
+      if (Boolean(url) === Boolean(slackFileId)) {
+        return res.status(400).json({
+          error: 'Provide either url or slack_file_id',
+          code: 'MISSING_SOURCE',
         });
       }
 
-      // Send to Slack if channel specified
-      if (params.channel && result.transcript) {
-        try {
-          const slackService = getSlackService();
-          if (slackService) {
-            await slackService.sendMessage({
-              channel: params.channel,
-              text: `📎 *File Transcription*\n${result.transcript}`,
-              blocks: [
-                {
-                  type: 'section',
-                  text: {
-                    type: 'mrkdwn',
-                    text: `📎 *File Transcription*\n${result.transcript}`,
-                  },
-                },
-                {
-                  type: 'context',
-                  elements: [
-                    {
-                      type: 'mrkdwn',
-                      text: `File: ${req.file.originalname} | Confidence: ${Math.round(result.confidence * 100)}%${params.conversation ? ` | Conversation: ${params.conversation}` : ''}`,
-                    },
-                  ],
-                },
-              ],
-            });
-          }
-        } catch (slackError) {
-          logger.error('Failed to send to Slack:', slackError);
-          // Don't fail the request if Slack fails
-        }
+      if (url && (typeof url !== 'string' || url.length > 2048 || !isAllowedUrl(url))) {
+        return res.status(400).json({
+          error: `url must be an absolute ${config.app.env === 'production' ? 'https' : 'http(s)'} URL`,
+          code: 'INVALID_URL',
+        });
       }
 
-      res.json({
-        success: true,
-        transcript: result.transcript,
-        confidence: result.confidence,
-        words: result.words,
-        metadata: {
-          filename: req.file.originalname,
-          size: req.file.size,
-          duration: result.metadata.duration,
-          language: params.language,
-          model: params.model,
-          processedAt: new Date().toISOString(),
-        },
+      if (slackFileId && (typeof slackFileId !== 'string' || !/^F[A-Z0-9]{6,}$/.test(slackFileId))) {
+        return res.status(400).json({
+          error: 'slack_file_id must be a Slack file ID',
+          code: 'INVALID_SLACK_FILE',
+        });
+      }
+
+      const params = parseTranscriptionParams(req.body, req.user);
+      if (rejectOverQuota(res, params)) return;
+
+      const callbackUrl = req.body.callback_url || undefined;
+      if (await rejectCallbackUrl(res, callbackUrl)) return;
+
+      // Size, duration and host limits are enforced by the job while downloading
+      const source = url ? { url } : { slackFileId };
+      const job = getTranscriptionJobService().submitRemote(source, params, callbackUrl);
+
+      logger.info('Queued remote file transcription', {
+        jobId: job.id,
+        source: job.metadata.source,
+        ...(url ? { host: new URL(url).host } : { slackFileId }),
+        params,
       });
 
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        });
+
     } catch (error) {
-      logger.error('File transcription error:', error);
+      logger.error('Remote file transcription error:', error);
       res.status(500).json({
         error: 'Internal server error',
         code: 'INTERNAL_ERROR',
       });
     }
-  }
+  },
+);
+
+/**
+ * POST /api/transcription/uploads
+ * Start a resumable upload for recordings too large for a single request
+ * Body: { filename, size, mimetype }, plus the upload parameters
+ * Responds 201 with the chunk size and number of chunks to PUT
+ */
+router.post('/uploads',
+  [
+    body('filename').isString().isLength({ min: 1, max: 255 }),
+    body('size').isInt({ min: 1 }),
+    body('mimetype').isString().matches(/^(audio|video)\/[\w.+-]+$/),
+    ...transcriptionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const { filename, size, mimetype } = req.body;
+
+      if (typeof filename !== 'string' || !Number.isInteger(size) || size < 1 || typeof mimetype !== 'string') {
+        return res.status(400).json({
+          error: 'filename, size (bytes) and mimetype are required',
+          code: 'INVALID_UPLOAD',
+        });
+      }
+
+      const params = parseTranscriptionParams(req.body, req.user);
+      if (rejectOverQuota(res, params)) return;
+
+      const callbackUrl = req.body.callback_url || undefined;
+      if (await rejectCallbackUrl(res, callbackUrl)) return;
+
+      const upload = await getUploadService().create({ filename, size, mimetype }, params, callbackUrl);
+
+      res.status(201)
+        .location(`${req.baseUrl}/uploads/${upload.id}`)
+        .json({
+          success: true,
+          uploadId: upload.id,
+          ...upload,
+          uploadUrl: `${req.baseUrl}/uploads/${upload.id}`,
+        });
+
+    } catch (error) {
+      sendUploadError(res, error, 'Error starting chunked upload:');
+    }
+  },
+);
+
+/**
+ * GET /api/transcription/uploads/:uploadId
+ * Get the received offset and missing chunks of an upload, to resume it
+ */
+router.get('/uploads/:uploadId',
+  [
+    param('uploadId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const upload = getUploadService().get(sanitizeInput(req.params.uploadId));
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload not found',
+        code: 'UPLOAD_NOT_FOUND',
+      });
+    }
+
+    res.json(upload);
+  },
+);
+
+/**
+ * PUT /api/transcription/uploads/:uploadId/chunks/:index
+ * Store one chunk (raw bytes); every chunk but the last is exactly chunkSize bytes
+ * Headers: X-Chunk-SHA256 (optional hex digest, verified when given)
+ */
+router.put('/uploads/:uploadId/chunks/:index',
+  [
+    param('uploadId').isString().isLength({ min: 1, max: 100 }),
+    param('index').isInt({ min: 0 }),
+  ],
+  express.raw({ type: () => true, limit: parseFileSize(config.uploads.chunkSize) }),
+  async (req, res) => {
+    try {
+      const upload = await getUploadService().writeChunk(
+        sanitizeInput(req.params.uploadId),
+        Number(req.params.index),
+        req.body,
+        req.get('x-chunk-sha256'),
+      );
+
+      res.json({
+        success: true,
+        chunk: Number(req.params.index),
+        receivedChunks: upload.receivedChunks,
+        chunkCount: upload.chunkCount,
+        offset: upload.offset,
+      });
+
+    } catch (error) {
+      sendUploadError(res, error, 'Error storing upload chunk:');
+    }
+  },
+);
+
+/**
+ * POST /api/transcription/uploads/:uploadId/complete
+ * Assemble a fully received upload and queue its transcription
+ * Responds 202 with a job, like single-request uploads
+ */
+router.post('/uploads/:uploadId/complete',
+  [
+    param('uploadId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const uploadId = sanitizeInput(req.params.uploadId);
+      const job = await getUploadService().complete(uploadId);
+
+      logger.info('Queued chunked upload transcription', { uploadId, jobId: job.id });
+
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        });
+
+    } catch (error) {
+      sendUploadError(res, error, 'Error completing chunked upload:');
+    }
+  },
+);
+
+/**
+ * DELETE /api/transcription/uploads/:uploadId
+ * Abandon an upload and delete its chunks
+ */
+router.delete('/uploads/:uploadId',
+  [
+    param('uploadId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const uploadId = sanitizeInput(req.params.uploadId);
+
+      if (!(await getUploadService().abort(uploadId))) {
+        return res.status(404).json({
+          error: 'Upload not found',
+          code: 'UPLOAD_NOT_FOUND',
+        });
+      }
+
+      res.json({
+        success: true,
+        uploadId,
+      });
+
+    } catch (error) {
+      sendUploadError(res, error, 'Error aborting chunked upload:');
+    }
+  },
+);
+
+/**
+ * GET /api/transcription/jobs/:jobId
+ * Get the status, progress and result of a file transcription job
+ */
+router.get('/jobs/:jobId',
+  [
+    param('jobId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const job = getTranscriptionJobService().getJob(sanitizeInput(req.params.jobId));
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND',
+      });
+    }
+
+    res.json(job);
+  },
+);
+
+/**
+ * GET /api/transcription/jobs/:jobId/subtitles
+ * Download the transcript of a completed job as subtitles
+ * Query: format (srt|vtt, default: the upload's format or srt), max_line_length, max_cue_duration, speaker_labels
+ */
+router.get('/jobs/:jobId/subtitles',
+  [
+    param('jobId').isString().isLength({ min: 1, max: 100 }),
+    ...subtitleQueryValidators,
+  ],
+  (req, res) => {
+    const jobId = sanitizeInput(req.params.jobId);
+    const job = getTranscriptionJobService().getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND',
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        error: `Job is ${job.status}, subtitles are available once it completes`,
+        code: 'JOB_NOT_COMPLETED',
+      });
+    }
+
+    const format = req.query.format || job.result.subtitles?.format || 'srt';
+    if (!isSubtitleFormat(format)) {
+      return sendInvalidFormat(res, SUBTITLE_FORMATS);
+    }
+
+    sendSubtitles(res, jobId, format, job.result.words || [], parseSubtitleOptions(req.query));
+  },
+);
+
+/**
+ * DELETE /api/transcription/jobs/:jobId
+ * Cancel a queued or running file transcription job
+ */
+router.delete('/jobs/:jobId',
+  [
+    param('jobId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const service = getTranscriptionJobService();
+    const jobId = sanitizeInput(req.params.jobId);
+    const existing = service.getJob(jobId);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND',
+      });
+    }
+
+    if (isFinished(existing)) {
+      return res.status(409).json({
+        error: `Job already ${existing.status}`,
+        code: 'JOB_FINISHED',
+      });
+    }
+
+    const job = service.cancelJob(jobId);
+    logger.info(`Cancelled transcription job: ${jobId}`);
+
+    res.json({
+      success: true,
+      jobId,
+      status: job.status,
+    });
+  },
 );
 
 /**
@@ -176,7 +502,8 @@ router.get('/sessions',
           sessionId: conn.sessionId,
           channel: conn.slackChannel,
           conversationId: conn.conversationId,
-          isActive: conn.connection?.readyState === 1,
+          provider: conn.provider,
+          isActive: conn.isConnected,
           createdAt: conn.createdAt,
           uptime: conn.uptime,
         }));
@@ -218,9 +545,9 @@ router.delete('/sessions/:sessionId',
       const sessionId = sanitizeInput(req.params.sessionId);
       
       const deepgramService = createDeepgramService();
-      const connection = deepgramService.getConnection(sessionId);
+      const session = deepgramService.getSessionInfo(sessionId);
       
-      if (!connection) {
+      if (!session) {
         return res.status(404).json({
           error: 'Session not found',
           code: 'SESSION_NOT_FOUND',
@@ -260,9 +587,9 @@ router.get('/sessions/:sessionId',
       const sessionId = sanitizeInput(req.params.sessionId);
       
       const deepgramService = createDeepgramService();
-      const connection = deepgramService.getConnection(sessionId);
+      const session = deepgramService.getSessionInfo(sessionId);
       
-      if (!connection) {
+      if (!session) {
         return res.status(404).json({
           error: 'Session not found',
           code: 'SESSION_NOT_FOUND',
@@ -270,13 +597,14 @@ router.get('/sessions/:sessionId',
       }
 
       res.json({
-        sessionId: connection.sessionId,
-        channel: connection.slackChannel,
-        conversationId: connection.conversationId,
-        isActive: connection.connection?.readyState === 1,
-        createdAt: connection.createdAt,
-        uptime: connection.uptime,
-        status: connection.connection?.readyState === 1 ? 'active' : 'inactive',
+        sessionId: session.sessionId,
+        channel: session.slackChannel,
+        conversationId: session.conversationId,
+        provider: session.provider,
+        isActive: session.isConnected,
+        createdAt: session.createdAt,
+        uptime: session.uptime,
+        status: session.isConnected ? 'active' : 'inactive',
       });
 
     } catch (error) {
@@ -290,18 +618,413 @@ router.get('/sessions/:sessionId',
 );
 
 /**
- * Parse file size string to bytes
- * @param {string} sizeStr - Size string (e.g., '50MB')
- * @returns {number} Size in bytes
+ * GET /api/transcription/sessions/:sessionId/speakers
+ * Get speaker name assignments of a session
  */
-function parseFileSize(sizeStr) {
-  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
-  const match = sizeStr.match(/^(\d+)([A-Z]{1,2})$/);
-  
-  if (!match) return 50 * 1024 * 1024; // Default 50MB
-  
-  const [, size, unit] = match;
-  return parseInt(size) * (units[unit] || 1);
+router.get('/sessions/:sessionId/speakers',
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+      const speakers = createDeepgramService().getSpeakerNames(sessionId);
+
+      if (!speakers) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND',
+        });
+      }
+
+      res.json({ sessionId, speakers });
+
+    } catch (error) {
+      logger.error('Error fetching speakers:', error);
+      res.status(500).json({
+        error: 'Failed to fetch speakers',
+        code: 'FETCH_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/transcription/sessions/:sessionId/transcript
+ * Get the stored transcript of an active or finished live session
+ * Query: format (json|text|markdown, default json)
+ */
+router.get('/sessions/:sessionId/transcript',
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+    query('format').optional().isIn(Object.keys(TRANSCRIPT_FORMATS)),
+  ],
+  async (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+      const format = req.query.format || 'json';
+      if (!Object.keys(TRANSCRIPT_FORMATS).includes(format)) {
+        return sendInvalidFormat(res, TRANSCRIPT_FORMATS);
+      }
+
+      const transcript = await createDeepgramService().getSessionTranscript(sessionId);
+
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND',
+        });
+      }
+
+      if (format === 'json') {
+        return res.json(describeTranscript(transcript));
+      }
+
+      res.set('Content-Type', TRANSCRIPT_FORMATS[format].contentType)
+        .send(format === 'markdown' ? renderTranscriptMarkdown(transcript) : renderTranscriptText(transcript));
+
+    } catch (error) {
+      logger.error('Error fetching session transcript:', error);
+      res.status(500).json({
+        error: 'Failed to fetch transcript',
+        code: 'FETCH_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/transcription/sessions/:sessionId/report
+ * Get the talk-time report of an active or finished live session: duration, audio, word count,
+ * words per minute, confidence, and talk time, share and interruptions per speaker
+ */
+router.get('/sessions/:sessionId/report',
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+      const report = await createDeepgramService().getSessionReport(sessionId);
+
+      if (!report) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND',
+        });
+      }
+
+      res.json(report);
+
+    } catch (error) {
+      logger.error('Error building session report:', error);
+      res.status(500).json({
+        error: 'Failed to build session report',
+        code: 'REPORT_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/transcription/sessions/:sessionId/subtitles
+ * Download the stored transcript of an active or finished live session as subtitles
+ * Query: format (srt|vtt, default srt), max_line_length, max_cue_duration, speaker_labels
+ */
+router.get('/sessions/:sessionId/subtitles',
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+    ...subtitleQueryValidators,
+  ],
+  async (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+      const transcript = await createDeepgramService().getSessionTranscript(sessionId);
+
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND',
+        });
+      }
+
+      const format = req.query.format || 'srt';
+      if (!isSubtitleFormat(format)) {
+        return sendInvalidFormat(res, SUBTITLE_FORMATS);
+      }
+
+      sendSubtitles(res, sessionId, format, segmentsToWords(transcript.segments), {
+        ...parseSubtitleOptions(req.query),
+        speakerNames: transcript.speakerNames,
+      });
+
+    } catch (error) {
+      logger.error('Error exporting session subtitles:', error);
+      res.status(500).json({
+        error: 'Failed to export subtitles',
+        code: 'EXPORT_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/transcription/sessions/:sessionId/recording
+ * Download the archived audio of a finished live session, while it is within its retention
+ * Requires the admin role, like the /api/recordings endpoints
+ */
+router.get('/sessions/:sessionId/recording',
+  requireAdmin,
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+      const file = await getRecordingService().openRecording(sessionId);
+
+      if (!file) {
+        return res.status(404).json({
+          error: 'Recording not found',
+          code: 'RECORDING_NOT_FOUND',
+        });
+      }
+
+      const { recording, stream, size } = file;
+      const filename = `${sessionId.replace(/[^\w-]/g, '_')}.${recording.key.split('.').pop()}`;
+
+      res.set('Content-Type', recording.contentType)
+        .set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (size) res.set('Content-Length', String(size));
+
+      pipeline(stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.error(`Error streaming recording of session ${sessionId}:`, error);
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error downloading recording:', error);
+      res.status(500).json({
+        error: 'Failed to download recording',
+        code: 'DOWNLOAD_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * PUT /api/transcription/sessions/:sessionId/speakers
+ * Map speaker indices to names or Slack user IDs for the rest of a session
+ * Body: { speakers: { "0": "Alice", "1": "U012AB3CD", "2": null } }
+ */
+router.put('/sessions/:sessionId/speakers',
+  [
+    param('sessionId').isString().isLength({ min: 1, max: 100 }),
+    body('speakers').isObject(),
+  ],
+  (req, res) => {
+    try {
+      const sessionId = sanitizeInput(req.params.sessionId);
+      const assignments = req.body.speakers || {};
+
+      const invalid = Object.entries(assignments).filter(([speaker, value]) =>
+        !/^\d{1,2}$/.test(speaker) ||
+        (value !== null && (typeof value !== 'string' || value.length > 100)));
+
+      if (invalid.length > 0 || Object.keys(assignments).length === 0) {
+        return res.status(400).json({
+          error: 'speakers must map speaker indices (0-99) to a name, a Slack user ID or null',
+          code: 'INVALID_SPEAKERS',
+        });
+      }
+
+      const speakers = createDeepgramService().setSpeakerNames(sessionId, assignments);
+
+      if (!speakers) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND',
+        });
+      }
+
+      res.json({
+        success: true,
+        sessionId,
+        speakers,
+      });
+
+    } catch (error) {
+      logger.error('Error updating speakers:', error);
+      res.status(500).json({
+        error: 'Failed to update speakers',
+        code: 'UPDATE_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * Check that a value names a supported subtitle format
+ * @param {*} value - Requested format
+ * @returns {boolean} True for 'srt' or 'vtt'
+ */
+function isSubtitleFormat(value) {
+  return Object.keys(SUBTITLE_FORMATS).includes(value);
+}
+
+/**
+ * Respond that the requested export format is not supported
+ * @param {Object} res - Express response object
+ * @param {Object} formats - Supported formats keyed by name
+ */
+function sendInvalidFormat(res, formats) {
+  res.status(400).json({
+    error: `format must be one of: ${Object.keys(formats).join(', ')}`,
+    code: 'INVALID_FORMAT',
+  });
+}
+
+/**
+ * Send a subtitle document as a file download
+ * @param {Object} res - Express response object
+ * @param {string} name - Base file name (job or session ID)
+ * @param {string} format - 'srt' or 'vtt'
+ * @param {Array<Object>} words - Timed words
+ * @param {Object} options - Subtitle options
+ */
+function sendSubtitles(res, name, format, words, options) {
+  const { contentType, extension } = SUBTITLE_FORMATS[format];
+  const filename = `${name.replace(/[^\w-]/g, '_')}.${extension}`;
+
+  res.set('Content-Type', contentType)
+    .set('Content-Disposition', `attachment; filename="${filename}"`)
+    .send(renderSubtitles(words, format, options));
+}
+
+/**
+ * Respond with an upload error, exposing the message of expected failures only
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the upload service
+ * @param {string} context - Log message for unexpected errors
+ */
+function sendUploadError(res, error, context) {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  logger.error(context, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR',
+  });
+}
+
+/**
+ * Refuse a transcription when a usage quota of its user, channel or the workspace is used up
+ * @param {Object} res - Express response object
+ * @param {Object} params - Transcription parameters
+ * @returns {boolean} True if the request was answered with 429
+ */
+function rejectOverQuota(res, params) {
+  const { status, quotas } = getUsageService().checkQuotas({ userId: params.user, channel: params.channel });
+  if (status !== 'exceeded') return false;
+
+  res.status(429).json({
+    error: describeQuota(quotas[0], 'used up'),
+    code: 'QUOTA_EXCEEDED',
+    quota: quotas[0],
+  });
+  return true;
+}
+
+/**
+ * Sanitize the transcription parameters of an upload or remote file request
+ * @param {Object} requestBody - Request body
+ * @param {Object} user - Authenticated user (JWT claims or API key context)
+ * @returns {Object} Parameters for the transcription job
+ */
+function parseTranscriptionParams(requestBody, user) {
+  return {
+    channel: sanitizeInput(requestBody.channel),
+    conversation: sanitizeInput(requestBody.conversation),
+    user: user?.sub || user?.keyId,
+    language: sanitizeInput(requestBody.language) || 'en-US',
+    model: sanitizeInput(requestBody.model) || 'nova-2',
+    provider: sanitizeInput(requestBody.provider) || undefined,
+    multichannel: String(requestBody.multichannel) === 'true',
+    channelLabels: parseChannelLabels(sanitizeInput(requestBody.channel_labels, { maxLength: 250 })),
+    ...(isSubtitleFormat(requestBody.format) ? {
+      format: requestBody.format,
+      subtitles: parseSubtitleOptions(requestBody),
+    } : {}),
+  };
+}
+
+/**
+ * Refuse a callback URL that is not allowed, or that cannot be signed
+ *
+ * Callbacks are signed with JOB_CALLBACK_SECRET, which receivers hold; without it jobs
+ * cannot be given a callback. Hosts on private networks are refused like remote audio URLs.
+ * @param {Object} res - Express response object
+ * @param {string} callbackUrl - Requested callback URL, if any
+ * @returns {Promise<boolean>} True if the request was answered with 400
+ */
+async function rejectCallbackUrl(res, callbackUrl) {
+  if (!callbackUrl) return false;
+
+  if (!config.jobs.callbackSecret) {
+    res.status(400).json({
+      error: 'callback_url is not available: JOB_CALLBACK_SECRET is not configured',
+      code: 'CALLBACKS_DISABLED',
+    });
+    return true;
+  }
+
+  if (!isAllowedUrl(callbackUrl)) {
+    res.status(400).json({
+      error: `callback_url must be an absolute ${config.app.env === 'production' ? 'https' : 'http(s)'} URL`,
+      code: 'INVALID_CALLBACK_URL',
+    });
+    return true;
+  }
+
+  try {
+    await getTranscriptionJobService().assertCallbackHost(callbackUrl);
+  } catch (error) {
+    if (error.code === 'FORBIDDEN_HOST') {
+      res.status(400).json({
+        error: `callback_url host ${new URL(callbackUrl).hostname} is not allowed`,
+        code: 'FORBIDDEN_CALLBACK_HOST',
+      });
+    } else {
+      res.status(400).json({
+        error: 'callback_url host cannot be resolved',
+        code: 'INVALID_CALLBACK_URL',
+      });
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check that a URL is absolute and uses an allowed protocol
+ * @param {string} value - Callback or audio URL
+ * @returns {boolean} True if usable
+ */
+function isAllowedUrl(value) {
+  try {
+    const url = new URL(value);
+    const protocols = config.app.env === 'production' ? ['https:'] : ['http:', 'https:'];
+    return protocols.includes(url.protocol);
+  } catch (error) {
+    return false;
+  }
 }
 
 module.exports = router;
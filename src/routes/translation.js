@@ -0,0 +1,132 @@
+/**
+ * Translation API routes
+ * Configures the languages finalized transcripts are translated into, per channel and session
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const { getTranslationService, validateTranslation } = require('../services/translation-service');
+const { logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/security');
+
+const router = express.Router();
+
+const SCOPES = {
+  channels: 'channel',
+  sessions: 'session',
+};
+
+const scopeValidators = [
+  param('scope').isIn(Object.keys(SCOPES)),
+  param('id').isString().isLength({ min: 1, max: 100 }),
+];
+
+/**
+ * GET /api/translation/resolve
+ * Get the effective target languages for a channel and/or session
+ */
+router.get('/resolve',
+  [
+    query('channel').optional().isString().isLength({ min: 1, max: 100 }),
+    query('session').optional().isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const channel = sanitizeInput(req.query.channel) || undefined;
+    const session = sanitizeInput(req.query.session) || undefined;
+
+    res.json({
+      channel,
+      session,
+      translation: getTranslationService().resolve({ channel, session }),
+    });
+  },
+);
+
+/**
+ * GET /api/translation/:scope/:id
+ * Get the target languages of a channel or session
+ */
+router.get('/:scope/:id', scopeValidators, (req, res) => {
+  const scope = SCOPES[req.params.scope];
+  if (!scope) {
+    return res.status(404).json({
+      error: 'Unknown translation scope',
+      code: 'INVALID_SCOPE',
+    });
+  }
+
+  const id = sanitizeInput(req.params.id);
+  res.json({
+    scope,
+    id,
+    translation: getTranslationService().get(scope, id),
+  });
+});
+
+/**
+ * PUT /api/translation/:scope/:id
+ * Replace the target languages of a channel or session
+ * Body: { targets: ["fr", "es"] }
+ */
+router.put('/:scope/:id', scopeValidators, (req, res) => {
+  try {
+    const scope = SCOPES[req.params.scope];
+    if (!scope) {
+      return res.status(404).json({
+        error: 'Unknown translation scope',
+        code: 'INVALID_SCOPE',
+      });
+    }
+
+    const validation = validateTranslation(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid translation settings',
+        details: validation.errors,
+        code: 'INVALID_TRANSLATION',
+      });
+    }
+
+    const id = sanitizeInput(req.params.id);
+    // Live sessions pick up the new targets with their next finalized transcript
+    const translation = getTranslationService().set(scope, id, validation.settings);
+
+    res.json({
+      success: true,
+      scope,
+      id,
+      translation,
+    });
+
+  } catch (error) {
+    logger.error('Error updating translation settings:', error);
+    res.status(500).json({
+      error: 'Failed to update translation settings',
+      code: 'UPDATE_ERROR',
+    });
+  }
+});
+
+/**
+ * DELETE /api/translation/:scope/:id
+ * Delete the target languages of a channel or session
+ */
+router.delete('/:scope/:id', scopeValidators, (req, res) => {
+  const scope = SCOPES[req.params.scope];
+  const id = sanitizeInput(req.params.id);
+
+  if (!scope || !getTranslationService().clear(scope, id)) {
+    return res.status(404).json({
+      error: 'Translation settings not found',
+      code: 'TRANSLATION_NOT_FOUND',
+    });
+  }
+
+  res.json({
+    success: true,
+    scope,
+    id,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+/**
+ * Usage API routes (admin)
+ * Reports audio minutes by workspace, channel, user and conversation, and manages quota overrides
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { getUsageService } = require('../services/usage-service');
+const { logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/security');
+
+const router = express.Router();
+
+const SCOPES = {
+  channels: 'channel',
+  users: 'user',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+const QUOTA_PATHS = ['/quotas/workspace', '/quotas/:scope/:id'];
+
+const quotaValidators = [
+  param('scope').optional().isIn(Object.keys(SCOPES)),
+  param('id').optional().isString().isLength({ min: 1, max: 100 }),
+];
+
+/**
+ * GET /api/usage
+ * Get the audio usage of a day or month
+ * Query: period=day|month (default day), date=YYYY-MM-DD or YYYY-MM (default today, UTC)
+ */
+router.get('/',
+  [
+    query('period').optional().isIn(['day', 'month']),
+    query('date').optional().matches(DATE_PATTERN),
+  ],
+  (req, res) => {
+    const period = req.query.period === 'month' ? 'month' : 'day';
+    const at = req.query.date === undefined ? new Date() : parseDate(req.query.date);
+
+    if (!at) {
+      return res.status(400).json({
+        error: 'date must be YYYY-MM-DD or YYYY-MM',
+        code: 'INVALID_DATE',
+      });
+    }
+
+    res.json(getUsageService().getUsage(period, at));
+  },
+);
+
+/**
+ * GET /api/usage/quotas
+ * Get the default quotas and all overrides
+ */
+router.get('/quotas', (req, res) => {
+  const service = getUsageService();
+
+  res.json({
+    defaults: service.defaultQuotas,
+    warningPercent: Math.round(service.warningRatio * 100),
+    overrides: service.listQuotas(),
+  });
+});
+
+/**
+ * GET /api/usage/quotas/workspace
+ * GET /api/usage/quotas/:scope/:id
+ * Get the effective quotas of the workspace, a channel or a user, and how much of them is used
+ */
+router.get(QUOTA_PATHS, quotaValidators, (req, res) => {
+  const target = resolveTarget(req);
+  if (!target) {
+    return res.status(404).json({
+      error: 'Unknown quota scope',
+      code: 'INVALID_SCOPE',
+    });
+  }
+
+  const service = getUsageService();
+  const subject = target.scope === 'workspace' ? {} : { [target.scope === 'user' ? 'userId' : 'channel']: target.id };
+
+  res.json({
+    ...target,
+    quota: service.getQuota(target.scope, target.id),
+    usage: service.checkQuotas(subject).quotas.filter(entry => entry.scope === target.scope),
+  });
+});
+
+/**
+ * PUT /api/usage/quotas/workspace
+ * PUT /api/usage/quotas/:scope/:id
+ * Override the quotas of the workspace, a channel or a user
+ * Body: { daily: 120, monthly: 2000 } in minutes; 0 is unlimited, an omitted period keeps its default
+ */
+router.put(QUOTA_PATHS,
+  [
+    ...quotaValidators,
+    body('daily').optional().isFloat({ min: 0 }),
+    body('monthly').optional().isFloat({ min: 0 }),
+  ],
+  (req, res) => {
+    try {
+      const target = resolveTarget(req);
+      if (!target) {
+        return res.status(404).json({
+          error: 'Unknown quota scope',
+          code: 'INVALID_SCOPE',
+        });
+      }
+
+      const limits = {};
+      for (const period of ['daily', 'monthly']) {
+        const value = req.body[period];
+        if (value === undefined) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          return res.status(400).json({
+            error: `${period} must be a number of minutes (0 for unlimited)`,
+            code: 'INVALID_QUOTA',
+          });
+        }
+        limits[period] = value;
+      }
+
+      if (Object.keys(limits).length === 0) {
+        return res.status(400).json({
+          error: 'daily or monthly is required',
+          code: 'INVALID_QUOTA',
+        });
+      }
+
+      res.json({
+        success: true,
+        ...target,
+        quota: getUsageService().setQuota(target.scope, target.id, limits),
+      });
+
+    } catch (error) {
+      logger.error('Error updating quota:', error);
+      res.status(500).json({
+        error: 'Failed to update quota',
+        code: 'UPDATE_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /api/usage/quotas/workspace
+ * DELETE /api/usage/quotas/:scope/:id
+ * Remove a quota override, restoring the configured defaults
+ */
+router.delete(QUOTA_PATHS, quotaValidators, (req, res) => {
+  const target = resolveTarget(req);
+  const service = getUsageService();
+
+  if (!target || !service.deleteQuota(target.scope, target.id)) {
+    return res.status(404).json({
+      error: 'Quota override not found',
+      code: 'QUOTA_NOT_FOUND',
+    });
+  }
+
+  res.json({
+    success: true,
+    ...target,
+    quota: service.getQuota(target.scope, target.id),
+  });
+});
+
+/**
+ * Parse a day or month of the usage query
+ * @param {string} value - YYYY-MM-DD or YYYY-MM
+ * @returns {Date|null} Start of the day or month (UTC), null if invalid
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+
+  const date = new Date(`${value.length === 7 ? `${value}-01` : value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out which quota a request addresses
+ * @param {Object} req - Express request
+ * @returns {Object|null} { scope, id }, with no ID for the workspace; null for unknown scopes
+ */
+function resolveTarget(req) {
+  if (!req.params.scope) {
+    return { scope: 'workspace' };
+  }
+
+  const scope = SCOPES[req.params.scope];
+  return scope ? { scope, id: sanitizeInput(req.params.id) } : null;
+}
+
+module.exports = router;
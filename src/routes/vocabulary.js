@@ -0,0 +1,200 @@
+/**
+ * Custom vocabulary API routes
+ * Manages boosted keywords, find/replace pairs and search terms globally, per channel and per session
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const { getVocabularyService, validateVocabulary } = require('../services/vocabulary-service');
+const { createDeepgramService } = require('../services/deepgram-service');
+const { logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/security');
+
+const router = express.Router();
+
+const VOCABULARY_NOTICE = '📚 Custom vocabulary updated';
+
+const SCOPES = {
+  channels: 'channel',
+  sessions: 'session',
+};
+
+/**
+ * GET /api/vocabulary/resolve
+ * Get the effective vocabulary for a channel and/or session
+ */
+router.get('/resolve',
+  [
+    query('channel').optional().isString().isLength({ min: 1, max: 100 }),
+    query('session').optional().isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    try {
+      const channel = sanitizeInput(req.query.channel) || undefined;
+      const session = sanitizeInput(req.query.session) || undefined;
+
+      res.json({
+        channel,
+        session,
+        vocabulary: getVocabularyService().resolve({ channel, session }),
+      });
+
+    } catch (error) {
+      logger.error('Error resolving vocabulary:', error);
+      res.status(500).json({
+        error: 'Failed to resolve vocabulary',
+        code: 'FETCH_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/vocabulary
+ * Get the global vocabulary
+ */
+router.get('/', (req, res) => {
+  res.json({
+    scope: 'global',
+    vocabulary: getVocabularyService().get('global'),
+  });
+});
+
+/**
+ * PUT /api/vocabulary
+ * Replace the global vocabulary
+ * Body: { keywords: ["Deepgram:2"], replace: ["k8s:Kubernetes"], search: ["invoice"] }
+ */
+router.put('/', (req, res) => updateVocabulary(req, res, 'global'));
+
+/**
+ * GET /api/vocabulary/:scope/:id
+ * Get the vocabulary of a channel or session
+ */
+router.get('/:scope/:id',
+  [
+    param('scope').isIn(Object.keys(SCOPES)),
+    param('id').isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const scope = SCOPES[req.params.scope];
+    if (!scope) {
+      return res.status(404).json({
+        error: 'Unknown vocabulary scope',
+        code: 'INVALID_SCOPE',
+      });
+    }
+
+    const id = sanitizeInput(req.params.id);
+    res.json({
+      scope,
+      id,
+      vocabulary: getVocabularyService().get(scope, id),
+    });
+  },
+);
+
+/**
+ * PUT /api/vocabulary/:scope/:id
+ * Replace the vocabulary of a channel or session
+ */
+router.put('/:scope/:id',
+  [
+    param('scope').isIn(Object.keys(SCOPES)),
+    param('id').isString().isLength({ min: 1, max: 100 }),
+  ],
+  (req, res) => {
+    const scope = SCOPES[req.params.scope];
+    if (!scope) {
+      return res.status(404).json({
+        error: 'Unknown vocabulary scope',
+        code: 'INVALID_SCOPE',
+      });
+    }
+
+    return updateVocabulary(req, res, scope, sanitizeInput(req.params.id));
+  },
+);
+
+/**
+ * DELETE /api/vocabulary/:scope/:id
+ * Delete the vocabulary of a channel or session
+ */
+router.delete('/:scope/:id',
+  [
+    param('scope').isIn(Object.keys(SCOPES)),
+    param('id').isString().isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const scope = SCOPES[req.params.scope];
+      const id = sanitizeInput(req.params.id);
+
+      if (!scope || !getVocabularyService().clear(scope, id)) {
+        return res.status(404).json({
+          error: 'Vocabulary not found',
+          code: 'VOCABULARY_NOT_FOUND',
+        });
+      }
+
+      const refreshedSessions = await createDeepgramService().refreshSessions({ [scope]: id }, VOCABULARY_NOTICE);
+
+      res.json({
+        success: true,
+        scope,
+        id,
+        refreshedSessions,
+      });
+
+    } catch (error) {
+      logger.error('Error deleting vocabulary:', error);
+      res.status(500).json({
+        error: 'Failed to delete vocabulary',
+        code: 'DELETE_ERROR',
+      });
+    }
+  },
+);
+
+/**
+ * Validate a vocabulary body, store it and refresh affected live sessions
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} scope - 'global', 'channel' or 'session'
+ * @param {string} id - Channel or session identifier
+ */
+async function updateVocabulary(req, res, scope, id) {
+  try {
+    const validation = validateVocabulary(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid vocabulary',
+        details: validation.errors,
+        code: 'INVALID_VOCABULARY',
+      });
+    }
+
+    const vocabulary = getVocabularyService().set(scope, id, validation.vocabulary);
+    const refreshedSessions = await createDeepgramService().refreshSessions(
+      scope === 'global' ? {} : { [scope]: id },
+      VOCABULARY_NOTICE,
+    );
+
+    res.json({
+      success: true,
+      scope,
+      ...(id ? { id } : {}),
+      vocabulary,
+      refreshedSessions,
+    });
+
+  } catch (error) {
+    logger.error('Error updating vocabulary:', error);
+    res.status(500).json({
+      error: 'Failed to update vocabulary',
+      code: 'UPDATE_ERROR',
+    });
+  }
+}
+
+module.exports = router;
@@ -50,6 +50,8 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP',
   standardHeaders: true,
   legacyHeaders: false,
+  // A long recording takes hundreds of chunk requests; the upload itself is size-limited
+  skip: (req) => req.method === 'PUT' && /^\/transcription\/uploads\/[^/]+\/chunks\//.test(req.path),
 });
 app.use('/api/', limiter);
 
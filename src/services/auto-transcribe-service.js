@@ -0,0 +1,368 @@
+/**
+ * Slack auto-transcription
+ * Transcribes audio and video files shared in opted-in channels and replies in the message thread
+ */
+
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { ScopedStore } = require('../utils/scoped-store');
+const { JobQueue } = require('../utils/job-queue');
+const { formatTurns } = require('../utils/speakers');
+const { parseFileSize, isNativeAudio } = require('../utils/validation');
+const { transcodeAudio } = require('../utils/transcode');
+const { RemoteAudioError, downloadSlackFile, assertAudioDuration } = require('../utils/remote-audio');
+const { createDeepgramService, formatDetectedLanguage, fileDuration } = require('./deepgram-service');
+const { getSlackService } = require('./slack-service');
+const { getUsageService } = require('./usage-service');
+
+const LANGUAGE_PATTERN = /^([a-z]{2}(-[A-Z]{2})?|auto)$/;
+// Slack sends both file_shared and message events for one upload
+const SEEN_FILE_TTL_MS = 10 * 60 * 1000;
+
+const COMMAND_USAGE = 'Usage: `/transcribe-auto [status | on [language=<code>|auto] | off]`';
+
+/**
+ * Check whether a Slack file holds audio or video
+ * @param {Object} file - Slack file object
+ * @returns {boolean} True for voice memos, clips and audio/video uploads
+ */
+function isMediaFile(file) {
+  if (!file || file.mode === 'tombstone' || file.mode === 'hidden_by_limit') return false;
+  return /^(audio|video)\//.test(file.mimetype || '') ||
+    ['slack_audio', 'slack_video'].includes(file.subtype);
+}
+
+class AutoTranscribeService {
+  constructor() {
+    const config = getConfig();
+    this.store = new ScopedStore({ name: 'auto-transcription settings', filePath: config.autoTranscribe.file });
+    this.limits = {
+      token: config.slack.botToken,
+      maxBytes: parseFileSize(config.audio.maxFileSize),
+      maxDuration: config.audio.maxDuration,
+      timeoutMs: config.remoteAudio.timeoutMs,
+      allowPrivate: config.remoteAudio.allowPrivate,
+    };
+    this.transcoding = {
+      ...config.transcoding,
+      maxBytes: this.limits.maxBytes,
+      maxDuration: this.limits.maxDuration,
+    };
+    this.seenFiles = new Map();
+    this.queue = new JobQueue({
+      name: 'slack file',
+      concurrency: config.jobs.concurrency,
+      maxAttempts: config.jobs.maxAttempts,
+      retryDelay: config.jobs.retryDelay,
+      ttlMs: config.jobs.ttlMs,
+      handler: job => this.runJob(job),
+      onFinished: job => this.reportFailure(job),
+    });
+  }
+
+  /**
+   * Get the auto-transcription settings of a channel
+   * @param {string} channel - Slack channel ID
+   * @returns {Object|null} Settings ({ language, enabledBy, enabledAt }) or null when disabled
+   */
+  get(channel) {
+    return this.store.get('channel', channel) || null;
+  }
+
+  /**
+   * Turn auto-transcription on for a channel
+   * @param {string} channel - Slack channel ID
+   * @param {Object} settings - Channel settings
+   * @param {string} settings.language - Language code, or auto to detect it
+   * @param {string} settings.enabledBy - Slack user who enabled it
+   * @returns {Object} Stored settings
+   */
+  enable(channel, { language, enabledBy }) {
+    const settings = { language, enabledBy, enabledAt: new Date().toISOString() };
+    this.store.set('channel', channel, settings);
+    logger.info(`Auto-transcription enabled for ${channel}`, { language, enabledBy });
+    return settings;
+  }
+
+  /**
+   * Turn auto-transcription off for a channel
+   * @param {string} channel - Slack channel ID
+   * @returns {boolean} True if it was enabled
+   */
+  disable(channel) {
+    const disabled = this.store.delete('channel', channel);
+    if (disabled) logger.info(`Auto-transcription disabled for ${channel}`);
+    return disabled;
+  }
+
+  /**
+   * Queue the media files of a Slack event for transcription
+   *
+   * Handles `message` events carrying files and `file_shared` events. Files are only
+   * transcribed in channels that opted in, and each file once per channel.
+   * @param {Object} event - Slack event
+   * @returns {Array<string>} IDs of the queued jobs
+   */
+  handleEvent(event) {
+    const shares = [];
+
+    if (event.type === 'file_shared') {
+      shares.push({ channel: event.channel_id, fileId: event.file_id, threadTs: null });
+    } else if (event.type === 'message' && Array.isArray(event.files) && !event.bot_id) {
+      for (const file of event.files.filter(isMediaFile)) {
+        shares.push({ channel: event.channel, fileId: file.id, threadTs: event.thread_ts || event.ts });
+      }
+    }
+
+    return shares
+      .filter(share => share.channel && share.fileId && this.get(share.channel))
+      .filter(share => this.markSeen(share))
+      .map(share => this.queue.add(share, { channel: share.channel, fileId: share.fileId, threadTs: share.threadTs }).id);
+  }
+
+  /**
+   * Remember a shared file, forgetting files seen long ago
+   * @param {Object} share - { channel, fileId }
+   * @returns {boolean} False if the file was already queued for the channel
+   */
+  markSeen({ channel, fileId }) {
+    const now = Date.now();
+    for (const [key, seenAt] of this.seenFiles) {
+      if (now - seenAt > SEEN_FILE_TTL_MS) this.seenFiles.delete(key);
+    }
+
+    const key = `${channel}:${fileId}`;
+    if (this.seenFiles.has(key)) return false;
+    this.seenFiles.set(key, now);
+    return true;
+  }
+
+  /**
+   * Download, transcribe and reply to a shared file
+   * @param {Object} job - Job record
+   * @returns {Promise<Object>} Summary of the posted transcript
+   */
+  async runJob(job) {
+    const { channel, fileId } = job.payload;
+    const slackService = getSlackService();
+    if (!slackService) {
+      throw new RemoteAudioError('Slack is not configured', 'SLACK_UNAVAILABLE');
+    }
+
+    // Message events carry a partial file object; file_shared events only the ID
+    const file = await slackService.getFileInfo(fileId);
+    if (!isMediaFile(file)) {
+      return { skipped: true };
+    }
+
+    const threadTs = job.payload.threadTs || findShareTs(file, channel);
+    // Kept in the metadata, which outlives the payload, for failure replies
+    Object.assign(job.metadata, { threadTs, filename: file.name });
+
+    // The uploader's and the channel's quotas apply, as for streams
+    const usage = getUsageService();
+    usage.assertWithinQuota({ userId: file.user, channel });
+
+    const download = await downloadSlackFile(file, this.limits);
+    let audio = download.buffer;
+    // Slack clips and screen recordings are video; their audio track is extracted first.
+    // Converted files are held to the duration limit by the transcoder, others by their headers.
+    if (this.transcoding.enabled && !isNativeAudio({ buffer: audio, mimetype: download.contentType })) {
+      audio = (await transcodeAudio(audio, this.transcoding)).buffer;
+    } else {
+      assertAudioDuration(audio, this.limits.maxDuration);
+    }
+
+    const settings = this.get(channel) || {};
+    const result = await createDeepgramService().transcribeFile(audio, {
+      language: settings.language || 'auto',
+      slackChannel: channel,
+    });
+
+    if (!result.success) {
+      throw new Error(`Transcription failed: ${result.error}`);
+    }
+    usage.record({ source: 'upload', seconds: fileDuration(result), userId: file.user, channel });
+
+    await createDeepgramService().recordFileTranscript(job.id, result, {
+      filename: file.name,
+      slackChannel: channel,
+      language: settings.language || 'auto',
+    });
+    await slackService.sendMessage(buildAutoTranscriptMessage(result, { channel, threadTs, filename: file.name }));
+
+    return {
+      threadTs,
+      transcript: result.transcript,
+      speakers: result.speakers.length,
+    };
+  }
+
+  /**
+   * Tell the thread when a file could not be transcribed
+   * @param {Object} job - Finished job record
+   */
+  async reportFailure(job) {
+    const slackService = getSlackService();
+    if (job.status !== 'failed' || !slackService) return;
+
+    const { channel, threadTs, filename } = job.metadata;
+    await slackService.sendMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `⚠️ Could not transcribe ${filename || 'this file'}: ${job.error}`,
+    });
+  }
+
+  /**
+   * Count auto-transcription jobs by status
+   * @returns {Object} Queue statistics
+   */
+  getStats() {
+    return this.queue.getStats();
+  }
+}
+
+/**
+ * Find the message a file was shared with in a channel
+ * @param {Object} file - Slack file object
+ * @param {string} channel - Slack channel ID
+ * @returns {string|undefined} Message timestamp
+ */
+function findShareTs(file, channel) {
+  const shares = { ...file.shares?.public, ...file.shares?.private };
+  const share = shares[channel]?.[0];
+  return share ? share.thread_ts || share.ts : undefined;
+}
+
+/**
+ * Build the thread reply of an automatic transcription
+ * @param {Object} result - transcribeFile result
+ * @param {Object} context - Reply context
+ * @param {string} context.channel - Slack channel ID
+ * @param {string} context.threadTs - Timestamp of the message holding the file
+ * @param {string} context.filename - Slack file name
+ * @returns {Object} Slack message
+ */
+function buildAutoTranscriptMessage(result, { channel, threadTs, filename }) {
+  const body = result.speakers.length > 1
+    ? formatTurns(result.speakers, { slack: true })
+    : result.transcript || '_No speech detected_';
+
+  return {
+    channel,
+    thread_ts: threadTs,
+    text: `🎙️ *Transcript*\n${body}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🎙️ *Transcript*\n${body}`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `File: ${filename} | Confidence: ${Math.round(result.confidence * 100)}%${result.detectedLanguage ? ` | ${formatDetectedLanguage(result.detectedLanguage)}` : ''}`,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Check whether a user may change a channel's auto-transcription
+ *
+ * Workspace admins and owners may, as may the channel's creator.
+ * @param {string} userId - Slack user ID
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function canManageChannel(userId, channelId) {
+  const slackService = getSlackService();
+  if (!slackService) return false;
+
+  try {
+    const user = await slackService.getUserInfo(userId);
+    if (user.is_admin || user.is_owner) return true;
+
+    const channel = await slackService.getChannelInfo(channelId);
+    return channel.creator === userId;
+  } catch (error) {
+    logger.warn('Could not check channel permissions', { userId, channelId, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Run a /transcribe-auto command for a channel
+ * @param {string} text - Command text
+ * @param {string} channelId - Slack channel the command was issued in
+ * @param {string} userId - Slack user issuing the command
+ * @returns {Promise<Object>} { text }
+ */
+async function runAutoTranscribeCommand(text, channelId, userId) {
+  const service = getAutoTranscribeService();
+  const [action = 'status', ...args] = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  if (action === 'status') {
+    const settings = service.get(channelId);
+    return {
+      text: settings
+        ? `🎙️ Auto-transcription is *on* in this channel (language: \`${settings.language}\`, enabled by <@${settings.enabledBy}>)`
+        : '🎙️ Auto-transcription is *off* in this channel',
+    };
+  }
+
+  if (!['on', 'off'].includes(action)) {
+    return { text: COMMAND_USAGE };
+  }
+
+  if (!(await canManageChannel(userId, channelId))) {
+    return { text: '🔒 Only workspace admins and the channel creator can change auto-transcription' };
+  }
+
+  if (action === 'off') {
+    return {
+      text: service.disable(channelId)
+        ? '🎙️ Auto-transcription turned off for this channel'
+        : '🎙️ Auto-transcription was not on in this channel',
+    };
+  }
+
+  const option = args.find(arg => arg.startsWith('language='));
+  const language = option ? option.slice('language='.length) : 'auto';
+  if (!LANGUAGE_PATTERN.test(language)) {
+    return { text: `Invalid language \`${language}\`. ${COMMAND_USAGE}` };
+  }
+
+  service.enable(channelId, { language, enabledBy: userId });
+  return {
+    text: `🎙️ Auto-transcription turned on. Voice memos, clips and audio/video files shared here will be transcribed in their thread (language: \`${language}\`)`,
+  };
+}
+
+// Singleton instance
+let autoTranscribeService = null;
+
+/**
+ * Get auto-transcription service instance
+ * @returns {AutoTranscribeService} Service instance
+ */
+function getAutoTranscribeService() {
+  if (!autoTranscribeService) {
+    autoTranscribeService = new AutoTranscribeService();
+  }
+  return autoTranscribeService;
+}
+
+module.exports = {
+  AutoTranscribeService,
+  getAutoTranscribeService,
+  runAutoTranscribeCommand,
+  isMediaFile,
+};
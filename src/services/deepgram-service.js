@@ -1,189 +1,1301 @@
 /**
- * Deepgram streaming transcription service
- * Handles real-time audio transcription using Deepgram's streaming API
+ * Live transcription service
+ * Manages streaming sessions and file transcription through pluggable speech-to-text providers
  */
 
-const { createClient } = require('@deepgram/sdk');
+const { getProvider } = require('./stt');
 const { getConfig } = require('../config/environment');
 const { logger } = require('../utils/logger');
+const { AudioRingBuffer } = require('../utils/audio-buffer');
+const { ContainerHeader } = require('../utils/container-header');
+const { getVocabularyService, toProviderOptions } = require('./vocabulary-service');
+const { getRedactionService } = require('./redaction-service');
+const { getTranslationService } = require('./translation-service');
+const { redactResult } = require('../utils/redaction');
+const { UtteranceAggregator } = require('../utils/utterance-aggregator');
+const { LiveCaption } = require('./live-caption');
+const { getTranscriptStore } = require('./transcripts');
+const { getSearchService } = require('./search-service');
+const { getSummarizer } = require('./summarization');
+const { getUsageService, describeQuota } = require('./usage-service');
+const { getRecordingService } = require('./recording-service');
+const { buildTranscriptTurns, sessionDuration, formatClock } = require('../utils/transcript-format');
+const { buildSessionReport } = require('../utils/session-report');
+const { describeAudioFormat } = require('../utils/audio-format');
+const { VoiceActivityDetector } = require('../utils/voice-activity');
+const {
+  groupSpeakerTurns,
+  groupChannelTurns,
+  channelLabel,
+  formatTurns,
+  parseSpeakerAssignment,
+} = require('../utils/speakers');
+
+// How long multichannel final segments are held so channels can be interleaved in time order
+const CHANNEL_INTERLEAVE_MS = 1500;
+// How long a closing stream may take to flush its last results before the session is summarized
+const STREAM_CLOSE_TIMEOUT_MS = 5000;
+// Slack rejects section blocks with longer text
+const SLACK_SECTION_LIMIT = 3000;
 const { SlackService } = require('./slack-service');
 
-class DeepgramService {
-  constructor() {
-    const config = getConfig();
-    this.deepgram = createClient(config.deepgram.apiKey);
-    this.activeConnections = new Map();
-    this.slackService = new SlackService();
+class DeepgramService {
+  constructor() {
+    const config = getConfig();
+    this.activeConnections = new Map();
+    this.transcripts = getTranscriptStore();
+    this.search = getSearchService();
+    this.usage = getUsageService();
+    this.recordings = getRecordingService();
+    this.slackService = new SlackService();
+    this.reconnectConfig = config.stt.reconnect;
+    this.languageDetection = config.stt.languageDetection;
+    this.vadConfig = config.stt.vad;
+    this.useThreads = config.slack.useThreads;
+    this.postMode = config.slack.postMode;
+    this.captionIntervalMs = config.slack.liveCaptionIntervalMs;
+    this.utteranceConfig = config.utterances;
+    this.summaryConfig = config.summary;
+    this.reportConfig = config.report;
+  }
+
+  /**
+   * Create a new streaming connection for live transcription
+   * @param {Object} options - Transcription options
+   * @param {string} options.sessionId - Unique session identifier
+   * @param {string} options.slackChannel - Slack channel for results
+   * @param {string} options.conversationId - Conversation identifier
+   * @param {string} options.userId - User streaming the audio, for usage quotas
+   * @param {string} options.provider - Speech-to-text provider name (defaults to STT_PROVIDER)
+   * @param {Function} options.onTranscript - Callback for transcription results
+   * @param {Function} options.onError - Error callback
+   * @param {Function} options.onStatus - Callback for connection status changes (reconnecting, recovered)
+   * @param {Function} options.onUtterance - Callback for completed utterances
+   * @param {Function} options.onTranslation - Callback for translations of finalized transcripts
+   * @param {string} options.postMode - How finals are posted to Slack: 'utterance', 'paragraph',
+   *   'live' (one message per utterance, edited as interim results arrive) or 'segment' (raw)
+   * @param {string} options.language - Language code, or 'auto' to detect it from the first seconds of audio
+   * @param {boolean} options.diarize - Enable speaker diarization
+   * @param {Array<string>} options.keywords - Keyword boosts on top of the managed vocabulary ("term" or "term:intensifier")
+   * @param {boolean} options.multichannel - Transcribe each audio channel independently
+   * @param {Array<string>} options.channelLabels - Participant label per channel (e.g. ['Agent', 'Customer'])
+   * @param {Object} options.audioFormat - Encoding, sample rate and channel count of raw or codec audio
+   *   ({ encoding, sampleRate, channels }); unset when the provider detects the container
+   * @returns {Object} Connection object with methods
+   * @throws {QuotaExceededError} If a quota of the user, channel or workspace is used up
+   */
+  async createStreamingConnection(options) {
+    const {
+      sessionId,
+      slackChannel,
+      conversationId,
+      userId,
+      onTranscript,
+      onError,
+      onStatus,
+      onUtterance,
+      onTranslation,
+      postMode = this.postMode,
+      provider: providerName,
+      language = 'en-US',
+      model = 'nova-2',
+      diarize = true,
+      keywords = [],
+      multichannel = false,
+      channelLabels = [],
+      audioFormat = null,
+    } = options;
+
+    try {
+      this.usage.assertWithinQuota({ userId, channel: slackChannel });
+      const provider = getProvider(providerName);
+      await getRedactionService().identifyChannel(slackChannel);
+
+      const session = {
+        connection: null,
+        sessionId,
+        slackChannel,
+        conversationId,
+        userId,
+        provider: provider.name,
+        streamOptions: {
+          language,
+          model,
+          diarize,
+          multichannel,
+          tags: [sessionId, conversationId].filter(Boolean),
+          ...streamFormat(audioFormat),
+        },
+        customKeywords: keywords,
+        threadTs: null,
+        speakerNames: {},
+        channelLabels,
+        channelQueue: [],
+        channelFlushTimer: null,
+        postMode,
+        aggregator: null,
+        caption: null,
+        // Detect-then-lock: the stream opens once the language of the first audio is known
+        languageDetection: language === 'auto' ? { status: 'pending', timer: null } : null,
+        detectedLanguage: null,
+        callbacks: { onTranscript, onError, onStatus, onUtterance, onTranslation },
+        audioBuffer: new AudioRingBuffer(this.reconnectConfig.bufferBytes),
+        // Header of detected containers, sent first to streams that join the audio mid-way
+        containerHeader: audioFormat ? null : new ContainerHeader(),
+        // Bytes of the stream already sent to a provider or dropped from the buffer
+        audioOffset: 0,
+        reconnecting: false,
+        reconnectAttempts: 0,
+        streamReady: false,
+        reconnectTimer: null,
+        closing: false,
+        lastEnd: 0,
+        audio: { chunks: 0, bytes: 0 },
+        // Silence of raw PCM streams is held back from the provider, which is kept alive meanwhile
+        vad: this.createVoiceActivityDetector(audioFormat),
+        lastSentAt: 0,
+        // Archive of the audio as received, when recording is enabled for the channel
+        recorder: this.recordings.start({ sessionId, slackChannel, audioFormat }),
+        // Audio time already counted against quotas, and the quotas already warned about
+        meteredUntil: 0,
+        quotaWarnings: new Set(),
+        // Transcript store writes of the session, chained so they apply in order
+        transcriptWrites: Promise.resolve(),
+        createdAt: new Date(),
+      };
+
+      Object.assign(session.streamOptions, this.resolveStreamSettings(session));
+      session.aggregator = new UtteranceAggregator({
+        mode: postMode === 'live' ? 'utterance' : postMode,
+        ...this.utteranceConfig,
+        onClose: () => this.sealCaption(session),
+        onUtterance: (utterance, caption) => this.handleUtterance(session, utterance, caption),
+      });
+      if (!session.languageDetection) {
+        this.openProviderStream(session);
+      }
+
+      // Store connection reference
+      this.activeConnections.set(sessionId, session);
+      const startedAt = session.createdAt.toISOString();
+      this.persistTranscript(session, 'start', async store => {
+        const replaced = await store.startSession({
+          sessionId,
+          source: 'session',
+          conversationId,
+          slackChannel,
+          provider: provider.name,
+          language,
+          model,
+          multichannel,
+          channelLabels,
+          speakerNames: {},
+          startedAt,
+        });
+        // A reused session ID starts a new transcript; results must not point into the old one
+        if (replaced) this.search.removeTranscript(sessionId, startedAt);
+      });
+
+      return {
+        provider: provider.name,
+        sendAudio: (audioData) => this.sendAudio(session, audioData),
+        close: () => this.closeSession(session),
+        reconfigure: (changes) => this.reconfigureSession(session, changes),
+        setAudioFormat: (format) => this.setAudioFormat(session, format),
+        getLanguage: () => describeLanguage(session),
+        getVoiceActivity: () => session.vad?.getStats() ?? null,
+        isRecording: () => !!session.recorder,
+        isConnected: () => !session.closing && !!session.connection?.isOpen(),
+      };
+    } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED') {
+        logger.warn(`Streaming connection refused for session ${sessionId}: ${error.message}`);
+      } else {
+        logger.error('Failed to create streaming connection:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a provider stream for a session and wire its events
+   * @param {Object} session - Session state
+   */
+  openProviderStream(session) {
+    const { sessionId } = session;
+    const provider = getProvider(session.provider);
+    const connection = provider.createStream(session.streamOptions);
+    const clock = streamClock(session);
+    session.connection = connection;
+    // Audio is buffered until the open handler has sent the header and replayed the buffer
+    session.streamReady = false;
+
+    // Handle connection open
+    connection.on('open', () => {
+      logger.info(`${provider.name} connection opened for session: ${sessionId}`);
+      this.handleStreamOpen(session);
+    });
+
+    // Handle transcription results
+    connection.on('transcript', (segment) => this.handleSegment(session, segment, clock));
+
+    // Handle end of utterance signals
+    connection.on('utterance_end', () => session.aggregator.endUtterance());
+
+    // Handle metadata
+    connection.on('metadata', (data) => {
+      logger.debug(`Metadata received for session ${sessionId}:`, data);
+    });
+
+    // Handle connection close
+    connection.on('close', () => {
+      logger.info(`${provider.name} connection closed for session: ${sessionId}`);
+      this.handleStreamDrop(session, connection);
+    });
+
+    // Handle errors
+    connection.on('error', (error) => {
+      logger.error(`${provider.name} connection error for session ${sessionId}:`, error);
+      this.handleStreamDrop(session, connection);
+    });
+  }
+
+  /**
+   * Process a normalized transcript segment from the provider
+   *
+   * The session's redaction policy is applied before the segment reaches the client or Slack.
+   * The audio the segment covers is metered once it has been delivered.
+   * @param {Object} session - Session state
+   * @param {Object} rawSegment - Normalized segment
+   * @param {Object} clock - Time mapping of the emitting stream (see streamClock)
+   */
+  async handleSegment(session, rawSegment, clock) {
+    const { sessionId, conversationId, callbacks } = session;
+
+    try {
+      if (!rawSegment.transcript) return;
+
+      const segment = redactResult(rawSegment, this.resolveRedaction(session));
+
+      const start = clock.toSessionTime(segment.start);
+      const words = segment.words.map(word => ({
+        ...word,
+        start: clock.toSessionTime(word.start),
+        end: clock.toSessionTime(word.end),
+      }));
+
+      if (segment.is_final) {
+        session.lastEnd = Math.max(session.lastEnd, start + segment.duration);
+      }
+
+      const speakers = groupSpeakerTurns(words, session.speakerNames);
+      const search = segment.search.filter(result => result.hits.length > 0);
+      const multichannel = session.streamOptions.multichannel;
+
+      const result = {
+        sessionId,
+        conversationId,
+        transcript: segment.transcript,
+        confidence: segment.confidence,
+        is_final: segment.is_final,
+        speech_final: segment.speech_final,
+        duration: segment.duration,
+        start,
+        channel: segment.channel,
+        ...(multichannel ? { channelLabel: channelLabel(segment.channel, session.channelLabels) } : {}),
+        words,
+        speakers,
+        ...(search.length ? { search } : {}),
+        timestamp: new Date().toISOString(),
+      };
+
+      // Call custom callback if provided
+      if (callbacks.onTranscript) {
+        await callbacks.onTranscript(result);
+      }
+
+      // Final results reach Slack as interleaved channels, completed utterances or raw segments
+      if (segment.is_final && segment.transcript.trim()) {
+        this.recordFinal(session, {
+          start,
+          end: start + segment.duration,
+          duration: segment.duration,
+          transcript: segment.transcript,
+          confidence: segment.confidence,
+          channel: segment.channel,
+          ...(multichannel ? { channelLabel: result.channelLabel } : {}),
+          words,
+          speakers,
+          timestamp: result.timestamp,
+        });
+
+        if (multichannel) {
+          if (session.slackChannel) this.queueChannelSegment(session, result);
+        } else if (session.postMode !== 'segment') {
+          session.aggregator.add(result);
+        } else {
+          const data = {
+            channel: session.slackChannel,
+            threadTs: this.useThreads ? session.threadTs : null,
+            transcript: segment.transcript,
+            turns: speakers,
+            confidence: segment.confidence,
+            sessionId,
+            conversationId,
+            start,
+            duration: segment.duration,
+            detectedLanguage: session.detectedLanguage,
+          };
+          const posted = session.slackChannel ? await this.sendToSlack(data) : undefined;
+          this.trackThread(session, posted);
+          await this.translateFinal(session, data, posted);
+        }
+      }
+
+      // Live captions show the open utterance, including the current hypothesis
+      if (session.postMode === 'live' && !multichannel && session.slackChannel) {
+        this.showCaption(session, segment.is_final ? null : result);
+      }
+
+      logger.debug(`Transcript received: ${segment.transcript}`);
+    } catch (error) {
+      logger.error('Error processing transcript:', error);
+      if (callbacks.onError) callbacks.onError(error);
+    } finally {
+      this.meterSession(session, clock.toBilledTime(rawSegment.start + rawSegment.duration));
+    }
+  }
+
+  /**
+   * Count transcribed audio against the session's quotas
+   *
+   * Warns the client and the Slack thread once per quota when it is nearly used up, and closes
+   * the session when it is.
+   * @param {Object} session - Session state
+   * @param {number} audioEnd - Session time up to which audio has been transcribed
+   */
+  meterSession(session, audioEnd) {
+    if (!(audioEnd > session.meteredUntil)) return;
+
+    const { userId, slackChannel: channel } = session;
+    this.usage.record({
+      source: 'stream',
+      seconds: audioEnd - session.meteredUntil,
+      userId,
+      channel,
+      conversationId: session.conversationId,
+    });
+    session.meteredUntil = audioEnd;
+    // Results the stream flushes after closing are counted, but need no more warnings
+    if (session.ended) return;
+
+    const { status, quotas } = this.usage.checkQuotas({ userId, channel });
+    if (status === 'exceeded') {
+      const message = `${describeQuota(quotas[0], 'used up')}; transcription stopped`;
+      logger.info(`Closing session ${session.sessionId}: ${message}`);
+      notifyStatus(session, { status: 'quota_exceeded', quota: quotas[0], message });
+      this.postSessionNotice(session, `⛔ ${message}`);
+      this.closeSession(session);
+      return;
+    }
+
+    for (const quota of quotas.filter(entry => entry.ratio >= this.usage.warningRatio)) {
+      const key = `${quota.scope}:${quota.id}:${quota.period}`;
+      if (session.quotaWarnings.has(key)) continue;
+      session.quotaWarnings.add(key);
+
+      const message = describeQuota(quota, `${Math.floor(quota.ratio * 100)}% used`);
+      notifyStatus(session, { status: 'quota_warning', quota, message });
+      this.postSessionNotice(session, `⚠️ ${message}`);
+    }
+  }
+
+  /**
+   * Deliver a completed utterance to the session owner and Slack
+   * @param {Object} session - Session state
+   * @param {Object} utterance - Aggregated utterance
+   * @param {LiveCaption} caption - Live caption showing the utterance (live mode)
+   */
+  async handleUtterance(session, utterance, caption) {
+    const { sessionId, conversationId, callbacks } = session;
+    const speakers = groupSpeakerTurns(utterance.words, session.speakerNames);
+
+    if (callbacks.onUtterance) {
+      await callbacks.onUtterance({
+        sessionId,
+        conversationId,
+        ...utterance,
+        speakers,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const data = {
+      channel: session.slackChannel,
+      threadTs: this.useThreads ? session.threadTs : null,
+      transcript: utterance.transcript,
+      turns: speakers,
+      confidence: utterance.confidence,
+      sessionId,
+      conversationId,
+      start: utterance.start,
+      duration: utterance.duration,
+      detectedLanguage: session.detectedLanguage,
+    };
+
+    let posted;
+    if (session.slackChannel) {
+      if (session.postMode === 'live') {
+        // Finalizes the edited message, or posts one if no interim result was shown
+        posted = await (caption || this.createCaption(session)).finalize(buildTranscriptMessage(data));
+      } else {
+        posted = await this.sendToSlack(data);
+        this.trackThread(session, posted);
+      }
+    }
+
+    await this.translateFinal(session, data, posted);
+  }
+
+  /**
+   * Translate a finalized transcript into the target languages of the session
+   *
+   * Translations go to the client and are posted in the thread of the original Slack message.
+   * @param {Object} session - Session state
+   * @param {Object} data - Finalized transcription data ({ transcript, turns, start, duration })
+   * @param {Object} posted - Slack response of the original message, if it was posted
+   */
+  async translateFinal(session, data, posted) {
+    const { sessionId, conversationId, callbacks } = session;
+    const translationService = getTranslationService();
+    const { targets } = translationService.resolve({ channel: session.slackChannel, session: sessionId });
+    if (targets.length === 0) return;
+
+    try {
+      const source = session.detectedLanguage?.language || session.streamOptions.language;
+      const translations = await translationService.translate(data, { source, targets });
+      if (translations.length === 0) return;
+
+      if (callbacks.onTranslation) {
+        await callbacks.onTranslation({
+          sessionId,
+          conversationId,
+          source,
+          transcript: data.transcript,
+          translations,
+          start: data.start,
+          duration: data.duration,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (session.slackChannel) {
+        await this.slackService.sendMessage(buildTranslationMessage({
+          channel: posted?.channel || session.slackChannel,
+          threadTs: (this.useThreads && session.threadTs) || posted?.ts,
+          translations,
+          sessionId,
+        }));
+      }
+    } catch (error) {
+      logger.error(`Failed to translate transcript for session ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * Show the open utterance of a live caption session
+   * @param {Object} session - Session state
+   * @param {Object} interim - Current interim result, if any
+   */
+  showCaption(session, interim) {
+    const segments = [...session.aggregator.getPending(), ...(interim ? [interim] : [])];
+    if (segments.length === 0) return;
+
+    const words = segments.flatMap(segment => segment.words);
+    const turns = groupSpeakerTurns(words, session.speakerNames);
+    const body = turns.length
+      ? formatTurns(turns, { slack: true })
+      : segments.map(segment => segment.transcript).join(' ');
+
+    if (!session.caption) {
+      session.caption = this.createCaption(session);
+    }
+    session.caption.show(body);
+  }
+
+  /**
+   * Create the live caption message of the next utterance
+   * @param {Object} session - Session state
+   * @returns {LiveCaption} Live caption
+   */
+  createCaption(session) {
+    return new LiveCaption({
+      slackService: this.slackService,
+      channel: session.slackChannel,
+      threadTs: this.useThreads ? session.threadTs : null,
+      intervalMs: this.captionIntervalMs,
+      buildMessage: (body) => buildCaptionMessage(body, session.sessionId),
+      onPosted: (posted) => this.trackThread(session, posted),
+    });
+  }
+
+  /**
+   * Detach the live caption of the utterance that just closed
+   * @param {Object} session - Session state
+   * @returns {LiveCaption|null} Caption to finalize
+   */
+  sealCaption(session) {
+    const caption = session.caption;
+    session.caption = null;
+    return caption;
+  }
+
+  /**
+   * Hold a multichannel final segment so concurrent channels can be posted in time order
+   * @param {Object} session - Session state
+   * @param {Object} result - Final transcript result
+   */
+  queueChannelSegment(session, result) {
+    session.channelQueue.push(result);
+
+    if (!session.channelFlushTimer) {
+      session.channelFlushTimer = setTimeout(() => {
+        this.flushChannelQueue(session).catch(error => {
+          logger.error('Error flushing multichannel transcripts:', error);
+        });
+      }, CHANNEL_INTERLEAVE_MS);
+    }
+  }
+
+  /**
+   * Post queued multichannel segments to Slack as interleaved channel turns
+   * @param {Object} session - Session state
+   */
+  async flushChannelQueue(session) {
+    clearTimeout(session.channelFlushTimer);
+    session.channelFlushTimer = null;
+
+    const results = session.channelQueue;
+    session.channelQueue = [];
+    if (results.length === 0) return;
+
+    const words = results.flatMap(result => result.words.map(word => ({ ...word, channel: result.channel })));
+    const turns = groupChannelTurns(words, session.channelLabels);
+    const confidence = results.reduce((sum, result) => sum + result.confidence, 0) / results.length;
+
+    const data = {
+      channel: session.slackChannel,
+      threadTs: this.useThreads ? session.threadTs : null,
+      transcript: results.map(result => result.transcript).join(' '),
+      turns,
+      confidence,
+      sessionId: session.sessionId,
+      conversationId: session.conversationId,
+      start: results[0].start,
+      duration: results.reduce((sum, result) => sum + result.duration, 0),
+      detectedLanguage: session.detectedLanguage,
+    };
+    const posted = await this.sendToSlack(data);
+    this.trackThread(session, posted);
+    await this.translateFinal(session, data, posted);
+  }
+
+  /**
+   * Forward audio to the provider, buffering while the stream is not open
+   * @param {Object} session - Session state
+   * @param {Buffer} audioData - Audio chunk
+   */
+  sendAudio(session, audioData) {
+    if (session.closing) return;
+
+    session.audio.chunks++;
+    session.audio.bytes += audioData.length;
+    session.recorder?.write(audioData);
+    session.containerHeader?.push(audioData);
+
+    const streaming = !session.reconnecting && session.streamReady && session.connection?.isOpen();
+    const { audio, paused } = session.vad ? session.vad.process(audioData) : { audio: [audioData], paused: false };
+
+    for (const chunk of audio) {
+      if (streaming) {
+        session.connection.send(chunk);
+        session.audioOffset += chunk.length;
+      } else {
+        session.audioBuffer.push(chunk);
+      }
+    }
+
+    if (streaming && audio.length > 0) {
+      session.lastSentAt = Date.now();
+    } else if (streaming && paused) {
+      // The engine no longer hears the pause that ends the utterance
+      session.connection.finalize();
+    } else if (streaming && Date.now() - session.lastSentAt >= this.vadConfig.keepAliveMs) {
+      session.connection.keepAlive();
+      session.lastSentAt = Date.now();
+      session.vad.recordKeepAlive();
+    }
+
+    const detection = session.languageDetection;
+    if (detection?.status === 'pending' && !detection.timer) {
+      detection.timer = setTimeout(() => this.detectSessionLanguage(session), this.languageDetection.windowMs);
+    }
+  }
+
+  /**
+   * Detect the language of the audio buffered so far, lock it and open the provider stream
+   *
+   * Falls back to the configured language if the provider cannot detect one.
+   * @param {Object} session - Session state
+   */
+  async detectSessionLanguage(session) {
+    const detection = session.languageDetection;
+    detection.status = 'detecting';
+    detection.timer = null;
+
+    let detected = null;
+    try {
+      detected = await getProvider(session.provider).detectLanguage(session.audioBuffer.peek(), {
+        model: session.streamOptions.model,
+        ...streamFormat(sessionAudioFormat(session)),
+      });
+    } catch (error) {
+      logger.warn(`Language detection failed for session ${session.sessionId}:`, error);
+    }
+
+    // Closed, or an explicit language was set meanwhile
+    if (session.closing || detection.status === 'locked') return;
+
+    const language = detected?.language || this.languageDetection.fallback;
+    detection.status = 'locked';
+    session.detectedLanguage = detected ? { language, confidence: detected.confidence } : null;
+    session.streamOptions.language = language;
+
+    logger.info(`Locked language ${language} for session ${session.sessionId}`, {
+      confidence: detected?.confidence,
+    });
+    notifyStatus(session, {
+      status: 'language_detected',
+      language,
+      confidence: detected ? detected.confidence : null,
+      fallback: !detected,
+    });
+
+    try {
+      // The buffered audio is replayed once the stream opens
+      this.openProviderStream(session);
+    } catch (error) {
+      logger.error(`Failed to open stream for session ${session.sessionId}:`, error);
+      this.scheduleReconnect(session);
+    }
+  }
+
+  /**
+   * Flush buffered audio once a stream opens and report recovery
+   *
+   * A stream that does not start at the beginning of a container (after a reconnect, a
+   * renegotiation or dropped audio) is sent the container header first; buffered bytes
+   * that the header already covers are skipped.
+   * @param {Object} session - Session state
+   */
+  handleStreamOpen(session) {
+    const recovered = session.reconnecting;
+    const attempts = session.reconnectAttempts;
+
+    session.reconnecting = false;
+    session.reconnectAttempts = 0;
+    session.streamReady = true;
+
+    const chunks = session.audioBuffer.drain();
+    const droppedBytes = session.audioBuffer.takeDroppedBytes();
+    let replayedBytes = 0;
+
+    // Stream offset of the first buffered chunk
+    session.audioOffset += droppedBytes;
+    const header = session.audioOffset > 0 ? session.containerHeader?.prefix() : null;
+    let skip = 0;
+    if (header?.length) {
+      session.connection.send(header);
+      skip = Math.max(0, header.length - session.audioOffset);
+    }
+
+    for (const chunk of chunks) {
+      session.audioOffset += chunk.length;
+      if (skip >= chunk.length) {
+        skip -= chunk.length;
+        continue;
+      }
+      session.connection.send(skip > 0 ? chunk.subarray(skip) : chunk);
+      replayedBytes += chunk.length - skip;
+      skip = 0;
+    }
+
+    if (recovered) {
+      logger.info(`Reconnected session ${session.sessionId} after ${attempts} attempt(s)`, {
+        replayedBytes,
+        droppedBytes,
+      });
+      notifyStatus(session, {
+        status: 'recovered',
+        message: 'Transcription service connection recovered',
+        attempts,
+        replayedBytes,
+        droppedBytes,
+      });
+    }
+  }
+
+  /**
+   * Handle a provider stream that closed or failed
+   * @param {Object} session - Session state
+   * @param {Object} connection - Stream that dropped
+   */
+  handleStreamDrop(session, connection) {
+    // Ignore events from streams already replaced by a reconnect
+    if (session.connection !== connection) return;
+
+    if (session.closing) {
+      this.removeSession(session);
+      return;
+    }
+
+    this.scheduleReconnect(session);
+  }
+
+  /**
+   * Reopen the provider stream with exponential backoff
+   * @param {Object} session - Session state
+   */
+  scheduleReconnect(session) {
+    if (session.reconnectTimer || session.closing) return;
+
+    const { maxAttempts, baseDelay, maxDelay } = this.reconnectConfig;
+    if (session.connection) detachStream(session.connection);
+    session.reconnecting = true;
+    session.reconnectAttempts++;
+
+    if (session.reconnectAttempts > maxAttempts) {
+      logger.error(`Giving up reconnecting session ${session.sessionId} after ${maxAttempts} attempts`);
+      notifyStatus(session, {
+        status: 'reconnect_failed',
+        message: 'Transcription service connection lost',
+        attempts: maxAttempts,
+      });
+      if (session.callbacks.onError) {
+        session.callbacks.onError(new Error('Transcription provider reconnection failed'));
+      }
+      session.closing = true;
+      session.audioBuffer.clear();
+      session.aggregator.flush('close');
+      this.removeSession(session);
+      return;
+    }
+
+    const delay = Math.min(baseDelay * 2 ** (session.reconnectAttempts - 1), maxDelay);
+
+    logger.warn(`Reconnecting session ${session.sessionId} in ${delay}ms`, {
+      attempt: session.reconnectAttempts,
+      maxAttempts,
+    });
+    notifyStatus(session, {
+      status: 'reconnecting',
+      message: 'Transcription service connection lost, reconnecting',
+      attempt: session.reconnectAttempts,
+      maxAttempts,
+      retryInMs: delay,
+    });
+
+    session.reconnectTimer = setTimeout(() => {
+      session.reconnectTimer = null;
+      if (session.closing) return;
+
+      try {
+        this.openProviderStream(session);
+      } catch (error) {
+        logger.error(`Failed to reopen stream for session ${session.sessionId}:`, error);
+        this.scheduleReconnect(session);
+      }
+    }, delay);
+  }
+
+  /**
+   * Apply new settings to a live session
+   *
+   * Stream options (language, model, diarization, vocabulary) are renegotiated by opening
+   * a new provider stream: audio is buffered until it opens while the previous stream
+   * flushes its pending results, so no captured audio is lost. Container streams are
+   * resumed on the new stream behind their header (see handleStreamOpen).
+   * @param {Object} session - Session state
+   * @param {Object} changes - Settings to change
+   * @param {string} changes.language - Language code
+   * @param {string} changes.model - Model name
+   * @param {boolean} changes.diarize - Enable speaker diarization
+   * @param {Array<string>} changes.keywords - Session keyword boosts
+   * @param {string} changes.slackChannel - Slack channel for results
+   * @returns {Object} Applied changes and whether the stream was restarted
+   */
+  async reconfigureSession(session, changes) {
+    const { slackChannel, keywords, ...streamChanges } = changes;
+    const applied = {};
+
+    for (const [key, value] of Object.entries(streamChanges)) {
+      if (value !== undefined && JSON.stringify(session.streamOptions[key]) !== JSON.stringify(value)) {
+        applied[key] = value;
+      }
+    }
+
+    if (keywords !== undefined && JSON.stringify(session.customKeywords) !== JSON.stringify(keywords)) {
+      applied.keywords = keywords;
+      session.customKeywords = keywords;
+    }
+
+    const previousChannel = session.slackChannel;
+    if (slackChannel && slackChannel !== previousChannel) {
+      applied.slackChannel = slackChannel;
+      // Pending speech belongs to the previous channel
+      await session.aggregator.flush('reconfigure');
+      this.sealCaption(session)?.stop();
+      if (previousChannel) {
+        await this.postSessionNotice(session, `➡️ Transcription moved to ${slackChannel}`);
+      }
+      session.slackChannel = slackChannel;
+      session.threadTs = null;
+      await getRedactionService().identifyChannel(slackChannel);
+      logger.info(`Session ${session.sessionId} moved to Slack channel ${slackChannel}`);
+    }
+
+    // Keyword and channel changes are picked up when the vocabulary is resolved again
+    const optionChanges = Object.fromEntries(Object.entries(applied)
+      .filter(([key]) => key in streamChanges));
+
+    // An explicit language ends detection; the stream opens with it right away
+    if (optionChanges.language && isDetectingLanguage(session)) {
+      clearTimeout(session.languageDetection.timer);
+      session.languageDetection.status = 'locked';
+    }
+    const restarted = this.applyStreamOptions(session, optionChanges);
+
+    if (Object.keys(applied).length > 0) {
+      await this.postSessionNotice(session, `⚙️ Transcription settings updated: ${describeChanges(applied)}`);
+    }
+
+    return {
+      applied,
+      restarted,
+      config: {
+        language: session.streamOptions.language,
+        model: session.streamOptions.model,
+        diarize: session.streamOptions.diarize,
+        keywords: session.customKeywords,
+        slackChannel: session.slackChannel,
+      },
+    };
+  }
+
+  /**
+   * Declare the audio format of a session, before its audio starts
+   * @param {Object} session - Session state
+   * @param {Object|null} format - { encoding, sampleRate, channels }, or null when the provider detects the container
+   * @returns {boolean} True if the stream was restarted
+   */
+  setAudioFormat(session, format) {
+    const restarted = this.applyStreamOptions(session, {
+      encoding: undefined,
+      sampleRate: undefined,
+      channels: undefined,
+      ...streamFormat(format),
+    });
+
+    session.vad = this.createVoiceActivityDetector(format);
+    session.containerHeader = format ? null : new ContainerHeader();
+    session.recorder?.setFormat(format);
+    logger.info(`Audio format of session ${session.sessionId}: ${describeAudioFormat(format)}`);
+    return restarted;
+  }
+
+  /**
+   * Create the voice activity detector of a stream format
+   * @param {Object|null} format - Declared audio format
+   * @returns {VoiceActivityDetector|null} Detector, or null when disabled or the format is not raw PCM
+   */
+  createVoiceActivityDetector(format) {
+    if (!this.vadConfig.enabled || !VoiceActivityDetector.supports(format)) return null;
+    return new VoiceActivityDetector(format, this.vadConfig);
+  }
+
+  /**
+   * Resolve all managed stream options of a session (vocabulary and redaction)
+   * @param {Object} session - Session state
+   * @returns {Object} Provider stream options
+   */
+  resolveStreamSettings(session) {
+    const redaction = this.resolveRedaction(session);
+
+    return {
+      ...this.resolveVocabulary(session),
+      redact: redaction.types,
+      profanityFilter: redaction.profanity,
+    };
+  }
+
+  /**
+   * Resolve the redaction policy of a session
+   * @param {Object} session - Session state
+   * @returns {Object} Effective redaction policy
+   */
+  resolveRedaction(session) {
+    return getRedactionService().resolve({ channel: session.slackChannel, session: session.sessionId });
+  }
+
+  /**
+   * Resolve the vocabulary stream options of a session
+   *
+   * The managed vocabulary (global, channel and session scopes) is combined with
+   * keywords passed directly by the client, which take precedence.
+   * @param {Object} session - Session state
+   * @returns {Object} { keywords, replace, search } provider options
+   */
+  resolveVocabulary(session) {
+    const vocabulary = toProviderOptions(getVocabularyService().resolve({
+      channel: session.slackChannel,
+      session: session.sessionId,
+    }));
+    const custom = new Set(session.customKeywords.map(keyword => keyword.split(':')[0].toLowerCase()));
+
+    return {
+      ...vocabulary,
+      keywords: [
+        ...vocabulary.keywords.filter(keyword => !custom.has(keyword.split(':')[0].toLowerCase())),
+        ...session.customKeywords,
+      ],
+    };
+  }
+
+  /**
+   * Update the stream options of a session, restarting its stream if they changed
+   * @param {Object} session - Session state
+   * @param {Object} overrides - Stream option changes
+   * @returns {boolean} True if the stream was restarted
+   */
+  applyStreamOptions(session, overrides = {}) {
+    const next = { ...session.streamOptions, ...overrides, ...this.resolveStreamSettings(session) };
+    if (JSON.stringify(next) === JSON.stringify(session.streamOptions)) return false;
+
+    session.streamOptions = next;
+
+    // A pending reconnect or language detection will pick up the new options on its own
+    if (!session.reconnecting && !isDetectingLanguage(session)) {
+      const previous = session.connection;
+      this.openProviderStream(session);
+      if (previous) retireStream(previous);
+    }
+
+    logger.info(`Reconfigured stream for session ${session.sessionId}`, overrides);
+    return true;
+  }
+
+  /**
+   * Re-resolve the managed stream options of active sessions after a vocabulary or policy edit
+   * @param {Object} scope - Edited scope
+   * @param {string} scope.channel - Only refresh sessions posting to this channel
+   * @param {string} scope.session - Only refresh this session
+   * @param {string} notice - Slack notice posted to refreshed sessions
+   * @returns {Promise<number>} Number of sessions whose stream was restarted
+   */
+  async refreshSessions({ channel, session: sessionId } = {}, notice) {
+    let refreshed = 0;
+
+    for (const session of this.activeConnections.values()) {
+      if (session.closing) continue;
+      if (channel && session.slackChannel !== channel) continue;
+      if (sessionId && session.sessionId !== sessionId) continue;
+
+      if (this.applyStreamOptions(session)) {
+        refreshed++;
+        await this.postSessionNotice(session, notice);
+      }
+    }
+
+    return refreshed;
+  }
+
+  /**
+   * Post a short notice to the session's Slack thread
+   * @param {Object} session - Session state
+   * @param {string} text - Notice text
+   */
+  async postSessionNotice(session, text) {
+    if (!session.slackChannel) return;
+
+    try {
+      const posted = await this.slackService.sendMessage({
+        channel: session.slackChannel,
+        thread_ts: this.useThreads ? session.threadTs || undefined : undefined,
+        text,
+        blocks: [
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `${text} | Session: ${session.sessionId}`,
+              },
+            ],
+          },
+        ],
+      });
+      this.trackThread(session, posted);
+    } catch (error) {
+      logger.error('Failed to send session notice to Slack:', error);
+    }
+  }
+
+  /**
+   * Remember the first message of a session as its Slack thread root
+   * @param {Object} session - Session state
+   * @param {Object} posted - Slack chat.postMessage response
+   */
+  trackThread(session, posted) {
+    if (this.useThreads && !session.threadTs && posted?.ts) {
+      session.threadTs = posted.ts;
+    }
+  }
+
+  /**
+   * Close a session and stop any pending reconnect
+   * @param {Object} session - Session state
+   */
+  closeSession(session) {
+    // A stop message is followed by the disconnect, which closes the session again
+    if (session.ended) return;
+    session.ended = true;
+    session.closing = true;
+    clearTimeout(session.reconnectTimer);
+    session.reconnectTimer = null;
+    if (session.channelQueue.length > 0) {
+      this.flushChannelQueue(session).catch(error => {
+        logger.error('Error flushing multichannel transcripts:', error);
+      });
+    }
+    session.aggregator.flush('close');
+    this.sealCaption(session)?.stop();
+    clearTimeout(session.languageDetection?.timer);
+    session.audioBuffer.clear();
+    const streamClosed = waitForStreamClose(session.connection);
+    session.connection?.close();
+    this.removeSession(session);
+    if (session.recorder) {
+      this.recordings.finish(session.recorder, session);
+    }
+    this.persistTranscript(session, 'end', store => store.updateSession(session.sessionId, {
+      speakerNames: { ...session.speakerNames },
+      ...(session.detectedLanguage ? { detectedLanguage: session.detectedLanguage } : {}),
+      audio: describeAudio(session),
+      endedAt: new Date().toISOString(),
+    }));
+
+    if (session.slackChannel && (this.reportConfig.enabled || this.summaryConfig.enabled)) {
+      // Report and summarize once the stream has flushed its last results and they are stored
+      streamClosed.then(() => {
+        if (this.reportConfig.enabled) {
+          this.persistTranscript(session, 'report', () => this.postSessionReport(session));
+        }
+        if (this.summaryConfig.enabled) {
+          this.persistTranscript(session, 'summarize', () => this.postSessionSummary(session));
+        }
+      });
+    }
+  }
+
+  /**
+   * Post the talk-time report of a finished session to its Slack thread
+   * @param {Object} session - Session state
+   */
+  async postSessionReport(session) {
+    const stored = await this.transcripts.getTranscript(session.sessionId);
+    if (!stored || stored.segments.length === 0) return;
+
+    const report = buildSessionReport({ ...stored.session, segments: stored.segments });
+    const posted = await this.slackService.sendMessage(buildReportMessage({
+      channel: session.slackChannel,
+      threadTs: this.useThreads ? session.threadTs : null,
+      report,
+    }));
+    this.trackThread(session, posted);
+  }
+
+  /**
+   * Summarize a finished session and post the summary to its Slack thread
+   * @param {Object} session - Session state
+   */
+  async postSessionSummary(session) {
+    const stored = await this.transcripts.getTranscript(session.sessionId);
+    if (!stored || stored.segments.length === 0) return;
+
+    const turns = buildTranscriptTurns({
+      ...stored.session,
+      speakerNames: { ...session.speakerNames },
+      segments: stored.segments,
+    });
+    const { summarizer, summary } = await this.summarizeTurns(turns, session.detectedLanguage?.language || session.streamOptions.language);
+
+    const posted = await this.slackService.sendMessage(buildSummaryMessage({
+      channel: session.slackChannel,
+      threadTs: this.useThreads ? session.threadTs : null,
+      sessionId: session.sessionId,
+      conversationId: session.conversationId,
+      duration: sessionDuration(stored),
+      speakers: new Set(turns.map(turn => turn.label).filter(Boolean)).size,
+      summarizer,
+      summary,
+    }));
+    this.trackThread(session, posted);
+    logger.info(`Posted summary of session ${session.sessionId}`, { summarizer });
   }
 
   /**
-   * Create a new streaming connection for live transcription
-   * @param {Object} options - Transcription options
-   * @param {string} options.sessionId - Unique session identifier
-   * @param {string} options.slackChannel - Slack channel for results
-   * @param {string} options.conversationId - Conversation identifier
-   * @param {Function} options.onTranscript - Callback for transcription results
-   * @param {Function} options.onError - Error callback
-   * @returns {Object} Connection object with methods
+   * Summarize transcript turns with the configured summarizer
+   *
+   * When another summarizer fails (an LLM backend being unavailable, say), the extractive one stands in.
+   * @param {Array<Object>} turns - Transcript turns
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} { summarizer, summary } with the name of the summarizer used
    */
-  async createStreamingConnection(options) {
-    const {
-      sessionId,
-      slackChannel,
-      conversationId,
-      onTranscript,
-      onError,
-      language = 'en-US',
-      model = 'nova-2',
-    } = options;
+  async summarizeTurns(turns, language) {
+    const options = { maxSentences: this.summaryConfig.maxSentences };
+    const summarizer = getSummarizer(this.summaryConfig.provider);
 
     try {
-      // Create Deepgram streaming connection
-      const connection = this.deepgram.listen.live({
-        model: model,
-        language: language,
-        smart_format: true,
-        interim_results: true,
-        endpointing: 300,
-        punctuate: true,
-        diarize: true,
-        filler_words: false,
-        multichannel: false,
-        alternatives: 1,
-        numerals: true,
-        profanity_filter: false,
-        redact: false,
-        replace: '',
-        search: '',
-        tag: [sessionId, conversationId].filter(Boolean),
-        tier: 'enhanced',
-        version: 'latest',
-      });
+      return { summarizer: summarizer.name, summary: await summarizer.summarize({ turns, language }, options) };
+    } catch (error) {
+      if (summarizer.name === 'extractive') throw error;
 
-      // Handle connection open
-      connection.on('open', () => {
-        logger.info(`Deepgram connection opened for session: ${sessionId}`);
-      });
+      logger.warn(`Summarizer ${summarizer.name} failed, using the extractive summarizer:`, error);
+      const fallback = getSummarizer('extractive');
+      return { summarizer: fallback.name, summary: await fallback.summarize({ turns, language }, options) };
+    }
+  }
 
-      // Handle transcription results
-      connection.on('transcript', async (data) => {
-        try {
-          const transcript = data.channel?.alternatives?.[0];
-          if (!transcript?.transcript) return;
+  /**
+   * Store a final segment and add it to the search index
+   * @param {Object} session - Session state
+   * @param {Object} segment - Final segment record
+   */
+  recordFinal(session, segment) {
+    this.persistTranscript(session, 'append', store => store.appendSegment(session.sessionId, segment));
 
-          const result = {
-            sessionId,
-            conversationId,
-            transcript: transcript.transcript,
-            confidence: transcript.confidence,
-            is_final: data.is_final,
-            duration: data.duration,
-            start: data.start,
-            channel: data.channel_index,
-            words: transcript.words || [],
-            timestamp: new Date().toISOString(),
-          };
+    try {
+      this.search.indexSegment({
+        transcriptId: session.sessionId,
+        source: 'session',
+        channel: session.slackChannel,
+        conversationId: session.conversationId,
+        language: session.detectedLanguage?.language || session.streamOptions.language,
+      }, segment);
+    } catch (error) {
+      logger.error(`Failed to index transcript of session ${session.sessionId}:`, error);
+    }
+  }
 
-          // Call custom callback if provided
-          if (onTranscript) {
-            await onTranscript(result);
-          }
-
-          // Send to Slack if final result and channel specified
-          if (data.is_final && slackChannel && transcript.transcript.trim()) {
-            await this.sendToSlack({
-              channel: slackChannel,
-              transcript: transcript.transcript,
-              confidence: transcript.confidence,
-              sessionId,
-              conversationId,
-              duration: data.duration,
-            });
-          }
-
-          logger.debug(`Transcript received: ${transcript.transcript}`);
-        } catch (error) {
-          logger.error('Error processing transcript:', error);
-          if (onError) onError(error);
-        }
-      });
+  /**
+   * Store and index the transcript of a file so it can be retrieved and searched like a session
+   *
+   * Failures are logged: the transcription itself has succeeded.
+   * @param {string} transcriptId - Identifier to store the transcript under (job ID)
+   * @param {Object} result - transcribeFile result
+   * @param {Object} details - Transcript details
+   * @param {string} details.filename - Original file name
+   * @param {string} details.slackChannel - Slack channel the transcript was posted to
+   * @param {string} details.conversationId - Conversation identifier
+   * @param {string} details.language - Requested language
+   * @param {string} details.model - Model name
+   * @param {boolean} details.multichannel - Whether channels were transcribed independently
+   * @param {Array<string>} details.channelLabels - Labels by channel index
+   */
+  async recordFileTranscript(transcriptId, result, details) {
+    if (!result.transcript) return;
 
-      // Handle metadata
-      connection.on('metadata', (data) => {
-        logger.debug(`Metadata received for session ${sessionId}:`, data);
-      });
+    const language = result.detectedLanguage?.language || details.language;
+    const startedAt = new Date().toISOString();
+    const segments = fileSegments(result, details.multichannel, startedAt);
 
-      // Handle connection close
-      connection.on('close', () => {
-        logger.info(`Deepgram connection closed for session: ${sessionId}`);
-        this.activeConnections.delete(sessionId);
+    try {
+      await this.transcripts.startSession({
+        sessionId: transcriptId,
+        source: 'upload',
+        filename: details.filename,
+        conversationId: details.conversationId,
+        slackChannel: details.slackChannel,
+        provider: result.provider,
+        language,
+        model: details.model,
+        multichannel: !!details.multichannel,
+        channelLabels: details.channelLabels || [],
+        speakerNames: {},
+        startedAt,
       });
-
-      // Handle errors
-      connection.on('error', (error) => {
-        logger.error(`Deepgram connection error for session ${sessionId}:`, error);
-        if (onError) onError(error);
+      for (const segment of segments) {
+        await this.transcripts.appendSegment(transcriptId, segment);
+      }
+      await this.transcripts.updateSession(transcriptId, {
+        ...(result.detectedLanguage ? { detectedLanguage: result.detectedLanguage } : {}),
+        endedAt: new Date().toISOString(),
       });
+    } catch (error) {
+      logger.error(`Failed to store transcript ${transcriptId}:`, error);
+    }
 
-      // Store connection reference
-      this.activeConnections.set(sessionId, {
-        connection,
-        sessionId,
-        slackChannel,
-        conversationId,
-        createdAt: new Date(),
+    try {
+      // A retried job replaces what an earlier attempt indexed
+      this.search.removeTranscript(transcriptId, startedAt);
+      for (const segment of segments) {
+        this.search.indexSegment({
+          transcriptId,
+          source: 'upload',
+          channel: details.slackChannel,
+          conversationId: details.conversationId,
+          language,
+        }, segment);
+      }
+    } catch (error) {
+      logger.error(`Failed to index transcript ${transcriptId}:`, error);
+    }
+  }
+
+  /**
+   * Write to the transcript store without holding up the live session
+   *
+   * Writes of a session run one after another; a failed write is logged and the session carries on.
+   * @param {Object} session - Session state
+   * @param {string} action - Name of the write, for logging
+   * @param {Function} write - Receives the store and returns a promise
+   */
+  persistTranscript(session, action, write) {
+    session.transcriptWrites = session.transcriptWrites
+      .then(() => write(this.transcripts))
+      .catch(error => {
+        logger.error(`Failed to ${action} transcript of session ${session.sessionId}:`, error);
       });
+  }
 
-      return {
-        connection,
-        sendAudio: (audioData) => {
-          if (connection.readyState === 1) {
-            connection.send(audioData);
-          }
-        },
-        close: () => {
-          connection.close();
-        },
-        isConnected: () => connection.readyState === 1,
-      };
-    } catch (error) {
-      logger.error('Failed to create Deepgram connection:', error);
-      throw error;
+  /**
+   * Remove a session from the active map if it is still the registered one
+   * @param {Object} session - Session state
+   */
+  removeSession(session) {
+    if (this.activeConnections.get(session.sessionId) === session) {
+      this.activeConnections.delete(session.sessionId);
     }
   }
 
   /**
    * Send transcription result to Slack
    * @param {Object} data - Transcription data
+   * @returns {Object|undefined} Slack API response
    */
   async sendToSlack(data) {
     try {
-      const { channel, transcript, confidence, sessionId, conversationId, duration } = data;
-      
-      const message = {
-        channel: channel,
-        text: `🎤 *Live Transcription*\n${transcript}`,
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `🎤 *Live Transcription*\n${transcript}`,
-            },
-          },
-          {
-            type: 'context',
-            elements: [
-              {
-                type: 'mrkdwn',
-                text: `Confidence: ${Math.round(confidence * 100)}% | Session: ${sessionId}${conversationId ? ` | Conversation: ${conversationId}` : ''} | Duration: ${duration?.toFixed(2)}s`,
-              },
-            ],
-          },
-        ],
-      };
-
-      await this.slackService.sendMessage(message);
+      return await this.slackService.sendMessage(buildTranscriptMessage(data));
     } catch (error) {
       logger.error('Failed to send transcription to Slack:', error);
     }
@@ -191,43 +1303,70 @@ class DeepgramService {
 
   /**
    * Transcribe audio file (non-streaming)
-   * @param {Buffer} audioBuffer - Audio file buffer
+   * @param {Buffer|Readable} audioBuffer - Audio file, in memory or streamed from disk
    * @param {Object} options - Transcription options
+   * @param {string} options.provider - Speech-to-text provider name (defaults to STT_PROVIDER)
+   * @param {string} options.language - Language code, or 'auto' to detect it
+   * @param {boolean} options.multichannel - Transcribe each audio channel independently
+   * @param {Array<string>} options.channelLabels - Participant label per channel
+   * @param {string} options.slackChannel - Slack channel whose vocabulary and redaction policy apply
    * @returns {Object} Transcription result
    */
   async transcribeFile(audioBuffer, options = {}) {
     try {
       const {
+        provider: providerName,
         language = 'en-US',
         model = 'nova-2',
         smart_format = true,
         punctuate = true,
         diarize = true,
+        multichannel = false,
+        channelLabels = [],
+        slackChannel,
       } = options;
 
-      const response = await this.deepgram.listen.prerecorded.transcribeFile(
-        audioBuffer,
-        {
-          model,
-          language,
-          smart_format,
-          punctuate,
-          diarize,
-          filler_words: false,
-          multichannel: false,
-          alternatives: 1,
-          numerals: true,
-          profanity_filter: false,
-        }
-      );
+      const provider = getProvider(providerName);
+      const vocabulary = toProviderOptions(getVocabularyService().resolve({ channel: slackChannel }));
+      await getRedactionService().identifyChannel(slackChannel);
+      const redaction = getRedactionService().resolve({ channel: slackChannel });
+      const rawResult = await provider.transcribe(audioBuffer, {
+        language,
+        model,
+        smart_format,
+        punctuate,
+        diarize,
+        multichannel,
+        ...vocabulary,
+        redact: redaction.types,
+        profanityFilter: redaction.profanity,
+      });
+      const result = redactResult(rawResult, redaction);
 
-      return {
+      const response = {
         success: true,
-        transcript: response.result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '',
-        confidence: response.result?.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0,
-        words: response.result?.results?.channels?.[0]?.alternatives?.[0]?.words || [],
-        metadata: response.result?.metadata || {},
+        provider: provider.name,
+        transcript: result.transcript,
+        confidence: result.confidence,
+        words: result.words,
+        speakers: groupSpeakerTurns(result.words),
+        search: result.search || [],
+        redaction: redaction.types,
+        detectedLanguage: result.detectedLanguage || null,
+        metadata: result.metadata,
       };
+
+      if (multichannel) {
+        response.channels = (result.channels || []).map(channel => ({
+          channel: channel.channel,
+          label: channelLabel(channel.channel, channelLabels),
+          transcript: channel.transcript,
+          confidence: channel.confidence,
+        }));
+        response.turns = groupChannelTurns(result.words, channelLabels);
+      }
+
+      return response;
     } catch (error) {
       logger.error('File transcription failed:', error);
       return {
@@ -253,12 +1392,88 @@ class DeepgramService {
   closeConnection(sessionId) {
     const connectionData = this.activeConnections.get(sessionId);
     if (connectionData) {
-      connectionData.connection.close();
-      this.activeConnections.delete(sessionId);
+      this.closeSession(connectionData);
       logger.info(`Closed connection for session: ${sessionId}`);
     }
   }
 
+  /**
+   * Assign names or Slack users to diarized speakers for the rest of a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} assignments - Values keyed by zero-based speaker index; null removes a name
+   * @returns {Object|null} Current speaker assignments or null if the session is unknown
+   */
+  setSpeakerNames(sessionId, assignments) {
+    const session = this.activeConnections.get(sessionId);
+    if (!session) return null;
+
+    for (const [speaker, value] of Object.entries(assignments)) {
+      if (value === null || value === '') {
+        delete session.speakerNames[speaker];
+      } else {
+        session.speakerNames[speaker] = parseSpeakerAssignment(value);
+      }
+    }
+
+    logger.info(`Updated speaker names for session ${sessionId}`, { speakers: session.speakerNames });
+    this.persistTranscript(session, 'update', store => store.updateSession(sessionId, {
+      speakerNames: { ...session.speakerNames },
+    }));
+    this.search.renameSpeakers(sessionId, session.speakerNames);
+    return { ...session.speakerNames };
+  }
+
+  /**
+   * Get speaker assignments of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Speaker assignments or null if the session is unknown
+   */
+  getSpeakerNames(sessionId) {
+    const session = this.activeConnections.get(sessionId);
+    return session ? { ...session.speakerNames } : null;
+  }
+
+  /**
+   * Get the stored transcript of an active or finished session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Session record fields plus `segments`, `active` and the archived
+   *   `recording`, or null if nothing is stored for the session
+   */
+  async getSessionTranscript(sessionId) {
+    const stored = await this.transcripts.getTranscript(sessionId);
+    if (!stored) return null;
+
+    const session = this.activeConnections.get(sessionId);
+    return {
+      ...stored.session,
+      // Assignments made since the last write are not stored yet
+      ...(session ? { speakerNames: { ...session.speakerNames }, audio: describeAudio(session) } : {}),
+      segments: stored.segments,
+      active: !!session,
+      recording: this.recordings.getRecording(sessionId),
+    };
+  }
+
+  /**
+   * Get the talk-time report of an active or finished session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Session report, or null if nothing is stored for the session
+   */
+  async getSessionReport(sessionId) {
+    const transcript = await this.getSessionTranscript(sessionId);
+    return transcript ? buildSessionReport(transcript) : null;
+  }
+
+  /**
+   * Get a provider-independent description of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session info or null
+   */
+  getSessionInfo(sessionId) {
+    const connectionData = this.activeConnections.get(sessionId);
+    return connectionData ? describeConnection(connectionData) : null;
+  }
+
   /**
    * Get statistics about active connections
    * @returns {Object} Connection statistics
@@ -266,13 +1481,7 @@ class DeepgramService {
   getConnectionStats() {
     return {
       activeConnections: this.activeConnections.size,
-      connections: Array.from(this.activeConnections.values()).map(conn => ({
-        sessionId: conn.sessionId,
-        slackChannel: conn.slackChannel,
-        conversationId: conn.conversationId,
-        createdAt: conn.createdAt,
-        uptime: Date.now() - conn.createdAt.getTime(),
-      })),
+      connections: Array.from(this.activeConnections.values()).map(describeConnection),
     };
   }
 
@@ -292,6 +1501,484 @@ class DeepgramService {
   }
 }
 
+/**
+ * Build the Slack message of a final transcript
+ * @param {Object} data - Transcription data
+ * @returns {Object} Slack message
+ */
+function buildTranscriptMessage(data) {
+  const {
+    channel,
+    threadTs,
+    transcript,
+    turns = [],
+    confidence,
+    sessionId,
+    conversationId,
+    duration,
+    detectedLanguage,
+  } = data;
+  const body = turns.length ? formatTurns(turns, { slack: true }) : transcript;
+
+  return {
+    channel: channel,
+    thread_ts: threadTs || undefined,
+    text: `🎤 *Live Transcription*\n${body}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🎤 *Live Transcription*\n${body}`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Confidence: ${Math.round(confidence * 100)}% | Session: ${sessionId}${conversationId ? ` | Conversation: ${conversationId}` : ''} | Duration: ${duration?.toFixed(2)}s${detectedLanguage ? ` | ${formatDetectedLanguage(detectedLanguage)}` : ''}`,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Format a detected language for a Slack context block
+ * @param {Object} detectedLanguage - { language, confidence }
+ * @returns {string} e.g. "Language: fr (97%)"
+ */
+function formatDetectedLanguage({ language, confidence }) {
+  return `Language: ${language}${typeof confidence === 'number' ? ` (${Math.round(confidence * 100)}%)` : ''}`;
+}
+
+/**
+ * Build the Slack message of the translations of a final transcript
+ * @param {Object} data - Translation data
+ * @param {string} data.channel - Slack channel
+ * @param {string} data.threadTs - Thread of the original message
+ * @param {Array<Object>} data.translations - [{ language, transcript, turns }]
+ * @param {string} data.sessionId - Session identifier
+ * @returns {Object} Slack message
+ */
+function buildTranslationMessage({ channel, threadTs, translations, sessionId }) {
+  const sections = translations.map(({ language, transcript, turns }) => {
+    const body = turns.length ? formatTurns(turns, { slack: true }) : transcript;
+    return `🌐 *Translation (${language})*\n${body}`;
+  });
+
+  return {
+    channel,
+    thread_ts: threadTs || undefined,
+    text: sections.join('\n\n'),
+    blocks: [
+      ...sections.map(text => ({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text,
+        },
+      })),
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Machine translation | Session: ${sessionId}`,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Build the Slack message of a session report
+ * @param {Object} data - Report data
+ * @param {string} data.channel - Slack channel
+ * @param {string} data.threadTs - Thread of the session
+ * @param {Object} data.report - Session report
+ * @returns {Object} Slack message
+ */
+function buildReportMessage({ channel, threadTs, report }) {
+  const overview = [
+    `Duration: ${formatClock(report.wallClockSeconds)}`,
+    `Audio: ${formatClock(report.audioSeconds)}`,
+    `Words: ${report.words} (${report.wordsPerMinute} wpm)`,
+    report.averageConfidence !== null ? `Confidence: ${Math.round(report.averageConfidence * 100)}%` : null,
+    report.speakers.length > 1 ? `Interruptions: ${report.interruptions}` : null,
+    report.voiceActivity ? `Silence skipped: ${formatClock(report.voiceActivity.skippedSeconds)} (${Math.round(report.voiceActivity.skippedRatio * 100)}%)` : null,
+  ].filter(Boolean).join(' | ');
+  const speakers = report.speakers.map(speaker => {
+    const label = speaker.slackUserId ? `<@${speaker.slackUserId}>` : `*${speaker.label}*`;
+    const bar = '█'.repeat(Math.round(speaker.share * 10)).padEnd(10, '░');
+    return `${bar} ${label} ${Math.round(speaker.share * 100)}% · ${formatClock(speaker.talkTime)} · ${speaker.words} words · ${speaker.wordsPerMinute} wpm · ${speaker.interruptions} interruptions`;
+  });
+  const text = `📊 *Session Report*\n${overview}`;
+  const speakerText = speakers.join('\n');
+
+  return {
+    channel,
+    thread_ts: threadTs || undefined,
+    text,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text,
+        },
+      },
+      ...(speakers.length ? [{
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: speakerText.length > SLACK_SECTION_LIMIT ? `${speakerText.slice(0, SLACK_SECTION_LIMIT - 1)}…` : speakerText,
+        },
+      }] : []),
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Session: ${report.sessionId}${report.conversationId ? ` | Conversation: ${report.conversationId}` : ''}${report.dominantSpeaker ? ` | Most talk time: ${report.dominantSpeaker}` : ''}`,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Build the Slack message of a session summary
+ * @param {Object} data - Summary data
+ * @param {string} data.channel - Slack channel
+ * @param {string} data.threadTs - Thread of the session
+ * @param {string} data.sessionId - Session identifier
+ * @param {string} data.conversationId - Conversation identifier
+ * @param {number} data.duration - Session length in seconds
+ * @param {number} data.speakers - Number of distinct speakers
+ * @param {string} data.summarizer - Name of the summarizer used
+ * @param {Object} data.summary - { summary, decisions, actionItems }
+ * @returns {Object} Slack message
+ */
+function buildSummaryMessage({ channel, threadTs, sessionId, conversationId, duration, speakers, summarizer, summary }) {
+  const owner = item => (item.owner?.slackUserId ? `<@${item.owner.slackUserId}>` : item.owner && `*${item.owner.label}*`);
+  const decisions = summary.decisions.map(item => `• ${item.text}`);
+  const actionItems = summary.actionItems.map(item => {
+    const details = [owner(item), item.due && `due ${item.due}`].filter(Boolean).join(', ');
+    return `• ${item.text}${details ? ` (${details})` : ''}`;
+  });
+  const sections = [
+    `📝 *Meeting Summary*\n${summary.summary || '_Nothing to summarize_'}`,
+    `*Key Decisions*\n${decisions.length ? decisions.join('\n') : '_None recorded_'}`,
+    `*Action Items*\n${actionItems.length ? actionItems.join('\n') : '_None recorded_'}`,
+  ].map(text => (text.length > SLACK_SECTION_LIMIT ? `${text.slice(0, SLACK_SECTION_LIMIT - 1)}…` : text));
+
+  return {
+    channel,
+    thread_ts: threadTs || undefined,
+    text: sections[0],
+    blocks: [
+      ...sections.map(text => ({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text,
+        },
+      })),
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Session: ${sessionId}${conversationId ? ` | Conversation: ${conversationId}` : ''} | Duration: ${formatClock(duration)}${speakers ? ` | Speakers: ${speakers}` : ''} | Summarized by ${summarizer}`,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Build the Slack message of a live caption still being spoken
+ * @param {string} body - Caption text
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} Slack message ({ text, blocks })
+ */
+function buildCaptionMessage(body, sessionId) {
+  return {
+    text: `🎤 *Live Transcription*\n${body} …`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🎤 *Live Transcription*\n${body} …`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `✍️ Transcribing… | Session: ${sessionId}`,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Report a connection status change to the session owner
+ * @param {Object} session - Session state
+ * @param {Object} status - Status payload
+ */
+function notifyStatus(session, status) {
+  if (session.callbacks.onStatus) {
+    try {
+      session.callbacks.onStatus(status);
+    } catch (error) {
+      logger.error('Error in status callback:', error);
+    }
+  }
+}
+
+/**
+ * Describe the language of a session for clients
+ * @param {Object} session - Session state
+ * @returns {Object} { language, detectedLanguage, languageDetection }
+ */
+function describeLanguage(session) {
+  return {
+    language: session.streamOptions.language,
+    detectedLanguage: session.detectedLanguage,
+    languageDetection: session.languageDetection?.status,
+  };
+}
+
+/**
+ * Check whether a session is still waiting for its language to be detected
+ * @param {Object} session - Session state
+ * @returns {boolean} True until the language is locked
+ */
+function isDetectingLanguage(session) {
+  return !!session.languageDetection && session.languageDetection.status !== 'locked';
+}
+
+/**
+ * Stop listening to a dropped stream and make sure it is closed
+ * @param {Object} connection - Provider stream
+ */
+function detachStream(connection) {
+  connection.removeAllListeners();
+  // Late errors from a discarded socket must not become unhandled 'error' events
+  connection.on('error', () => {});
+  try {
+    connection.close();
+  } catch (error) {
+    logger.debug('Error closing dropped stream:', error);
+  }
+}
+
+/**
+ * Wait for a closing stream to deliver its last results
+ * @param {Object|null} connection - Provider stream about to be closed
+ * @returns {Promise<void>} Resolves on close, on error or after STREAM_CLOSE_TIMEOUT_MS
+ */
+function waitForStreamClose(connection) {
+  if (!connection?.isOpen()) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, STREAM_CLOSE_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    connection.once('close', done);
+    connection.once('error', done);
+  });
+}
+
+/**
+ * Retire a stream replaced by a reconfiguration, letting it flush pending results
+ * @param {Object} connection - Provider stream
+ */
+function retireStream(connection) {
+  connection.removeAllListeners('open');
+  connection.removeAllListeners('close');
+  connection.removeAllListeners('error');
+  connection.on('error', () => {});
+  try {
+    connection.close();
+  } catch (error) {
+    logger.debug('Error closing retired stream:', error);
+  }
+}
+
+/**
+ * Format applied session changes for a Slack notice
+ * @param {Object} applied - Applied changes
+ * @returns {string} Human readable summary
+ */
+function describeChanges(applied) {
+  const labels = {
+    language: (value) => `language ${value}`,
+    model: (value) => `model ${value}`,
+    diarize: (value) => `diarization ${value ? 'on' : 'off'}`,
+    keywords: (value) => (value.length ? `keywords ${value.join(', ')}` : 'keywords cleared'),
+    slackChannel: (value) => `channel ${value}`,
+  };
+
+  return Object.entries(applied)
+    .map(([key, value]) => labels[key](value))
+    .join(' | ');
+}
+
+/**
+ * Split a file transcription into stored segments, one per speaker or channel turn
+ * @param {Object} result - transcribeFile result
+ * @param {boolean} multichannel - Whether channels were transcribed independently
+ * @param {string} timestamp - ISO time the transcript was recorded
+ * @returns {Array<Object>} Segment records
+ */
+function fileSegments(result, multichannel, timestamp) {
+  const turns = (multichannel ? result.turns : result.speakers) || [];
+
+  if (turns.length === 0) {
+    const duration = fileDuration(result);
+    return [{
+      start: 0,
+      end: duration,
+      duration,
+      transcript: result.transcript,
+      confidence: result.confidence,
+      channel: 0,
+      words: result.words,
+      speakers: [],
+      timestamp,
+    }];
+  }
+
+  return turns.map(turn => ({
+    start: turn.start,
+    end: turn.end,
+    duration: turn.end - turn.start,
+    transcript: turn.transcript,
+    confidence: result.confidence,
+    channel: turn.channel || 0,
+    ...(multichannel ? { channelLabel: turn.label } : {}),
+    words: result.words.filter(word => word.start >= turn.start && word.end <= turn.end &&
+      (!multichannel || (word.channel || 0) === turn.channel)),
+    speakers: multichannel ? [] : [turn],
+    timestamp,
+  }));
+}
+
+/**
+ * Audio length of a transcribed file
+ * @param {Object} result - transcribeFile result
+ * @returns {number} Seconds, from the provider's metadata or else the last word
+ */
+function fileDuration(result) {
+  return result.metadata?.duration || result.words.at(-1)?.end || 0;
+}
+
+/**
+ * Map the timestamps of a new provider stream to session time
+ *
+ * Provider timestamps restart with every stream. Without voice activity detection they are
+ * placed after what was already transcribed. With it, the stream starts at the audio it is
+ * about to receive (buffered audio is replayed first) and skipped silence is added back.
+ * Billed time is the audio actually sent, which quotas are metered in.
+ * @param {Object} session - Session state
+ * @returns {Object} { toSessionTime(seconds), toBilledTime(seconds) } for stream seconds
+ */
+function streamClock(session) {
+  const { vad } = session;
+  if (!vad) {
+    const offset = session.lastEnd;
+    return {
+      toSessionTime: time => time + offset,
+      toBilledTime: time => time + offset,
+    };
+  }
+
+  const streamStart = vad.forwardedSeconds - session.audioBuffer.size / vad.bytesPerSecond;
+  return {
+    toSessionTime: time => vad.toSessionTime(streamStart + time),
+    toBilledTime: time => streamStart + time,
+  };
+}
+
+/**
+ * Audio statistics of a session, with its speech and silence when voice activity is detected
+ * @param {Object} session - Session state
+ * @returns {Object} { chunks, bytes, voiceActivity }
+ */
+function describeAudio(session) {
+  return {
+    ...session.audio,
+    ...(session.vad ? { voiceActivity: session.vad.getStats() } : {}),
+  };
+}
+
+/**
+ * Provider stream options of an audio format
+ * @param {Object|null} format - { encoding, sampleRate, channels }
+ * @returns {Object} Stream options, empty when the provider detects the container
+ */
+function streamFormat(format) {
+  if (!format) return {};
+  return { encoding: format.encoding, sampleRate: format.sampleRate, channels: format.channels };
+}
+
+/**
+ * Audio format a session streams in
+ * @param {Object} session - Session state
+ * @returns {Object|null} { encoding, sampleRate, channels }, null for detected containers
+ */
+function sessionAudioFormat(session) {
+  const { encoding, sampleRate, channels } = session.streamOptions;
+  return encoding ? { encoding, sampleRate, channels } : null;
+}
+
+/**
+ * Describe a stored connection without exposing provider handles
+ * @param {Object} conn - Active connection entry
+ * @returns {Object} Session info
+ */
+function describeConnection(conn) {
+  return {
+    sessionId: conn.sessionId,
+    slackChannel: conn.slackChannel,
+    conversationId: conn.conversationId,
+    provider: conn.provider,
+    ...describeLanguage(conn),
+    model: conn.streamOptions.model,
+    vocabulary: {
+      keywords: conn.streamOptions.keywords.length,
+      replace: conn.streamOptions.replace.length,
+      search: conn.streamOptions.search.length,
+    },
+    redaction: conn.streamOptions.redact,
+    speakers: { ...conn.speakerNames },
+    multichannel: conn.streamOptions.multichannel,
+    channelLabels: conn.channelLabels,
+    audioFormat: sessionAudioFormat(conn),
+    voiceActivity: conn.vad?.getStats() ?? null,
+    recording: !!conn.recorder,
+    postMode: conn.postMode,
+    isConnected: !conn.reconnecting && !!conn.connection?.isOpen(),
+    reconnecting: conn.reconnecting,
+    createdAt: conn.createdAt,
+    uptime: Date.now() - conn.createdAt.getTime(),
+  };
+}
+
 // Singleton instance
 let deepgramService = null;
 
@@ -314,4 +2001,6 @@ function createDeepgramService() {
 module.exports = {
   DeepgramService,
   createDeepgramService,
+  formatDetectedLanguage,
+  fileDuration,
 };
@@ -0,0 +1,119 @@
+/**
+ * Live caption Slack message
+ * Posts one message per utterance and edits it with interim hypotheses, throttled for Slack rate limits
+ */
+
+const { logger } = require('../utils/logger');
+
+class LiveCaption {
+  /**
+   * @param {Object} options - Caption options
+   * @param {Object} options.slackService - Slack service used to post and update
+   * @param {string} options.channel - Slack channel
+   * @param {string} options.threadTs - Thread to post in
+   * @param {number} options.intervalMs - Minimum delay between two edits
+   * @param {Function} options.buildMessage - Builds an interim message ({ text, blocks }) from caption text
+   * @param {Function} options.onPosted - Called with the chat.postMessage response of the first post
+   */
+  constructor({ slackService, channel, threadTs, intervalMs, buildMessage, onPosted }) {
+    this.slackService = slackService;
+    this.channel = channel;
+    this.threadTs = threadTs;
+    this.intervalMs = intervalMs;
+    this.buildMessage = buildMessage;
+    this.onPosted = onPosted;
+    this.ts = null;
+    this.latest = null;
+    this.shown = null;
+    this.lastSentAt = 0;
+    this.timer = null;
+    this.finalized = false;
+    this.delivery = Promise.resolve();
+  }
+
+  /**
+   * Show interim caption text, coalescing updates that arrive faster than the interval
+   * @param {string} text - Caption text
+   */
+  show(text) {
+    if (this.finalized || !text) return;
+
+    this.latest = text;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastSentAt + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.enqueue(() => this.publish(this.buildMessage(this.latest), this.latest));
+    }, wait);
+  }
+
+  /**
+   * Replace the caption with its final message
+   * @param {Object} message - Final message ({ text, blocks })
+   * @returns {Promise<Object|undefined>} Slack response of the final post or update
+   */
+  finalize(message) {
+    this.stop();
+    this.finalized = true;
+    return this.enqueue(() => this.publish(message));
+  }
+
+  /**
+   * Cancel pending edits, leaving the last shown text in place
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run a Slack call after the previous ones
+   * @param {Function} task - Async Slack call
+   * @returns {Promise} Result of the call (undefined if it failed)
+   */
+  enqueue(task) {
+    this.delivery = this.delivery
+      .then(task)
+      .catch(error => {
+        logger.error('Failed to update live caption:', error);
+        return undefined;
+      });
+    return this.delivery;
+  }
+
+  /**
+   * Post the caption message, or edit it once it exists
+   * @param {Object} message - Message ({ text, blocks })
+   * @param {string} captionText - Caption text being shown (interim updates only)
+   * @returns {Promise<Object>} Slack response
+   */
+  async publish(message, captionText) {
+    if (captionText !== undefined && captionText === this.shown) return undefined;
+
+    const { text, blocks } = message;
+    let response;
+    if (this.ts) {
+      response = await this.slackService.updateMessage({ channel: this.channel, ts: this.ts, text, blocks });
+    } else {
+      response = await this.slackService.sendMessage({
+        channel: this.channel,
+        thread_ts: this.threadTs || undefined,
+        text,
+        blocks,
+      });
+      this.ts = response?.ts;
+      // chat.update needs the channel ID, not a #name
+      this.channel = response?.channel || this.channel;
+      if (this.onPosted) this.onPosted(response);
+    }
+
+    this.shown = captionText;
+    this.lastSentAt = Date.now();
+    return response;
+  }
+}
+
+module.exports = {
+  LiveCaption,
+};
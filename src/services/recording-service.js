@@ -0,0 +1,411 @@
+/**
+ * Session recording service
+ * Archives the audio of live sessions to the configured recording store, links each recording to
+ * its session ID and deletes recordings once the retention of their channel has passed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { parseFileSize } = require('../utils/validation');
+const { getRecordingStore } = require('./recordings');
+const { SessionRecorder } = require('./recordings/session-recorder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often recordings past their retention are deleted
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Validate a recording policy
+ * @param {Object} input - Raw policy ({ enabled, retentionDays }); omitted fields are inherited
+ * @returns {Object} Validation result with normalized policy
+ */
+function validatePolicy(input) {
+  const errors = [];
+  const policy = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { isValid: false, errors: ['policy must be an object'], policy };
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    } else {
+      policy.enabled = input.enabled;
+    }
+  }
+
+  if (input.retentionDays !== undefined) {
+    if (typeof input.retentionDays !== 'number' || !Number.isFinite(input.retentionDays) || input.retentionDays < 0) {
+      errors.push('retentionDays must be a number of days (0 to keep recordings forever)');
+    } else {
+      policy.retentionDays = input.retentionDays;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(policy).length === 0) {
+    errors.push('enabled or retentionDays is required');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    policy,
+  };
+}
+
+class RecordingService {
+  constructor() {
+    const config = getConfig().recordings;
+    this.enabled = config.store !== 'none';
+    this.storeName = config.store;
+    this.spoolDir = path.resolve(config.dir, '.spool');
+    this.maxBytes = parseFileSize(config.maxSize);
+    this.defaultPolicy = { enabled: true, retentionDays: config.retentionDays };
+    this.filePath = config.indexFile ? path.resolve(config.indexFile) : null;
+    // Session ID -> recording entry, and scope key ('global' or 'channel:<id>') -> policy override
+    this.recordings = new Map();
+    this.policies = new Map();
+    this.load();
+
+    if (this.enabled) {
+      this.removeAbandonedSpool();
+      this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Get the store recordings are kept in
+   * @returns {RecordingStore} Recording store
+   */
+  get store() {
+    return getRecordingStore(this.storeName);
+  }
+
+  /**
+   * Get the effective policy of a channel
+   * @param {string} channel - Slack channel ID; sessions without a channel use the workspace policy
+   * @returns {Object} { enabled, retentionDays }
+   */
+  getPolicy(channel) {
+    return {
+      ...this.defaultPolicy,
+      ...this.policies.get('global'),
+      ...(channel ? this.policies.get(`channel:${channel}`) : {}),
+    };
+  }
+
+  /**
+   * Get the override of a scope
+   * @param {string} scope - 'global' or 'channel'
+   * @param {string} id - Channel ID
+   * @returns {Object|undefined} Stored override
+   */
+  getPolicyOverride(scope, id) {
+    return this.policies.get(policyKey(scope, id));
+  }
+
+  /**
+   * Override the policy of the workspace or a channel
+   * @param {string} scope - 'global' or 'channel'
+   * @param {string} id - Channel ID
+   * @param {Object} policy - Validated policy fields
+   * @returns {Object} Stored override
+   */
+  setPolicy(scope, id, policy) {
+    const key = policyKey(scope, id);
+    const override = { ...this.policies.get(key), ...policy };
+    this.policies.set(key, override);
+    this.save();
+    return override;
+  }
+
+  /**
+   * Remove the override of a scope
+   * @param {string} scope - 'global' or 'channel'
+   * @param {string} id - Channel ID
+   * @returns {boolean} True if an override was removed
+   */
+  deletePolicy(scope, id) {
+    const deleted = this.policies.delete(policyKey(scope, id));
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  /**
+   * List policy overrides
+   * @returns {Array<Object>} { scope, id, policy }
+   */
+  listPolicies() {
+    return Array.from(this.policies, ([key, policy]) => {
+      const [scope, ...id] = key.split(':');
+      return { scope, ...(id.length ? { id: id.join(':') } : {}), policy };
+    });
+  }
+
+  /**
+   * Start recording a live session, if recording is enabled for its channel
+   * @param {Object} session - { sessionId, slackChannel, audioFormat }
+   * @returns {SessionRecorder|null} Recorder, or null when the session is not recorded
+   */
+  start({ sessionId, slackChannel, audioFormat }) {
+    if (!this.enabled || !this.getPolicy(slackChannel).enabled) return null;
+
+    return new SessionRecorder({
+      sessionId,
+      spoolDir: this.spoolDir,
+      maxBytes: this.maxBytes,
+      format: audioFormat,
+    });
+  }
+
+  /**
+   * Complete a session recording and move it to the store
+   *
+   * A new recording of a reused session ID replaces the earlier one, like its transcript.
+   * Failures are logged; the spooled file is removed either way.
+   * @param {SessionRecorder} recorder - Recorder of the session
+   * @param {Object} session - { sessionId, slackChannel, conversationId }
+   * @returns {Promise<Object|null>} Recording entry, or null if nothing was recorded
+   */
+  async finish(recorder, { sessionId, slackChannel, conversationId }) {
+    try {
+      const file = await recorder.finish();
+      if (!file) return null;
+
+      const key = `${hashId(sessionId)}-${Date.parse(file.startedAt)}.${file.extension}`;
+      await this.store.save(key, file.filePath, { contentType: file.contentType, size: file.size });
+
+      const entry = {
+        sessionId,
+        slackChannel: slackChannel || null,
+        conversationId: conversationId || null,
+        store: this.store.name,
+        key,
+        contentType: file.contentType,
+        size: file.size,
+        format: file.format,
+        durationSeconds: file.durationSeconds,
+        truncated: file.truncated,
+        startedAt: file.startedAt,
+        endedAt: file.endedAt,
+      };
+
+      const replaced = this.recordings.get(sessionId);
+      this.recordings.set(sessionId, entry);
+      this.save();
+      if (replaced && replaced.key !== key) {
+        await this.removeFile(replaced);
+      }
+
+      logger.info(`Recorded session ${sessionId}`, { key, size: file.size, store: entry.store });
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to store recording of session ${sessionId}:`, error);
+      await recorder.discard().catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Get the recording of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Recording entry with `expiresAt`, or null if there is none
+   */
+  getRecording(sessionId) {
+    const entry = this.recordings.get(sessionId);
+    if (!entry || this.isExpired(entry)) return null;
+    return { ...entry, expiresAt: this.expiresAt(entry) };
+  }
+
+  /**
+   * Open the recording of a session for download
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} { recording, stream, size }, or null if there is none
+   */
+  async openRecording(sessionId) {
+    const recording = this.getRecording(sessionId);
+    if (!recording) return null;
+
+    const file = await getRecordingStore(recording.store).open(recording.key);
+    if (!file) {
+      logger.warn(`Recording of session ${sessionId} is missing from the ${recording.store} store`);
+      return null;
+    }
+    return { recording, ...file };
+  }
+
+  /**
+   * Delete the recording of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} True if a recording was deleted
+   */
+  async deleteRecording(sessionId) {
+    const entry = this.recordings.get(sessionId);
+    if (!entry) return false;
+
+    this.recordings.delete(sessionId);
+    this.save();
+    await this.removeFile(entry);
+    return true;
+  }
+
+  /**
+   * List recordings, newest first
+   * @param {Object} filters - { channel }
+   * @returns {Array<Object>} Recording entries with `expiresAt`
+   */
+  listRecordings({ channel } = {}) {
+    return Array.from(this.recordings.values())
+      .filter(entry => !this.isExpired(entry) && (!channel || entry.slackChannel === channel))
+      .sort((a, b) => b.endedAt.localeCompare(a.endedAt))
+      .map(entry => ({ ...entry, expiresAt: this.expiresAt(entry) }));
+  }
+
+  /**
+   * When a recording expires under the current policy of its channel
+   * @param {Object} entry - Recording entry
+   * @returns {string|null} ISO time, or null if it is kept forever
+   */
+  expiresAt(entry) {
+    const { retentionDays } = this.getPolicy(entry.slackChannel);
+    return retentionDays ? new Date(Date.parse(entry.endedAt) + retentionDays * DAY_MS).toISOString() : null;
+  }
+
+  /**
+   * Check whether a recording is past its retention
+   * @param {Object} entry - Recording entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if expired
+   */
+  isExpired(entry, now = Date.now()) {
+    const expiresAt = this.expiresAt(entry);
+    return !!expiresAt && Date.parse(expiresAt) <= now;
+  }
+
+  /**
+   * Delete recordings past their retention
+   * @returns {Promise<number>} Number of recordings deleted
+   */
+  async sweep() {
+    const expired = Array.from(this.recordings.values()).filter(entry => this.isExpired(entry));
+    if (expired.length === 0) return 0;
+
+    for (const entry of expired) {
+      this.recordings.delete(entry.sessionId);
+      await this.removeFile(entry);
+    }
+    this.save();
+
+    logger.info(`Deleted ${expired.length} expired session recordings`);
+    return expired.length;
+  }
+
+  /**
+   * Delete the file of a recording, logging failures
+   * @param {Object} entry - Recording entry
+   */
+  async removeFile(entry) {
+    try {
+      await getRecordingStore(entry.store).delete(entry.key);
+    } catch (error) {
+      logger.error(`Failed to delete recording ${entry.key}:`, error);
+    }
+  }
+
+  /**
+   * Remove spool files of sessions that were recording when the process stopped
+   */
+  removeAbandonedSpool() {
+    try {
+      if (!fs.existsSync(this.spoolDir)) return;
+      for (const file of fs.readdirSync(this.spoolDir)) {
+        fs.rmSync(path.join(this.spoolDir, file), { force: true });
+      }
+    } catch (error) {
+      logger.error('Failed to clean the recording spool:', error);
+    }
+  }
+
+  /**
+   * Load recordings and policy overrides from the configured file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const entry of data.recordings || []) {
+        this.recordings.set(entry.sessionId, entry);
+      }
+      for (const [key, policy] of Object.entries(data.policies || {})) {
+        this.policies.set(key, policy);
+      }
+      logger.info(`Loaded ${this.recordings.size} session recordings from ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to load recordings file:', error);
+    }
+  }
+
+  /**
+   * Persist recordings and policy overrides to the configured file
+   */
+  save() {
+    if (!this.filePath) return;
+
+    try {
+      const data = {
+        recordings: Array.from(this.recordings.values()),
+        policies: Object.fromEntries(this.policies),
+      };
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(data));
+      fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save recordings file:', error);
+    }
+  }
+}
+
+/**
+ * Build the key of a policy scope
+ * @param {string} scope - 'global' or 'channel'
+ * @param {string} id - Channel ID
+ * @returns {string} Policy key
+ */
+function policyKey(scope, id) {
+  return scope === 'global' ? 'global' : `${scope}:${id}`;
+}
+
+/**
+ * Derive a file-safe name from a client-supplied session ID
+ * @param {string} sessionId - Session identifier
+ * @returns {string} Hex hash
+ */
+function hashId(sessionId) {
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 32);
+}
+
+// Singleton instance
+let recordingService = null;
+
+/**
+ * Get the recording service instance
+ * @returns {RecordingService} Service instance
+ */
+function getRecordingService() {
+  if (!recordingService) {
+    recordingService = new RecordingService();
+  }
+  return recordingService;
+}
+
+module.exports = {
+  RecordingService,
+  getRecordingService,
+  validatePolicy,
+};
@@ -0,0 +1,52 @@
+/**
+ * Recording store contract
+ * Defines where archived session audio files are kept and how they are read back
+ */
+
+/**
+ * Base class for recording stores
+ *
+ * Recordings are addressed by a key (a relative path such as `3f2a...c9-1700000000000.wav`).
+ * Which session a key belongs to, and when it expires, is tracked by the recording service.
+ */
+class RecordingStore {
+  /**
+   * @param {string} name - Registry name of the store
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a finished recording
+   * @param {string} _key - Recording key
+   * @param {string} _filePath - Local file holding the recording; the store may move it
+   * @param {Object} _options - { contentType, size }
+   * @returns {Promise<void>}
+   */
+  save(_key, _filePath, _options) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement save()`));
+  }
+
+  /**
+   * Open a recording for reading
+   * @param {string} _key - Recording key
+   * @returns {Promise<Object|null>} { stream, size }, or null if the recording does not exist
+   */
+  open(_key) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement open()`));
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} _key - Recording key
+   * @returns {Promise<void>}
+   */
+  delete(_key) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement delete()`));
+  }
+}
+
+module.exports = {
+  RecordingStore,
+};
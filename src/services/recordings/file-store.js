@@ -0,0 +1,68 @@
+/**
+ * File recording store
+ * Keeps recordings as files in a local directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RecordingStore } = require('./base-store');
+
+class FileRecordingStore extends RecordingStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory holding the recordings
+   */
+  constructor({ dir }) {
+    super('file');
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Resolve the file of a key inside the store directory
+   * @param {string} key - Recording key
+   * @returns {string} File path
+   * @throws {Error} If the key points outside the directory
+   */
+  filePath(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(`${this.dir}${path.sep}`)) {
+      throw new Error(`Invalid recording key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, filePath) {
+    const target = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.promises.rename(filePath, target);
+    } catch (error) {
+      // The spool directory may be on another device
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(filePath, target);
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  async open(key) {
+    const filePath = this.filePath(key);
+
+    try {
+      const { size } = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+module.exports = {
+  FileRecordingStore,
+};
@@ -0,0 +1,58 @@
+/**
+ * Recording store registry
+ * Resolves where archived session audio is kept from configuration
+ */
+
+const { getConfig } = require('../../config/environment');
+const { RecordingStore } = require('./base-store');
+const { FileRecordingStore } = require('./file-store');
+const { S3RecordingStore } = require('./s3-store');
+
+// Store factories keyed by name; instances are created lazily on first use
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a recording store factory
+ * @param {string} name - Store name
+ * @param {Function} factory - Function receiving the recording config and returning a RecordingStore
+ */
+function registerRecordingStore(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a recording store instance
+ * @param {string} name - Store name (defaults to RECORDING_STORE)
+ * @returns {RecordingStore} Store instance
+ * @throws {Error} If the store is not registered
+ */
+function getRecordingStore(name) {
+  const config = getConfig();
+  const storeName = name || config.recordings.store;
+
+  if (!factories.has(storeName)) {
+    throw new Error(`Unknown recording store: ${storeName}`);
+  }
+
+  if (!instances.has(storeName)) {
+    instances.set(storeName, factories.get(storeName)(config.recordings));
+  }
+
+  return instances.get(storeName);
+}
+
+registerRecordingStore('file', ({ dir }) => new FileRecordingStore({ dir }));
+registerRecordingStore('s3', ({ s3 }) => {
+  if (!s3.bucket || !s3.accessKeyId || !s3.secretAccessKey) {
+    throw new Error('The s3 recording store requires RECORDING_S3_BUCKET, RECORDING_S3_ACCESS_KEY_ID and RECORDING_S3_SECRET_ACCESS_KEY');
+  }
+  return new S3RecordingStore(s3);
+});
+
+module.exports = {
+  RecordingStore,
+  registerRecordingStore,
+  getRecordingStore,
+};
@@ -0,0 +1,209 @@
+/**
+ * S3 recording store
+ * Keeps recordings in an Amazon S3 or S3-compatible bucket (MinIO, R2...), with requests signed
+ * using AWS Signature Version 4
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { RecordingStore } = require('./base-store');
+
+// Uploads carry whole sessions; other requests only wait for the response headers
+const UPLOAD_TIMEOUT_MS = 15 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+// Bodies are streamed rather than hashed up front; S3 accepts this over TLS and from signed clients
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+class S3RecordingStore extends RecordingStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Bucket region (S3-compatible services often accept any, e.g. us-east-1)
+   * @param {string} options.endpoint - Endpoint of an S3-compatible service, addressed path-style;
+   *   AWS virtual-hosted URLs are used when unset
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} options.prefix - Prefix of the object keys (e.g. "recordings/")
+   */
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = '' }) {
+    super('s3');
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint ? endpoint.replace(/\/+$/, '') : null;
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.prefix = prefix;
+  }
+
+  /**
+   * Build the URL of an object
+   * @param {string} key - Recording key
+   * @returns {URL} Object URL
+   */
+  objectUrl(key) {
+    const objectPath = `${this.prefix}${key}`.split('/').map(encodeSegment).join('/');
+    return this.endpoint
+      ? new URL(`${this.endpoint}/${encodeSegment(this.bucket)}/${objectPath}`)
+      : new URL(`https://${this.bucket}.s3.${this.region}.amazonaws.com/${objectPath}`);
+  }
+
+  async save(key, filePath, { contentType, size }) {
+    const response = await this.request('PUT', key, {
+      headers: { 'content-type': contentType, 'content-length': String(size) },
+      body: Readable.toWeb(fs.createReadStream(filePath)),
+      timeoutMs: UPLOAD_TIMEOUT_MS,
+    });
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      throw new Error(`S3 upload of ${key} failed: HTTP ${response.status}`);
+    }
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  async open(key) {
+    const response = await this.request('GET', key);
+
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`S3 download of ${key} failed: HTTP ${response.status}`);
+    }
+
+    return {
+      stream: Readable.fromWeb(response.body),
+      size: Number(response.headers.get('content-length')) || null,
+    };
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    await response.body?.cancel();
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 delete of ${key} failed: HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Send a signed request for an object
+   *
+   * The timeout covers the request until the response headers arrive, so that downloads can
+   * stream for as long as the client reads.
+   * @param {string} method - HTTP method
+   * @param {string} key - Recording key
+   * @param {Object} options - { headers, body, timeoutMs }
+   * @returns {Promise<Response>} Fetch response
+   */
+  async request(method, key, { headers = {}, body, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    const url = this.objectUrl(key);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      return await fetch(url, {
+        method,
+        headers: signRequest({ method, url, headers, region: this.region, ...this.credentials }),
+        body,
+        // Required by fetch for streamed request bodies
+        ...(body ? { duplex: 'half' } : {}),
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL
+ * @param {Object} request.headers - Headers to send (lowercase names)
+ * @param {string} request.region - Bucket region
+ * @param {string} request.accessKeyId - Access key ID
+ * @param {string} request.secretAccessKey - Secret access key
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers including `authorization`
+ */
+function signRequest({ method, url, headers, region, accessKeyId, secretAccessKey }, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    ...names.map(name => `${name}:${String(signed[name]).trim()}`),
+    '',
+    names.join(';'),
+    UNSIGNED_PAYLOAD,
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [date, region, 's3', 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  // fetch sets Host itself
+  const sent = { ...signed };
+  delete sent.host;
+  return {
+    ...sent,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Build the canonical query string of a request
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Sorted, encoded query
+ */
+function canonicalQuery(params) {
+  return Array.from(params)
+    .map(([name, value]) => `${encodeSegment(name)}=${encodeSegment(value)}`)
+    .sort()
+    .join('&');
+}
+
+/**
+ * URI-encode a path segment or query value the way AWS signatures expect (RFC 3986)
+ * @param {string} value - Raw value
+ * @returns {string} Encoded value
+ */
+function encodeSegment(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * @param {string} value - Value to hash
+ * @returns {string} Hex SHA-256 digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * @param {string|Buffer} key - HMAC key
+ * @param {string} value - Value to sign
+ * @returns {Buffer} HMAC-SHA256 digest
+ */
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+module.exports = {
+  S3RecordingStore,
+};
@@ -0,0 +1,194 @@
+/**
+ * Session recorder
+ * Spools the audio of a live session to disk as a playable file: headerless PCM is wrapped in a
+ * WAV header, containers sent by browsers and native clients are kept as they arrive
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { pcmBytesPerSecond, describeAudioFormat } = require('../../utils/audio-format');
+
+const WAV_HEADER_BYTES = 44;
+
+// WAV format tags and sample sizes of the PCM encodings
+const WAV_FORMATS = {
+  linear16: { tag: 1, bits: 16 },
+  linear32: { tag: 1, bits: 32 },
+  alaw: { tag: 6, bits: 8 },
+  mulaw: { tag: 7, bits: 8 },
+};
+
+// Containers recognized from the first bytes of a stream
+const CONTAINERS = [
+  { extension: 'webm', contentType: 'audio/webm', magic: [0x1A, 0x45, 0xDF, 0xA3] },
+  { extension: 'ogg', contentType: 'audio/ogg', magic: [0x4F, 0x67, 0x67, 0x53] }, // 'OggS'
+  { extension: 'wav', contentType: 'audio/wav', magic: [0x52, 0x49, 0x46, 0x46] }, // 'RIFF'
+  { extension: 'flac', contentType: 'audio/flac', magic: [0x66, 0x4C, 0x61, 0x43] }, // 'fLaC'
+  { extension: 'mp3', contentType: 'audio/mpeg', magic: [0x49, 0x44, 0x33] }, // 'ID3'
+  { extension: 'amr', contentType: 'audio/amr', magic: [0x23, 0x21, 0x41, 0x4D, 0x52] }, // '#!AMR'
+];
+
+class SessionRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {string} options.sessionId - Session identifier
+   * @param {string} options.spoolDir - Directory of recordings in progress
+   * @param {number} options.maxBytes - Largest recording; later audio is not recorded
+   * @param {Object|null} options.format - Declared audio format, null for containers
+   */
+  constructor({ sessionId, spoolDir, maxBytes, format }) {
+    this.sessionId = sessionId;
+    this.spoolDir = spoolDir;
+    this.maxBytes = maxBytes;
+    this.format = format;
+    this.startedAt = new Date();
+    this.output = null;
+    this.filePath = null;
+    this.stream = null;
+    this.size = 0;
+    this.truncated = false;
+    this.unsupported = false;
+  }
+
+  /**
+   * Change the declared format; only possible before the first audio
+   * @param {Object|null} format - Audio format
+   */
+  setFormat(format) {
+    if (!this.stream) this.format = format;
+  }
+
+  /**
+   * Append received audio
+   * @param {Buffer} chunk - Audio chunk, as sent by the client
+   */
+  write(chunk) {
+    if (this.unsupported || this.truncated) return;
+
+    if (!this.stream) {
+      this.output = describeFile(this.format, chunk);
+      if (!this.output) {
+        this.unsupported = true;
+        logger.warn(`Session ${this.sessionId} is not recorded: ${describeAudioFormat(this.format)} audio has no playable container`);
+        return;
+      }
+      this.open();
+    }
+
+    if (this.size + chunk.length > this.maxBytes) {
+      this.truncated = true;
+      logger.warn(`Recording of session ${this.sessionId} reached ${this.maxBytes} bytes; later audio is not recorded`);
+      return;
+    }
+
+    this.stream.write(chunk);
+    this.size += chunk.length;
+  }
+
+  /**
+   * Start the spool file, with a placeholder WAV header for PCM
+   */
+  open() {
+    fs.mkdirSync(this.spoolDir, { recursive: true });
+    this.filePath = path.join(this.spoolDir, `${crypto.randomUUID()}.part`);
+    this.stream = fs.createWriteStream(this.filePath, { mode: 0o600 });
+    this.stream.on('error', error => logger.error(`Failed to write recording of session ${this.sessionId}:`, error));
+
+    if (this.output.wav) {
+      this.stream.write(wavHeader(this.format, 0));
+    }
+  }
+
+  /**
+   * Complete the spool file
+   * @returns {Promise<Object|null>} { filePath, size, extension, contentType, format, durationSeconds,
+   *   truncated, startedAt, endedAt }, or null if no audio was recorded
+   */
+  async finish() {
+    if (!this.stream) return null;
+
+    await new Promise((resolve, reject) => {
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+
+    const bytesPerSecond = this.output.wav ? pcmBytesPerSecond(this.format) : null;
+    if (this.output.wav) {
+      const handle = await fs.promises.open(this.filePath, 'r+');
+      try {
+        await handle.write(wavHeader(this.format, this.size), 0, WAV_HEADER_BYTES, 0);
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return {
+      filePath: this.filePath,
+      size: this.size + (this.output.wav ? WAV_HEADER_BYTES : 0),
+      extension: this.output.extension,
+      contentType: this.output.contentType,
+      format: this.output.wav ? this.format : null,
+      durationSeconds: bytesPerSecond ? Math.round(this.size / bytesPerSecond * 100) / 100 : null,
+      truncated: this.truncated,
+      startedAt: this.startedAt.toISOString(),
+      endedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Drop the recording
+   */
+  async discard() {
+    if (!this.stream) return;
+    this.stream.destroy();
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+}
+
+/**
+ * Work out the file a stream is recorded as
+ * @param {Object|null} format - Declared audio format
+ * @param {Buffer} firstChunk - First audio chunk
+ * @returns {Object|null} { extension, contentType, wav }, or null for raw codec frames
+ */
+function describeFile(format, firstChunk) {
+  if (format && WAV_FORMATS[format.encoding]) {
+    return { extension: 'wav', contentType: 'audio/wav', wav: true };
+  }
+
+  const container = CONTAINERS.find(({ magic }) => magic.every((byte, index) => firstChunk[index] === byte));
+  return container ? { extension: container.extension, contentType: container.contentType, wav: false } : null;
+}
+
+/**
+ * Build the header of a WAV file of PCM audio
+ * @param {Object} format - PCM audio format ({ encoding, sampleRate, channels })
+ * @param {number} dataSize - Bytes of audio
+ * @returns {Buffer} 44-byte header
+ */
+function wavHeader(format, dataSize) {
+  const { tag, bits } = WAV_FORMATS[format.encoding];
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(Math.min(36 + dataSize, 0xFFFFFFFF), 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(tag, 20);
+  header.writeUInt16LE(format.channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.sampleRate * format.channels * bits / 8, 28);
+  header.writeUInt16LE(format.channels * bits / 8, 32);
+  header.writeUInt16LE(bits, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(Math.min(dataSize, 0xFFFFFFFF - 36), 40);
+
+  return header;
+}
+
+module.exports = {
+  SessionRecorder,
+};
@@ -0,0 +1,251 @@
+/**
+ * Redaction policy service
+ * Resolves which PII redaction rules apply to a channel or session
+ */
+
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { ScopedStore } = require('../utils/scoped-store');
+const { REDACTION_TYPES, checkPattern } = require('../utils/redaction');
+const { getSlackService } = require('./slack-service');
+
+const MAX_PATTERNS = 20;
+
+// Slack channel IDs are uppercase (C0123ABCD); channel names are always lowercase
+const CHANNEL_ID_PATTERN = /^[CDG][A-Z0-9]+$/;
+
+/**
+ * Normalize a Slack channel identifier
+ *
+ * IDs are kept as they are. Names lose their leading '#' and are lowercased, so that
+ * "#General" and "general" name the same channel.
+ * @param {string} channel - Slack channel ID or name
+ * @returns {string} Normalized identifier, or '' if none was given
+ */
+function normalizeChannel(channel) {
+  if (typeof channel !== 'string') return '';
+  const trimmed = channel.trim();
+  if (CHANNEL_ID_PATTERN.test(trimmed)) return trimmed;
+  return trimmed.replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Validate and normalize a redaction policy
+ * @param {Object} input - Raw policy ({ types, patterns, profanity })
+ * @returns {Object} Validation result with normalized policy
+ */
+function validatePolicy(input) {
+  const errors = [];
+  const policy = { types: [], patterns: [], profanity: false };
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { isValid: false, errors: ['policy must be an object'], policy };
+  }
+
+  const { types = [], patterns = [], profanity = false } = input;
+
+  if (!Array.isArray(types) || types.some(type => !REDACTION_TYPES.includes(type))) {
+    errors.push(`types must be an array of: ${REDACTION_TYPES.join(', ')}`);
+  } else {
+    policy.types = REDACTION_TYPES.filter(type => types.includes(type));
+  }
+
+  if (!Array.isArray(patterns) || patterns.length > MAX_PATTERNS) {
+    errors.push(`patterns must be an array of at most ${MAX_PATTERNS} regular expressions`);
+  } else {
+    for (const pattern of patterns) {
+      const error = checkPattern(pattern);
+      if (error) errors.push(error);
+    }
+    policy.patterns = [...new Set(patterns)];
+  }
+
+  if (typeof profanity !== 'boolean') {
+    errors.push('profanity must be a boolean');
+  } else {
+    policy.profanity = profanity;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    policy,
+  };
+}
+
+class RedactionService {
+  constructor() {
+    const config = getConfig();
+    this.store = new ScopedStore({ name: 'redaction policy', filePath: config.redaction.file });
+    this.defaultPolicy = { types: config.redaction.defaultTypes, patterns: [], profanity: false };
+    this.publicChannels = new Set(config.redaction.publicChannels.map(normalizeChannel));
+    this.publicTypes = config.redaction.publicTypes;
+    // Names of channel IDs, learned from Slack (null for unnamed conversations)
+    this.channelNames = new Map();
+  }
+
+  /**
+   * Learn the name of a channel from Slack
+   *
+   * Once known, policies and public tags given by name also apply to the channel ID, and
+   * the other way round. Names are asked for the given channel and for public channels
+   * tagged by ID; without Slack, only identical identifiers match.
+   * @param {string} channel - Slack channel ID or name
+   * @returns {Promise<void>}
+   */
+  async identifyChannel(channel) {
+    const slackService = getSlackService();
+    const key = normalizeChannel(channel);
+    if (!slackService || !key) return;
+
+    const ids = [key, ...this.publicChannels]
+      .filter(id => CHANNEL_ID_PATTERN.test(id) && !this.channelNames.has(id));
+
+    for (const id of new Set(ids)) {
+      try {
+        const info = await slackService.getChannelInfo(id);
+        // Direct messages have no name
+        this.channelNames.set(id, info?.name ? normalizeChannel(info.name) : null);
+      } catch (error) {
+        logger.warn(`Could not look up the name of channel ${id}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * List the identifiers a channel is known by
+   * @param {string} channel - Slack channel ID or name
+   * @returns {Array<string>} Normalized identifiers, the channel ID first when known
+   */
+  channelKeys(channel) {
+    const key = normalizeChannel(channel);
+    if (!key) return [];
+
+    if (CHANNEL_ID_PATTERN.test(key)) {
+      const name = this.channelNames.get(key);
+      return name ? [key, name] : [key];
+    }
+
+    const ids = [...this.channelNames].filter(([, name]) => name === key).map(([id]) => id);
+    return [...ids, key];
+  }
+
+  /**
+   * Check whether a channel is tagged as public
+   * @param {string} channel - Slack channel ID or name
+   * @returns {boolean} True if redaction is mandatory in the channel
+   */
+  isPublicChannel(channel) {
+    return this.channelKeys(channel).some(key => this.publicChannels.has(key));
+  }
+
+  /**
+   * Check whether a policy satisfies the mandatory redaction of public channels
+   * @param {Object} policy - Normalized policy
+   * @returns {boolean} True if every mandatory type is included
+   */
+  meetsPublicRequirements(policy) {
+    return this.publicTypes.every(type => policy.types.includes(type));
+  }
+
+  /**
+   * Get the policy stored for a scope
+   * @param {string} scope - 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {Object|null} Policy or null if none is defined
+   */
+  get(scope, id) {
+    if (scope !== 'channel') return this.store.get(scope, id) || null;
+
+    for (const key of this.channelKeys(id)) {
+      const policy = this.store.get(scope, key);
+      if (policy) return policy;
+    }
+    return null;
+  }
+
+  /**
+   * Replace the policy of a scope
+   * @param {string} scope - 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @param {Object} policy - Normalized policy
+   * @returns {Object} Stored policy
+   */
+  set(scope, id, policy) {
+    if (scope === 'channel') {
+      // Stored once, under the channel ID when known
+      const [key, ...aliases] = this.channelKeys(id);
+      aliases.forEach(alias => this.store.delete(scope, alias));
+      id = key;
+    }
+
+    this.store.set(scope, id, policy);
+    logger.info(`Redaction policy updated for ${this.store.key(scope, id)}`, {
+      types: policy.types,
+      patterns: policy.patterns.length,
+      profanity: policy.profanity,
+    });
+    return policy;
+  }
+
+  /**
+   * Delete the policy of a scope
+   * @param {string} scope - 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {boolean} True if a policy was deleted
+   */
+  clear(scope, id) {
+    if (scope !== 'channel') return this.store.delete(scope, id);
+
+    return this.channelKeys(id)
+      .map(key => this.store.delete(scope, key))
+      .some(Boolean);
+  }
+
+  /**
+   * Resolve the effective policy for a channel and session
+   *
+   * A session policy replaces the channel policy, which replaces the default. Public
+   * channels always add the mandatory types, whatever the session or channel asks for.
+   * @param {Object} context - Resolution context
+   * @param {string} context.channel - Slack channel
+   * @param {string} context.session - Session identifier
+   * @returns {Object} Effective policy ({ types, patterns, profanity, enforced })
+   */
+  resolve({ channel, session } = {}) {
+    const policy = (session && this.get('session', session)) ||
+      (channel && this.get('channel', channel)) ||
+      this.defaultPolicy;
+
+    if (!this.isPublicChannel(channel)) {
+      return { ...policy, enforced: false };
+    }
+
+    return {
+      ...policy,
+      types: REDACTION_TYPES.filter(type => policy.types.includes(type) || this.publicTypes.includes(type)),
+      enforced: true,
+    };
+  }
+}
+
+// Singleton instance
+let redactionService = null;
+
+/**
+ * Get redaction service instance
+ * @returns {RedactionService} Service instance
+ */
+function getRedactionService() {
+  if (!redactionService) {
+    redactionService = new RedactionService();
+  }
+  return redactionService;
+}
+
+module.exports = {
+  RedactionService,
+  getRedactionService,
+  validatePolicy,
+  normalizeChannel,
+};
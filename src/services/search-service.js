@@ -0,0 +1,519 @@
+/**
+ * Transcript search service
+ * Indexes final transcript turns of live sessions and files for full-text search
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { speakerLabel } = require('../utils/speakers');
+const { formatClock } = require('../utils/transcript-format');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often entries past the retention period are dropped
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Characters of context shown around the first match of a long turn
+const SNIPPET_CONTEXT = 80;
+const SNIPPET_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Results shown by the Slack command
+const COMMAND_RESULTS = 5;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+const COMMAND_USAGE = 'Usage: `/transcribe-search <words or "exact phrase"> [speaker=<name>] [conversation=<id>] [language=<code>] [from=YYYY-MM-DD] [to=YYYY-MM-DD]`';
+
+class TranscriptSearchService {
+  /**
+   * @param {Object} options - Index options
+   * @param {string} options.filePath - JSON Lines file to persist entries to (in-memory only when unset)
+   * @param {number} options.retentionMs - How long entries are kept (0: forever)
+   */
+  constructor({ filePath, retentionMs } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.retentionMs = retentionMs || 0;
+    this.entries = new Map();
+    this.terms = new Map();
+    this.nextId = 1;
+
+    this.load();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Index the final segment of a transcript, one entry per speaker or channel turn
+   * @param {Object} transcript - Transcript fields ({ transcriptId, source, channel, conversationId, language })
+   * @param {Object} segment - Stored segment ({ start, end, transcript, speakers, channelLabel, channel, timestamp })
+   */
+  indexSegment(transcript, segment) {
+    const turns = segment.channelLabel !== undefined || !segment.speakers?.length
+      ? [{ label: segment.channelLabel, start: segment.start, end: segment.end, transcript: segment.transcript }]
+      : segment.speakers;
+
+    for (const turn of turns) {
+      if (!turn.transcript?.trim()) continue;
+
+      const entry = {
+        id: this.nextId++,
+        transcriptId: transcript.transcriptId,
+        source: transcript.source,
+        channel: transcript.channel || null,
+        conversationId: transcript.conversationId || null,
+        language: transcript.language || null,
+        speaker: turn.speaker,
+        speakerLabel: turn.label || null,
+        slackUserId: turn.slackUserId,
+        start: turn.start,
+        end: turn.end,
+        text: turn.transcript,
+        timestamp: segment.timestamp || new Date().toISOString(),
+      };
+
+      this.addEntry(entry);
+      this.append(entry);
+    }
+  }
+
+  /**
+   * Update the speaker labels of a transcript after speakers were renamed
+   * @param {string} transcriptId - Session or job identifier
+   * @param {Object} speakerNames - Assignments keyed by speaker index
+   */
+  renameSpeakers(transcriptId, speakerNames) {
+    let changed = false;
+
+    for (const entry of this.entries.values()) {
+      if (entry.transcriptId !== transcriptId || entry.speaker === undefined) continue;
+
+      entry.speakerLabel = speakerLabel(entry.speaker, speakerNames);
+      entry.slackUserId = speakerNames[entry.speaker]?.slackUserId;
+      changed = true;
+    }
+
+    if (changed) this.save();
+  }
+
+  /**
+   * Drop the entries of a transcript indexed before a time
+   *
+   * Used when a session ID is reused: the new session replaces the old transcript.
+   * @param {string} transcriptId - Session or job identifier
+   * @param {string} before - ISO timestamp; entries at or after it are kept
+   */
+  removeTranscript(transcriptId, before) {
+    let removed = 0;
+
+    for (const entry of [...this.entries.values()]) {
+      if (entry.transcriptId === transcriptId && entry.timestamp < before) {
+        this.removeEntry(entry);
+        removed++;
+      }
+    }
+
+    if (removed > 0) this.save();
+  }
+
+  /**
+   * Search indexed turns
+   *
+   * Every word of the query must occur in a turn; quoted phrases must occur as written.
+   * @param {string} queryText - Words and "quoted phrases"
+   * @param {Object} filters - Result filters
+   * @param {Array<string>} filters.channels - Slack channels (IDs or #names); any of them matches
+   * @param {string} filters.conversation - Conversation ID
+   * @param {string} filters.speaker - Speaker name or Slack user ID
+   * @param {string} filters.language - Language code ('en' also matches 'en-US')
+   * @param {string} filters.from - Earliest date or time (ISO 8601)
+   * @param {string} filters.to - Latest date or time (ISO 8601, dates include the whole day)
+   * @param {number} filters.limit - Results per page (default 20, max 100)
+   * @param {number} filters.offset - Results to skip
+   * @returns {Object} { total, results } with results sorted by relevance, then recency
+   */
+  search(queryText, filters = {}) {
+    const query = parseQuery(queryText);
+    const tokens = [...query.terms, ...query.phrases.flat()];
+    if (tokens.length === 0) return { total: 0, results: [] };
+
+    const matches = [];
+    for (const entry of this.candidates(tokens)) {
+      if (!matchesFilters(entry, filters)) continue;
+
+      const entryTokens = tokenize(entry.text).map(token => token.term);
+      if (!query.phrases.every(phrase => containsPhrase(entryTokens, phrase))) continue;
+
+      matches.push({ entry, score: scoreEntry(entryTokens, tokens) });
+    }
+
+    matches.sort((a, b) => b.score - a.score || b.entry.timestamp.localeCompare(a.entry.timestamp));
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    return {
+      total: matches.length,
+      results: matches.slice(offset, offset + limit).map(({ entry, score }) => describeMatch(entry, tokens, score)),
+    };
+  }
+
+  /**
+   * Find entries containing every query token
+   * @param {Array<string>} tokens - Normalized query tokens
+   * @returns {Array<Object>} Candidate entries
+   */
+  candidates(tokens) {
+    const postings = [...new Set(tokens)]
+      .map(token => this.terms.get(token) || new Set())
+      .sort((a, b) => a.size - b.size);
+
+    return [...postings[0]]
+      .filter(id => postings.every(ids => ids.has(id)))
+      .map(id => this.entries.get(id));
+  }
+
+  /**
+   * Add an entry to the in-memory index
+   * @param {Object} entry - Index entry
+   */
+  addEntry(entry) {
+    this.entries.set(entry.id, entry);
+    this.nextId = Math.max(this.nextId, entry.id + 1);
+
+    for (const { term } of tokenize(entry.text)) {
+      if (!this.terms.has(term)) this.terms.set(term, new Set());
+      this.terms.get(term).add(entry.id);
+    }
+  }
+
+  /**
+   * Remove an entry from the in-memory index
+   * @param {Object} entry - Index entry
+   */
+  removeEntry(entry) {
+    this.entries.delete(entry.id);
+
+    for (const { term } of tokenize(entry.text)) {
+      const ids = this.terms.get(term);
+      ids?.delete(entry.id);
+      if (ids?.size === 0) this.terms.delete(term);
+    }
+  }
+
+  /**
+   * Drop entries past the retention period
+   */
+  sweep() {
+    if (!this.retentionMs) return;
+
+    const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+    const expired = [...this.entries.values()].filter(entry => entry.timestamp < cutoff);
+    if (expired.length === 0) return;
+
+    expired.forEach(entry => this.removeEntry(entry));
+    this.save();
+    logger.info(`Dropped ${expired.length} expired entries from the transcript search index`);
+  }
+
+  /**
+   * Load entries from the configured file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        this.addEntry(JSON.parse(line));
+      }
+      logger.info(`Loaded ${this.entries.size} transcript search entries from ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to load transcript search index:', error);
+    }
+
+    this.sweep();
+  }
+
+  /**
+   * Append an entry to the configured file
+   * @param {Object} entry - Index entry
+   */
+  append(entry) {
+    if (!this.filePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error('Failed to append to transcript search index:', error);
+    }
+  }
+
+  /**
+   * Rewrite the configured file with the current entries
+   */
+  save() {
+    if (!this.filePath) return;
+
+    try {
+      const data = [...this.entries.values()].map(entry => `${JSON.stringify(entry)}\n`).join('');
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(`${this.filePath}.tmp`, data);
+      fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save transcript search index:', error);
+    }
+  }
+}
+
+/**
+ * Split text into normalized search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} Tokens ({ term, index, length }) with their position in the text
+ */
+function tokenize(text) {
+  return [...String(text).matchAll(TOKEN_PATTERN)].map(match => ({
+    term: normalizeTerm(match[0]),
+    index: match.index,
+    length: match[0].length,
+  }));
+}
+
+/**
+ * Normalize a word for matching: lower case without diacritics
+ * @param {string} word - Word
+ * @returns {string} Normalized term
+ */
+function normalizeTerm(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Parse a search query into single words and quoted phrases
+ * @param {string} text - Query text
+ * @returns {Object} { terms, phrases } of normalized tokens
+ */
+function parseQuery(text) {
+  const phrases = [];
+  const rest = String(text || '').replace(/"([^"]*)"/g, (_match, phrase) => {
+    const tokens = tokenize(phrase).map(token => token.term);
+    if (tokens.length > 1) phrases.push(tokens);
+    return tokens.length === 1 ? ` ${phrase} ` : ' ';
+  });
+
+  return {
+    terms: tokenize(rest).map(token => token.term),
+    phrases,
+  };
+}
+
+/**
+ * Check whether tokens contain a phrase
+ * @param {Array<string>} tokens - Normalized tokens of a turn
+ * @param {Array<string>} phrase - Normalized tokens of the phrase
+ * @returns {boolean} True if the phrase occurs
+ */
+function containsPhrase(tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((term, offset) => tokens[i + offset] === term)) return true;
+  }
+  return false;
+}
+
+/**
+ * Score a matching turn: query words it contains, plus a bonus when they appear together in order
+ * @param {Array<string>} tokens - Normalized tokens of the turn
+ * @param {Array<string>} queryTokens - Normalized query tokens
+ * @returns {number} Relevance score
+ */
+function scoreEntry(tokens, queryTokens) {
+  const occurrences = tokens.filter(token => queryTokens.includes(token)).length;
+  const together = queryTokens.length > 1 && containsPhrase(tokens, queryTokens) ? queryTokens.length * 2 : 0;
+  return occurrences + together;
+}
+
+/**
+ * Check an entry against search filters
+ * @param {Object} entry - Index entry
+ * @param {Object} filters - Search filters
+ * @returns {boolean} True if the entry passes
+ */
+function matchesFilters(entry, filters) {
+  if (filters.channels?.length) {
+    const channel = (entry.channel || '').replace(/^#/, '').toLowerCase();
+    if (!filters.channels.some(value => value.replace(/^#/, '').toLowerCase() === channel)) return false;
+  }
+
+  if (filters.conversation && entry.conversationId !== filters.conversation) return false;
+
+  if (filters.speaker) {
+    const speaker = filters.speaker.replace(/^@/, '').toLowerCase();
+    const labels = [entry.speakerLabel, entry.slackUserId].filter(Boolean).map(value => value.toLowerCase());
+    if (!labels.includes(speaker)) return false;
+  }
+
+  if (filters.language) {
+    const language = (entry.language || '').toLowerCase();
+    const wanted = filters.language.toLowerCase();
+    if (language !== wanted && !language.startsWith(`${wanted}-`)) return false;
+  }
+
+  const time = Date.parse(entry.timestamp);
+  if (filters.from && time < Date.parse(filters.from)) return false;
+  if (filters.to && time > endOfRange(filters.to)) return false;
+
+  return true;
+}
+
+/**
+ * Get the last millisecond covered by a date range end
+ * @param {string} value - ISO date (the whole day is included) or date and time
+ * @returns {number} Epoch milliseconds
+ */
+function endOfRange(value) {
+  const time = Date.parse(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * Describe a search result with a highlighted snippet and a link to its place in the transcript
+ * @param {Object} entry - Matching entry
+ * @param {Array<string>} queryTokens - Normalized query tokens
+ * @param {number} score - Relevance score
+ * @returns {Object} Search result
+ */
+function describeMatch(entry, queryTokens, score) {
+  const { snippet, highlights } = buildSnippet(entry.text, queryTokens);
+  const position = Math.floor(entry.start || 0);
+
+  return {
+    transcriptId: entry.transcriptId,
+    source: entry.source,
+    channel: entry.channel,
+    conversationId: entry.conversationId,
+    language: entry.language,
+    speaker: entry.speakerLabel,
+    start: entry.start,
+    end: entry.end,
+    timestamp: entry.timestamp,
+    snippet,
+    highlights,
+    score,
+    link: `/api/transcription/sessions/${encodeURIComponent(entry.transcriptId)}/transcript#t=${position}`,
+  };
+}
+
+/**
+ * Cut a snippet around the first match and locate the matched words in it
+ * @param {string} text - Turn text
+ * @param {Array<string>} queryTokens - Normalized query tokens
+ * @returns {Object} { snippet, highlights } where highlights are [start, end] offsets into the snippet
+ */
+function buildSnippet(text, queryTokens) {
+  const matched = tokenize(text).filter(token => queryTokens.includes(token.term));
+  let from = 0;
+  let to = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    from = Math.max(0, (matched[0]?.index || 0) - SNIPPET_CONTEXT);
+    to = Math.min(text.length, from + SNIPPET_LENGTH);
+    // Do not cut words in half
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    if (to < text.length) to = text.lastIndexOf(' ', to) > from ? text.lastIndexOf(' ', to) : to;
+  }
+
+  const prefix = from > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(from, to)}${to < text.length ? '…' : ''}`;
+  const highlights = matched
+    .filter(token => token.index >= from && token.index + token.length <= to)
+    .map(token => [token.index - from + prefix.length, token.index - from + prefix.length + token.length]);
+
+  return { snippet, highlights };
+}
+
+/**
+ * Render a snippet as Slack mrkdwn with the matches in bold
+ * @param {Object} result - Search result
+ * @returns {string} Slack formatted snippet
+ */
+function formatSlackSnippet({ snippet, highlights }) {
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/[*_~`]/g, ' ');
+  let formatted = '';
+  let position = 0;
+
+  for (const [start, end] of highlights) {
+    formatted += `${escape(snippet.slice(position, start))}*${escape(snippet.slice(start, end))}*`;
+    position = end;
+  }
+
+  return formatted + escape(snippet.slice(position));
+}
+
+/**
+ * Run a /transcribe-search command
+ * Usage: /transcribe-search <words or "exact phrase"> [speaker=<name>] [conversation=<id>] [language=<code>] [from=<date>] [to=<date>]
+ *
+ * Results are limited to transcripts posted to the channel the command is issued in.
+ * @param {string} text - Command text
+ * @param {Array<string>} channels - ID and #name of the channel the command was issued in
+ * @returns {Object} { text }
+ */
+function runSearchCommand(text, channels) {
+  const filters = { channels, limit: COMMAND_RESULTS };
+  const words = [];
+
+  for (const part of (text || '').match(/"[^"]*"|\S+/g) || []) {
+    const [, key, value] = part.match(/^(speaker|conversation|language|from|to)=(.+)$/) || [];
+    if (key) {
+      filters[key] = value;
+    } else {
+      words.push(part);
+    }
+  }
+
+  const invalidDate = ['from', 'to'].find(key => filters[key] && Number.isNaN(Date.parse(filters[key])));
+  if (words.length === 0 || invalidDate) {
+    return { text: invalidDate ? `Invalid date \`${filters[invalidDate]}\`. ${COMMAND_USAGE}` : COMMAND_USAGE };
+  }
+
+  const query = words.join(' ');
+  const { total, results } = getSearchService().search(query, filters);
+  if (total === 0) {
+    return { text: `🔍 No transcripts in this channel match \`${query.replace(/`/g, '\'')}\`` };
+  }
+
+  const lines = results.map(result => {
+    const clock = formatClock(result.start);
+    const speaker = result.speaker ? `*${formatSlackSnippet({ snippet: result.speaker, highlights: [] })}* · ` : '';
+    return `${speaker}\`${result.transcriptId}\` at ${clock} · ${result.timestamp.slice(0, 10)}\n> ${formatSlackSnippet(result)}`;
+  });
+
+  return {
+    text: `🔍 ${total} match${total === 1 ? '' : 'es'} for \`${query.replace(/`/g, '\'')}\`${total > results.length ? ` (showing ${results.length})` : ''}\n\n${lines.join('\n\n')}`,
+  };
+}
+
+// Singleton instance
+let searchService = null;
+
+/**
+ * Get transcript search service instance
+ * @returns {TranscriptSearchService} Service instance
+ */
+function getSearchService() {
+  if (!searchService) {
+    const config = getConfig();
+    searchService = new TranscriptSearchService({
+      filePath: config.search.indexFile,
+      retentionMs: (config.transcripts.retentionDays || 0) * DAY_MS,
+    });
+  }
+  return searchService;
+}
+
+module.exports = {
+  TranscriptSearchService,
+  getSearchService,
+  runSearchCommand,
+  parseQuery,
+};
@@ -8,6 +8,8 @@ const { SocketModeClient } = require('@slack/socket-mode');
 const { getConfig } = require('../config/environment');
 const { logger } = require('../utils/logger');
 const { validateSlackSignature } = require('../utils/security');
+const { runVocabularyCommand } = require('./vocabulary-service');
+const { runSearchCommand } = require('./search-service');
 
 class SlackService {
   constructor() {
@@ -53,6 +55,17 @@ class SlackService {
       await this.handleSlashCommand(command, say);
     });
 
+    // Handle files shared in channels with auto-transcription on
+    this.socketClient.on('message', async ({ event, ack }) => {
+      await ack();
+      this.handleFileEvent(event);
+    });
+
+    this.socketClient.on('file_shared', async ({ event, ack }) => {
+      await ack();
+      this.handleFileEvent(event);
+    });
+
     // Handle app mentions
     this.socketClient.on('app_mention', async ({ event, say }) => {
       await this.handleAppMention(event, say);
@@ -90,14 +103,26 @@ class SlackService {
       const { command: cmd, text, user_id, channel_id } = command;
 
       switch (cmd) {
-        case '/transcribe':
-          await this.handleTranscribeCommand(text, channel_id, user_id, say);
-          break;
-        case '/transcribe-status':
-          await this.handleStatusCommand(channel_id, say);
-          break;
-        default:
-          await say(`Unknown command: ${cmd}`);
+      case '/transcribe':
+        await this.handleTranscribeCommand(text, channel_id, user_id, say);
+        break;
+      case '/transcribe-status':
+        await this.handleStatusCommand(channel_id, say);
+        break;
+      case '/transcribe-speaker':
+        await this.handleSpeakerCommand(text, say);
+        break;
+      case '/transcribe-vocab':
+        await this.handleVocabularyCommand(text, channel_id, say);
+        break;
+      case '/transcribe-auto':
+        await this.handleAutoTranscribeCommand(text, channel_id, user_id, say);
+        break;
+      case '/transcribe-search':
+        await this.handleSearchCommand(text, channel_id, command.channel_name, say);
+        break;
+      default:
+        await say(`Unknown command: ${cmd}`);
       }
     } catch (error) {
       logger.error('Error handling slash command:', error);
@@ -194,6 +219,74 @@ class SlackService {
     await say(message);
   }
 
+  /**
+   * Handle speaker naming command
+   * @param {string} text - Command text (<session_id> <speaker_number> <name|@user>)
+   * @param {Function} say - Response function
+   */
+  async handleSpeakerCommand(text, say) {
+    const result = runSpeakerCommand(text);
+    await say(result.text);
+  }
+
+  /**
+   * Handle channel vocabulary command
+   * @param {string} text - Command text ([list | add | replace | search | remove | clear] <value>)
+   * @param {string} channelId - Channel ID
+   * @param {Function} say - Response function
+   */
+  async handleVocabularyCommand(text, channelId, say) {
+    const result = runVocabularyCommand(text, channelId);
+
+    if (result.changed) {
+      // Required lazily: the Deepgram service depends on this module
+      const { createDeepgramService } = require('./deepgram-service');
+      await createDeepgramService().refreshSessions({ channel: channelId }, '📚 Custom vocabulary updated');
+    }
+
+    await say(result.text);
+  }
+
+  /**
+   * Handle channel auto-transcription command
+   * @param {string} text - Command text ([status | on [language=<code>] | off])
+   * @param {string} channelId - Channel ID
+   * @param {string} userId - User ID
+   * @param {Function} say - Response function
+   */
+  async handleAutoTranscribeCommand(text, channelId, userId, say) {
+    // Required lazily: the auto-transcription service depends on this module
+    const { runAutoTranscribeCommand } = require('./auto-transcribe-service');
+    const result = await runAutoTranscribeCommand(text, channelId, userId);
+    await say(result.text);
+  }
+
+  /**
+   * Handle transcript search command
+   * @param {string} text - Command text
+   * @param {string} channelId - Channel ID
+   * @param {string} channelName - Channel name
+   * @param {Function} say - Response function
+   */
+  async handleSearchCommand(text, channelId, channelName, say) {
+    const result = runSearchCommand(text, [channelId, channelName && `#${channelName}`].filter(Boolean));
+    await say(result.text);
+  }
+
+  /**
+   * Queue files shared in a message or file_shared event for auto-transcription
+   * @param {Object} event - Slack event
+   */
+  handleFileEvent(event) {
+    try {
+      // Required lazily: the auto-transcription service depends on this module
+      const { getAutoTranscribeService } = require('./auto-transcribe-service');
+      getAutoTranscribeService().handleEvent(event);
+    } catch (error) {
+      logger.error('Error queuing shared file for transcription:', error);
+    }
+  }
+
   /**
    * Handle app mentions
    * @param {Object} event - Mention event
@@ -207,7 +300,7 @@ class SlackService {
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: '👋 *Hi! I can help you with live audio transcription.*\n\nAvailable commands:\n• `/transcribe` - Start a new transcription session\n• `/transcribe-status` - Check service status',
+            text: '👋 *Hi! I can help you with live audio transcription.*\n\nAvailable commands:\n• `/transcribe` - Start a new transcription session\n• `/transcribe-status` - Check service status\n• `/transcribe-speaker <session_id> <speaker_number> <name|@user>` - Name a speaker\n• `/transcribe-vocab [list|add|replace|search|remove|clear]` - Manage this channel\'s vocabulary\n• `/transcribe-auto [status|on|off]` - Transcribe audio and video files shared in this channel\n• `/transcribe-search <words or "phrase">` - Search this channel\'s past transcripts',
           },
         },
       ],
@@ -259,6 +352,60 @@ class SlackService {
     }
   }
 
+  /**
+   * Update a previously sent Slack message
+   * @param {Object} message - Message object with `channel` (ID) and `ts`
+   * @returns {Object} Slack API response
+   */
+  async updateMessage(message) {
+    try {
+      return await this.webClient.chat.update({
+        channel: message.channel,
+        ts: message.ts,
+        text: message.text,
+        blocks: message.blocks,
+      });
+    } catch (error) {
+      logger.error('Failed to update Slack message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the metadata of a Slack file (requires the files:read scope)
+   * @param {string} fileId - Slack file ID
+   * @returns {Object} Slack file object (name, mimetype, size, url_private_download, ...)
+   */
+  async getFileInfo(fileId) {
+    try {
+      const result = await this.webClient.files.info({ file: fileId });
+      return result.file;
+    } catch (error) {
+      logger.error(`Failed to get Slack file ${fileId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a Slack user (requires the users:read scope)
+   * @param {string} userId - Slack user ID
+   * @returns {Object} Slack user object (is_admin, is_owner, ...)
+   */
+  async getUserInfo(userId) {
+    const result = await this.webClient.users.info({ user: userId });
+    return result.user;
+  }
+
+  /**
+   * Get a Slack channel (requires the channels:read and groups:read scopes)
+   * @param {string} channelId - Slack channel ID
+   * @returns {Object} Slack conversation object (name, creator, ...)
+   */
+  async getChannelInfo(channelId) {
+    const result = await this.webClient.conversations.info({ channel: channelId });
+    return result.channel;
+  }
+
   /**
    * Parse command parameters from text
    * @param {string} text - Command text
@@ -325,6 +472,40 @@ class SlackService {
   }
 }
 
+/**
+ * Run a /transcribe-speaker command, naming a speaker of a live session for the rest of the session
+ * @param {string} text - Command text (<session_id> <speaker_number> <name|@user>)
+ * @returns {Object} { text, assigned } where assigned is false for usage errors and unknown sessions
+ */
+function runSpeakerCommand(text) {
+  const match = (text || '').trim().match(/^(\S+)\s+(\d{1,2})\s+(.+)$/);
+
+  if (!match || parseInt(match[2]) < 1) {
+    return {
+      text: 'Usage: `/transcribe-speaker <session_id> <speaker_number> <name|@user>` (e.g. `/transcribe-speaker session_123 2 @alice`)',
+      assigned: false,
+    };
+  }
+
+  const [, sessionId, speakerNumber, value] = match;
+  const speaker = parseInt(speakerNumber) - 1;
+
+  // Required lazily: the Deepgram service depends on this module
+  const { createDeepgramService } = require('./deepgram-service');
+  const speakers = createDeepgramService().setSpeakerNames(sessionId, { [speaker]: value });
+
+  if (!speakers) {
+    return { text: `Session not found: ${sessionId}`, assigned: false };
+  }
+
+  const assigned = speakers[speaker];
+  const label = assigned.slackUserId ? `<@${assigned.slackUserId}>` : assigned.name;
+  return {
+    text: `🗣️ Speaker ${speakerNumber} in session \`${sessionId}\` is now ${label}`,
+    assigned: true,
+  };
+}
+
 // Singleton instance
 let slackService = null;
 
@@ -352,4 +533,5 @@ module.exports = {
   SlackService,
   initializeSlack,
   getSlackService,
+  runSpeakerCommand,
 };
@@ -0,0 +1,177 @@
+/**
+ * Speech-to-text provider contract
+ * Defines the streaming and batch interface every transcription engine implements
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Live transcription stream returned by SpeechProvider.createStream()
+ *
+ * Emits:
+ * - `open` when the engine is ready to receive audio
+ * - `transcript` with a normalized segment (see normalizeSegment)
+ * - `utterance_end` when the engine detects the end of an utterance (optional)
+ * - `metadata` with engine specific session metadata
+ * - `close` when the engine connection has ended
+ * - `error` with an Error instance
+ */
+class SpeechStream extends EventEmitter {
+  /**
+   * Send an audio chunk to the engine
+   * @param {Buffer} _audioData - Audio chunk
+   */
+  send(_audioData) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * Check whether the stream currently accepts audio
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    throw new Error(`${this.constructor.name} must implement isOpen()`);
+  }
+
+  /**
+   * Keep the stream open while no audio is sent (skipped silence)
+   *
+   * Engines that close idle streams override this; others need nothing.
+   */
+  keepAlive() {}
+
+  /**
+   * Ask the engine for the results of all audio sent so far, without closing the stream
+   *
+   * Called when audio stops flowing, since the engine no longer hears the pause that would end
+   * the utterance. Engines without such a request need nothing.
+   */
+  finalize() {}
+
+  /**
+   * Close the stream and release engine resources
+   */
+  close() {
+    throw new Error(`${this.constructor.name} must implement close()`);
+  }
+}
+
+/**
+ * Base class for transcription engines
+ */
+class SpeechProvider {
+  /**
+   * @param {string} name - Registry name of the provider
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Open a live transcription stream
+   * @param {Object} _options - Stream options
+   * @param {string} _options.language - Language code
+   * @param {string} _options.model - Model name
+   * @param {boolean} _options.diarize - Enable speaker diarization
+   * @param {boolean} _options.multichannel - Transcribe each audio channel independently
+   * @param {Array<string>} _options.keywords - Keyword boosts ("term" or "term:intensifier")
+   * @param {Array<string>} _options.replace - Find/replace pairs ("find:replacement")
+   * @param {Array<string>} _options.search - Terms to search for in the audio
+   * @param {Array<string>} _options.redact - PII classes to redact (pci, ssn, numbers)
+   * @param {boolean} _options.profanityFilter - Mask profanity
+   * @param {Array<string>} _options.tags - Request tags (session, conversation)
+   * @param {string} _options.encoding - Encoding of raw or codec audio (linear16, mulaw, opus...); unset for containers
+   * @param {number} _options.sampleRate - Sample rate in Hz, set with `encoding`
+   * @param {number} _options.channels - Channel count, set with `encoding`
+   * @returns {SpeechStream} Live stream
+   */
+  createStream(_options) {
+    throw new Error(`${this.constructor.name} must implement createStream()`);
+  }
+
+  /**
+   * Transcribe a complete audio file
+   * @param {Buffer|Readable} _audioBuffer - Audio file, in memory or streamed from disk
+   * @param {Object} _options - Transcription options
+   * @returns {Promise<Object>} Normalized result ({ transcript, confidence, words, search, metadata }),
+   *   plus `channels` ([{ channel, transcript, confidence, words }]) when `options.multichannel` is set
+   *   and `detectedLanguage` ({ language, confidence }) when `options.language` is 'auto'
+   */
+  transcribe(_audioBuffer, _options) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement transcribe()`));
+  }
+
+  /**
+   * Detect the spoken language of an audio sample
+   * @param {Buffer} _audioBuffer - Audio sample
+   * @param {Object} _options - Detection options (model, and encoding, sampleRate and channels of raw audio)
+   * @returns {Promise<Object>} { language, confidence }
+   */
+  detectLanguage(_audioBuffer, _options) {
+    return Promise.reject(new Error(`${this.name} does not support language detection`));
+  }
+
+  /**
+   * Describe what the provider supports
+   * @returns {Object} Capabilities (models, languages, streaming, batch)
+   */
+  getCapabilities() {
+    return {
+      streaming: true,
+      batch: true,
+      models: [],
+      languages: [],
+      languageDetection: false,
+    };
+  }
+}
+
+/**
+ * Build the provider-independent shape of a transcript segment
+ * @param {Object} segment - Raw segment fields
+ * @returns {Object} Normalized segment
+ */
+function normalizeSegment(segment) {
+  return {
+    transcript: segment.transcript || '',
+    confidence: segment.confidence || 0,
+    is_final: !!segment.is_final,
+    speech_final: !!segment.speech_final,
+    duration: segment.duration || 0,
+    start: segment.start || 0,
+    channel: segment.channel || 0,
+    words: segment.words || [],
+    search: segment.search || [],
+  };
+}
+
+/**
+ * Combine per-channel batch results into one normalized result
+ * @param {Array<Object>} channels - Per-channel results with channel-tagged words
+ * @param {Object} metadata - Result metadata
+ * @returns {Object} Normalized multichannel result
+ */
+function mergeChannels(channels, metadata) {
+  const words = channels
+    .flatMap(channel => channel.words)
+    .sort((a, b) => a.start - b.start);
+  const confidence = channels.length
+    ? channels.reduce((sum, channel) => sum + channel.confidence, 0) / channels.length
+    : 0;
+
+  return {
+    transcript: words.map(word => word.punctuated_word || word.word).join(' '),
+    confidence,
+    words,
+    search: channels.flatMap(channel => (channel.search || []).map(result => ({ ...result, channel: channel.channel }))),
+    channels,
+    metadata,
+  };
+}
+
+module.exports = {
+  SpeechStream,
+  SpeechProvider,
+  normalizeSegment,
+  mergeChannels,
+};
@@ -0,0 +1,281 @@
+/**
+ * Deepgram speech-to-text provider
+ * Wraps @deepgram/sdk live and prerecorded APIs behind the SpeechProvider contract
+ */
+
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { getConfig } = require('../../config/environment');
+const { SpeechStream, SpeechProvider, normalizeSegment, mergeChannels } = require('./base-provider');
+
+// Silence after the last word before Deepgram sends an UtteranceEnd message
+const UTTERANCE_END_MS = 1000;
+
+/**
+ * Live stream backed by a Deepgram websocket
+ */
+class DeepgramStream extends SpeechStream {
+  /**
+   * @param {Object} liveClient - Deepgram ListenLiveClient
+   */
+  constructor(liveClient) {
+    super();
+    this.liveClient = liveClient;
+
+    liveClient.on(LiveTranscriptionEvents.Open, () => this.emit('open'));
+
+    liveClient.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const alternative = data.channel?.alternatives?.[0];
+      if (!alternative) return;
+
+      this.emit('transcript', normalizeSegment({
+        transcript: alternative.transcript,
+        confidence: alternative.confidence,
+        is_final: data.is_final,
+        speech_final: data.speech_final,
+        duration: data.duration,
+        start: data.start,
+        channel: data.channel_index?.[0],
+        words: alternative.words,
+        search: data.channel?.search,
+      }));
+    });
+
+    liveClient.on(LiveTranscriptionEvents.UtteranceEnd, (data) => this.emit('utterance_end', data));
+    liveClient.on(LiveTranscriptionEvents.Metadata, (data) => this.emit('metadata', data));
+    liveClient.on(LiveTranscriptionEvents.Close, () => this.emit('close'));
+    liveClient.on(LiveTranscriptionEvents.Error, (error) => {
+      this.emit('error', error instanceof Error ? error : new Error(error?.message || 'Deepgram stream error'));
+    });
+  }
+
+  send(audioData) {
+    this.liveClient.send(audioData);
+  }
+
+  isOpen() {
+    return this.liveClient.isConnected();
+  }
+
+  keepAlive() {
+    this.liveClient.keepAlive();
+  }
+
+  finalize() {
+    this.liveClient.finalize();
+  }
+
+  close() {
+    if (this.liveClient.isConnected()) {
+      this.liveClient.requestClose();
+    } else {
+      this.liveClient.disconnect();
+    }
+  }
+}
+
+class DeepgramProvider extends SpeechProvider {
+  constructor() {
+    super('deepgram');
+    const config = getConfig();
+    this.client = createClient(config.deepgram.apiKey);
+  }
+
+  /**
+   * Open a Deepgram live transcription stream
+   * @param {Object} options - Stream options
+   * @returns {DeepgramStream} Live stream
+   */
+  createStream(options) {
+    const {
+      language,
+      model,
+      diarize = true,
+      multichannel = false,
+      keywords = [],
+      replace = [],
+      search = [],
+      redact = [],
+      profanityFilter = false,
+      tags = [],
+    } = options;
+
+    const liveClient = this.client.listen.live({
+      model: model,
+      language: language,
+      smart_format: true,
+      interim_results: true,
+      endpointing: 300,
+      utterance_end_ms: UTTERANCE_END_MS,
+      punctuate: true,
+      diarize: diarize,
+      filler_words: false,
+      multichannel: multichannel,
+      alternatives: 1,
+      numerals: true,
+      profanity_filter: profanityFilter,
+      redact: redact.length ? redact : false,
+      ...vocabularyParams({ keywords, replace, search }),
+      tag: tags,
+      ...formatParams(options),
+      tier: 'enhanced',
+      version: 'latest',
+    });
+
+    return new DeepgramStream(liveClient);
+  }
+
+  /**
+   * Transcribe an audio file with the prerecorded API
+   * @param {Buffer|Readable} audioBuffer - Audio file, in memory or streamed from disk
+   * @param {Object} options - Transcription options
+   * @returns {Promise<Object>} Normalized result
+   */
+  async transcribe(audioBuffer, options) {
+    const {
+      language,
+      model,
+      smart_format = true,
+      punctuate = true,
+      diarize = true,
+      multichannel = false,
+      keywords = [],
+      replace = [],
+      search = [],
+      redact = [],
+      profanityFilter = false,
+    } = options;
+
+    const detectLanguage = language === 'auto';
+    const { result, error } = await this.client.listen.prerecorded.transcribeFile(
+      audioBuffer,
+      {
+        model,
+        ...(detectLanguage ? { detect_language: true } : { language }),
+        smart_format,
+        punctuate,
+        diarize,
+        filler_words: false,
+        multichannel,
+        alternatives: 1,
+        numerals: true,
+        profanity_filter: profanityFilter,
+        redact: redact.length ? redact : false,
+        ...vocabularyParams({ keywords, replace, search }),
+      },
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    const metadata = result?.metadata || {};
+    const detectedLanguage = detectLanguage ? readDetectedLanguage(result) : undefined;
+
+    if (multichannel) {
+      const channels = (result?.results?.channels || []).map((channel, index) => {
+        const alternative = channel.alternatives?.[0];
+        return {
+          channel: index,
+          transcript: alternative?.transcript || '',
+          confidence: alternative?.confidence || 0,
+          words: (alternative?.words || []).map(word => ({ ...word, channel: index })),
+          search: channel.search || [],
+        };
+      });
+
+      return { ...mergeChannels(channels, metadata), detectedLanguage };
+    }
+
+    const channel = result?.results?.channels?.[0];
+    const alternative = channel?.alternatives?.[0];
+
+    return {
+      transcript: alternative?.transcript || '',
+      confidence: alternative?.confidence || 0,
+      words: alternative?.words || [],
+      search: channel?.search || [],
+      detectedLanguage,
+      metadata,
+    };
+  }
+
+  /**
+   * Detect the spoken language of an audio sample with the prerecorded API
+   * @param {Buffer} audioBuffer - Audio sample
+   * @param {Object} options - Detection options
+   * @returns {Promise<Object>} { language, confidence }
+   */
+  async detectLanguage(audioBuffer, options = {}) {
+    const { result, error } = await this.client.listen.prerecorded.transcribeFile(
+      audioBuffer,
+      {
+        model: options.model,
+        detect_language: true,
+        ...formatParams(options),
+      },
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    const detected = readDetectedLanguage(result);
+    if (!detected) {
+      throw new Error('No language detected');
+    }
+    return detected;
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      batch: true,
+      models: ['nova-2', 'nova', 'enhanced', 'base'],
+      languages: ['en-US', 'en-GB', 'fr-FR', 'es-ES', 'de-DE'],
+      languageDetection: true,
+    };
+  }
+}
+
+/**
+ * Read the language detected in a prerecorded response
+ * @param {Object} result - Deepgram prerecorded response
+ * @returns {Object|undefined} { language, confidence }
+ */
+function readDetectedLanguage(result) {
+  const channel = result?.results?.channels?.[0];
+  if (!channel?.detected_language) return undefined;
+
+  return {
+    language: channel.detected_language,
+    confidence: channel.language_confidence ?? null,
+  };
+}
+
+/**
+ * Build Deepgram audio format query parameters for raw and codec audio
+ * @param {Object} options - { encoding, sampleRate, channels }
+ * @returns {Object} Query parameters, empty for containers Deepgram detects itself
+ */
+function formatParams({ encoding, sampleRate, channels }) {
+  if (!encoding) return {};
+  return { encoding, sample_rate: sampleRate, channels: channels || 1 };
+}
+
+/**
+ * Build Deepgram vocabulary query parameters, omitting empty lists
+ * @param {Object} vocabulary - { keywords, replace, search } in "term:value" form
+ * @returns {Object} Query parameters
+ */
+function vocabularyParams({ keywords, replace, search }) {
+  return {
+    ...(keywords.length ? { keywords } : {}),
+    ...(replace.length ? { replace } : {}),
+    ...(search.length ? { search } : {}),
+  };
+}
+
+module.exports = {
+  DeepgramProvider,
+  DeepgramStream,
+};
@@ -0,0 +1,88 @@
+/**
+ * Speech-to-text provider registry
+ * Resolves transcription engines by name, from configuration or per session
+ */
+
+const { getConfig } = require('../../config/environment');
+const { SpeechProvider, SpeechStream, normalizeSegment } = require('./base-provider');
+const { DeepgramProvider } = require('./deepgram-provider');
+const { LocalProvider } = require('./local-provider');
+
+// Provider factories keyed by name; instances are created lazily on first use
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a provider factory
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function returning a SpeechProvider instance
+ */
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} True if registered
+ */
+function hasProvider(name) {
+  return factories.has(name);
+}
+
+/**
+ * Get the configured default provider name
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+  return getConfig().stt.provider;
+}
+
+/**
+ * Get a provider instance
+ * @param {string} name - Provider name (defaults to the configured provider)
+ * @returns {SpeechProvider} Provider instance
+ * @throws {Error} If the provider is not registered
+ */
+function getProvider(name) {
+  const providerName = name || getDefaultProviderName();
+
+  if (!factories.has(providerName)) {
+    throw new Error(`Unknown transcription provider: ${providerName}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, factories.get(providerName)());
+  }
+
+  return instances.get(providerName);
+}
+
+/**
+ * List registered providers with their capabilities
+ * @returns {Array<Object>} Provider descriptions
+ */
+function listProviders() {
+  const defaultName = getDefaultProviderName();
+
+  return Array.from(factories.keys()).map(name => ({
+    name,
+    isDefault: name === defaultName,
+    capabilities: getProvider(name).getCapabilities(),
+  }));
+}
+
+registerProvider('deepgram', () => new DeepgramProvider());
+registerProvider('local', () => new LocalProvider());
+
+module.exports = {
+  SpeechProvider,
+  SpeechStream,
+  normalizeSegment,
+  registerProvider,
+  hasProvider,
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+};
@@ -0,0 +1,297 @@
+/**
+ * Local deterministic speech-to-text provider
+ * Produces scripted transcripts from audio byte counts for offline tests and demos
+ */
+
+const { SpeechStream, SpeechProvider, normalizeSegment, mergeChannels } = require('./base-provider');
+const { pcmBytesPerSecond } = require('../../utils/audio-format');
+
+// Scripted phrases cycled through in order, one per segment
+const SCRIPT = [
+  'Welcome everyone to the weekly sync.',
+  'Let us start with the status updates.',
+  'The release is on track for Friday.',
+  'We still need to review the open pull requests.',
+  'Any blockers before we move on?',
+  'Thanks everyone, see you next week.',
+];
+
+const DEFAULT_BYTES_PER_SECOND = 32000; // 16 kHz, 16-bit mono
+const DEFAULT_SEGMENT_SECONDS = 2;
+const MULTICHANNEL_CHANNELS = 2;
+const CONFIDENCE = 0.99;
+// The scripted transcripts are English
+const DETECTED_LANGUAGE = { language: 'en', confidence: CONFIDENCE };
+
+/**
+ * Build a scripted segment for a position in the audio timeline
+ * @param {number} index - Segment index
+ * @param {number} start - Segment start in seconds
+ * @param {number} duration - Segment duration in seconds
+ * @param {number} wordCount - Number of script words to include (defaults to all)
+ * @returns {Object} Segment fields (transcript, words, start, duration)
+ */
+function buildSegment(index, start, duration, wordCount) {
+  const tokens = SCRIPT[index % SCRIPT.length].split(' ');
+  const spoken = tokens.slice(0, wordCount ?? tokens.length);
+  const wordDuration = duration / tokens.length;
+  const speaker = index % 2;
+
+  const words = spoken.map((token, i) => ({
+    word: token.replace(/[^\w']/g, '').toLowerCase(),
+    punctuated_word: token,
+    start: round(start + i * wordDuration),
+    end: round(start + (i + 1) * wordDuration),
+    confidence: CONFIDENCE,
+    speaker,
+  }));
+
+  return {
+    transcript: spoken.join(' '),
+    confidence: CONFIDENCE,
+    start: round(start),
+    duration: round(duration),
+    words,
+  };
+}
+
+/**
+ * Apply find/replace pairs and search terms to a scripted segment, as a remote engine would
+ * @param {Object} segment - Segment fields
+ * @param {Object} vocabulary - Vocabulary options
+ * @param {Array<string>} vocabulary.replace - Find/replace pairs ("find:replacement")
+ * @param {Array<string>} vocabulary.search - Terms to search for
+ * @returns {Object} Segment with replacements applied and `search` results
+ */
+function applyVocabulary(segment, { replace = [], search = [] } = {}) {
+  let transcript = segment.transcript;
+  let words = segment.words;
+
+  for (const pair of replace) {
+    const [find, replacement] = pair.split(':');
+    const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`\\b${escaped}\\b`, 'gi');
+    transcript = transcript.replace(pattern, replacement);
+    words = words.map(word => (word.word === find.toLowerCase()
+      ? { ...word, word: replacement.toLowerCase(), punctuated_word: word.punctuated_word.replace(pattern, replacement) }
+      : word));
+  }
+
+  const results = search.map(query => ({
+    query,
+    hits: words
+      .filter(word => word.word === query.toLowerCase())
+      .map(word => ({ confidence: CONFIDENCE, start: word.start, end: word.end, snippet: transcript })),
+  }));
+
+  return { ...segment, transcript, words, search: results };
+}
+
+/**
+ * Combine per-segment search results into one result per query
+ * @param {Array<Object>} segments - Segments with `search` results
+ * @returns {Array<Object>} Search results ({ query, hits })
+ */
+function mergeSearch(segments) {
+  const byQuery = new Map();
+
+  for (const result of segments.flatMap(segment => segment.search)) {
+    const hits = byQuery.get(result.query) || [];
+    byQuery.set(result.query, hits.concat(result.hits));
+  }
+
+  return Array.from(byQuery, ([query, hits]) => ({ query, hits }));
+}
+
+/**
+ * Round seconds to millisecond precision
+ * @param {number} value - Seconds
+ * @returns {number} Rounded seconds
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Count the bytes of an audio file
+ * @param {Buffer|Readable} audio - Audio file, in memory or streamed
+ * @returns {Promise<number>} Size in bytes
+ */
+async function audioLength(audio) {
+  if (Buffer.isBuffer(audio)) return audio.length;
+
+  let length = 0;
+  for await (const chunk of audio) {
+    length += chunk.length;
+  }
+  return length;
+}
+
+/**
+ * Live stream that turns received byte counts into scripted segments
+ */
+class LocalStream extends SpeechStream {
+  /**
+   * @param {Object} options - Stream options
+   * @param {number} options.bytesPerSecond - Audio byte rate used to derive timings
+   * @param {number} options.segmentSeconds - Audio seconds per final segment
+   * @param {boolean} options.multichannel - Alternate segments between two channels
+   * @param {Object} options.vocabulary - Find/replace pairs and search terms
+   */
+  constructor(options) {
+    super();
+    this.bytesPerSecond = options.bytesPerSecond;
+    this.segmentSeconds = options.segmentSeconds;
+    this.multichannel = options.multichannel;
+    this.vocabulary = options.vocabulary;
+    this.receivedBytes = 0;
+    this.segmentIndex = 0;
+    this.open = true;
+
+    setImmediate(() => {
+      if (this.open) this.emit('open');
+    });
+  }
+
+  send(audioData) {
+    if (!this.open) return;
+
+    this.receivedBytes += audioData.length;
+    const elapsed = this.receivedBytes / this.bytesPerSecond;
+
+    // Emit final segments for every completed window
+    while (elapsed >= (this.segmentIndex + 1) * this.segmentSeconds) {
+      const segment = buildSegment(this.segmentIndex, this.segmentIndex * this.segmentSeconds, this.segmentSeconds);
+      this.segmentIndex++;
+      this.emitSegment({ ...segment, channel: this.channelOf(this.segmentIndex - 1), is_final: true, speech_final: true });
+    }
+
+    // Emit an interim hypothesis for the window in progress
+    const partial = elapsed - this.segmentIndex * this.segmentSeconds;
+    if (partial > 0) {
+      const wordTotal = SCRIPT[this.segmentIndex % SCRIPT.length].split(' ').length;
+      const wordCount = Math.floor((partial / this.segmentSeconds) * wordTotal);
+      if (wordCount > 0) {
+        const segment = buildSegment(this.segmentIndex, this.segmentIndex * this.segmentSeconds, this.segmentSeconds, wordCount);
+        this.emitSegment({ ...segment, channel: this.channelOf(this.segmentIndex), duration: round(partial), is_final: false });
+      }
+    }
+  }
+
+  /**
+   * Channel a scripted segment is attributed to
+   * @param {number} index - Segment index
+   * @returns {number} Channel index
+   */
+  channelOf(index) {
+    return this.multichannel ? index % MULTICHANNEL_CHANNELS : 0;
+  }
+
+  /**
+   * Emit a segment asynchronously, mimicking a network engine
+   * @param {Object} segment - Segment fields
+   */
+  emitSegment(segment) {
+    setImmediate(() => {
+      if (this.open) this.emit('transcript', normalizeSegment(applyVocabulary(segment, this.vocabulary)));
+    });
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  close() {
+    if (!this.open) return;
+    this.open = false;
+    setImmediate(() => this.emit('close'));
+  }
+}
+
+class LocalProvider extends SpeechProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {number} options.bytesPerSecond - Audio byte rate used to derive timings
+   * @param {number} options.segmentSeconds - Audio seconds per segment
+   */
+  constructor(options = {}) {
+    super('local');
+    this.bytesPerSecond = options.bytesPerSecond || DEFAULT_BYTES_PER_SECOND;
+    this.segmentSeconds = options.segmentSeconds || DEFAULT_SEGMENT_SECONDS;
+  }
+
+  createStream(options = {}) {
+    return new LocalStream({
+      // Declared PCM formats set the timeline; anything else is assumed to be 16 kHz, 16-bit mono
+      bytesPerSecond: pcmBytesPerSecond(options) || this.bytesPerSecond,
+      segmentSeconds: this.segmentSeconds,
+      multichannel: !!options.multichannel,
+      vocabulary: { replace: options.replace, search: options.search },
+    });
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    const duration = await audioLength(audioBuffer) / this.bytesPerSecond;
+    const segmentCount = Math.max(1, Math.ceil(duration / this.segmentSeconds));
+    const segments = [];
+
+    for (let i = 0; i < segmentCount; i++) {
+      const start = i * this.segmentSeconds;
+      const segment = buildSegment(i, start, Math.min(this.segmentSeconds, Math.max(duration - start, 0.001)));
+      segments.push(applyVocabulary(segment, options));
+    }
+
+    const metadata = {
+      duration: round(duration),
+      channels: options.multichannel ? MULTICHANNEL_CHANNELS : 1,
+      provider: this.name,
+      model: options.model || 'local',
+    };
+
+    const detectedLanguage = options.language === 'auto' ? { ...DETECTED_LANGUAGE } : undefined;
+
+    if (options.multichannel) {
+      const channels = [];
+      for (let channel = 0; channel < MULTICHANNEL_CHANNELS; channel++) {
+        const channelSegments = segments.filter((_segment, index) => index % MULTICHANNEL_CHANNELS === channel);
+        channels.push({
+          channel,
+          transcript: channelSegments.map(segment => segment.transcript).join(' '),
+          confidence: CONFIDENCE,
+          words: channelSegments.flatMap(segment => segment.words.map(word => ({ ...word, channel }))),
+          search: mergeSearch(channelSegments),
+        });
+      }
+
+      return { ...mergeChannels(channels, metadata), detectedLanguage };
+    }
+
+    return {
+      transcript: segments.map(segment => segment.transcript).join(' '),
+      confidence: CONFIDENCE,
+      words: segments.flatMap(segment => segment.words),
+      search: mergeSearch(segments),
+      detectedLanguage,
+      metadata,
+    };
+  }
+
+  detectLanguage(_audioBuffer, _options) {
+    return Promise.resolve({ ...DETECTED_LANGUAGE });
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      batch: true,
+      models: ['local'],
+      languages: ['*'],
+      languageDetection: true,
+    };
+  }
+}
+
+module.exports = {
+  LocalProvider,
+  LocalStream,
+};
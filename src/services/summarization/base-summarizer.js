@@ -0,0 +1,34 @@
+/**
+ * Summarizer contract
+ * Defines the interface every meeting summarization backend implements
+ */
+
+/**
+ * Base class for summarization backends
+ */
+class Summarizer {
+  /**
+   * @param {string} name - Registry name of the summarizer
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Summarize a finished transcript
+   * @param {Object} _transcript - Transcript to summarize
+   * @param {Array<Object>} _transcript.turns - Turns in time order ({ label, slackUserId, start, end, transcript })
+   * @param {string} _transcript.language - Language code of the transcript
+   * @param {Object} _options - Summarization options
+   * @param {number} _options.maxSentences - Length of the summary in sentences
+   * @returns {Promise<Object>} { summary, decisions, actionItems }; decisions are { text, speaker, start }
+   *   and action items { text, owner, due, speaker, start }, with fields a backend cannot tell left null
+   */
+  summarize(_transcript, _options) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement summarize()`));
+  }
+}
+
+module.exports = {
+  Summarizer,
+};
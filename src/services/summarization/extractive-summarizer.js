@@ -0,0 +1,187 @@
+/**
+ * Extractive summarizer
+ * Picks the most representative sentences of a transcript and spots decisions and action items
+ * from English cue phrases; deterministic and offline
+ */
+
+const { Summarizer } = require('./base-summarizer');
+
+// Sentences shorter than this carry too little to summarize a meeting ("Thanks everyone.")
+const MIN_SUMMARY_WORDS = 4;
+const MAX_ITEMS = 10;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from',
+  'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'i\'ll', 'i\'m', 'if',
+  'in', 'into', 'is', 'it', 'it\'s', 'its', 'just', 'let\'s', 'like', 'me', 'more', 'my', 'no', 'not',
+  'now', 'of', 'off', 'ok', 'okay', 'on', 'one', 'or', 'our', 'out', 'over', 'really', 'right', 'so',
+  'some', 'that', 'that\'s', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'to', 'too', 'uh', 'um', 'up', 'us', 'very', 'was', 'we', 'we\'ll', 'we\'re', 'well', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'you\'ll', 'your',
+]);
+
+const DECISION_CUES = /\b(decided|decide to|decision|agreed|agree to|agree on|approved|signed off|settled on|go(?:ing)? with)\b/i;
+const ACTION_CUES = /\b(action items?|to-?do|follow[- ]up|i will|i'll|we will|we'll|you will|you'll|will take|need to|needs to|has to|have to|should|must|can you|could you|please|assigned to|take care of)\b/i;
+const DUE_PATTERN = /\b(?:by|before|until|on)\s+((?:next\s+)?(?:today|tonight|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday|week|month)|end of (?:the )?(?:day|week|month)|eod|eow)\b/i;
+// "Alice will ...", "Bob needs to ...": a leading name owns the item
+const NAMED_OWNER_PATTERN = /^([A-Z][\p{L}'-]+)\s+(?:will|'ll|needs to|has to|should|must|is going to)\b/u;
+const NOT_NAMES = new Set(['We', 'You', 'They', 'It', 'The', 'This', 'That', 'There', 'Everyone', 'Someone', 'Somebody', 'He', 'She']);
+
+class ExtractiveSummarizer extends Summarizer {
+  constructor() {
+    super('extractive');
+  }
+
+  summarize(transcript, options = {}) {
+    const sentences = splitSentences(transcript.turns || []);
+    const decisions = [];
+    const actionItems = [];
+
+    for (const sentence of sentences) {
+      if (DECISION_CUES.test(sentence.text)) {
+        decisions.push({ text: sentence.text, speaker: sentence.speaker, start: sentence.start });
+      } else if (ACTION_CUES.test(sentence.text) && !sentence.text.endsWith('?')) {
+        actionItems.push({
+          text: sentence.text,
+          owner: findOwner(sentence),
+          due: sentence.text.match(DUE_PATTERN)?.[1] || null,
+          speaker: sentence.speaker,
+          start: sentence.start,
+        });
+      }
+    }
+
+    return Promise.resolve({
+      summary: pickSummary(sentences, options.maxSentences || 3),
+      decisions: uniqueItems(decisions),
+      actionItems: uniqueItems(actionItems),
+    });
+  }
+}
+
+/**
+ * Split turns into sentences, keeping who said them and when the turn started
+ * @param {Array<Object>} turns - Transcript turns
+ * @returns {Array<Object>} Sentences ({ text, words, speaker, start, index })
+ */
+function splitSentences(turns) {
+  const sentences = [];
+
+  for (const turn of turns) {
+    const speaker = turn.label ? { label: turn.label, slackUserId: turn.slackUserId || null } : null;
+
+    for (const text of (turn.transcript || '').split(/(?<=[.!?])\s+/)) {
+      const trimmed = text.trim();
+      if (!trimmed) continue;
+
+      sentences.push({
+        text: trimmed,
+        words: tokenize(trimmed),
+        speaker,
+        start: turn.start,
+        index: sentences.length,
+      });
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Pick the sentences whose content words recur most across the transcript
+ * @param {Array<Object>} sentences - Transcript sentences
+ * @param {number} maxSentences - Number of sentences to keep
+ * @returns {string} Chosen sentences in spoken order
+ */
+function pickSummary(sentences, maxSentences) {
+  const frequencies = new Map();
+  for (const sentence of sentences) {
+    for (const word of contentWords(sentence.words)) {
+      frequencies.set(word, (frequencies.get(word) || 0) + 1);
+    }
+  }
+
+  const candidates = sentences.filter(sentence => sentence.words.length >= MIN_SUMMARY_WORDS && !sentence.text.endsWith('?'));
+  if (candidates.length === 0) {
+    return sentences.slice(0, maxSentences).map(sentence => sentence.text).join(' ');
+  }
+
+  const seen = new Set();
+  return candidates
+    .map(sentence => {
+      const words = new Set(contentWords(sentence.words));
+      const weight = [...words].reduce((sum, word) => sum + frequencies.get(word), 0);
+      return { sentence, score: words.size ? weight / Math.sqrt(sentence.words.length) : 0 };
+    })
+    // Ties go to the earlier sentence so the result does not depend on sort stability
+    .sort((a, b) => b.score - a.score || a.sentence.index - b.sentence.index)
+    .filter(({ sentence }) => {
+      const key = sentence.words.join(' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxSentences)
+    .map(({ sentence }) => sentence)
+    .sort((a, b) => a.index - b.index)
+    .map(sentence => sentence.text)
+    .join(' ');
+}
+
+/**
+ * Work out who an action item belongs to
+ * @param {Object} sentence - Sentence with its speaker
+ * @returns {Object|null} { label, slackUserId } of the owner, null when not stated
+ */
+function findOwner(sentence) {
+  if (/^i(?:'ll| will|'m going to| am going to| need to| have to| can)\b/i.test(sentence.text)) {
+    return sentence.speaker;
+  }
+
+  const named = sentence.text.match(NAMED_OWNER_PATTERN)?.[1];
+  if (named && !NOT_NAMES.has(named)) {
+    return { label: named, slackUserId: null };
+  }
+
+  return null;
+}
+
+/**
+ * Drop repeated items, keeping the first mention
+ * @param {Array<Object>} items - Decisions or action items
+ * @returns {Array<Object>} At most MAX_ITEMS distinct items
+ */
+function uniqueItems(items) {
+  const seen = new Set();
+  return items
+    .filter(item => {
+      const key = tokenize(item.text).join(' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_ITEMS);
+}
+
+/**
+ * Split text into lower-case words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || [];
+}
+
+/**
+ * Keep the words that carry meaning
+ * @param {Array<string>} words - Lower-case words
+ * @returns {Array<string>} Words that are not stopwords
+ */
+function contentWords(words) {
+  return words.filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+module.exports = {
+  ExtractiveSummarizer,
+};
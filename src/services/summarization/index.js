@@ -0,0 +1,65 @@
+/**
+ * Summarizer registry
+ * Resolves meeting summarization backends by name from configuration
+ */
+
+const { getConfig } = require('../../config/environment');
+const { Summarizer } = require('./base-summarizer');
+const { ExtractiveSummarizer } = require('./extractive-summarizer');
+const { LlmSummarizer } = require('./llm-summarizer');
+
+// Summarizer factories keyed by name; instances are created lazily on first use
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a summarizer factory
+ *
+ * Language model backends register an LlmSummarizer wrapping their completion call, e.g.
+ * `registerSummarizer('openai', () => new LlmSummarizer({ name: 'openai', complete }))`.
+ * @param {string} name - Summarizer name
+ * @param {Function} factory - Function returning a Summarizer instance
+ */
+function registerSummarizer(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Check whether a summarizer is registered
+ * @param {string} name - Summarizer name
+ * @returns {boolean} True if registered
+ */
+function hasSummarizer(name) {
+  return factories.has(name);
+}
+
+/**
+ * Get a summarizer instance
+ * @param {string} name - Summarizer name (defaults to SUMMARY_PROVIDER)
+ * @returns {Summarizer} Summarizer instance
+ * @throws {Error} If the summarizer is not registered
+ */
+function getSummarizer(name) {
+  const summarizerName = name || getConfig().summary.provider;
+
+  if (!factories.has(summarizerName)) {
+    throw new Error(`Unknown summarizer: ${summarizerName}`);
+  }
+
+  if (!instances.has(summarizerName)) {
+    instances.set(summarizerName, factories.get(summarizerName)());
+  }
+
+  return instances.get(summarizerName);
+}
+
+registerSummarizer('extractive', () => new ExtractiveSummarizer());
+
+module.exports = {
+  Summarizer,
+  LlmSummarizer,
+  registerSummarizer,
+  hasSummarizer,
+  getSummarizer,
+};
@@ -0,0 +1,104 @@
+/**
+ * LLM summarizer adapter
+ * Turns a text completion function into a summarizer, so language model backends plug in
+ * without knowing about transcripts or the result format
+ */
+
+const { Summarizer } = require('./base-summarizer');
+const { formatClock } = require('../../utils/transcript-format');
+
+// Long meetings are cut to keep prompts within typical context windows
+const DEFAULT_MAX_TRANSCRIPT_CHARS = 60000;
+
+class LlmSummarizer extends Summarizer {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.name - Registry name of the backend
+   * @param {Function} options.complete - Async function taking a prompt and returning the model's text
+   * @param {number} options.maxTranscriptChars - Transcript length sent to the model
+   */
+  constructor({ name, complete, maxTranscriptChars = DEFAULT_MAX_TRANSCRIPT_CHARS }) {
+    super(name);
+    this.complete = complete;
+    this.maxTranscriptChars = maxTranscriptChars;
+  }
+
+  async summarize(transcript, options = {}) {
+    const response = await this.complete(buildPrompt(transcript, {
+      maxSentences: options.maxSentences || 3,
+      maxChars: this.maxTranscriptChars,
+    }));
+
+    return parseResponse(response);
+  }
+}
+
+/**
+ * Build the prompt asking for a JSON summary
+ * @param {Object} transcript - Transcript with `turns` and `language`
+ * @param {Object} options - { maxSentences, maxChars }
+ * @returns {string} Prompt
+ */
+function buildPrompt(transcript, { maxSentences, maxChars }) {
+  let text = transcript.turns
+    .map(turn => `[${formatClock(turn.start)}] ${turn.label ? `${turn.label}: ` : ''}${turn.transcript}`)
+    .join('\n');
+  if (text.length > maxChars) {
+    text = `${text.slice(0, maxChars)}\n[transcript truncated]`;
+  }
+
+  return [
+    'Summarize the meeting transcript below.',
+    'Reply with JSON only, in this shape:',
+    '{"summary": "...", "decisions": [{"text": "..."}], "actionItems": [{"text": "...", "owner": "name or null", "due": "deadline or null"}]}',
+    `The summary has at most ${maxSentences} sentences. Only list decisions and action items stated in the transcript.`,
+    `Write in the language of the transcript${transcript.language ? ` (${transcript.language})` : ''}.`,
+    '',
+    'Transcript:',
+    text,
+  ].join('\n');
+}
+
+/**
+ * Read the model's reply into a summary result
+ * @param {string} response - Model output, JSON possibly wrapped in prose or a code fence
+ * @returns {Object} { summary, decisions, actionItems }
+ * @throws {Error} If the reply holds no usable JSON
+ */
+function parseResponse(response) {
+  const json = String(response || '').match(/\{[\s\S]*\}/)?.[0];
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Summarizer response is not valid JSON: ${error.message}`);
+  }
+
+  if (typeof parsed?.summary !== 'string') {
+    throw new Error('Summarizer response has no summary');
+  }
+
+  const items = value => (Array.isArray(value) ? value : [])
+    .map(item => (typeof item === 'string' ? { text: item } : item))
+    .filter(item => typeof item?.text === 'string' && item.text.trim());
+
+  return {
+    summary: parsed.summary.trim(),
+    decisions: items(parsed.decisions).map(item => ({
+      text: item.text.trim(),
+      speaker: null,
+      start: null,
+    })),
+    actionItems: items(parsed.actionItems).map(item => ({
+      text: item.text.trim(),
+      owner: typeof item.owner === 'string' && item.owner.trim() ? { label: item.owner.trim(), slackUserId: null } : null,
+      due: typeof item.due === 'string' && item.due.trim() ? item.due.trim() : null,
+      speaker: null,
+      start: null,
+    })),
+  };
+}
+
+module.exports = {
+  LlmSummarizer,
+};
@@ -0,0 +1,524 @@
+/**
+ * File transcription jobs
+ * Transcribes uploaded, remote and Slack-hosted files in the background, posts them to Slack
+ * and notifies callback URLs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { JobQueue, describeJob } = require('../utils/job-queue');
+const { formatTurns } = require('../utils/speakers');
+const { renderSubtitles } = require('../utils/subtitles');
+const { validateAudioFile, parseFileSize, isNativeAudio } = require('../utils/validation');
+const { transcodeAudio } = require('../utils/transcode');
+const {
+  RemoteAudioError,
+  downloadAudio,
+  downloadSlackFile,
+  assertAudioDuration,
+  assertPublicHost,
+  sendRequest,
+} = require('../utils/remote-audio');
+const { createDeepgramService, formatDetectedLanguage, fileDuration } = require('./deepgram-service');
+const { getSlackService } = require('./slack-service');
+const { getUsageService } = require('./usage-service');
+
+const CALLBACK_ATTEMPTS = 3;
+const CALLBACK_TIMEOUT_MS = 10000;
+// Bytes of a spooled file read to recognize its format
+const HEADER_BYTES = 16;
+const EXTENSION_MIME_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/m4a',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  webm: 'video/webm',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  aac: 'audio/aac',
+};
+
+class TranscriptionJobService {
+  constructor() {
+    const config = getConfig();
+    this.callbackSecret = config.jobs.callbackSecret;
+    this.callbackRetryDelay = config.jobs.retryDelay;
+    this.remoteAudio = {
+      ...config.remoteAudio,
+      maxBytes: parseFileSize(config.audio.maxFileSize),
+      maxDuration: config.audio.maxDuration,
+      protocols: config.app.env === 'production' ? ['https:'] : ['http:', 'https:'],
+      slackToken: config.slack.botToken,
+    };
+    this.transcoding = {
+      ...config.transcoding,
+      maxBytes: parseFileSize(config.audio.maxFileSize),
+      maxDuration: config.audio.maxDuration,
+    };
+    // Kept apart from job payloads, which are released as soon as a job finishes
+    this.callbackUrls = new Map();
+    this.spooledFiles = new Map();
+    this.queue = new JobQueue({
+      name: 'transcription',
+      concurrency: config.jobs.concurrency,
+      maxAttempts: config.jobs.maxAttempts,
+      retryDelay: config.jobs.retryDelay,
+      ttlMs: config.jobs.ttlMs,
+      handler: (job, context) => this.runJob(job, context),
+      onFinished: (job) => {
+        this.releaseSpooledFile(job);
+        return this.notifyCallback(job);
+      },
+    });
+  }
+
+  /**
+   * Queue the transcription of an uploaded file
+   * @param {Object} file - Uploaded file ({ buffer, originalname, size, mimetype })
+   * @param {Object} params - Sanitized upload parameters (channel, conversation, language, model,
+   *   provider, multichannel, channelLabels)
+   * @param {string} callbackUrl - URL receiving a signed POST once the job finishes
+   * @returns {Object} Job description
+   */
+  submit(file, params, callbackUrl) {
+    return this.enqueue(
+      { buffer: file.buffer, params },
+      { source: 'upload', filename: file.originalname, size: file.size, mimetype: file.mimetype },
+      callbackUrl,
+    );
+  }
+
+  /**
+   * Queue the transcription of a file downloaded from a URL or from Slack
+   * @param {Object} source - Exactly one of `url` or `slackFileId`
+   * @param {Object} params - Sanitized transcription parameters, as for uploads
+   * @param {string} callbackUrl - URL receiving a signed POST once the job finishes
+   * @returns {Object} Job description
+   */
+  submitRemote(source, params, callbackUrl) {
+    return this.enqueue(
+      { source, params },
+      source.slackFileId ? { source: 'slack', slackFileId: source.slackFileId } : { source: 'url' },
+      callbackUrl,
+    );
+  }
+
+  /**
+   * Queue the transcription of a file spooled to disk, such as an assembled chunked upload
+   *
+   * The job takes ownership of the file and deletes it once it finishes.
+   * @param {Object} file - Spooled file ({ path, originalname, size, mimetype })
+   * @param {Object} params - Sanitized transcription parameters, as for uploads
+   * @param {string} callbackUrl - URL receiving a signed POST once the job finishes
+   * @returns {Object} Job description
+   */
+  submitSpooled(file, params, callbackUrl) {
+    const job = this.enqueue(
+      { path: file.path, params },
+      { source: 'chunked', filename: file.originalname, size: file.size, mimetype: file.mimetype },
+      callbackUrl,
+    );
+    this.spooledFiles.set(job.id, file.path);
+    return job;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} payload - Job payload ({ buffer } or { source }, plus params)
+   * @param {Object} metadata - Public job metadata
+   * @param {string} callbackUrl - Callback URL, if any
+   * @returns {Object} Job description
+   * @throws {Error} If a callback is requested but JOB_CALLBACK_SECRET is not set
+   */
+  enqueue(payload, metadata, callbackUrl) {
+    if (callbackUrl && !this.callbackSecret) {
+      throw new Error('Job callbacks require JOB_CALLBACK_SECRET');
+    }
+
+    const job = this.queue.add(payload, { ...metadata, callback: !!callbackUrl });
+    if (callbackUrl) {
+      this.callbackUrls.set(job.id, callbackUrl);
+    }
+    return describeJob(job);
+  }
+
+  /**
+   * Get a job description
+   * @param {string} id - Job identifier
+   * @returns {Object|null} Job description or null if unknown
+   */
+  getJob(id) {
+    const job = this.queue.get(id);
+    return job ? describeJob(job) : null;
+  }
+
+  /**
+   * Cancel a job
+   * @param {string} id - Job identifier
+   * @returns {Object|null} Job description or null if unknown
+   */
+  cancelJob(id) {
+    const job = this.queue.cancel(id);
+    return job ? describeJob(job) : null;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Job counts by status
+   */
+  getStats() {
+    return this.queue.getStats();
+  }
+
+  /**
+   * Transcribe a queued file and post it to Slack
+   * @param {Object} job - Job record
+   * @param {Object} context - Queue context (setProgress, isCancelled)
+   * @returns {Promise<Object>} Upload response body
+   */
+  async runJob(job, context) {
+    const { params } = job.payload;
+    let { buffer } = job.payload;
+
+    if (!buffer && job.payload.path) {
+      // Spooled uploads can be several GB: only the header is read, the file is streamed to the provider
+      buffer = await readFileHeader(job.payload.path);
+    } else if (!buffer) {
+      context.setProgress('downloading', 5);
+      const file = await this.fetchRemoteAudio(job.payload.source);
+      // Keep the download for retries of the transcription itself
+      job.payload.buffer = buffer = file.buffer;
+      Object.assign(job.metadata, { filename: file.originalname, size: file.size, mimetype: file.mimetype });
+    }
+    if (context.isCancelled()) return undefined;
+
+    if (this.transcoding.enabled && !job.payload.transcoded && !isNativeAudio({ buffer, mimetype: job.metadata.mimetype })) {
+      context.setProgress('converting', 8);
+      const converted = await transcodeAudio(job.payload.path || buffer, {
+        ...this.transcoding,
+        keepChannels: params.multichannel,
+      });
+      // Keep the conversion for retries of the transcription itself
+      job.payload.buffer = buffer = converted.buffer;
+      job.payload.transcoded = true;
+      if (context.isCancelled()) return undefined;
+    }
+
+    // Jobs queued before a quota ran out must not exceed it
+    const usage = getUsageService();
+    usage.assertWithinQuota({ userId: params.user, channel: params.channel });
+
+    context.setProgress('transcribing', 10);
+    const audio = job.payload.buffer || fs.createReadStream(job.payload.path);
+    const result = await createDeepgramService().transcribeFile(audio, {
+      provider: params.provider,
+      language: params.language,
+      model: params.model,
+      multichannel: params.multichannel,
+      channelLabels: params.channelLabels,
+      slackChannel: params.channel,
+    }).finally(() => {
+      // Providers that fail before reading the file leave it open
+      if (!Buffer.isBuffer(audio)) audio.destroy();
+    });
+
+    if (!result.success) {
+      throw new Error(`Transcription failed: ${result.error}`);
+    }
+    usage.record({
+      source: 'upload',
+      seconds: fileDuration(result),
+      userId: params.user,
+      channel: params.channel,
+      conversationId: params.conversation,
+    });
+    if (context.isCancelled()) return undefined;
+
+    await createDeepgramService().recordFileTranscript(job.id, result, {
+      filename: job.metadata.filename,
+      slackChannel: params.channel,
+      conversationId: params.conversation,
+      language: params.language,
+      model: params.model,
+      multichannel: params.multichannel,
+      channelLabels: params.channelLabels,
+    });
+
+    // Posted once: a Slack failure does not fail (and retry) the transcription
+    if (params.channel && result.transcript) {
+      context.setProgress('posting', 90);
+      await postFileTranscription(result, params, job.metadata.filename);
+    }
+
+    return buildFileResponse(result, params, job.metadata);
+  }
+
+  /**
+   * Download the audio of a remote job within the upload size and duration limits
+   * @param {Object} source - { url } or { slackFileId }
+   * @returns {Promise<Object>} File in the shape of an upload ({ buffer, originalname, size, mimetype })
+   * @throws {RemoteAudioError} If the file cannot be used; these errors are not retried
+   */
+  async fetchRemoteAudio(source) {
+    const { maxBytes, maxDuration, timeoutMs, allowPrivate, protocols, slackToken } = this.remoteAudio;
+    let download;
+
+    if (source.slackFileId) {
+      const info = await this.getSlackFile(source.slackFileId);
+      download = await downloadSlackFile(info, { token: slackToken, maxBytes, maxDuration, timeoutMs, allowPrivate });
+    } else {
+      download = await downloadAudio(source.url, { maxBytes, timeoutMs, allowPrivate, protocols });
+    }
+
+    const file = {
+      buffer: download.buffer,
+      originalname: download.filename.replace(/[<>:"|?*/\\]/g, '_').replace(/^\.+|\.+$/g, '') || 'remote-audio',
+      size: download.buffer.length,
+      // Servers commonly label audio as application/octet-stream; fall back to the extension
+      mimetype: download.contentType.startsWith('audio/')
+        ? download.contentType
+        : EXTENSION_MIME_TYPES[download.filename.split('.').pop().toLowerCase()] || download.contentType,
+    };
+
+    const validation = validateAudioFile(file);
+    if (!validation.isValid) {
+      throw new RemoteAudioError(`Invalid audio file: ${validation.errors.join(', ')}`, 'INVALID_FILE');
+    }
+
+    // Files converted before transcription are held to the limit by the transcoder
+    if (this.transcoding.enabled && !isNativeAudio(file)) return file;
+
+    assertAudioDuration(file.buffer, maxDuration);
+    return file;
+  }
+
+  /**
+   * Look up a Slack file with the bot token
+   * @param {string} fileId - Slack file ID
+   * @returns {Promise<Object>} Slack file object
+   * @throws {RemoteAudioError} If Slack is unavailable or the file cannot be read
+   */
+  async getSlackFile(fileId) {
+    const slackService = getSlackService();
+    if (!slackService) {
+      throw new RemoteAudioError('Slack is not configured', 'SLACK_UNAVAILABLE');
+    }
+
+    try {
+      return await slackService.getFileInfo(fileId);
+    } catch (error) {
+      throw new RemoteAudioError(`Cannot read Slack file ${fileId}: ${error.data?.error || error.message}`, 'SLACK_FILE_ERROR');
+    }
+  }
+
+  /**
+   * Delete the spooled file of a finished job
+   * @param {Object} job - Finished job record
+   */
+  releaseSpooledFile(job) {
+    const filePath = this.spooledFiles.get(job.id);
+    if (!filePath) return;
+    this.spooledFiles.delete(job.id);
+
+    fs.promises.rm(filePath, { force: true })
+      .catch(error => logger.error(`Failed to delete spooled file of job ${job.id}:`, error));
+  }
+
+  /**
+   * Check that a callback URL does not point into a private network
+   *
+   * Skipped when REMOTE_AUDIO_ALLOW_PRIVATE is set, like remote audio downloads.
+   * @param {string} callbackUrl - Callback URL
+   * @throws {RemoteAudioError} FORBIDDEN_HOST if the host resolves to a private address
+   */
+  async assertCallbackHost(callbackUrl) {
+    if (this.remoteAudio.allowPrivate) return;
+    await assertPublicHost(new URL(callbackUrl));
+  }
+
+  /**
+   * POST the outcome of a finished job to its callback URL
+   *
+   * The body is signed with HMAC-SHA256 over "v1:<timestamp>:<body>", sent in the
+   * X-Signature (v1=<hex>) and X-Signature-Timestamp headers. The host is checked again before
+   * every attempt, and redirects are not followed.
+   * @param {Object} job - Finished job record
+   */
+  async notifyCallback(job) {
+    const callbackUrl = this.callbackUrls.get(job.id);
+    if (!callbackUrl) return;
+    this.callbackUrls.delete(job.id);
+
+    const body = JSON.stringify({ event: `job.${job.status}`, job: describeJob(job) });
+
+    for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      try {
+        const response = await sendRequest(new URL(callbackUrl), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Signature': signCallback(body, timestamp, this.callbackSecret),
+            'X-Signature-Timestamp': timestamp,
+          },
+          body,
+          signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+          allowPrivate: this.remoteAudio.allowPrivate,
+        });
+        response.body.resume();
+
+        if (response.ok) {
+          logger.info(`Delivered callback for job ${job.id}`, { status: job.status });
+          return;
+        }
+        logger.warn(`Callback for job ${job.id} returned ${response.status}`, { attempt });
+      } catch (error) {
+        if (error instanceof RemoteAudioError && error.code === 'FORBIDDEN_HOST') {
+          logger.error(`Refusing callback for job ${job.id}: ${error.message}`);
+          return;
+        }
+        logger.warn(`Callback for job ${job.id} failed: ${error.message}`, { attempt });
+      }
+
+      if (attempt < CALLBACK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, this.callbackRetryDelay * 2 ** (attempt - 1)));
+      }
+    }
+
+    logger.error(`Giving up delivering callback for job ${job.id}`);
+  }
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer>} Up to HEADER_BYTES bytes
+ */
+async function readFileHeader(filePath) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { bytesRead } = await handle.read(header, 0, HEADER_BYTES, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Sign a callback body
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature header value ("v1=<hex>")
+ */
+function signCallback(body, timestamp, secret) {
+  return 'v1=' + crypto
+    .createHmac('sha256', secret)
+    .update(`v1:${timestamp}:${body}`)
+    .digest('hex');
+}
+
+/**
+ * Post a file transcription to Slack, logging failures
+ * @param {Object} result - transcribeFile result
+ * @param {Object} params - Upload parameters
+ * @param {string} filename - Original file name
+ */
+async function postFileTranscription(result, params, filename) {
+  try {
+    const slackService = getSlackService();
+    if (!slackService) return;
+
+    const turns = params.multichannel ? result.turns : result.speakers;
+    const body = turns.length
+      ? formatTurns(turns, { slack: true })
+      : result.transcript;
+
+    await slackService.sendMessage({
+      channel: params.channel,
+      text: `📎 *File Transcription*\n${body}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `📎 *File Transcription*\n${body}`,
+          },
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `File: ${filename} | Confidence: ${Math.round(result.confidence * 100)}%${params.conversation ? ` | Conversation: ${params.conversation}` : ''}${result.detectedLanguage ? ` | ${formatDetectedLanguage(result.detectedLanguage)}` : ''}`,
+            },
+          ],
+        },
+      ],
+    });
+  } catch (slackError) {
+    logger.error('Failed to send to Slack:', slackError);
+    // Don't fail the job if Slack fails
+  }
+}
+
+/**
+ * Build the result body of a file transcription
+ * @param {Object} result - transcribeFile result
+ * @param {Object} params - Upload parameters
+ * @param {Object} file - File metadata ({ filename, size })
+ * @returns {Object} Transcription result
+ */
+function buildFileResponse(result, params, file) {
+  return {
+    success: true,
+    transcript: result.transcript,
+    confidence: result.confidence,
+    words: result.words,
+    speakers: result.speakers,
+    ...(params.multichannel ? { channels: result.channels, turns: result.turns } : {}),
+    ...(result.search.length ? { search: result.search } : {}),
+    ...(params.format ? {
+      subtitles: {
+        format: params.format,
+        content: renderSubtitles(result.words, params.format, params.subtitles),
+      },
+    } : {}),
+    metadata: {
+      filename: file.filename,
+      size: file.size,
+      duration: result.metadata.duration,
+      language: result.detectedLanguage?.language || params.language,
+      ...(result.detectedLanguage ? { languageConfidence: result.detectedLanguage.confidence } : {}),
+      model: params.model,
+      provider: result.provider,
+      redaction: result.redaction,
+      processedAt: new Date().toISOString(),
+    },
+  };
+}
+
+// Singleton instance
+let transcriptionJobService = null;
+
+/**
+ * Get transcription job service instance
+ * @returns {TranscriptionJobService} Service instance
+ */
+function getTranscriptionJobService() {
+  if (!transcriptionJobService) {
+    transcriptionJobService = new TranscriptionJobService();
+  }
+  return transcriptionJobService;
+}
+
+module.exports = {
+  TranscriptionJobService,
+  getTranscriptionJobService,
+  signCallback,
+};
@@ -0,0 +1,113 @@
+/**
+ * Transcript store contract
+ * Defines how live session transcripts are persisted and read back
+ */
+
+/**
+ * Base class for transcript stores
+ *
+ * A stored transcript is a session record ({ sessionId, conversationId, slackChannel, provider,
+ * language, model, multichannel, channelLabels, speakerNames, startedAt, endedAt, updatedAt })
+ * and the final segments of the session in the order they were appended.
+ */
+class TranscriptStore {
+  /**
+   * @param {string} name - Registry name of the store
+   * @param {Object} options - Store options
+   * @param {number} options.retentionMs - How long a transcript is kept after its last update (0: forever)
+   */
+  constructor(name, { retentionMs = 0 } = {}) {
+    this.name = name;
+    this.retentionMs = retentionMs;
+  }
+
+  /**
+   * Start recording a session
+   *
+   * The transcript of an earlier, ended session with the same ID is replaced. A session that never
+   * ended (e.g. the server restarted) keeps its segments and continues.
+   * @param {Object} _session - Session record
+   * @returns {Promise<boolean>} True if the transcript of an earlier session was replaced
+   */
+  startSession(_session) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement startSession()`));
+  }
+
+  /**
+   * Merge fields into a session record
+   * @param {string} _sessionId - Session identifier
+   * @param {Object} _changes - Fields to update (speakerNames, endedAt, ...)
+   * @returns {Promise<void>}
+   */
+  updateSession(_sessionId, _changes) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement updateSession()`));
+  }
+
+  /**
+   * Append a final segment to a session transcript
+   * @param {string} _sessionId - Session identifier
+   * @param {Object} _segment - Final segment (start, end, transcript, confidence, words, speakers, ...)
+   * @returns {Promise<void>}
+   */
+  appendSegment(_sessionId, _segment) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement appendSegment()`));
+  }
+
+  /**
+   * Read a session transcript
+   * @param {string} _sessionId - Session identifier
+   * @returns {Promise<Object|null>} { session, segments } or null if nothing is stored
+   */
+  getTranscript(_sessionId) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement getTranscript()`));
+  }
+
+  /**
+   * Delete a session transcript
+   * @param {string} _sessionId - Session identifier
+   * @returns {Promise<boolean>} True if a transcript was deleted
+   */
+  deleteTranscript(_sessionId) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement deleteTranscript()`));
+  }
+
+  /**
+   * Release connections and timers
+   * @returns {Promise<void>}
+   */
+  close() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Build the record of a session started over an existing one
+   * @param {Object|null} existing - Stored session record
+   * @param {Object} session - New session record
+   * @returns {Object} { session, reset } where reset means the stored segments are discarded
+   */
+  restartRecord(existing, session) {
+    const now = new Date().toISOString();
+    if (!existing || existing.endedAt || this.isExpired(existing)) {
+      return { session: { ...session, endedAt: null, updatedAt: now }, reset: !!existing };
+    }
+    return {
+      session: { ...existing, ...session, startedAt: existing.startedAt, endedAt: null, updatedAt: now },
+      reset: false,
+    };
+  }
+
+  /**
+   * Check whether a record is past the retention period
+   * @param {Object} session - Session record
+   * @returns {boolean} True if expired
+   */
+  isExpired(session) {
+    if (!this.retentionMs) return false;
+    const updatedAt = Date.parse(session.updatedAt || session.startedAt);
+    return Date.now() - updatedAt > this.retentionMs;
+  }
+}
+
+module.exports = {
+  TranscriptStore,
+};
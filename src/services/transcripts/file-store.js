@@ -0,0 +1,151 @@
+/**
+ * File transcript store
+ * Keeps each session as a JSON record next to an append-only JSON Lines file of segments
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { TranscriptStore } = require('./base-store');
+
+// How often transcripts past the retention period are deleted
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+class FileTranscriptStore extends TranscriptStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory holding the transcripts
+   * @param {number} options.retentionMs - How long a transcript is kept after its last update (0: forever)
+   */
+  constructor({ dir, retentionMs }) {
+    super('file', { retentionMs });
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.sweep();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get the file paths of a session
+   *
+   * Session IDs come from clients, so file names are derived from a hash rather than the ID itself.
+   * @param {string} sessionId - Session identifier
+   * @returns {Object} { record, segments } file paths
+   */
+  paths(sessionId) {
+    const name = crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 32);
+    return {
+      record: path.join(this.dir, `${name}.json`),
+      segments: path.join(this.dir, `${name}.jsonl`),
+    };
+  }
+
+  // File operations are synchronous so that appends of a session stay in order; the results are
+  // returned as settled promises to match the store interface
+
+  startSession(session) {
+    const files = this.paths(session.sessionId);
+    const { session: record, reset } = this.restartRecord(readRecord(files.record), session);
+
+    if (reset) fs.rmSync(files.segments, { force: true });
+    fs.writeFileSync(files.record, JSON.stringify(record));
+    return Promise.resolve(reset);
+  }
+
+  updateSession(sessionId, changes) {
+    const files = this.paths(sessionId);
+    const record = readRecord(files.record);
+    if (!record) return Promise.resolve();
+
+    fs.writeFileSync(files.record, JSON.stringify({
+      ...record,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    }));
+    return Promise.resolve();
+  }
+
+  appendSegment(sessionId, segment) {
+    fs.appendFileSync(this.paths(sessionId).segments, `${JSON.stringify(segment)}\n`);
+    return Promise.resolve();
+  }
+
+  getTranscript(sessionId) {
+    const files = this.paths(sessionId);
+    const session = readRecord(files.record);
+    if (!session || session.sessionId !== sessionId || this.isExpired(session)) return Promise.resolve(null);
+
+    const segments = fs.existsSync(files.segments)
+      ? fs.readFileSync(files.segments, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+      : [];
+
+    return Promise.resolve({ session, segments });
+  }
+
+  deleteTranscript(sessionId) {
+    const files = this.paths(sessionId);
+    const existed = fs.existsSync(files.record);
+    fs.rmSync(files.record, { force: true });
+    fs.rmSync(files.segments, { force: true });
+    return Promise.resolve(existed);
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    return Promise.resolve();
+  }
+
+  /**
+   * Delete transcripts past the retention period
+   */
+  sweep() {
+    if (!this.retentionMs) return;
+
+    try {
+      let deleted = 0;
+      for (const file of fs.readdirSync(this.dir)) {
+        if (!file.endsWith('.json')) continue;
+
+        const recordPath = path.join(this.dir, file);
+        const record = readRecord(recordPath);
+        if (record && !this.isExpired(record)) continue;
+
+        fs.rmSync(recordPath, { force: true });
+        fs.rmSync(`${recordPath}l`, { force: true });
+        deleted++;
+      }
+
+      if (deleted > 0) {
+        logger.info(`Deleted ${deleted} expired transcripts from ${this.dir}`);
+      }
+    } catch (error) {
+      logger.error('Failed to sweep transcript files:', error);
+    }
+  }
+}
+
+/**
+ * Read a session record
+ * @param {string} filePath - Record file
+ * @returns {Object|null} Session record, or null if missing or unreadable
+ */
+function readRecord(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to read transcript record ${filePath}:`, error);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  FileTranscriptStore,
+};
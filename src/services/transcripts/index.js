@@ -0,0 +1,63 @@
+/**
+ * Transcript store registry
+ * Resolves where live session transcripts are persisted from configuration
+ */
+
+const { getConfig } = require('../../config/environment');
+const { TranscriptStore } = require('./base-store');
+const { FileTranscriptStore } = require('./file-store');
+const { MemoryTranscriptStore } = require('./memory-store');
+const { RedisTranscriptStore } = require('./redis-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Store factories keyed by name; instances are created lazily on first use
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a transcript store factory
+ * @param {string} name - Store name
+ * @param {Function} factory - Function receiving the transcript config and returning a TranscriptStore
+ */
+function registerTranscriptStore(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a transcript store instance
+ * @param {string} name - Store name (defaults to TRANSCRIPT_STORE, or redis when REDIS_URL is set)
+ * @returns {TranscriptStore} Store instance
+ * @throws {Error} If the store is not registered
+ */
+function getTranscriptStore(name) {
+  const config = getConfig();
+  const storeName = name || config.transcripts.store;
+
+  if (!factories.has(storeName)) {
+    throw new Error(`Unknown transcript store: ${storeName}`);
+  }
+
+  if (!instances.has(storeName)) {
+    const retentionMs = (config.transcripts.retentionDays || 0) * DAY_MS;
+    instances.set(storeName, factories.get(storeName)({ ...config.transcripts, retentionMs, redisUrl: config.redis.url }));
+  }
+
+  return instances.get(storeName);
+}
+
+registerTranscriptStore('file', ({ dir, retentionMs }) => new FileTranscriptStore({ dir, retentionMs }));
+registerTranscriptStore('memory', ({ retentionMs }) => new MemoryTranscriptStore({ retentionMs }));
+registerTranscriptStore('redis', ({ redisUrl, retentionMs }) => {
+  if (!redisUrl) {
+    throw new Error('The redis transcript store requires REDIS_URL');
+  }
+  return new RedisTranscriptStore({ url: redisUrl, retentionMs });
+});
+
+module.exports = {
+  TranscriptStore,
+  registerTranscriptStore,
+  getTranscriptStore,
+};
@@ -0,0 +1,66 @@
+/**
+ * In-memory transcript store
+ * Keeps transcripts for the lifetime of the process, for development and hosts without storage
+ */
+
+const { TranscriptStore } = require('./base-store');
+
+class MemoryTranscriptStore extends TranscriptStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.retentionMs - How long a transcript is kept after its last update (0: forever)
+   */
+  constructor({ retentionMs } = {}) {
+    super('memory', { retentionMs });
+    this.transcripts = new Map();
+  }
+
+  startSession(session) {
+    this.sweep();
+
+    const existing = this.transcripts.get(session.sessionId);
+    const { session: record, reset } = this.restartRecord(existing?.session, session);
+    this.transcripts.set(session.sessionId, {
+      session: record,
+      segments: existing && !reset ? existing.segments : [],
+    });
+    return Promise.resolve(reset);
+  }
+
+  updateSession(sessionId, changes) {
+    const transcript = this.transcripts.get(sessionId);
+    if (transcript) {
+      transcript.session = { ...transcript.session, ...changes, updatedAt: new Date().toISOString() };
+    }
+    return Promise.resolve();
+  }
+
+  appendSegment(sessionId, segment) {
+    this.transcripts.get(sessionId)?.segments.push(segment);
+    return Promise.resolve();
+  }
+
+  getTranscript(sessionId) {
+    const transcript = this.transcripts.get(sessionId);
+    if (!transcript || this.isExpired(transcript.session)) return Promise.resolve(null);
+
+    return Promise.resolve({ session: { ...transcript.session }, segments: [...transcript.segments] });
+  }
+
+  deleteTranscript(sessionId) {
+    return Promise.resolve(this.transcripts.delete(sessionId));
+  }
+
+  /**
+   * Drop transcripts past the retention period
+   */
+  sweep() {
+    for (const [sessionId, transcript] of this.transcripts) {
+      if (this.isExpired(transcript.session)) this.transcripts.delete(sessionId);
+    }
+  }
+}
+
+module.exports = {
+  MemoryTranscriptStore,
+};
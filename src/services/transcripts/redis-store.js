@@ -0,0 +1,146 @@
+/**
+ * Redis transcript store
+ * Keeps each session as a JSON record and a list of JSON segments, expiring after the retention period
+ */
+
+const { createClient } = require('redis');
+const { logger } = require('../../utils/logger');
+const { TranscriptStore } = require('./base-store');
+
+class RedisTranscriptStore extends TranscriptStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis connection URL
+   * @param {number} options.retentionMs - How long a transcript is kept after its last update (0: forever)
+   * @param {string} options.prefix - Key prefix
+   */
+  constructor({ url, retentionMs, prefix = 'transcript:' }) {
+    super('redis', { retentionMs });
+    this.url = url;
+    this.prefix = prefix;
+    this.client = null;
+    this.ready = null;
+  }
+
+  /**
+   * Connect on first use
+   * @returns {Promise<Object>} Connected Redis client
+   */
+  connect() {
+    if (!this.ready) {
+      this.client = createClient({ url: this.url });
+      this.client.on('error', error => logger.error('Transcript store Redis error:', error));
+      this.ready = this.client.connect()
+        .then(() => this.client)
+        .catch(error => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Get the keys of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object} { record, segments } keys
+   */
+  keys(sessionId) {
+    return {
+      record: `${this.prefix}${sessionId}:session`,
+      segments: `${this.prefix}${sessionId}:segments`,
+    };
+  }
+
+  async startSession(session) {
+    const client = await this.connect();
+    const keys = this.keys(session.sessionId);
+    const existing = parseRecord(await client.get(keys.record));
+    const { session: record, reset } = this.restartRecord(existing, session);
+
+    const transaction = client.multi();
+    if (reset) transaction.del(keys.segments);
+    transaction.set(keys.record, JSON.stringify(record));
+    this.expire(transaction, keys);
+    await transaction.exec();
+    return reset;
+  }
+
+  async updateSession(sessionId, changes) {
+    const client = await this.connect();
+    const keys = this.keys(sessionId);
+    const record = parseRecord(await client.get(keys.record));
+    if (!record) return;
+
+    const transaction = client.multi();
+    transaction.set(keys.record, JSON.stringify({
+      ...record,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    }));
+    this.expire(transaction, keys);
+    await transaction.exec();
+  }
+
+  async appendSegment(sessionId, segment) {
+    const client = await this.connect();
+    const keys = this.keys(sessionId);
+
+    const transaction = client.multi();
+    transaction.rPush(keys.segments, JSON.stringify(segment));
+    this.expire(transaction, keys);
+    await transaction.exec();
+  }
+
+  async getTranscript(sessionId) {
+    const client = await this.connect();
+    const keys = this.keys(sessionId);
+    const [record, segments] = await Promise.all([
+      client.get(keys.record),
+      client.lRange(keys.segments, 0, -1),
+    ]);
+
+    const session = parseRecord(record);
+    if (!session) return null;
+
+    return { session, segments: segments.map(segment => JSON.parse(segment)) };
+  }
+
+  async deleteTranscript(sessionId) {
+    const client = await this.connect();
+    const keys = this.keys(sessionId);
+    return (await client.del([keys.record, keys.segments])) > 0;
+  }
+
+  async close() {
+    if (!this.ready) return;
+
+    const client = await this.ready.catch(() => null);
+    this.ready = null;
+    await client?.quit();
+  }
+
+  /**
+   * Restart the expiry of a session's keys
+   * @param {Object} transaction - Redis MULTI transaction
+   * @param {Object} keys - Session keys
+   */
+  expire(transaction, keys) {
+    if (!this.retentionMs) return;
+    transaction.pExpire(keys.record, this.retentionMs);
+    transaction.pExpire(keys.segments, this.retentionMs);
+  }
+}
+
+/**
+ * Parse a stored session record
+ * @param {string|null} value - Stored JSON
+ * @returns {Object|null} Session record
+ */
+function parseRecord(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+module.exports = {
+  RedisTranscriptStore,
+};
@@ -0,0 +1,154 @@
+/**
+ * Translation service
+ * Resolves the target languages of a channel or session and translates finalized transcripts
+ */
+
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { ScopedStore } = require('../utils/scoped-store');
+const { getTranslationProvider, primaryLanguage } = require('./translation');
+
+const MAX_TARGETS = 5;
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Validate and normalize translation settings
+ * @param {Object} input - Raw settings ({ targets: ["fr", "es-ES"] })
+ * @returns {Object} Validation result with normalized settings
+ */
+function validateTranslation(input) {
+  const errors = [];
+  const settings = { targets: [] };
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { isValid: false, errors: ['translation settings must be an object'], settings };
+  }
+
+  const { targets = [] } = input;
+
+  if (!Array.isArray(targets) || targets.length > MAX_TARGETS) {
+    errors.push(`targets must be an array of at most ${MAX_TARGETS} language codes`);
+  } else {
+    for (const target of targets) {
+      if (typeof target !== 'string' || !LANGUAGE_PATTERN.test(target)) {
+        errors.push(`invalid target language: ${JSON.stringify(target)}`);
+      }
+    }
+    settings.targets = [...new Set(targets)];
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    settings,
+  };
+}
+
+class TranslationService {
+  constructor() {
+    const config = getConfig();
+    this.store = new ScopedStore({ name: 'translation settings', filePath: config.translation.file });
+    this.defaultSettings = { targets: config.translation.defaultTargets };
+  }
+
+  /**
+   * Get the settings stored for a scope
+   * @param {string} scope - 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {Object|null} Settings or null if none are defined
+   */
+  get(scope, id) {
+    return this.store.get(scope, id) || null;
+  }
+
+  /**
+   * Replace the settings of a scope
+   * @param {string} scope - 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @param {Object} settings - Normalized settings
+   * @returns {Object} Stored settings
+   */
+  set(scope, id, settings) {
+    this.store.set(scope, id, settings);
+    logger.info(`Translation targets updated for ${this.store.key(scope, id)}`, { targets: settings.targets });
+    return settings;
+  }
+
+  /**
+   * Delete the settings of a scope
+   * @param {string} scope - 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {boolean} True if settings were deleted
+   */
+  clear(scope, id) {
+    return this.store.delete(scope, id);
+  }
+
+  /**
+   * Resolve the effective settings for a channel and session
+   *
+   * Session settings replace channel settings, which replace the default targets.
+   * @param {Object} context - Resolution context
+   * @param {string} context.channel - Slack channel
+   * @param {string} context.session - Session identifier
+   * @returns {Object} Effective settings ({ targets })
+   */
+  resolve({ channel, session } = {}) {
+    return (session && this.get('session', session)) ||
+      (channel && this.get('channel', channel)) ||
+      this.defaultSettings;
+  }
+
+  /**
+   * Translate a transcript into each target language, turn by turn when speaker turns are given
+   * @param {Object} transcript - Transcript to translate
+   * @param {string} transcript.transcript - Full text
+   * @param {Array<Object>} transcript.turns - Speaker or channel turns ({ label, transcript })
+   * @param {Object} options - Translation options
+   * @param {string} options.source - Spoken language; targets in the same language are skipped
+   * @param {Array<string>} options.targets - Target language codes
+   * @returns {Promise<Array<Object>>} [{ language, transcript, turns }]
+   */
+  translate({ transcript, turns = [] }, { source, targets }) {
+    const provider = getTranslationProvider();
+    const languages = targets.filter(target => primaryLanguage(target) !== primaryLanguage(source));
+
+    return Promise.all(languages.map(async (target) => {
+      const options = { source, target };
+
+      if (turns.length === 0) {
+        return { language: target, transcript: await provider.translate(transcript, options), turns: [] };
+      }
+
+      const translatedTurns = await Promise.all(turns.map(async turn => ({
+        ...turn,
+        transcript: await provider.translate(turn.transcript, options),
+      })));
+      return {
+        language: target,
+        transcript: translatedTurns.map(turn => turn.transcript).join(' '),
+        turns: translatedTurns,
+      };
+    }));
+  }
+}
+
+// Singleton instance
+let translationService = null;
+
+/**
+ * Get translation service instance
+ * @returns {TranslationService} Service instance
+ */
+function getTranslationService() {
+  if (!translationService) {
+    translationService = new TranslationService();
+  }
+  return translationService;
+}
+
+module.exports = {
+  TranslationService,
+  getTranslationService,
+  validateTranslation,
+};
@@ -0,0 +1,52 @@
+/**
+ * Translation provider contract
+ * Defines the interface every text translation engine implements
+ */
+
+/**
+ * Base class for translation engines
+ */
+class TranslationProvider {
+  /**
+   * @param {string} name - Registry name of the provider
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Translate a piece of text
+   * @param {string} _text - Text to translate
+   * @param {Object} _options - Translation options
+   * @param {string} _options.source - Source language code (detected by the engine when unset)
+   * @param {string} _options.target - Target language code
+   * @returns {Promise<string>} Translated text
+   */
+  translate(_text, _options) {
+    return Promise.reject(new Error(`${this.constructor.name} must implement translate()`));
+  }
+
+  /**
+   * Describe what the provider supports
+   * @returns {Object} Capabilities (languages)
+   */
+  getCapabilities() {
+    return {
+      languages: [],
+    };
+  }
+}
+
+/**
+ * Primary subtag of a language code ("fr-CA" -> "fr")
+ * @param {string} language - Language code
+ * @returns {string} Lower-case primary language
+ */
+function primaryLanguage(language) {
+  return (language || '').split('-')[0].toLowerCase();
+}
+
+module.exports = {
+  TranslationProvider,
+  primaryLanguage,
+};
@@ -0,0 +1,61 @@
+/**
+ * Translation provider registry
+ * Resolves translation engines by name from configuration
+ */
+
+const { getConfig } = require('../../config/environment');
+const { TranslationProvider, primaryLanguage } = require('./base-provider');
+const { LocalTranslationProvider } = require('./local-provider');
+
+// Provider factories keyed by name; instances are created lazily on first use
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a translation provider factory
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function returning a TranslationProvider instance
+ */
+function registerTranslationProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Check whether a translation provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} True if registered
+ */
+function hasTranslationProvider(name) {
+  return factories.has(name);
+}
+
+/**
+ * Get a translation provider instance
+ * @param {string} name - Provider name (defaults to TRANSLATION_PROVIDER)
+ * @returns {TranslationProvider} Provider instance
+ * @throws {Error} If the provider is not registered
+ */
+function getTranslationProvider(name) {
+  const providerName = name || getConfig().translation.provider;
+
+  if (!factories.has(providerName)) {
+    throw new Error(`Unknown translation provider: ${providerName}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, factories.get(providerName)());
+  }
+
+  return instances.get(providerName);
+}
+
+registerTranslationProvider('local', () => new LocalTranslationProvider());
+
+module.exports = {
+  TranslationProvider,
+  primaryLanguage,
+  registerTranslationProvider,
+  hasTranslationProvider,
+  getTranslationProvider,
+};
@@ -0,0 +1,119 @@
+/**
+ * Local deterministic translation provider
+ * Translates word by word from a small English dictionary, echoing unknown words, for offline tests and demos
+ */
+
+const { TranslationProvider, primaryLanguage } = require('./base-provider');
+
+// English words keyed by target language; anything else is kept as is
+const DICTIONARY = {
+  fr: {
+    welcome: 'bienvenue',
+    everyone: 'tous',
+    to: 'à',
+    the: 'le',
+    weekly: 'hebdomadaire',
+    sync: 'synchro',
+    release: 'version',
+    is: 'est',
+    on: 'en',
+    track: 'voie',
+    for: 'pour',
+    friday: 'vendredi',
+    thanks: 'merci',
+    see: 'voir',
+    you: 'vous',
+    next: 'prochain',
+    week: 'semaine',
+    yes: 'oui',
+    no: 'non',
+    hello: 'bonjour',
+  },
+  es: {
+    welcome: 'bienvenidos',
+    everyone: 'todos',
+    to: 'a',
+    the: 'la',
+    weekly: 'semanal',
+    sync: 'reunión',
+    release: 'versión',
+    is: 'está',
+    on: 'en',
+    track: 'camino',
+    for: 'para',
+    friday: 'viernes',
+    thanks: 'gracias',
+    see: 'ver',
+    you: 'ustedes',
+    next: 'próxima',
+    week: 'semana',
+    yes: 'sí',
+    no: 'no',
+    hello: 'hola',
+  },
+  de: {
+    welcome: 'willkommen',
+    everyone: 'alle',
+    to: 'zu',
+    the: 'die',
+    weekly: 'wöchentlich',
+    sync: 'Abstimmung',
+    release: 'Version',
+    is: 'ist',
+    on: 'im',
+    track: 'Plan',
+    for: 'für',
+    friday: 'Freitag',
+    thanks: 'danke',
+    see: 'sehen',
+    you: 'euch',
+    next: 'nächste',
+    week: 'Woche',
+    yes: 'ja',
+    no: 'nein',
+    hello: 'hallo',
+  },
+};
+
+class LocalTranslationProvider extends TranslationProvider {
+  constructor() {
+    super('local');
+  }
+
+  translate(text, options = {}) {
+    const dictionary = DICTIONARY[primaryLanguage(options.target)];
+    if (!dictionary || !text) return Promise.resolve(text);
+
+    return Promise.resolve(text
+      .split(/\s+/)
+      .map(token => translateToken(token, dictionary))
+      .join(' '));
+  }
+
+  getCapabilities() {
+    return {
+      languages: Object.keys(DICTIONARY),
+    };
+  }
+}
+
+/**
+ * Translate one whitespace-separated token, keeping its punctuation and capitalization
+ * @param {string} token - Token such as "Friday."
+ * @param {Object} dictionary - Lower-case word translations
+ * @returns {string} Translated token
+ */
+function translateToken(token, dictionary) {
+  const [, leading, word, trailing] = token.match(/^(\W*)([\w']*)(\W*)$/) || [null, '', token, ''];
+  const translated = dictionary[word.toLowerCase()];
+  if (!translated) return token;
+
+  const cased = word[0] === word[0].toUpperCase() && word[0] !== word[0].toLowerCase()
+    ? translated[0].toUpperCase() + translated.slice(1)
+    : translated;
+  return `${leading}${cased}${trailing}`;
+}
+
+module.exports = {
+  LocalTranslationProvider,
+};
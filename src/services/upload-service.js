@@ -0,0 +1,385 @@
+/**
+ * Resumable chunked uploads
+ * Spools numbered chunks of large recordings to disk and hands the assembled file to the job queue
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { getConfig } = require('../config/environment');
+const { AppError } = require('../middleware/error-handler');
+const { logger } = require('../utils/logger');
+const { generateSecureToken } = require('../utils/security');
+const { validateAudioFile, parseFileSize } = require('../utils/validation');
+const { getTranscriptionJobService } = require('./transcription-job-service');
+
+const MANIFEST = 'manifest.json';
+const HEADER_BYTES = 16;
+
+class ChunkedUploadService {
+  constructor() {
+    const config = getConfig();
+    this.dir = path.resolve(config.uploads.dir);
+    this.chunkSize = parseFileSize(config.uploads.chunkSize);
+    this.maxSize = parseFileSize(config.uploads.maxSize);
+    // Video and other containers are accepted as for single uploads, and converted by the job
+    this.allowTranscoding = config.transcoding.enabled;
+    this.ttlMs = config.uploads.ttlMs;
+    this.uploads = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.restore();
+    setInterval(() => this.sweep(), Math.min(this.ttlMs, 60 * 60 * 1000)).unref();
+  }
+
+  /**
+   * Start an upload
+   * @param {Object} file - Announced file
+   * @param {string} file.filename - Original file name
+   * @param {number} file.size - Total size in bytes
+   * @param {string} file.mimetype - Audio MIME type, or video when transcoding is enabled
+   * @param {Object} params - Sanitized transcription parameters, as for uploads
+   * @param {string} callbackUrl - URL receiving a signed POST once the job finishes
+   * @returns {Promise<Object>} Upload description
+   * @throws {AppError} If the announced file is not accepted
+   */
+  async create({ filename, size, mimetype }, params, callbackUrl) {
+    const validation = validateAudioFile({ originalname: filename, size, mimetype }, {
+      maxSize: this.maxSize,
+      allowTranscoding: this.allowTranscoding,
+    });
+    if (!validation.isValid) {
+      throw new AppError(`Invalid audio file: ${validation.errors.join(', ')}`, 400, 'INVALID_FILE');
+    }
+
+    const now = new Date();
+    const upload = {
+      id: `upl_${generateSecureToken(12)}`,
+      status: 'uploading',
+      filename,
+      size,
+      mimetype,
+      chunkSize: this.chunkSize,
+      chunkCount: Math.ceil(size / this.chunkSize),
+      received: new Set(),
+      params,
+      callbackUrl,
+      jobId: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await fs.promises.mkdir(this.uploadDir(upload.id));
+    await this.saveManifest(upload);
+    this.uploads.set(upload.id, upload);
+
+    logger.info(`Started chunked upload ${upload.id}`, { filename, size, chunks: upload.chunkCount });
+    return describeUpload(upload, this.ttlMs);
+  }
+
+  /**
+   * Get the progress of an upload
+   * @param {string} id - Upload identifier
+   * @returns {Object|null} Upload description or null if unknown
+   */
+  get(id) {
+    const upload = this.uploads.get(id);
+    return upload ? describeUpload(upload, this.ttlMs) : null;
+  }
+
+  /**
+   * Store one chunk; sending a chunk again replaces it
+   * @param {string} id - Upload identifier
+   * @param {number} index - Zero-based chunk number
+   * @param {Buffer} data - Chunk bytes
+   * @param {string} checksum - Optional hex SHA-256 of the chunk
+   * @returns {Promise<Object>} Upload description
+   * @throws {AppError} If the upload is unknown, finished, or the chunk is invalid
+   */
+  async writeChunk(id, index, data, checksum) {
+    const upload = this.requireUploading(id);
+
+    if (!Number.isInteger(index) || index < 0 || index >= upload.chunkCount) {
+      throw new AppError(`Chunk index must be between 0 and ${upload.chunkCount - 1}`, 400, 'INVALID_CHUNK');
+    }
+
+    const expected = chunkLength(upload, index);
+    if (!Buffer.isBuffer(data) || data.length !== expected) {
+      throw new AppError(`Chunk ${index} must be ${expected} bytes, got ${data?.length || 0}`, 400, 'INVALID_CHUNK');
+    }
+
+    if (checksum && crypto.createHash('sha256').update(data).digest('hex') !== checksum.toLowerCase()) {
+      throw new AppError(`Chunk ${index} does not match its checksum`, 400, 'CHECKSUM_MISMATCH');
+    }
+
+    // Written aside and renamed so an interrupted request never leaves a partial chunk
+    const target = this.chunkPath(id, index);
+    const temporary = `${target}.${generateSecureToken(4)}.tmp`;
+    await fs.promises.writeFile(temporary, data);
+    await fs.promises.rename(temporary, target);
+
+    upload.received.add(index);
+    upload.updatedAt = new Date();
+    await this.saveManifest(upload);
+
+    return describeUpload(upload, this.ttlMs);
+  }
+
+  /**
+   * Assemble a fully received upload and queue its transcription
+   *
+   * Completing an upload again returns the job queued the first time.
+   * @param {string} id - Upload identifier
+   * @returns {Promise<Object>} Job description
+   * @throws {AppError} If the upload is unknown or chunks are missing
+   */
+  async complete(id) {
+    const upload = this.uploads.get(id);
+    if (upload?.status === 'completed') {
+      return getTranscriptionJobService().getJob(upload.jobId) || { id: upload.jobId, status: 'unknown' };
+    }
+
+    this.requireUploading(id);
+    const missing = missingChunks(upload);
+    if (missing.length > 0) {
+      throw new AppError(`Missing ${missing.length} chunk(s), first missing: ${missing[0]}`, 409, 'UPLOAD_INCOMPLETE');
+    }
+
+    upload.status = 'completing';
+    const filePath = path.join(this.dir, `${id}.audio`);
+
+    try {
+      await this.assemble(upload, filePath);
+
+      const header = Buffer.alloc(HEADER_BYTES);
+      const handle = await fs.promises.open(filePath, 'r');
+      await handle.read(header, 0, HEADER_BYTES, 0).finally(() => handle.close());
+
+      const validation = validateAudioFile(
+        { buffer: header, originalname: upload.filename, size: upload.size, mimetype: upload.mimetype },
+        { maxSize: this.maxSize, allowTranscoding: this.allowTranscoding },
+      );
+      if (!validation.isValid) {
+        throw new AppError(`Invalid audio file: ${validation.errors.join(', ')}`, 400, 'INVALID_FILE');
+      }
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      upload.status = 'uploading';
+      throw error;
+    }
+
+    const job = getTranscriptionJobService().submitSpooled(
+      { path: filePath, originalname: upload.filename, size: upload.size, mimetype: upload.mimetype },
+      upload.params,
+      upload.callbackUrl,
+    );
+
+    Object.assign(upload, { status: 'completed', jobId: job.id, updatedAt: new Date(), received: new Set() });
+    await fs.promises.rm(this.uploadDir(id), { recursive: true, force: true });
+
+    logger.info(`Completed chunked upload ${id}`, { jobId: job.id, size: upload.size });
+    return job;
+  }
+
+  /**
+   * Abandon an upload and delete its chunks
+   * @param {string} id - Upload identifier
+   * @returns {Promise<boolean>} True if the upload existed
+   */
+  async abort(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) return false;
+
+    this.uploads.delete(id);
+    await fs.promises.rm(this.uploadDir(id), { recursive: true, force: true });
+    logger.info(`Aborted chunked upload ${id}`);
+    return true;
+  }
+
+  /**
+   * Concatenate the chunks of an upload into one file
+   * @param {Object} upload - Upload record
+   * @param {string} filePath - Destination file
+   */
+  async assemble(upload, filePath) {
+    const output = fs.createWriteStream(filePath);
+    const chunkPaths = Array.from({ length: upload.chunkCount }, (_, index) => this.chunkPath(upload.id, index));
+
+    await pipeline(async function* () {
+      for (const chunkPath of chunkPaths) {
+        yield* fs.createReadStream(chunkPath);
+      }
+    }, output);
+
+    const { size } = await fs.promises.stat(filePath);
+    if (size !== upload.size) {
+      throw new AppError(`Assembled file is ${size} bytes, expected ${upload.size}`, 409, 'UPLOAD_INCOMPLETE');
+    }
+  }
+
+  /**
+   * Get an upload that still accepts chunks
+   * @param {string} id - Upload identifier
+   * @returns {Object} Upload record
+   * @throws {AppError} If the upload is unknown or no longer accepts chunks
+   */
+  requireUploading(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) {
+      throw new AppError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+    }
+    if (upload.status !== 'uploading') {
+      throw new AppError(`Upload already ${upload.status}`, 409, 'UPLOAD_FINISHED');
+    }
+    return upload;
+  }
+
+  /**
+   * Delete uploads without activity for longer than the TTL
+   */
+  sweep() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const upload of this.uploads.values()) {
+      if (upload.updatedAt.getTime() < cutoff && upload.status !== 'completing') {
+        logger.info(`Expiring chunked upload ${upload.id}`, { status: upload.status });
+        this.abort(upload.id).catch(error => logger.error(`Failed to expire upload ${upload.id}:`, error));
+      }
+    }
+  }
+
+  /**
+   * Reload uploads in progress from their manifests after a restart
+   *
+   * Assembled files left behind belonged to jobs of the previous process and are deleted.
+   */
+  restore() {
+    for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      const entryPath = path.join(this.dir, entry.name);
+
+      if (entry.isFile() && entry.name.endsWith('.audio')) {
+        fs.rmSync(entryPath, { force: true });
+        continue;
+      }
+      if (!entry.isDirectory()) continue;
+
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(entryPath, MANIFEST), 'utf8'));
+        this.uploads.set(manifest.id, {
+          ...manifest,
+          status: 'uploading',
+          received: new Set(manifest.received),
+          createdAt: new Date(manifest.createdAt),
+          updatedAt: new Date(manifest.updatedAt),
+        });
+      } catch (error) {
+        logger.warn(`Discarding unreadable upload ${entry.name}: ${error.message}`);
+        fs.rmSync(entryPath, { recursive: true, force: true });
+      }
+    }
+
+    if (this.uploads.size > 0) {
+      logger.info(`Restored ${this.uploads.size} chunked upload(s) from ${this.dir}`);
+    }
+  }
+
+  /**
+   * Persist the state of an upload next to its chunks
+   * @param {Object} upload - Upload record
+   */
+  async saveManifest(upload) {
+    const manifestPath = path.join(this.uploadDir(upload.id), MANIFEST);
+    const temporary = `${manifestPath}.${generateSecureToken(4)}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify({ ...upload, received: [...upload.received] }));
+    await fs.promises.rename(temporary, manifestPath);
+  }
+
+  /**
+   * @param {string} id - Upload identifier
+   * @returns {string} Directory holding the chunks of an upload
+   */
+  uploadDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * @param {string} id - Upload identifier
+   * @param {number} index - Chunk number
+   * @returns {string} File holding one chunk
+   */
+  chunkPath(id, index) {
+    return path.join(this.uploadDir(id), `${index}.part`);
+  }
+}
+
+/**
+ * Get the expected length of a chunk; only the last one may be shorter
+ * @param {Object} upload - Upload record
+ * @param {number} index - Chunk number
+ * @returns {number} Length in bytes
+ */
+function chunkLength(upload, index) {
+  return Math.min(upload.chunkSize, upload.size - index * upload.chunkSize);
+}
+
+/**
+ * List the chunks not received yet
+ * @param {Object} upload - Upload record
+ * @returns {Array<number>} Missing chunk numbers
+ */
+function missingChunks(upload) {
+  const missing = [];
+  for (let index = 0; index < upload.chunkCount; index++) {
+    if (!upload.received.has(index)) missing.push(index);
+  }
+  return missing;
+}
+
+/**
+ * Describe an upload for clients
+ *
+ * `offset` counts the bytes received without gaps from the start of the file, which is
+ * where a client uploading chunks in order resumes.
+ * @param {Object} upload - Upload record
+ * @param {number} ttlMs - Inactivity before the upload expires
+ * @returns {Object} Public upload fields
+ */
+function describeUpload(upload, ttlMs) {
+  const missing = upload.status === 'uploading' ? missingChunks(upload) : [];
+  const contiguous = missing.length > 0 ? missing[0] : upload.chunkCount;
+
+  return {
+    id: upload.id,
+    status: upload.status,
+    filename: upload.filename,
+    size: upload.size,
+    chunkSize: upload.chunkSize,
+    chunkCount: upload.chunkCount,
+    receivedChunks: upload.status === 'uploading' ? upload.received.size : upload.chunkCount,
+    offset: Math.min(contiguous * upload.chunkSize, upload.size),
+    missingChunks: missing.slice(0, 100),
+    ...(upload.jobId ? { jobId: upload.jobId } : {}),
+    createdAt: upload.createdAt,
+    updatedAt: upload.updatedAt,
+    expiresAt: new Date(upload.updatedAt.getTime() + ttlMs),
+  };
+}
+
+// Singleton instance
+let uploadService = null;
+
+/**
+ * Get chunked upload service instance
+ * @returns {ChunkedUploadService} Service instance
+ */
+function getUploadService() {
+  if (!uploadService) {
+    uploadService = new ChunkedUploadService();
+  }
+  return uploadService;
+}
+
+module.exports = {
+  ChunkedUploadService,
+  getUploadService,
+};
@@ -0,0 +1,371 @@
+/**
+ * Usage metering and quotas
+ * Counts audio seconds streamed and uploaded per workspace, channel, user and conversation,
+ * and enforces daily and monthly quotas
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../middleware/error-handler');
+
+// Scopes usage is counted for; quotas apply to the first three
+const USAGE_SCOPES = ['workspace', 'channel', 'user', 'conversation'];
+const QUOTA_SCOPES = ['workspace', 'channel', 'user'];
+const QUOTA_PERIODS = ['daily', 'monthly'];
+// Counters are written at most this often, streams record usage with every result
+const SAVE_DELAY_MS = 5000;
+// Counters older than this are dropped
+const DAY_RETENTION = 62;
+const MONTH_RETENTION = 24;
+
+/**
+ * Raised when a quota is used up; not retried by job queues
+ */
+class QuotaExceededError extends AppError {
+  /**
+   * @param {Object} quota - Exceeded quota ({ scope, id, period, usedSeconds, limitSeconds })
+   */
+  constructor(quota) {
+    super(describeQuota(quota, 'used up'), 429, 'QUOTA_EXCEEDED');
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+    this.retryable = false;
+  }
+}
+
+class UsageService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.filePath - JSON file to persist counters and quota overrides to (in-memory only when unset)
+   * @param {Object} options.quotas - Default quotas in minutes by scope and period (0: unlimited)
+   * @param {number} options.warningRatio - Share of a quota at which a warning is given
+   */
+  constructor({ filePath, quotas, warningRatio }) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.defaultQuotas = quotas;
+    this.warningRatio = warningRatio;
+    // Period key ("day:2026-01-31", "month:2026-01") -> scope key ("workspace", "channel:C123") -> { stream, upload }
+    this.usage = new Map();
+    // Scope key -> { daily, monthly } in minutes
+    this.quotas = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Record audio seconds
+   * @param {Object} usage - Usage to record
+   * @param {string} usage.source - 'stream' or 'upload'
+   * @param {number} usage.seconds - Audio seconds
+   * @param {string} usage.userId - User who sent the audio
+   * @param {string} usage.channel - Slack channel
+   * @param {string} usage.conversationId - Conversation identifier
+   * @param {Date} at - Time of use
+   */
+  record({ source, seconds, userId, channel, conversationId }, at = new Date()) {
+    if (!(seconds > 0)) return;
+
+    const ids = { workspace: true, channel, user: userId, conversation: conversationId };
+    for (const periodKey of periodKeys(at)) {
+      if (!this.usage.has(periodKey)) this.usage.set(periodKey, new Map());
+      const counters = this.usage.get(periodKey);
+
+      for (const scope of USAGE_SCOPES.filter(name => ids[name])) {
+        const key = scopeKey(scope, ids[scope]);
+        const counter = counters.get(key) || { stream: 0, upload: 0 };
+        counter[source] += seconds;
+        counters.set(key, counter);
+      }
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Evaluate the quotas that apply to a user and channel
+   * @param {Object} subject - { userId, channel }
+   * @param {Date} at - Time of use
+   * @returns {Object} { status: 'ok' | 'warning' | 'exceeded', quotas } with the fullest quota first
+   */
+  checkQuotas({ userId, channel }, at = new Date()) {
+    const ids = { workspace: true, channel, user: userId };
+    const [day, month] = periodKeys(at);
+    const quotas = [];
+
+    for (const scope of QUOTA_SCOPES.filter(name => ids[name])) {
+      const id = scope === 'workspace' ? null : ids[scope];
+      const limits = this.getQuota(scope, id);
+
+      for (const period of QUOTA_PERIODS) {
+        if (!limits[period]) continue;
+
+        const usedSeconds = total(this.usage.get(period === 'daily' ? day : month)?.get(scopeKey(scope, id)));
+        const limitSeconds = limits[period] * 60;
+        quotas.push({ scope, id, period, usedSeconds: round(usedSeconds), limitSeconds, ratio: round(usedSeconds / limitSeconds, 3) });
+      }
+    }
+
+    quotas.sort((a, b) => b.ratio - a.ratio);
+    const fullest = quotas[0]?.ratio || 0;
+
+    return {
+      status: fullest >= 1 ? 'exceeded' : fullest >= this.warningRatio ? 'warning' : 'ok',
+      quotas,
+    };
+  }
+
+  /**
+   * Throw if a quota of a user or channel is used up
+   * @param {Object} subject - { userId, channel }
+   * @throws {QuotaExceededError} With the first exhausted quota
+   */
+  assertWithinQuota(subject) {
+    const { status, quotas } = this.checkQuotas(subject);
+    if (status === 'exceeded') {
+      throw new QuotaExceededError(quotas[0]);
+    }
+  }
+
+  /**
+   * Get the quotas of a scope, overrides applied over the configured defaults
+   * @param {string} scope - 'workspace', 'channel' or 'user'
+   * @param {string} id - Channel or user ID (unused for the workspace)
+   * @returns {Object} { daily, monthly } in minutes, 0 for unlimited
+   */
+  getQuota(scope, id) {
+    return { ...this.defaultQuotas[scope], ...this.quotas.get(scopeKey(scope, id)) };
+  }
+
+  /**
+   * Override the quotas of a scope
+   * @param {string} scope - 'workspace', 'channel' or 'user'
+   * @param {string} id - Channel or user ID (unused for the workspace)
+   * @param {Object} limits - { daily, monthly } in minutes; 0 for unlimited, omitted keeps the default
+   * @returns {Object} Effective quotas
+   */
+  setQuota(scope, id, limits) {
+    const override = {};
+    for (const period of QUOTA_PERIODS.filter(name => limits[name] !== undefined)) {
+      override[period] = limits[period];
+    }
+
+    this.quotas.set(scopeKey(scope, id), override);
+    logger.info(`Quota set for ${scopeKey(scope, id)}`, override);
+    this.save();
+    return this.getQuota(scope, id);
+  }
+
+  /**
+   * Remove the quota override of a scope
+   * @param {string} scope - 'workspace', 'channel' or 'user'
+   * @param {string} id - Channel or user ID (unused for the workspace)
+   * @returns {boolean} True if an override was removed
+   */
+  deleteQuota(scope, id) {
+    const deleted = this.quotas.delete(scopeKey(scope, id));
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  /**
+   * Get the usage of a day or month
+   * @param {string} period - 'day' or 'month'
+   * @param {Date} at - Any time within the period
+   * @returns {Object} Workspace totals and per channel, user and conversation usage, largest first
+   */
+  getUsage(period, at = new Date()) {
+    const [day, month] = periodKeys(at);
+    const periodKey = period === 'month' ? month : day;
+    const counters = this.usage.get(periodKey) || new Map();
+    const quotaPeriod = period === 'month' ? 'monthly' : 'daily';
+
+    const describe = (scope, id, counter) => {
+      const limit = QUOTA_SCOPES.includes(scope) ? this.getQuota(scope, id)[quotaPeriod] : 0;
+      return {
+        ...(id ? { id } : {}),
+        streamSeconds: round(counter?.stream || 0),
+        uploadSeconds: round(counter?.upload || 0),
+        totalSeconds: round(total(counter)),
+        minutes: round(total(counter) / 60, 2),
+        ...(limit ? { quotaMinutes: limit, quotaUsed: round(total(counter) / (limit * 60), 3) } : {}),
+      };
+    };
+
+    const byScope = scope => Array.from(counters)
+      .filter(([key]) => key.startsWith(`${scope}:`))
+      .map(([key, counter]) => describe(scope, key.slice(scope.length + 1), counter))
+      .sort((a, b) => b.totalSeconds - a.totalSeconds);
+
+    return {
+      period: periodKey.slice(periodKey.indexOf(':') + 1),
+      workspace: describe('workspace', null, counters.get('workspace')),
+      channels: byScope('channel'),
+      users: byScope('user'),
+      conversations: byScope('conversation'),
+    };
+  }
+
+  /**
+   * List quota overrides
+   * @returns {Array<Object>} Overrides ({ scope, id, daily, monthly })
+   */
+  listQuotas() {
+    return Array.from(this.quotas, ([key, limits]) => {
+      const [scope, ...rest] = key.split(':');
+      return { scope, ...(rest.length ? { id: rest.join(':') } : {}), ...limits };
+    });
+  }
+
+  /**
+   * Write counters soon, batching the frequent updates of live streams
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Drop counters past their retention
+   * @param {Date} now - Current time
+   */
+  prune(now = new Date()) {
+    const dayCutoff = periodKeys(new Date(now.getTime() - DAY_RETENTION * 24 * 60 * 60 * 1000))[0];
+    const monthCutoff = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - MONTH_RETENTION, 1));
+    const oldestMonth = periodKeys(monthCutoff)[1];
+
+    for (const periodKey of this.usage.keys()) {
+      if (periodKey.startsWith('day:') ? periodKey < dayCutoff : periodKey < oldestMonth) {
+        this.usage.delete(periodKey);
+      }
+    }
+  }
+
+  /**
+   * Load counters and quota overrides from the configured file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [periodKey, counters] of Object.entries(data.usage || {})) {
+        this.usage.set(periodKey, new Map(Object.entries(counters)));
+      }
+      for (const [key, limits] of Object.entries(data.quotas || {})) {
+        this.quotas.set(key, limits);
+      }
+      this.prune();
+      logger.info(`Loaded usage for ${this.usage.size} periods from ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to load usage file:', error);
+    }
+  }
+
+  /**
+   * Persist counters and quota overrides to the configured file
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.filePath) return;
+
+    try {
+      this.prune();
+      const data = {
+        usage: Object.fromEntries(Array.from(this.usage, ([periodKey, counters]) => [periodKey, Object.fromEntries(counters)])),
+        quotas: Object.fromEntries(this.quotas),
+      };
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(data));
+      fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save usage file:', error);
+    }
+  }
+}
+
+/**
+ * Get the day and month keys of a time (UTC)
+ * @param {Date} at - Time
+ * @returns {Array<string>} ["day:YYYY-MM-DD", "month:YYYY-MM"]
+ */
+function periodKeys(at) {
+  const date = at.toISOString().slice(0, 10);
+  return [`day:${date}`, `month:${date.slice(0, 7)}`];
+}
+
+/**
+ * Build the key of a scope
+ * @param {string} scope - Scope name
+ * @param {string} id - Scope identifier (unused for the workspace)
+ * @returns {string} Scope key
+ */
+function scopeKey(scope, id) {
+  return scope === 'workspace' ? 'workspace' : `${scope}:${id}`;
+}
+
+/**
+ * Total seconds of a counter
+ * @param {Object} counter - { stream, upload }
+ * @returns {number} Seconds
+ */
+function total(counter) {
+  return (counter?.stream || 0) + (counter?.upload || 0);
+}
+
+/**
+ * Describe a quota for people
+ * @param {Object} quota - { scope, id, period, usedSeconds, limitSeconds }
+ * @param {string} state - e.g. "used up" or "80% used"
+ * @returns {string} e.g. "Daily audio quota of channel C123 used up (60 of 60 minutes)"
+ */
+function describeQuota(quota, state) {
+  const owner = quota.scope === 'workspace' ? 'the workspace' : `${quota.scope} ${quota.id}`;
+  const period = quota.period === 'daily' ? 'Daily' : 'Monthly';
+  return `${period} audio quota of ${owner} ${state} (${round(quota.usedSeconds / 60, 2)} of ${round(quota.limitSeconds / 60, 2)} minutes)`;
+}
+
+/**
+ * Round a number
+ * @param {number} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Singleton instance
+let usageService = null;
+
+/**
+ * Get usage service instance
+ * @returns {UsageService} Service instance
+ */
+function getUsageService() {
+  if (!usageService) {
+    const config = getConfig();
+    usageService = new UsageService({
+      filePath: config.usage.file,
+      quotas: config.usage.quotas,
+      warningRatio: config.usage.warningPercent / 100,
+    });
+  }
+  return usageService;
+}
+
+module.exports = {
+  UsageService,
+  QuotaExceededError,
+  getUsageService,
+  describeQuota,
+  QUOTA_SCOPES,
+};
@@ -0,0 +1,303 @@
+/**
+ * Custom vocabulary service
+ * Manages boosted keywords, find/replace pairs and search terms per workspace, channel and session
+ */
+
+const { getConfig } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { ScopedStore } = require('../utils/scoped-store');
+
+const MAX_ENTRIES = 200;
+const TERM_PATTERN = /^[^:]{1,100}$/;
+
+/**
+ * Create an empty vocabulary
+ * @returns {Object} Vocabulary
+ */
+function emptyVocabulary() {
+  return {
+    keywords: [],
+    replace: [],
+    search: [],
+  };
+}
+
+/**
+ * Validate and normalize vocabulary input
+ *
+ * Accepts keywords as "term", "term:boost" or { term, boost }, replacements as
+ * "find:replace" or { find, replace } and search terms as strings.
+ * @param {Object} input - Raw vocabulary
+ * @returns {Object} Validation result with normalized vocabulary
+ */
+function validateVocabulary(input) {
+  const errors = [];
+  const vocabulary = emptyVocabulary();
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { isValid: false, errors: ['vocabulary must be an object'], vocabulary };
+  }
+
+  for (const field of ['keywords', 'replace', 'search']) {
+    if (input[field] !== undefined && (!Array.isArray(input[field]) || input[field].length > MAX_ENTRIES)) {
+      errors.push(`${field} must be an array of at most ${MAX_ENTRIES} entries`);
+    }
+  }
+  if (errors.length > 0) {
+    return { isValid: false, errors, vocabulary };
+  }
+
+  for (const entry of input.keywords || []) {
+    const [term, boost] = typeof entry === 'string'
+      ? entry.split(/:(?=-?\d+(?:\.\d+)?$)/)
+      : [entry?.term, entry?.boost];
+    const value = boost === undefined || boost === null || boost === '' ? 1 : Number(boost);
+
+    if (typeof term !== 'string' || !TERM_PATTERN.test(term.trim()) || !Number.isFinite(value)) {
+      errors.push(`invalid keyword: ${JSON.stringify(entry)}`);
+    } else {
+      vocabulary.keywords.push({ term: term.trim(), boost: value });
+    }
+  }
+
+  for (const entry of input.replace || []) {
+    const [find, replacement] = typeof entry === 'string'
+      ? entry.split(':')
+      : [entry?.find, entry?.replace];
+
+    if (typeof find !== 'string' || typeof replacement !== 'string' ||
+      !TERM_PATTERN.test(find.trim()) || !TERM_PATTERN.test(replacement.trim())) {
+      errors.push(`invalid replacement: ${JSON.stringify(entry)}`);
+    } else {
+      vocabulary.replace.push({ find: find.trim(), replace: replacement.trim() });
+    }
+  }
+
+  for (const term of input.search || []) {
+    if (typeof term !== 'string' || !TERM_PATTERN.test(term.trim())) {
+      errors.push(`invalid search term: ${JSON.stringify(term)}`);
+    } else {
+      vocabulary.search.push(term.trim());
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    vocabulary,
+  };
+}
+
+/**
+ * Merge vocabularies, later ones overriding earlier entries for the same term
+ * @param {...Object} vocabularies - Vocabularies from broadest to narrowest scope
+ * @returns {Object} Merged vocabulary
+ */
+function mergeVocabularies(...vocabularies) {
+  const keywords = new Map();
+  const replace = new Map();
+  const search = new Set();
+
+  for (const vocabulary of vocabularies.filter(Boolean)) {
+    vocabulary.keywords.forEach(keyword => keywords.set(keyword.term.toLowerCase(), keyword));
+    vocabulary.replace.forEach(pair => replace.set(pair.find.toLowerCase(), pair));
+    vocabulary.search.forEach(term => search.add(term));
+  }
+
+  return {
+    keywords: Array.from(keywords.values()),
+    replace: Array.from(replace.values()),
+    search: Array.from(search),
+  };
+}
+
+/**
+ * Convert a vocabulary to provider stream options
+ * @param {Object} vocabulary - Vocabulary
+ * @returns {Object} { keywords, replace, search } in "term:value" form
+ */
+function toProviderOptions(vocabulary) {
+  return {
+    keywords: vocabulary.keywords.map(keyword => (keyword.boost === 1 ? keyword.term : `${keyword.term}:${keyword.boost}`)),
+    replace: vocabulary.replace.map(pair => `${pair.find}:${pair.replace}`),
+    search: [...vocabulary.search],
+  };
+}
+
+class VocabularyService {
+  constructor() {
+    const config = getConfig();
+    this.store = new ScopedStore({ name: 'vocabulary', filePath: config.vocabulary.file });
+  }
+
+  /**
+   * Get the vocabulary of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {Object} Vocabulary (empty if none is defined)
+   */
+  get(scope, id) {
+    return { ...emptyVocabulary(), ...this.store.get(scope, id) };
+  }
+
+  /**
+   * Replace the vocabulary of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @param {Object} vocabulary - Normalized vocabulary
+   * @returns {Object} Stored vocabulary
+   */
+  set(scope, id, vocabulary) {
+    this.store.set(scope, id, vocabulary);
+    logger.info(`Vocabulary updated for ${this.store.key(scope, id)}`, {
+      keywords: vocabulary.keywords.length,
+      replace: vocabulary.replace.length,
+      search: vocabulary.search.length,
+    });
+    return vocabulary;
+  }
+
+  /**
+   * Add entries to the vocabulary of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @param {Object} additions - Normalized vocabulary entries to add
+   * @returns {Object} Stored vocabulary
+   */
+  add(scope, id, additions) {
+    return this.set(scope, id, mergeVocabularies(this.get(scope, id), additions));
+  }
+
+  /**
+   * Remove a keyword, replacement or search term from a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @param {string} term - Keyword, replacement source or search term
+   * @returns {Object} Stored vocabulary
+   */
+  remove(scope, id, term) {
+    const current = this.get(scope, id);
+    const needle = term.toLowerCase();
+
+    return this.set(scope, id, {
+      keywords: current.keywords.filter(keyword => keyword.term.toLowerCase() !== needle),
+      replace: current.replace.filter(pair => pair.find.toLowerCase() !== needle),
+      search: current.search.filter(entry => entry.toLowerCase() !== needle),
+    });
+  }
+
+  /**
+   * Delete the vocabulary of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {boolean} True if a vocabulary was deleted
+   */
+  clear(scope, id) {
+    return this.store.delete(scope, id);
+  }
+
+  /**
+   * Resolve the effective vocabulary for a channel and session
+   * @param {Object} context - Resolution context
+   * @param {string} context.channel - Slack channel
+   * @param {string} context.session - Session identifier
+   * @returns {Object} Merged vocabulary (global < channel < session)
+   */
+  resolve({ channel, session } = {}) {
+    return mergeVocabularies(
+      this.get('global'),
+      channel ? this.get('channel', channel) : null,
+      session ? this.get('session', session) : null,
+    );
+  }
+}
+
+const COMMAND_USAGE = 'Usage: `/transcribe-vocab [list | add <term>[:boost] | replace <find>:<replacement> | search <term> | remove <term> | clear]`';
+
+/**
+ * Format a vocabulary for a Slack message
+ * @param {Object} vocabulary - Vocabulary
+ * @returns {string} Slack mrkdwn
+ */
+function formatVocabulary(vocabulary) {
+  const keywords = vocabulary.keywords.map(keyword => (keyword.boost === 1 ? keyword.term : `${keyword.term} (${keyword.boost})`));
+  const replace = vocabulary.replace.map(pair => `${pair.find} → ${pair.replace}`);
+
+  return [
+    `• Keywords: ${keywords.join(', ') || '_none_'}`,
+    `• Replacements: ${replace.join(', ') || '_none_'}`,
+    `• Search terms: ${vocabulary.search.join(', ') || '_none_'}`,
+  ].join('\n');
+}
+
+/**
+ * Run a /transcribe-vocab command against a channel's vocabulary
+ * @param {string} text - Command text
+ * @param {string} channelId - Slack channel the command was issued in
+ * @returns {Object} { text, changed } where changed tells whether live sessions need a refresh
+ */
+function runVocabularyCommand(text, channelId) {
+  const service = getVocabularyService();
+  const [, command, argument] = (text || '').trim().match(/^(\S*)\s*(.*)$/);
+  const action = command.toLowerCase() || 'list';
+  const value = argument.trim();
+
+  const additions = {
+    add: { keywords: [value] },
+    replace: { replace: [value] },
+    search: { search: [value] },
+  };
+
+  if (action === 'list') {
+    return {
+      text: `📚 *Vocabulary for this channel* (including workspace entries)\n${formatVocabulary(service.resolve({ channel: channelId }))}`,
+      changed: false,
+    };
+  }
+
+  if (action === 'clear') {
+    service.clear('channel', channelId);
+    return { text: '📚 Channel vocabulary cleared', changed: true };
+  }
+
+  if (action === 'remove' && value) {
+    service.remove('channel', channelId, value);
+    return { text: `📚 Removed \`${value}\` from the channel vocabulary`, changed: true };
+  }
+
+  if (additions[action] && value) {
+    const validation = validateVocabulary(additions[action]);
+    if (!validation.isValid) {
+      return { text: `Invalid entry \`${value}\`. ${COMMAND_USAGE}`, changed: false };
+    }
+
+    service.add('channel', channelId, validation.vocabulary);
+    return { text: `📚 Added \`${value}\` to the channel vocabulary`, changed: true };
+  }
+
+  return { text: COMMAND_USAGE, changed: false };
+}
+
+// Singleton instance
+let vocabularyService = null;
+
+/**
+ * Get vocabulary service instance
+ * @returns {VocabularyService} Service instance
+ */
+function getVocabularyService() {
+  if (!vocabularyService) {
+    vocabularyService = new VocabularyService();
+  }
+  return vocabularyService;
+}
+
+module.exports = {
+  VocabularyService,
+  getVocabularyService,
+  validateVocabulary,
+  mergeVocabularies,
+  toProviderOptions,
+  formatVocabulary,
+  runVocabularyCommand,
+};
@@ -0,0 +1,73 @@
+/**
+ * Bounded audio buffer
+ * Holds the most recent audio chunks up to a byte budget, dropping the oldest first
+ */
+
+class AudioRingBuffer {
+  /**
+   * @param {number} maxBytes - Maximum number of bytes retained
+   */
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.size = 0;
+    this.droppedBytes = 0;
+  }
+
+  /**
+   * Append a chunk, evicting the oldest chunks when over budget
+   * @param {Buffer} chunk - Audio chunk
+   */
+  push(chunk) {
+    this.chunks.push(chunk);
+    this.size += chunk.length;
+
+    while (this.size > this.maxBytes && this.chunks.length > 0) {
+      const evicted = this.chunks.shift();
+      this.size -= evicted.length;
+      this.droppedBytes += evicted.length;
+    }
+  }
+
+  /**
+   * Remove and return all buffered chunks in arrival order
+   * @returns {Array<Buffer>} Buffered chunks
+   */
+  drain() {
+    const chunks = this.chunks;
+    this.chunks = [];
+    this.size = 0;
+    return chunks;
+  }
+
+  /**
+   * Return all buffered audio as one buffer without removing it
+   * @returns {Buffer} Buffered audio in arrival order
+   */
+  peek() {
+    return Buffer.concat(this.chunks);
+  }
+
+  /**
+   * Discard buffered audio and reset counters
+   */
+  clear() {
+    this.chunks = [];
+    this.size = 0;
+    this.droppedBytes = 0;
+  }
+
+  /**
+   * Return and reset the count of evicted bytes
+   * @returns {number} Bytes dropped since last call
+   */
+  takeDroppedBytes() {
+    const dropped = this.droppedBytes;
+    this.droppedBytes = 0;
+    return dropped;
+  }
+}
+
+module.exports = {
+  AudioRingBuffer,
+};
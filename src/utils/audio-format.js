@@ -0,0 +1,149 @@
+/**
+ * Live audio formats
+ * Validates the encoding, sample rate and channel count declared by streaming clients and
+ * derives the chunk sizes to expect from them
+ */
+
+// Encodings accepted from clients, as named by Deepgram. PCM encodings have fixed-size samples;
+// the others are compressed frames whose size varies. `rates` restricts codecs to the rates they define.
+const AUDIO_ENCODINGS = {
+  linear16: { bytesPerSample: 2 },
+  linear32: { bytesPerSample: 4 },
+  mulaw: { bytesPerSample: 1 },
+  alaw: { bytesPerSample: 1 },
+  opus: { rates: [8000, 12000, 16000, 24000, 48000] },
+  'ogg-opus': { rates: [8000, 12000, 16000, 24000, 48000] },
+  flac: {},
+  'amr-nb': { rates: [8000] },
+  'amr-wb': { rates: [16000] },
+  speex: { rates: [8000, 16000, 32000] },
+  g729: { rates: [8000] },
+};
+
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+const MAX_CHANNELS = 8;
+
+// Limits for containers the provider detects itself (MediaRecorder WebM/Ogg, WAV)
+const DEFAULT_MIN_CHUNK_SIZE = 160;
+const DEFAULT_MAX_CHUNK_SIZE = 8192;
+// PCM chunks shorter than this are too small to be real frames
+const MIN_CHUNK_MS = 10;
+
+/**
+ * Parse the audio format a client declares
+ *
+ * Without an encoding the provider detects the container from the audio itself. Raw and
+ * codec streams need an encoding and a sample rate; the channel count defaults to 1.
+ * @param {Object} params - { encoding, sample_rate, channels } as strings or numbers
+ * @param {Object} options - Validation options
+ * @param {boolean} options.multichannel - Whether channels are transcribed independently
+ * @returns {Object} { format: { encoding, sampleRate, channels } or null, errors }
+ */
+function parseAudioFormat(params = {}, { multichannel = false } = {}) {
+  const errors = [];
+  const encoding = params.encoding || undefined;
+  const sampleRate = parseInteger(params.sample_rate);
+  const channels = parseInteger(params.channels);
+
+  if (!encoding) {
+    if (params.sample_rate || params.channels) {
+      errors.push('encoding is required with sample_rate or channels');
+    }
+    return { format: null, errors };
+  }
+
+  const codec = Object.prototype.hasOwnProperty.call(AUDIO_ENCODINGS, encoding) ? AUDIO_ENCODINGS[encoding] : null;
+  if (!codec) {
+    errors.push(`encoding must be one of: ${Object.keys(AUDIO_ENCODINGS).join(', ')}`);
+  }
+
+  if (!params.sample_rate) {
+    errors.push(`sample_rate is required with encoding ${encoding}`);
+  } else if (!sampleRate || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    errors.push(`sample_rate must be between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE} Hz`);
+  } else if (codec?.rates && !codec.rates.includes(sampleRate)) {
+    errors.push(`sample_rate for ${encoding} must be one of: ${codec.rates.join(', ')}`);
+  }
+
+  if (params.channels && (!channels || channels > MAX_CHANNELS)) {
+    errors.push(`channels must be between 1 and ${MAX_CHANNELS}`);
+  } else if (multichannel && (channels || 1) < 2) {
+    errors.push('multichannel requires channels of 2 or more');
+  }
+
+  return {
+    format: errors.length === 0 ? { encoding, sampleRate, channels: channels || 1 } : null,
+    errors,
+  };
+}
+
+/**
+ * Byte rate of a PCM format
+ * @param {Object} format - Audio format
+ * @returns {number|null} Bytes per second, null for containers and compressed codecs
+ */
+function pcmBytesPerSecond(format) {
+  const bytesPerSample = format && AUDIO_ENCODINGS[format.encoding]?.bytesPerSample;
+  return bytesPerSample ? bytesPerSample * format.sampleRate * format.channels : null;
+}
+
+/**
+ * Chunk size limits of a stream
+ *
+ * PCM chunks must hold whole sample frames and at least 10 ms of audio. Chunks of any
+ * declared format may hold up to a second of audio (at 16-bit size for compressed codecs).
+ * @param {Object|null} format - Declared audio format, null for detected containers
+ * @returns {Object} { minChunkSize, maxChunkSize, frameSize } in bytes
+ */
+function streamChunkLimits(format) {
+  if (!format) {
+    return { minChunkSize: DEFAULT_MIN_CHUNK_SIZE, maxChunkSize: DEFAULT_MAX_CHUNK_SIZE, frameSize: 1 };
+  }
+
+  const bytesPerSample = AUDIO_ENCODINGS[format.encoding].bytesPerSample;
+  const secondSize = (bytesPerSample || 2) * format.sampleRate * format.channels;
+  const maxChunkSize = Math.max(DEFAULT_MAX_CHUNK_SIZE, secondSize);
+
+  if (!bytesPerSample) {
+    // Codec frames can be a few bytes (a 10 ms G.729 frame is 10)
+    return { minChunkSize: 1, maxChunkSize, frameSize: 1 };
+  }
+
+  const frameSize = bytesPerSample * format.channels;
+  return {
+    minChunkSize: frameSize * Math.ceil(format.sampleRate * MIN_CHUNK_MS / 1000),
+    maxChunkSize,
+    frameSize,
+  };
+}
+
+/**
+ * Describe an audio format for logs and notices
+ * @param {Object|null} format - Audio format
+ * @returns {string} e.g. "linear16 16000 Hz stereo", or "auto-detected container"
+ */
+function describeAudioFormat(format) {
+  if (!format) return 'auto-detected container';
+
+  const channels = { 1: 'mono', 2: 'stereo' }[format.channels] || `${format.channels} channels`;
+  return `${format.encoding} ${format.sampleRate} Hz ${channels}`;
+}
+
+/**
+ * Parse a positive integer parameter
+ * @param {string|number} value - Parameter value
+ * @returns {number|null} Integer, null if not a positive integer
+ */
+function parseInteger(value) {
+  const number = typeof value === 'number' ? value : Number(String(value ?? '').trim());
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+module.exports = {
+  AUDIO_ENCODINGS,
+  parseAudioFormat,
+  pcmBytesPerSecond,
+  streamChunkLimits,
+  describeAudioFormat,
+};
@@ -0,0 +1,154 @@
+/**
+ * Container header capture
+ * Keeps the header of a container stream (WebM, Ogg, WAV, FLAC, AMR) so that a transcription
+ * stream opened mid-session can be sent the header before it joins the audio
+ */
+
+// Headers are a few KB; a stream still without the end of its header by then is not parsed further
+const MAX_HEADER_BYTES = 256 * 1024;
+
+// WebM (Matroska) Cluster element ID; everything before the first cluster is header
+const WEBM_CLUSTER_ID = Buffer.from([0x1F, 0x43, 0xB6, 0x75]);
+const OGG_PAGE_HEADER_BYTES = 27;
+
+// Header parsers by leading magic bytes. Each returns the header length once it is known, or null.
+const CONTAINERS = [
+  { magic: [0x1A, 0x45, 0xDF, 0xA3], headerLength: webmHeaderLength },
+  { magic: [0x4F, 0x67, 0x67, 0x53], headerLength: oggHeaderLength }, // 'OggS'
+  { magic: [0x52, 0x49, 0x46, 0x46], headerLength: wavHeaderLength }, // 'RIFF'
+  { magic: [0x66, 0x4C, 0x61, 0x43], headerLength: flacHeaderLength }, // 'fLaC'
+  { magic: [0x23, 0x21, 0x41, 0x4D, 0x52], headerLength: amrHeaderLength }, // '#!AMR'
+];
+
+class ContainerHeader {
+  /**
+   * @param {number} maxBytes - Largest header kept
+   */
+  constructor(maxBytes = MAX_HEADER_BYTES) {
+    this.maxBytes = maxBytes;
+    this.status = 'pending';
+    this.container = null;
+    this.captured = Buffer.alloc(0);
+  }
+
+  /**
+   * Follow the start of the stream until its header is complete
+   * @param {Buffer} chunk - Audio chunk, in arrival order
+   */
+  push(chunk) {
+    if (this.status !== 'pending') return;
+
+    this.captured = Buffer.concat([this.captured, chunk]);
+
+    if (!this.container) {
+      const magicBytes = Math.max(...CONTAINERS.map(({ magic }) => magic.length));
+      this.container = CONTAINERS.find(({ magic }) => magic.every((byte, index) => this.captured[index] === byte));
+      if (!this.container) {
+        // Self-synchronizing streams (MP3...) and unknown data have no header to keep
+        if (this.captured.length >= magicBytes) this.giveUp();
+        return;
+      }
+    }
+
+    const length = this.container.headerLength(this.captured);
+    if (length !== null && length <= this.maxBytes) {
+      this.status = 'complete';
+      this.captured = this.captured.subarray(0, length);
+    } else if (this.captured.length > this.maxBytes) {
+      this.giveUp();
+    }
+  }
+
+  /**
+   * Stop following a stream whose header is unknown or too large
+   */
+  giveUp() {
+    this.status = 'none';
+    this.captured = Buffer.alloc(0);
+  }
+
+  /**
+   * Bytes a stream joining mid-session is sent first: the header once complete, everything
+   * received so far while it is not, and nothing for streams without a header
+   * @returns {Buffer} Stream prefix
+   */
+  prefix() {
+    return this.captured;
+  }
+}
+
+/**
+ * @param {Buffer} data - Start of a WebM stream
+ * @returns {number|null} Bytes before the first cluster
+ */
+function webmHeaderLength(data) {
+  const index = data.indexOf(WEBM_CLUSTER_ID);
+  return index > 0 ? index : null;
+}
+
+/**
+ * @param {Buffer} data - Start of an Ogg stream
+ * @returns {number|null} Bytes of the leading pages with granule position 0 (codec headers)
+ */
+function oggHeaderLength(data) {
+  let offset = 0;
+
+  while (offset + OGG_PAGE_HEADER_BYTES <= data.length) {
+    if (data.readUInt32BE(offset) !== 0x4F676753) return offset || null;
+    if (data.readBigUInt64LE(offset + 6) !== 0n) return offset;
+
+    const segments = data[offset + 26];
+    if (offset + OGG_PAGE_HEADER_BYTES + segments > data.length) return null;
+    let bodySize = 0;
+    for (let i = 0; i < segments; i++) {
+      bodySize += data[offset + OGG_PAGE_HEADER_BYTES + i];
+    }
+    offset += OGG_PAGE_HEADER_BYTES + segments + bodySize;
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} data - Start of a WAV stream
+ * @returns {number|null} Bytes up to the start of the samples in the data chunk
+ */
+function wavHeaderLength(data) {
+  let offset = 12;
+
+  while (offset + 8 <= data.length) {
+    const id = data.toString('ascii', offset, offset + 4);
+    if (id === 'data') return offset + 8;
+    // Chunks are padded to an even size
+    const size = data.readUInt32LE(offset + 4);
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} data - Start of a FLAC stream
+ * @returns {number|null} Bytes of the marker and metadata blocks
+ */
+function flacHeaderLength(data) {
+  let offset = 4;
+
+  while (offset + 4 <= data.length) {
+    const last = (data[offset] & 0x80) !== 0;
+    offset += 4 + data.readUIntBE(offset + 1, 3);
+    if (last) return offset <= data.length ? offset : null;
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} data - Start of an AMR stream
+ * @returns {number|null} Bytes of the '#!AMR\n' or '#!AMR-WB\n' magic line
+ */
+function amrHeaderLength(data) {
+  const end = data.indexOf(0x0A);
+  return end > 0 && end < 16 ? end + 1 : null;
+}
+
+module.exports = {
+  ContainerHeader,
+};
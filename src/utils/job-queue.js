@@ -0,0 +1,227 @@
+/**
+ * In-process job queue
+ * Runs background jobs with a concurrency limit, retries with backoff and cancellation
+ */
+
+const { generateSecureToken } = require('./security');
+const { logger } = require('./logger');
+
+const JOB_STATUSES = ['queued', 'processing', 'retrying', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.name - Name used in log messages and job IDs
+   * @param {number} options.concurrency - Maximum number of jobs processed at once
+   * @param {number} options.maxAttempts - Attempts before a job fails
+   * @param {number} options.retryDelay - Delay before the first retry in ms, doubled on every retry
+   * @param {number} options.ttlMs - How long finished jobs stay queryable
+   * @param {Function} options.handler - async (job, context) => result; context offers
+   *   setProgress(stage, percent) and isCancelled()
+   * @param {Function} options.onFinished - Called with each job once it completed, failed or was cancelled
+   */
+  constructor({ name, concurrency, maxAttempts, retryDelay, ttlMs, handler, onFinished }) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.ttlMs = ttlMs;
+    this.handler = handler;
+    this.onFinished = onFinished;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} payload - Data handed to the handler, released once the job finishes
+   * @param {Object} metadata - Public job metadata
+   * @returns {Object} Job record
+   */
+  add(payload, metadata = {}) {
+    const job = {
+      id: `job_${generateSecureToken(12)}`,
+      status: 'queued',
+      progress: { stage: 'queued', percent: 0 },
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      metadata,
+      payload,
+      result: null,
+      error: null,
+      retryTimer: null,
+      nextAttemptAt: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    logger.info(`Queued ${this.name} job ${job.id}`, { queued: this.pending.length, running: this.running });
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job identifier
+   * @returns {Object|null} Job record or null
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a job that has not finished
+   *
+   * A job already being processed is marked cancelled and its result discarded.
+   * @param {string} id - Job identifier
+   * @returns {Object|null} Job record or null if unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || isFinished(job)) return job || null;
+
+    clearTimeout(job.retryTimer);
+    this.pending = this.pending.filter(pending => pending !== job);
+    this.finish(job, 'cancelled');
+    return job;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Object} Counts keyed by status
+   */
+  getStats() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return { ...counts, concurrency: this.concurrency };
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   */
+  pump() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.pump();
+      });
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * @param {Object} job - Job record
+   */
+  async run(job) {
+    job.status = 'processing';
+    job.attempts++;
+    job.nextAttemptAt = null;
+    job.startedAt = job.startedAt || new Date();
+
+    const context = {
+      setProgress: (stage, percent) => {
+        if (!isFinished(job)) job.progress = { stage, percent };
+      },
+      isCancelled: () => job.status === 'cancelled',
+    };
+
+    try {
+      const result = await this.handler(job, context);
+      if (job.status === 'cancelled') return;
+
+      job.result = result;
+      job.progress = { stage: 'done', percent: 100 };
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (job.status === 'cancelled') return;
+
+      job.error = error.message;
+      if (error.retryable === false || job.attempts >= job.maxAttempts) {
+        logger.error(`${this.name} job ${job.id} failed after ${job.attempts} attempt(s):`, error);
+        this.finish(job, 'failed');
+        return;
+      }
+
+      const delay = this.retryDelay * 2 ** (job.attempts - 1);
+      logger.warn(`Retrying ${this.name} job ${job.id} in ${delay}ms`, {
+        attempt: job.attempts,
+        error: error.message,
+      });
+      job.status = 'retrying';
+      job.nextAttemptAt = new Date(Date.now() + delay);
+      job.retryTimer = setTimeout(() => {
+        job.retryTimer = null;
+        if (job.status !== 'retrying') return;
+        this.pending.push(job);
+        this.pump();
+      }, delay);
+    }
+  }
+
+  /**
+   * Settle a job, release its payload and schedule its removal
+   * @param {Object} job - Job record
+   * @param {string} status - 'completed', 'failed' or 'cancelled'
+   */
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date();
+    job.nextAttemptAt = null;
+    job.payload = null;
+
+    setTimeout(() => this.jobs.delete(job.id), this.ttlMs).unref();
+
+    if (this.onFinished) {
+      Promise.resolve()
+        .then(() => this.onFinished(job))
+        .catch(error => logger.error(`Error finishing ${this.name} job ${job.id}:`, error));
+    }
+  }
+}
+
+/**
+ * Check whether a job has settled
+ * @param {Object} job - Job record
+ * @returns {boolean} True if completed, failed or cancelled
+ */
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Describe a job without its payload or timers
+ * @param {Object} job - Job record
+ * @returns {Object} Public job fields
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    metadata: job.metadata,
+    ...(job.status === 'completed' ? { result: job.result } : {}),
+    ...(job.error && job.status !== 'completed' ? { error: job.error } : {}),
+    ...(job.nextAttemptAt ? { nextAttemptAt: job.nextAttemptAt } : {}),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobQueue,
+  isFinished,
+  describeJob,
+};
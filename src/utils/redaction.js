@@ -0,0 +1,171 @@
+/**
+ * Transcript redaction utilities
+ * Masks card numbers, social security numbers, numerals and custom patterns in transcripts
+ */
+
+const REDACTION_TYPES = ['pci', 'ssn', 'numbers'];
+
+// Applied in this order, after custom patterns, so the most specific label wins
+const BUILTIN_PATTERNS = {
+  pci: { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, label: '[PCI]' },
+  ssn: { pattern: /\b\d{3}[- ]?\d{2}[- ]?\d{4}\b/g, label: '[SSN]' },
+  numbers: { pattern: /\d+(?:[ ,.-]\d+)*/g, label: '[NUMBER]' },
+};
+
+const CUSTOM_LABEL = '[REDACTED]';
+const MAX_PATTERN_LENGTH = 200;
+// Nested quantifiers such as (a+)+ can backtrack catastrophically
+const NESTED_QUANTIFIER = /\([^)]*[+*}][^)]*\)[+*{]/;
+
+const compiledPatterns = new Map();
+
+/**
+ * Compile a custom pattern, caching the result
+ * @param {string} source - Regular expression source
+ * @returns {RegExp} Global, case-insensitive expression
+ */
+function compilePattern(source) {
+  if (!compiledPatterns.has(source)) {
+    compiledPatterns.set(source, new RegExp(source, 'gi'));
+  }
+  return compiledPatterns.get(source);
+}
+
+/**
+ * Check that a custom pattern is usable for redaction
+ * @param {string} source - Regular expression source
+ * @returns {string|null} Error message or null if valid
+ */
+function checkPattern(source) {
+  if (typeof source !== 'string' || source.length === 0 || source.length > MAX_PATTERN_LENGTH) {
+    return `pattern must be a string of 1-${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (NESTED_QUANTIFIER.test(source)) {
+    return `pattern has nested quantifiers: ${source}`;
+  }
+
+  try {
+    const regex = new RegExp(source, 'gi');
+    if (regex.test('')) {
+      return `pattern matches empty text: ${source}`;
+    }
+  } catch (error) {
+    return `invalid pattern ${source}: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * List the expressions and labels a policy applies
+ * @param {Object} policy - Redaction policy ({ types, patterns })
+ * @returns {Array<Object>} [{ pattern, label }]
+ */
+function policyRules(policy) {
+  return [
+    ...policy.patterns.map(source => ({ pattern: compilePattern(source), label: CUSTOM_LABEL })),
+    ...REDACTION_TYPES.filter(type => policy.types.includes(type)).map(type => BUILTIN_PATTERNS[type]),
+  ];
+}
+
+/**
+ * Check whether a policy redacts anything
+ * @param {Object} policy - Redaction policy
+ * @returns {boolean} True if any rule is active
+ */
+function isRedacting(policy) {
+  return !!policy && (policy.types.length > 0 || policy.patterns.length > 0);
+}
+
+/**
+ * Redact a piece of text
+ * @param {string} text - Text to redact
+ * @param {Object} policy - Redaction policy
+ * @returns {string} Redacted text
+ */
+function redactText(text, policy) {
+  if (!text || !isRedacting(policy)) return text;
+
+  return policyRules(policy).reduce((result, rule) => result.replace(rule.pattern, rule.label), text);
+}
+
+/**
+ * Redact timed words, collapsing the words of a match into a single labelled word
+ * @param {Array<Object>} words - Words with `word`, `punctuated_word`, `start`, `end`
+ * @param {Object} policy - Redaction policy
+ * @returns {Array<Object>} Redacted words
+ */
+function redactWords(words, policy) {
+  if (!words?.length || !isRedacting(policy)) return words;
+
+  // Matches can span several words ("4111 1111 1111 1111"), so search the joined text
+  const offsets = [];
+  let text = '';
+  for (const word of words) {
+    offsets.push(text.length);
+    text += `${word.punctuated_word || word.word} `;
+  }
+
+  const labels = new Array(words.length).fill(null);
+  const matchIds = new Array(words.length).fill(null);
+  let matchId = 0;
+
+  for (const rule of policyRules(policy)) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const end = match.index + match[0].length;
+      matchId++;
+      for (let index = 0; index < words.length; index++) {
+        const wordEnd = offsets[index] + (words[index].punctuated_word || words[index].word).length;
+        if (labels[index] === null && offsets[index] < end && wordEnd > match.index) {
+          labels[index] = rule.label;
+          matchIds[index] = matchId;
+        }
+      }
+    }
+  }
+
+  const redacted = [];
+  words.forEach((word, index) => {
+    if (labels[index] === null) {
+      redacted.push(word);
+    } else if (index > 0 && matchIds[index] === matchIds[index - 1]) {
+      redacted[redacted.length - 1].end = word.end;
+    } else {
+      redacted.push({ ...word, word: labels[index], punctuated_word: labels[index] });
+    }
+  });
+
+  return redacted;
+}
+
+/**
+ * Redact a transcript result: text, words, per-channel results and search snippets
+ * @param {Object} result - Segment or file result ({ transcript, words, channels, search })
+ * @param {Object} policy - Redaction policy
+ * @returns {Object} Redacted copy of the result
+ */
+function redactResult(result, policy) {
+  if (!isRedacting(policy)) return result;
+
+  return {
+    ...result,
+    transcript: redactText(result.transcript, policy),
+    words: redactWords(result.words, policy),
+    ...(result.channels ? { channels: result.channels.map(channel => redactResult(channel, policy)) } : {}),
+    ...(result.search ? {
+      search: result.search.map(entry => ({
+        ...entry,
+        hits: entry.hits.map(hit => ({ ...hit, snippet: redactText(hit.snippet, policy) })),
+      })),
+    } : {}),
+  };
+}
+
+module.exports = {
+  REDACTION_TYPES,
+  checkPattern,
+  isRedacting,
+  redactText,
+  redactWords,
+  redactResult,
+};
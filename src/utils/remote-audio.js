@@ -0,0 +1,440 @@
+/**
+ * Remote audio download
+ * Fetches audio files over HTTP(S) within size, time and network limits, and keeps the other
+ * requests made to caller-supplied URLs (job callbacks) off private networks
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { AppError } = require('../middleware/error-handler');
+
+const MAX_REDIRECTS = 3;
+const FLAC_STREAMINFO_BYTES = 34;
+// Highest bitrate of the supported compressed formats (320 kbps MP3), bounding files of unknown duration
+const MAX_AUDIO_BYTES_PER_SECOND = 40000;
+
+// Ranges a remote URL must not reach: this network, private, shared (CGNAT), loopback, link-local,
+// protocol assignment, documentation, benchmarking, 6to4 relay, multicast and reserved addresses.
+// BlockList matches IPv4-mapped IPv6 addresses (::ffff:7f00:1, ::ffff:127.0.0.1) against the IPv4 rules.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  // Unspecified, loopback and the deprecated IPv4-compatible addresses
+  ['::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  // Teredo and 6to4 tunnel to IPv4 addresses that cannot be checked here
+  ['2001::', 32, 'ipv6'],
+  ['2001:2::', 48, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['3fff::', 20, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+const BLOCKED_ADDRESSES = buildBlockList(BLOCKED_RANGES);
+// NAT64 addresses carry an IPv4 address in their last 32 bits, which is checked instead
+const NAT64_PREFIX = buildBlockList([['64:ff9b::', 96, 'ipv6']]);
+
+class RemoteAudioError extends AppError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Machine readable code
+   */
+  constructor(message, code) {
+    super(message, 422, code);
+    this.name = 'RemoteAudioError';
+    // Retrying cannot fix a rejected source
+    this.retryable = false;
+  }
+}
+
+/**
+ * Check whether an IP address is private or local
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if not publicly routable
+ */
+function isPrivateAddress(address) {
+  // Link-local results of DNS lookups may carry a zone (fe80::1%eth0)
+  const ip = address.split('%')[0];
+
+  if (net.isIPv4(ip)) return BLOCKED_ADDRESSES.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+  if (NAT64_PREFIX.check(ip, 'ipv6')) return BLOCKED_ADDRESSES.check(nat64Address(ip), 'ipv4');
+  return BLOCKED_ADDRESSES.check(ip, 'ipv6');
+}
+
+/**
+ * Reject URLs whose host resolves to a private or local address
+ * @param {URL} url - Parsed URL
+ * @throws {RemoteAudioError} If the host is not public
+ */
+async function assertPublicHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+  if (addresses.some(isPrivateAddress)) {
+    throw new RemoteAudioError(`Host ${url.hostname} is not allowed`, 'FORBIDDEN_HOST');
+  }
+}
+
+/**
+ * Resolve a host name for a socket, refusing private addresses
+ *
+ * Used as the `lookup` of outgoing requests, so that the address connected to is the one that
+ * was checked: a second DNS answer cannot swap in an internal host.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new RemoteAudioError(`Host ${hostname} is not allowed`, 'FORBIDDEN_HOST'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Send an HTTP(S) request to a caller-supplied URL, without following redirects
+ *
+ * Unless private hosts are allowed, IP literals are checked before connecting and host names
+ * as the socket resolves them.
+ * @param {URL} url - Request URL (http: or https:)
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {string|Buffer} options.body - Request body
+ * @param {AbortSignal} options.signal - Aborts the request and the response body
+ * @param {boolean} options.allowPrivate - Allow hosts on private networks
+ * @returns {Promise<Object>} { status, ok, headers (lowercase names), body (readable stream) }
+ * @throws {RemoteAudioError} If the host is not public
+ */
+async function sendRequest(url, { method = 'GET', headers = {}, body, signal, allowPrivate = false } = {}) {
+  if (!allowPrivate) {
+    await assertPublicHost(url);
+  }
+
+  const transport = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method,
+      headers,
+      signal,
+      ...(allowPrivate ? {} : { lookup: publicLookup }),
+    }, (response) => {
+      resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: response.headers,
+        body: response,
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Download an audio file
+ * @param {string} source - File URL
+ * @param {Object} options - Download options
+ * @param {number} options.maxBytes - Largest accepted file
+ * @param {number} options.timeoutMs - Total time allowed for the download
+ * @param {Object} options.headers - Request headers (e.g. Authorization)
+ * @param {Array<string>} options.protocols - Allowed protocols (e.g. ['https:'])
+ * @param {boolean} options.allowPrivate - Allow hosts on private networks
+ * @returns {Promise<Object>} { buffer, contentType, filename }
+ * @throws {RemoteAudioError} If the URL is rejected, unreachable or the file too large
+ */
+async function downloadAudio(source, options) {
+  const { maxBytes, timeoutMs, headers = {}, protocols = ['https:'], allowPrivate = false } = options;
+  const signal = AbortSignal.timeout(timeoutMs);
+  const requestHeaders = { ...headers };
+  let url = new URL(source);
+  let response;
+
+  // Redirects are followed by hand so every hop goes through the same checks
+  for (let redirects = 0; ; redirects++) {
+    if (!protocols.includes(url.protocol)) {
+      throw new RemoteAudioError(`Unsupported URL protocol: ${url.protocol}`, 'INVALID_URL');
+    }
+
+    try {
+      response = await sendRequest(url, { headers: requestHeaders, signal, allowPrivate });
+    } catch (error) {
+      if (error instanceof RemoteAudioError) throw error;
+      throw new RemoteAudioError(`Failed to download ${url.hostname}: ${error.message}`, 'DOWNLOAD_FAILED');
+    }
+
+    const { location } = response.headers;
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    response.body.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new RemoteAudioError('Too many redirects', 'DOWNLOAD_FAILED');
+    }
+    // Credentials are only meant for the original host
+    if (new URL(location, url).host !== url.host) {
+      delete requestHeaders.Authorization;
+    }
+    url = new URL(location, url);
+  }
+
+  if (!response.ok) {
+    response.body.resume();
+    throw new RemoteAudioError(`Download failed with HTTP ${response.status}`, 'DOWNLOAD_FAILED');
+  }
+
+  const declaredSize = parseInt(response.headers['content-length']);
+  if (declaredSize > maxBytes) {
+    response.body.destroy();
+    throw new RemoteAudioError(`File too large: ${declaredSize} bytes (max: ${maxBytes})`, 'FILE_TOO_LARGE');
+  }
+
+  // Content-Length can be absent or wrong, so count while reading
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        throw new RemoteAudioError(`File too large: more than ${maxBytes} bytes`, 'FILE_TOO_LARGE');
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (error instanceof RemoteAudioError) throw error;
+    throw new RemoteAudioError(`Failed to download ${url.hostname}: ${error.message}`, 'DOWNLOAD_FAILED');
+  }
+
+  return {
+    buffer: Buffer.concat(chunks),
+    contentType: (response.headers['content-type'] || '').split(';')[0].trim(),
+    filename: decodeURIComponent(url.pathname.split('/').pop() || '') || 'remote-audio',
+  };
+}
+
+/**
+ * Download a Slack-hosted file with the bot token
+ * @param {Object} file - Slack file object from files.info
+ * @param {Object} options - Download options
+ * @param {string} options.token - Bot token (needs the files:read scope)
+ * @param {number} options.maxBytes - Largest accepted file
+ * @param {number} options.maxDuration - Longest accepted audio in seconds
+ * @param {number} options.timeoutMs - Total time allowed for the download
+ * @param {boolean} options.allowPrivate - Allow hosts on private networks
+ * @returns {Promise<Object>} { buffer, contentType, filename }
+ * @throws {RemoteAudioError} If the file is too large, too long or cannot be downloaded
+ */
+async function downloadSlackFile(file, { token, maxBytes, maxDuration, timeoutMs, allowPrivate }) {
+  // Slack reports both up front, which saves downloading files that would be rejected
+  if (file.size > maxBytes) {
+    throw new RemoteAudioError(`File too large: ${file.size} bytes (max: ${maxBytes})`, 'FILE_TOO_LARGE');
+  }
+  if (file.duration_ms > maxDuration * 1000) {
+    throw new RemoteAudioError(`Audio too long: ${Math.round(file.duration_ms / 1000)}s (max: ${maxDuration}s)`, 'AUDIO_TOO_LONG');
+  }
+
+  const download = await downloadAudio(file.url_private_download || file.url_private, {
+    maxBytes,
+    timeoutMs,
+    allowPrivate,
+    protocols: ['https:'],
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  return {
+    ...download,
+    filename: file.name || download.filename,
+    contentType: file.mimetype || download.contentType,
+  };
+}
+
+/**
+ * Read the duration of an audio file from its headers
+ * @param {Buffer} buffer - Audio file
+ * @returns {number|null} Duration in seconds, or null if the format does not declare it (MP3)
+ *   or the headers cannot be read
+ */
+function probeAudioDuration(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF') return probeWavDuration(buffer);
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') return probeFlacDuration(buffer);
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') return probeMp4Duration(buffer);
+  return null;
+}
+
+/**
+ * Reject an audio file longer than the duration limit
+ *
+ * Files that do not declare their duration (MP3) are bounded by their size at the highest
+ * supported bitrate.
+ * @param {Buffer} buffer - Audio file
+ * @param {number} maxDuration - Longest accepted duration in seconds
+ * @throws {RemoteAudioError} AUDIO_TOO_LONG if the file is, or may be, too long
+ */
+function assertAudioDuration(buffer, maxDuration) {
+  const duration = probeAudioDuration(buffer);
+  if (duration > maxDuration) {
+    throw new RemoteAudioError(`Audio too long: ${Math.round(duration)}s (max: ${maxDuration}s)`, 'AUDIO_TOO_LONG');
+  }
+  if (duration === null && buffer.length > maxDuration * MAX_AUDIO_BYTES_PER_SECOND) {
+    const minDuration = Math.round(buffer.length / MAX_AUDIO_BYTES_PER_SECOND);
+    throw new RemoteAudioError(`Audio too long: at least ${minDuration}s (max: ${maxDuration}s)`, 'AUDIO_TOO_LONG');
+  }
+}
+
+/**
+ * Read the duration of a WAV file from its header
+ * @param {Buffer} buffer - Audio file
+ * @returns {number|null} Duration in seconds, or null if not a readable WAV file
+ */
+function probeWavDuration(buffer) {
+  if (buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = 0;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ' && offset + 16 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data') {
+      // Streamed WAVs may declare a placeholder size; trust the bytes actually present
+      const dataSize = Math.min(size, buffer.length - offset - 8);
+      return byteRate ? dataSize / byteRate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Read the duration of a FLAC file from its STREAMINFO block, always the first metadata block
+ * @param {Buffer} buffer - Audio file
+ * @returns {number|null} Duration in seconds, or null if the encoder did not record the sample count
+ */
+function probeFlacDuration(buffer) {
+  if (buffer.length < 8 + FLAC_STREAMINFO_BYTES || (buffer[4] & 0x7F) !== 0) return null;
+
+  // 20-bit sample rate and 36-bit total sample count, packed after the block and frame sizes
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const samples = (buffer[21] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(22);
+  return sampleRate && samples ? samples / sampleRate : null;
+}
+
+/**
+ * Read the duration of an MP4/M4A file from its movie header (moov > mvhd)
+ * @param {Buffer} buffer - Audio file
+ * @returns {number|null} Duration in seconds, or null without a readable movie header
+ */
+function probeMp4Duration(buffer) {
+  const moov = findMp4Box(buffer, 0, buffer.length, 'moov');
+  const mvhd = moov && findMp4Box(buffer, moov.start, moov.end, 'mvhd');
+  if (!mvhd || mvhd.end - mvhd.start < 32) return null;
+
+  // Version 1 headers have 64-bit times and duration
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const duration = version === 1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+  return timescale ? duration / timescale : null;
+}
+
+/**
+ * Find a box among the sibling boxes of an MP4 file
+ * @param {Buffer} buffer - MP4 file
+ * @param {number} start - Offset of the first sibling
+ * @param {number} end - End of the parent box
+ * @param {string} type - Box type
+ * @returns {Object|null} { start, end } of the box contents
+ */
+function findMp4Box(buffer, start, end, type) {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) return null;
+
+    if (buffer.toString('ascii', offset + 4, offset + 8) === type) {
+      return { start: offset + headerSize, end: Math.min(offset + size, end) };
+    }
+    offset += size;
+  }
+
+  return null;
+}
+
+/**
+ * Build a block list
+ * @param {Array<Array>} ranges - [network, prefix length, 'ipv4' or 'ipv6'] entries
+ * @returns {net.BlockList} Block list
+ */
+function buildBlockList(ranges) {
+  const blockList = new net.BlockList();
+  for (const [network, prefix, type] of ranges) {
+    blockList.addSubnet(network, prefix, type);
+  }
+  return blockList;
+}
+
+/**
+ * Extract the IPv4 address of a NAT64 address (64:ff9b::/96)
+ * @param {string} address - IPv6 address within the prefix
+ * @returns {string} Embedded IPv4 address
+ */
+function nat64Address(address) {
+  // The prefix fills the first 96 bits, so the last two groups (or a dotted tail) hold the address
+  const groups = address.split(':');
+  const tail = groups[groups.length - 1];
+  if (tail.includes('.')) return tail;
+
+  const value = parseInt(groups[groups.length - 2] || '0', 16) * 0x10000 + parseInt(tail || '0', 16);
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xFF).join('.');
+}
+
+module.exports = {
+  RemoteAudioError,
+  downloadAudio,
+  downloadSlackFile,
+  probeAudioDuration,
+  assertAudioDuration,
+  isPrivateAddress,
+  assertPublicHost,
+  sendRequest,
+};
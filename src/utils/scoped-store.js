@@ -0,0 +1,105 @@
+/**
+ * Scoped settings store
+ * Keeps settings for the global, channel and session scopes, optionally persisted to a JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+class ScopedStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.name - Name used in log messages
+   * @param {string} options.filePath - JSON file to persist to (in-memory only when unset)
+   */
+  constructor({ name, filePath }) {
+    this.name = name;
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.entries = new Map();
+    this.load();
+  }
+
+  /**
+   * Build the storage key of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {string} Scope key
+   */
+  key(scope, id) {
+    return scope === 'global' ? 'global' : `${scope}:${id}`;
+  }
+
+  /**
+   * Get the value of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {Object|undefined} Stored value
+   */
+  get(scope, id) {
+    return this.entries.get(this.key(scope, id));
+  }
+
+  /**
+   * Replace the value of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @param {Object} value - Value to store
+   */
+  set(scope, id, value) {
+    this.entries.set(this.key(scope, id), value);
+    this.save();
+  }
+
+  /**
+   * Delete the value of a scope
+   * @param {string} scope - 'global', 'channel' or 'session'
+   * @param {string} id - Channel or session identifier
+   * @returns {boolean} True if a value was deleted
+   */
+  delete(scope, id) {
+    const deleted = this.entries.delete(this.key(scope, id));
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  /**
+   * Load stored values from the configured file
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, value] of Object.entries(data)) {
+        this.entries.set(key, value);
+      }
+      logger.info(`Loaded ${this.entries.size} ${this.name} entries from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Failed to load ${this.name} file:`, error);
+    }
+  }
+
+  /**
+   * Persist stored values to the configured file
+   */
+  save() {
+    if (!this.filePath) return;
+
+    try {
+      // Session scopes are short-lived and not persisted
+      const data = {};
+      for (const [key, value] of this.entries) {
+        if (!key.startsWith('session:')) data[key] = value;
+      }
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save ${this.name} file:`, error);
+    }
+  }
+}
+
+module.exports = {
+  ScopedStore,
+};
@@ -222,7 +222,7 @@ class RateLimiter {
           this.clients.delete(clientId);
         }
       }
-    }, 5 * 60 * 1000); // Every 5 minutes
+    }, 5 * 60 * 1000).unref(); // Every 5 minutes
   }
 }
 
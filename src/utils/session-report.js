@@ -0,0 +1,245 @@
+/**
+ * Session reports
+ * Talk-time analytics of a stored transcript: duration, pace, confidence and each speaker's share
+ */
+
+const { speakerLabel, channelLabel } = require('./speakers');
+
+// A speaker starting within this many seconds of an unfinished sentence cuts the previous speaker off
+const INTERRUPTION_GAP = 0.3;
+// Longer silences within one speaker's words start a new turn, so pauses do not count as talk time
+const MAX_TURN_PAUSE = 2;
+
+/**
+ * Build the report of a session transcript
+ *
+ * Talk time is the time from the first to the last word of each turn. Speakers are diarized
+ * speakers, or audio channels for multichannel sessions; the list is empty when neither applies.
+ * @param {Object} transcript - Stored transcript (session fields, `segments`, optional `audio` and `active`)
+ * @param {Date} now - End of the wall-clock duration of a session still running
+ * @returns {Object} Session report
+ */
+function buildSessionReport(transcript, now = new Date()) {
+  const { segments, multichannel } = transcript;
+  const words = collectWords(segments, multichannel);
+  const diarized = multichannel || words.some(word => word.speaker !== undefined);
+  const turns = groupWordTurns(words, (word, current) => {
+    if (multichannel) return word.channel || 0;
+    return diarized ? word.speaker ?? current?.key ?? 0 : null;
+  });
+
+  const speakers = new Map();
+  let previous = null;
+  for (const turn of turns) {
+    if (diarized) {
+      if (!speakers.has(turn.key)) speakers.set(turn.key, createSpeakerStats(turn.key, transcript));
+      const stats = speakers.get(turn.key);
+      stats.talkTime += turn.end - turn.start;
+      stats.words += turn.words.length;
+      stats.turns++;
+      stats.confidence.push(...turn.words.map(word => word.confidence).filter(isNumber));
+
+      if (previous && previous.key !== turn.key && isInterruption(previous, turn)) {
+        stats.interruptions++;
+        speakers.get(previous.key).interrupted++;
+      }
+    }
+    previous = turn;
+  }
+
+  const talkTime = turns.reduce((sum, turn) => sum + (turn.end - turn.start), 0);
+  const audioSeconds = segments.reduce((end, segment) => Math.max(end, segment.end || 0), 0);
+  const wordCount = words.length || segments.reduce((sum, segment) => sum + countWords(segment.transcript), 0);
+  const startedAt = Date.parse(transcript.startedAt);
+  const endedAt = transcript.endedAt ? Date.parse(transcript.endedAt) : now.getTime();
+
+  const speakerReports = Array.from(speakers.values())
+    .map(stats => describeSpeaker(stats, talkTime))
+    .sort((a, b) => b.talkTime - a.talkTime || a.label.localeCompare(b.label));
+
+  return {
+    sessionId: transcript.sessionId,
+    conversationId: transcript.conversationId,
+    slackChannel: transcript.slackChannel,
+    active: !!transcript.active,
+    startedAt: transcript.startedAt,
+    endedAt: transcript.endedAt || null,
+    wallClockSeconds: Number.isNaN(startedAt) ? null : round(Math.max(0, endedAt - startedAt) / 1000),
+    audioSeconds: round(audioSeconds),
+    audioChunks: transcript.audio?.chunks ?? null,
+    audioBytes: transcript.audio?.bytes ?? null,
+    voiceActivity: transcript.audio?.voiceActivity ?? null,
+    talkTime: round(talkTime),
+    silence: round(Math.max(0, audioSeconds - talkTime)),
+    words: wordCount,
+    wordsPerMinute: perMinute(wordCount, audioSeconds),
+    averageConfidence: averageConfidence(words, segments),
+    interruptions: speakerReports.reduce((sum, speaker) => sum + speaker.interruptions, 0),
+    dominantSpeaker: dominantSpeaker(speakerReports),
+    speakers: speakerReports,
+  };
+}
+
+/**
+ * Gather the words of all final segments in time order
+ * @param {Array<Object>} segments - Stored segments
+ * @param {boolean} multichannel - Whether words carry channels rather than speakers
+ * @returns {Array<Object>} Words ({ start, end, speaker, channel, confidence, text })
+ */
+function collectWords(segments, multichannel) {
+  const words = segments.flatMap(segment => (segment.words || []).map(word => ({
+    start: word.start,
+    end: word.end,
+    speaker: word.speaker,
+    channel: word.channel ?? segment.channel,
+    confidence: word.confidence,
+    text: word.punctuated_word || word.word || '',
+  })));
+
+  // Channels are transcribed independently, so their segments arrive out of time order
+  return multichannel ? words.sort((a, b) => a.start - b.start) : words;
+}
+
+/**
+ * Group consecutive words of the same speaker into turns, splitting at long pauses
+ * @param {Array<Object>} words - Words in time order
+ * @param {Function} keyOf - Returns the speaker key of a word, given the current turn
+ * @returns {Array<Object>} Turns ({ key, start, end, words })
+ */
+function groupWordTurns(words, keyOf) {
+  const turns = [];
+  let current = null;
+
+  for (const word of words) {
+    const key = keyOf(word, current);
+    if (!current || current.key !== key || word.start - current.end > MAX_TURN_PAUSE) {
+      current = { key, start: word.start, end: word.end, words: [] };
+      turns.push(current);
+    }
+
+    current.words.push(word);
+    current.end = Math.max(current.end, word.end);
+  }
+
+  return turns;
+}
+
+/**
+ * Check whether a turn cut the previous speaker off mid-sentence
+ * @param {Object} previous - Previous turn
+ * @param {Object} turn - Turn of another speaker
+ * @returns {boolean} True for an interruption
+ */
+function isInterruption(previous, turn) {
+  const lastWord = previous.words[previous.words.length - 1].text;
+  return turn.start - previous.end < INTERRUPTION_GAP && !/[.!?]$/.test(lastWord);
+}
+
+/**
+ * Start the statistics of a speaker
+ * @param {number} key - Speaker or channel index
+ * @param {Object} transcript - Stored transcript
+ * @returns {Object} Empty speaker statistics
+ */
+function createSpeakerStats(key, transcript) {
+  const assignment = transcript.multichannel ? null : transcript.speakerNames?.[key];
+
+  return {
+    ...(transcript.multichannel ? { channel: key } : { speaker: key }),
+    label: transcript.multichannel
+      ? channelLabel(key, transcript.channelLabels)
+      : speakerLabel(key, transcript.speakerNames),
+    slackUserId: assignment?.slackUserId,
+    talkTime: 0,
+    words: 0,
+    turns: 0,
+    interruptions: 0,
+    interrupted: 0,
+    confidence: [],
+  };
+}
+
+/**
+ * Describe the statistics of a speaker
+ * @param {Object} stats - Speaker statistics
+ * @param {number} totalTalkTime - Talk time of all speakers in seconds
+ * @returns {Object} Speaker report
+ */
+function describeSpeaker({ confidence, ...stats }, totalTalkTime) {
+  return {
+    ...stats,
+    talkTime: round(stats.talkTime),
+    share: totalTalkTime > 0 ? round(stats.talkTime / totalTalkTime, 3) : 0,
+    wordsPerMinute: perMinute(stats.words, stats.talkTime),
+    averageConfidence: confidence.length ? round(confidence.reduce((sum, value) => sum + value, 0) / confidence.length, 3) : null,
+  };
+}
+
+/**
+ * Label of the speaker with clearly the most talk time
+ * @param {Array<Object>} speakers - Speaker reports sorted by talk time
+ * @returns {string|null} Label, or null with fewer than two speakers or a tie
+ */
+function dominantSpeaker(speakers) {
+  if (speakers.length < 2 || speakers[0].talkTime === speakers[1].talkTime) return null;
+  return speakers[0].label;
+}
+
+/**
+ * Average confidence of a transcript, from word confidences or else duration-weighted segments
+ * @param {Array<Object>} words - Transcript words
+ * @param {Array<Object>} segments - Stored segments
+ * @returns {number|null} Confidence between 0 and 1
+ */
+function averageConfidence(words, segments) {
+  const values = words.map(word => word.confidence).filter(isNumber);
+  if (values.length) {
+    return round(values.reduce((sum, value) => sum + value, 0) / values.length, 3);
+  }
+
+  const duration = segments.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+  if (!duration) return null;
+  return round(segments.reduce((sum, segment) => sum + (segment.confidence || 0) * (segment.duration || 0), 0) / duration, 3);
+}
+
+/**
+ * Words per minute
+ * @param {number} words - Word count
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Rounded rate, 0 without time
+ */
+function perMinute(words, seconds) {
+  return seconds > 0 ? Math.round(words / (seconds / 60)) : 0;
+}
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True for a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Round a number
+ * @param {number} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  buildSessionReport,
+};
@@ -0,0 +1,158 @@
+/**
+ * Speaker and channel turn utilities
+ * Groups diarized or multichannel words into turns and resolves their display names
+ */
+
+// Slack user IDs, raw ("U012AB3CD"), as mentions ("<@U012AB3CD|name>") or HTML-escaped mentions
+const SLACK_USER_PATTERN = /^(?:<@|&lt;@|@)?([UW][A-Z0-9]{6,})(?:\|[^>&]*)?(?:>|&gt;)?$/;
+
+/**
+ * Parse a speaker assignment into a name or a Slack user reference
+ * @param {string} value - Display name or Slack user ID/mention
+ * @returns {Object} { name } or { slackUserId }
+ */
+function parseSpeakerAssignment(value) {
+  const trimmed = String(value).trim();
+  const match = trimmed.match(SLACK_USER_PATTERN);
+
+  return match ? { slackUserId: match[1] } : { name: trimmed };
+}
+
+/**
+ * Resolve the display label of a speaker
+ * @param {number} speaker - Zero-based speaker index
+ * @param {Object} speakerNames - Assignments keyed by speaker index
+ * @returns {string} Speaker label
+ */
+function speakerLabel(speaker, speakerNames = {}) {
+  const assignment = speakerNames[speaker];
+  return assignment?.name || assignment?.slackUserId || `Speaker ${speaker + 1}`;
+}
+
+/**
+ * Group consecutive words sharing the same key into turns
+ * @param {Array<Object>} words - Words with `start`, `end` fields
+ * @param {Function} keyOf - Returns the grouping key of a word
+ * @param {Function} describe - Returns label fields for a key
+ * @returns {Array<Object>} Turns
+ */
+function groupTurns(words, keyOf, describe) {
+  const turns = [];
+  let current = null;
+
+  for (const word of words) {
+    const key = keyOf(word, current);
+
+    if (!current || current.key !== key) {
+      current = {
+        key,
+        ...describe(key),
+        start: word.start,
+        end: word.end,
+        tokens: [],
+      };
+      turns.push(current);
+    }
+
+    current.tokens.push(word.punctuated_word || word.word);
+    current.end = word.end;
+  }
+
+  return turns.map(({ key: _key, tokens, ...turn }) => ({
+    ...turn,
+    transcript: tokens.join(' '),
+  }));
+}
+
+/**
+ * Group consecutive words by speaker
+ * @param {Array<Object>} words - Words with `speaker`, `start`, `end` fields
+ * @param {Object} speakerNames - Assignments keyed by speaker index
+ * @returns {Array<Object>} Speaker turns (empty when words are not diarized)
+ */
+function groupSpeakerTurns(words = [], speakerNames = {}) {
+  if (!words.length || words.every(word => word.speaker === undefined)) {
+    return [];
+  }
+
+  return groupTurns(
+    words,
+    (word, current) => word.speaker ?? current?.key ?? 0,
+    (speaker) => ({
+      speaker,
+      label: speakerLabel(speaker, speakerNames),
+      slackUserId: speakerNames[speaker]?.slackUserId,
+    }),
+  );
+}
+
+/**
+ * Resolve the display label of an audio channel
+ * @param {number} channel - Zero-based channel index
+ * @param {Array<string>} channelLabels - Labels by channel index
+ * @returns {string} Channel label
+ */
+function channelLabel(channel, channelLabels = []) {
+  return channelLabels[channel] || `Channel ${channel + 1}`;
+}
+
+/**
+ * Parse a comma separated list of channel labels ("Agent,Customer")
+ * @param {string} value - Comma separated labels
+ * @returns {Array<string>} Labels by channel index
+ */
+function parseChannelLabels(value) {
+  if (!value) return [];
+
+  return String(value)
+    .split(',')
+    .map(label => label.trim());
+}
+
+/**
+ * Interleave words from several audio channels into time-ordered channel turns
+ * @param {Array<Object>} words - Words with `channel`, `start`, `end` fields
+ * @param {Array<string>} channelLabels - Labels by channel index
+ * @returns {Array<Object>} Channel turns
+ */
+function groupChannelTurns(words = [], channelLabels = []) {
+  const ordered = [...words].sort((a, b) => a.start - b.start);
+
+  return groupTurns(
+    ordered,
+    (word) => word.channel || 0,
+    (channel) => ({
+      channel,
+      label: channelLabel(channel, channelLabels),
+    }),
+  );
+}
+
+/**
+ * Render speaker or channel turns as text, one line per turn
+ * @param {Array<Object>} turns - Speaker or channel turns
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.slack - Use Slack mrkdwn and user mentions
+ * @returns {string} Formatted transcript
+ */
+function formatTurns(turns, options = {}) {
+  return turns
+    .map(turn => {
+      if (!options.slack) {
+        return `${turn.label}: ${turn.transcript}`;
+      }
+      const label = turn.slackUserId ? `<@${turn.slackUserId}>:` : `*${turn.label}:*`;
+      return `${label} ${turn.transcript}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  parseSpeakerAssignment,
+  speakerLabel,
+  channelLabel,
+  parseChannelLabels,
+  groupSpeakerTurns,
+  groupChannelTurns,
+  formatTurns,
+};
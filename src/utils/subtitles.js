@@ -0,0 +1,254 @@
+/**
+ * Subtitle export
+ * Segments timed words into caption cues and renders them as SRT or WebVTT
+ */
+
+const { speakerLabel } = require('./speakers');
+
+const SUBTITLE_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+};
+
+const DEFAULT_OPTIONS = {
+  maxLineLength: 42,
+  maxLines: 2,
+  maxCueDuration: 7,
+  // Short cues are held on screen this long (seconds) unless the next cue starts earlier
+  minCueDuration: 1,
+  // A pause this long (seconds) ends the cue, so captions do not linger over silence
+  maxPause: 1.5,
+  speakerLabels: false,
+  speakerNames: {},
+};
+
+/**
+ * Turn final live segments into timed words
+ *
+ * Segments without word timings have their transcript spread evenly over their duration.
+ * @param {Array<Object>} segments - Segments with `start`, `duration`, `transcript` and `words`
+ * @returns {Array<Object>} Words with `start`, `end` and `speaker`
+ */
+function segmentsToWords(segments) {
+  return segments.flatMap(segment => {
+    if (segment.words?.length) return segment.words;
+
+    const tokens = (segment.transcript || '').split(/\s+/).filter(Boolean);
+    const step = (segment.duration || 0) / Math.max(tokens.length, 1);
+    return tokens.map((token, index) => ({
+      punctuated_word: token,
+      start: segment.start + index * step,
+      end: segment.start + (index + 1) * step,
+    }));
+  });
+}
+
+/**
+ * Group timed words into caption cues
+ *
+ * A cue ends when the speaker changes, after a pause, before it would exceed the maximum
+ * duration or text length, and preferably at the end of a sentence.
+ * @param {Array<Object>} words - Words with `start`, `end`, `punctuated_word` or `word`, and `speaker`
+ * @param {Object} options - Segmentation options (see DEFAULT_OPTIONS)
+ * @returns {Array<Object>} Cues ({ start, end, speaker, lines })
+ */
+function buildCues(words, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const maxChars = settings.maxLineLength * settings.maxLines;
+  const cues = [];
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    cues.push({
+      start: current.start,
+      end: current.end,
+      speaker: current.speaker,
+      lines: wrapLines(current.tokens, settings.maxLineLength, settings.maxLines),
+    });
+    current = null;
+  };
+
+  for (const word of words) {
+    const token = word.punctuated_word || word.word;
+    if (!token) continue;
+
+    if (current) {
+      const lines = wrapLines([...current.tokens, token], settings.maxLineLength, settings.maxLines);
+      const sentenceEnded = /[.!?]$/.test(current.tokens[current.tokens.length - 1]);
+
+      if (
+        word.speaker !== current.speaker ||
+        word.start - current.end > settings.maxPause ||
+        word.end - current.start > settings.maxCueDuration ||
+        lines.some(line => line.length > settings.maxLineLength) ||
+        // Start a new sentence in a new cue once the cue is reasonably full
+        (sentenceEnded && current.tokens.join(' ').length > maxChars / 2)
+      ) {
+        close();
+      }
+    }
+
+    if (!current) {
+      current = { start: word.start, end: word.end, speaker: word.speaker, tokens: [] };
+    }
+    current.tokens.push(token);
+    current.end = word.end;
+  }
+  close();
+
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    const latest = next ? Math.max(cue.end, next.start) : Infinity;
+    cue.end = Math.min(Math.max(cue.end, cue.start + settings.minCueDuration), latest);
+  });
+
+  return cues;
+}
+
+/**
+ * Wrap cue text into balanced lines
+ * @param {Array<string>} tokens - Words of the cue
+ * @param {number} maxLineLength - Longest line in characters
+ * @param {number} maxLines - Most lines per cue
+ * @returns {Array<string>} Lines
+ */
+function wrapLines(tokens, maxLineLength, maxLines) {
+  const text = tokens.join(' ');
+  if (text.length <= maxLineLength || maxLines < 2) return [text];
+
+  // Aim for lines of similar length rather than a full line and a short one
+  const lineCount = Math.min(maxLines, Math.ceil(text.length / maxLineLength));
+  const balanced = fillLines(tokens, Math.ceil(text.length / lineCount), maxLines);
+  return balanced.every(line => line.length <= maxLineLength)
+    ? balanced
+    : fillLines(tokens, maxLineLength, maxLines);
+}
+
+/**
+ * Fill lines greedily up to a width; the last line takes the remaining words
+ * @param {Array<string>} tokens - Words
+ * @param {number} width - Line width in characters
+ * @param {number} maxLines - Most lines
+ * @returns {Array<string>} Lines
+ */
+function fillLines(tokens, width, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const token of tokens) {
+    const candidate = line ? `${line} ${token}` : token;
+    if (line && candidate.length > width && lines.length < maxLines - 1) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = candidate;
+    }
+  }
+  lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Decimal separator (',' for SRT, '.' for WebVTT)
+ * @returns {string} HH:MM:SS,mmm
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Render cues as SubRip (SRT)
+ * @param {Array<Object>} cues - Caption cues
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.speakerLabels - Prefix cues with the speaker's name
+ * @param {Object} options.speakerNames - Speaker assignments keyed by speaker index
+ * @returns {string} SRT document
+ */
+function formatSrt(cues, options = {}) {
+  return cues.map((cue, index) => {
+    const lines = [...cue.lines];
+    if (options.speakerLabels && cue.speaker !== undefined) {
+      lines[0] = `${speakerLabel(cue.speaker, options.speakerNames)}: ${lines[0]}`;
+    }
+    return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${lines.join('\n')}\n`;
+  }).join('\n');
+}
+
+/**
+ * Render cues as WebVTT
+ * @param {Array<Object>} cues - Caption cues
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.speakerLabels - Mark cues with voice tags (<v Speaker 1>)
+ * @param {Object} options.speakerNames - Speaker assignments keyed by speaker index
+ * @returns {string} WebVTT document
+ */
+function formatVtt(cues, options = {}) {
+  const body = cues.map(cue => {
+    const text = cue.lines.map(escapeVtt).join('\n');
+    const voice = options.speakerLabels && cue.speaker !== undefined
+      ? `<v ${escapeVtt(speakerLabel(cue.speaker, options.speakerNames))}>`
+      : '';
+    return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${voice}${text}\n`;
+  });
+
+  return ['WEBVTT\n', ...body].join('\n');
+}
+
+/**
+ * Escape the characters WebVTT cue text reserves
+ * @param {string} text - Cue text
+ * @returns {string} Escaped text
+ */
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render timed words as subtitles
+ * @param {Array<Object>} words - Timed words
+ * @param {string} format - 'srt' or 'vtt'
+ * @param {Object} options - Segmentation and rendering options (see DEFAULT_OPTIONS)
+ * @returns {string} Subtitle document
+ */
+function renderSubtitles(words, format, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const cues = buildCues(words, settings);
+  return format === 'vtt' ? formatVtt(cues, settings) : formatSrt(cues, settings);
+}
+
+/**
+ * Parse subtitle options from request fields
+ * @param {Object} input - Request body or query
+ * @returns {Object} Options ({ maxLineLength, maxCueDuration, speakerLabels })
+ */
+function parseSubtitleOptions(input = {}) {
+  const maxLineLength = parseInt(input.max_line_length);
+  const maxCueDuration = parseFloat(input.max_cue_duration);
+
+  return {
+    ...(maxLineLength >= 16 && maxLineLength <= 80 ? { maxLineLength } : {}),
+    ...(maxCueDuration >= 1 && maxCueDuration <= 30 ? { maxCueDuration } : {}),
+    speakerLabels: String(input.speaker_labels) === 'true',
+  };
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  segmentsToWords,
+  buildCues,
+  formatSrt,
+  formatVtt,
+  renderSubtitles,
+  parseSubtitleOptions,
+};
@@ -0,0 +1,209 @@
+/**
+ * Audio transcoding
+ * Extracts the audio track of video and less common audio containers with ffmpeg and
+ * normalizes it to 16 kHz FLAC, within duration, size and CPU time limits
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { AppError } = require('../middleware/error-handler');
+
+const OUTPUT_SAMPLE_RATE = 16000;
+const OUTPUT_MIME_TYPE = 'audio/flac';
+// ffmpeg's last lines explain a failure; older output is dropped
+const STDERR_TAIL_BYTES = 4096;
+// Exit status of a shell that cannot find the command
+const COMMAND_NOT_FOUND = 127;
+
+/**
+ * Raised when a file cannot be converted; not retried by job queues
+ */
+class TranscodeError extends AppError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Machine readable code
+   */
+  constructor(message, code) {
+    super(message, 422, code);
+    this.name = 'TranscodeError';
+    // The same file and limits fail the same way again
+    this.retryable = false;
+  }
+}
+
+/**
+ * Convert a media file to FLAC audio the speech-to-text provider reads
+ *
+ * Buffers are written to a temporary file first: MP4 and MOV files often keep their index at
+ * the end, which ffmpeg cannot reach when reading from a pipe.
+ * @param {Buffer|string} input - File contents, or the path of a file on disk
+ * @param {Object} options - Conversion options
+ * @param {string} options.ffmpegPath - ffmpeg executable
+ * @param {number} options.maxDuration - Longest accepted audio in seconds
+ * @param {number} options.maxBytes - Largest accepted output in bytes
+ * @param {number} options.timeoutMs - Wall-clock time allowed for the conversion
+ * @param {number} options.cpuSeconds - CPU time allowed for the conversion
+ * @param {boolean} options.keepChannels - Keep all channels (multichannel transcription) instead of downmixing to mono
+ * @returns {Promise<Object>} { buffer, mimetype, duration }
+ * @throws {TranscodeError} If the file has no audio, is too long or too large, or ffmpeg fails
+ */
+async function transcodeAudio(input, options) {
+  if (typeof input === 'string') {
+    return runFfmpeg(input, options);
+  }
+
+  const inputPath = path.join(os.tmpdir(), `transcode-${crypto.randomUUID()}`);
+  await fs.promises.writeFile(inputPath, input, { mode: 0o600 });
+  try {
+    return await runFfmpeg(inputPath, options);
+  } finally {
+    await fs.promises.rm(inputPath, { force: true });
+  }
+}
+
+/**
+ * Run ffmpeg on a file and collect the converted audio from its output
+ * @param {string} inputPath - Input file
+ * @param {Object} options - Conversion options (see transcodeAudio)
+ * @returns {Promise<Object>} { buffer, mimetype, duration }
+ */
+function runFfmpeg(inputPath, { ffmpegPath, maxDuration, maxBytes, timeoutMs, cpuSeconds, keepChannels = false }) {
+  const args = [
+    '-hide_banner',
+    '-nostdin',
+    '-threads', '1',
+    '-i', inputPath,
+    // First audio track only; video, subtitles and data are dropped
+    '-map', '0:a:0',
+    '-vn', '-sn', '-dn',
+    ...(keepChannels ? [] : ['-ac', '1']),
+    '-ar', String(OUTPUT_SAMPLE_RATE),
+    '-c:a', 'flac',
+    '-progress', 'pipe:2',
+    '-nostats',
+    '-f', 'flac',
+    'pipe:1',
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawnLimited(ffmpegPath, args, cpuSeconds);
+    const chunks = [];
+    let size = 0;
+    let stderr = '';
+    let duration = null;
+    let failure = null;
+
+    const stop = (error) => {
+      if (failure) return;
+      failure = error;
+      child.kill('SIGKILL');
+    };
+
+    const timer = setTimeout(() => {
+      stop(new TranscodeError(`Transcoding took longer than ${Math.round(timeoutMs / 1000)}s`, 'TRANSCODE_TIMEOUT'));
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stop(new TranscodeError(`Converted audio too large: more than ${maxBytes} bytes`, 'FILE_TOO_LARGE'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-STDERR_TAIL_BYTES);
+
+      // The container's duration comes first; files without one (streamed WebM) are checked as they convert
+      const declared = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+      if (declared && duration === null) {
+        duration = Number(declared[1]) * 3600 + Number(declared[2]) * 60 + Number(declared[3]);
+      }
+      const longest = Math.max(duration || 0, convertedSeconds(stderr) || 0);
+      if (longest > maxDuration) {
+        stop(new TranscodeError(`Audio too long: ${Math.round(longest)}s (max: ${maxDuration}s)`, 'AUDIO_TOO_LONG'));
+      }
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new TranscodeError(`Failed to start ffmpeg: ${error.message}`, 'TRANSCODER_UNAVAILABLE'));
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+
+      if (failure) {
+        reject(failure);
+      } else if (signal === 'SIGXCPU' || signal === 'SIGKILL') {
+        reject(new TranscodeError(`Transcoding exceeded ${cpuSeconds}s of CPU time`, 'TRANSCODE_TIMEOUT'));
+      } else if (code === COMMAND_NOT_FOUND) {
+        reject(new TranscodeError('ffmpeg is not installed', 'TRANSCODER_UNAVAILABLE'));
+      } else if (code !== 0) {
+        reject(describeFailure(stderr));
+      } else if (size === 0) {
+        reject(new TranscodeError('The file has no audio', 'NO_AUDIO'));
+      } else {
+        resolve({
+          buffer: Buffer.concat(chunks),
+          mimetype: OUTPUT_MIME_TYPE,
+          duration: convertedSeconds(stderr) ?? duration,
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Start a command with a CPU time limit
+ *
+ * The limit is set with the shell's `ulimit -t`, which the kernel enforces with SIGXCPU. The
+ * arguments are passed as positional parameters, never interpolated into the script.
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {number} cpuSeconds - CPU time limit
+ * @returns {ChildProcess} Child process
+ */
+function spawnLimited(command, args, cpuSeconds) {
+  const stdio = ['ignore', 'pipe', 'pipe'];
+  if (process.platform === 'win32') {
+    return spawn(command, args, { stdio });
+  }
+  return spawn('/bin/sh', ['-c', 'ulimit -t "$0" && exec "$@"', String(cpuSeconds), command, ...args], { stdio });
+}
+
+/**
+ * Latest progress of a conversion
+ * @param {string} stderr - ffmpeg's error output, which carries -progress reports
+ * @returns {number|null} Seconds of audio converted so far, null before the first report
+ */
+function convertedSeconds(stderr) {
+  const reports = [...stderr.matchAll(/out_time_us=(\d+)/g)];
+  return reports.length > 0 ? Number(reports[reports.length - 1][1]) / 1e6 : null;
+}
+
+/**
+ * Turn ffmpeg's error output into an error users can act on
+ * @param {string} stderr - Last lines of ffmpeg's error output
+ * @returns {TranscodeError} Error
+ */
+function describeFailure(stderr) {
+  if (/matches no streams|does not contain any stream/i.test(stderr)) {
+    return new TranscodeError('The file has no audio track', 'NO_AUDIO');
+  }
+  if (/Invalid data found|could not find codec parameters|moov atom not found/i.test(stderr)) {
+    return new TranscodeError('The file is corrupted or not a media file', 'INVALID_FILE');
+  }
+
+  const lastLine = stderr.split('\n').map(line => line.trim()).filter(line => line && !line.includes('=')).pop();
+  return new TranscodeError(`Transcoding failed${lastLine ? `: ${lastLine.slice(0, 200)}` : ''}`, 'TRANSCODE_FAILED');
+}
+
+module.exports = {
+  TranscodeError,
+  transcodeAudio,
+};
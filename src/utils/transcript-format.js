@@ -0,0 +1,147 @@
+/**
+ * Transcript renderings
+ * Turns stored session transcripts into JSON, plain text and Markdown
+ */
+
+const { groupSpeakerTurns, channelLabel } = require('./speakers');
+
+const TRANSCRIPT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8' },
+  text: { contentType: 'text/plain; charset=utf-8' },
+  markdown: { contentType: 'text/markdown; charset=utf-8' },
+};
+
+/**
+ * Group the segments of a transcript into labelled turns
+ *
+ * Speaker labels are resolved with the session's current speaker names, so names assigned after
+ * a segment was stored still apply. Consecutive turns with the same label are merged.
+ * @param {Object} transcript - Stored transcript ({ segments, speakerNames, multichannel, channelLabels })
+ * @returns {Array<Object>} Turns ({ label, slackUserId, start, end, transcript }), label null when not diarized
+ */
+function buildTranscriptTurns(transcript) {
+  const turns = [];
+
+  for (const segment of transcript.segments) {
+    const segmentTurns = transcript.multichannel
+      ? [{ label: channelLabel(segment.channel, transcript.channelLabels), start: segment.start, end: segment.end, transcript: segment.transcript }]
+      : groupSpeakerTurns(segment.words, transcript.speakerNames);
+
+    if (segmentTurns.length === 0) {
+      segmentTurns.push({ label: null, start: segment.start, end: segment.end, transcript: segment.transcript });
+    }
+
+    for (const turn of segmentTurns) {
+      const previous = turns[turns.length - 1];
+      if (previous && previous.label === turn.label) {
+        previous.end = turn.end;
+        previous.transcript += ` ${turn.transcript}`;
+      } else {
+        turns.push({
+          label: turn.label,
+          ...(turn.slackUserId ? { slackUserId: turn.slackUserId } : {}),
+          start: turn.start,
+          end: turn.end,
+          transcript: turn.transcript,
+        });
+      }
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Describe a transcript as a JSON document
+ * @param {Object} transcript - Stored transcript
+ * @returns {Object} Session fields, full `transcript` text, `turns` and `segments`
+ */
+function describeTranscript(transcript) {
+  const { segments, ...session } = transcript;
+
+  return {
+    ...session,
+    duration: sessionDuration(transcript),
+    transcript: segments.map(segment => segment.transcript).join(' '),
+    turns: buildTranscriptTurns(transcript),
+    segments,
+  };
+}
+
+/**
+ * Render a transcript as plain text, one line per turn
+ * @param {Object} transcript - Stored transcript
+ * @returns {string} Text transcript
+ */
+function renderTranscriptText(transcript) {
+  return buildTranscriptTurns(transcript)
+    .map(turn => `[${formatClock(turn.start)}] ${turn.label ? `${turn.label}: ` : ''}${turn.transcript}`)
+    .join('\n');
+}
+
+/**
+ * Render a transcript as a Markdown document with a metadata header
+ * @param {Object} transcript - Stored transcript
+ * @returns {string} Markdown transcript
+ */
+function renderTranscriptMarkdown(transcript) {
+  const details = [
+    transcript.conversationId && `- **Conversation:** ${escapeMarkdown(transcript.conversationId)}`,
+    transcript.filename && `- **File:** ${escapeMarkdown(transcript.filename)}`,
+    transcript.slackChannel && `- **Channel:** ${escapeMarkdown(transcript.slackChannel)}`,
+    `- **Started:** ${transcript.startedAt}`,
+    transcript.endedAt ? `- **Ended:** ${transcript.endedAt}` : '- **Status:** in progress',
+    `- **Duration:** ${formatClock(sessionDuration(transcript))}`,
+    `- **Language:** ${transcript.detectedLanguage?.language || transcript.language}`,
+  ].filter(Boolean);
+
+  const turns = buildTranscriptTurns(transcript).map(turn => {
+    const label = turn.label ? `**${escapeMarkdown(turn.label)}** ` : '';
+    return `${label}(${formatClock(turn.start)}): ${escapeMarkdown(turn.transcript)}`;
+  });
+
+  return [
+    `# Transcript: ${escapeMarkdown(transcript.sessionId)}`,
+    details.join('\n'),
+    ...(turns.length ? turns : ['_No speech was transcribed._']),
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * Get the transcribed length of a session
+ * @param {Object} transcript - Stored transcript
+ * @returns {number} End of the last segment in seconds
+ */
+function sessionDuration(transcript) {
+  return transcript.segments.reduce((end, segment) => Math.max(end, segment.end || 0), 0);
+}
+
+/**
+ * Format seconds as a clock time
+ * @param {number} seconds - Time in seconds
+ * @returns {string} HH:MM:SS
+ */
+function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+/**
+ * Escape the characters Markdown would interpret in transcript text
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>#|]/g, '\\$&');
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  buildTranscriptTurns,
+  describeTranscript,
+  renderTranscriptText,
+  renderTranscriptMarkdown,
+  sessionDuration,
+  formatClock,
+};
@@ -0,0 +1,147 @@
+/**
+ * Utterance aggregation
+ * Groups final transcript segments into complete utterances or paragraphs before they are posted
+ */
+
+const { logger } = require('./logger');
+
+const POST_MODES = ['segment', 'utterance', 'paragraph', 'live'];
+
+class UtteranceAggregator {
+  /**
+   * @param {Object} options - Aggregation options
+   * @param {string} options.mode - 'utterance' closes on end-of-speech signals, 'paragraph' only on
+   *   speaker changes and pauses
+   * @param {number} options.debounceMs - Close the pending utterance after this long without a final segment
+   * @param {number} options.maxChars - Close the pending utterance once it reaches this length
+   * @param {Function} options.onUtterance - Called with each completed utterance, in order
+   * @param {Function} options.onClose - Called synchronously when an utterance closes; its return
+   *   value is passed to onUtterance as second argument
+   */
+  constructor({ mode, debounceMs, maxChars, onUtterance, onClose }) {
+    this.mode = mode;
+    this.debounceMs = debounceMs;
+    this.maxChars = maxChars;
+    this.onUtterance = onUtterance;
+    this.onClose = onClose;
+    this.pending = [];
+    this.timer = null;
+    this.delivery = Promise.resolve();
+  }
+
+  /**
+   * Add a final segment
+   * @param {Object} result - Final transcript result ({ transcript, words, confidence, start, duration, speech_final })
+   */
+  add(result) {
+    if (this.pending.length > 0 && firstSpeaker(result) !== lastSpeaker(this.pending)) {
+      this.flush('speaker_change');
+    }
+
+    this.pending.push(result);
+
+    if (this.mode === 'utterance' && result.speech_final) {
+      this.flush('speech_final');
+    } else if (this.pending.reduce((length, segment) => length + segment.transcript.length, 0) >= this.maxChars) {
+      this.flush('max_length');
+    } else {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush('pause'), this.debounceMs);
+    }
+  }
+
+  /**
+   * Handle an utterance-end signal from the provider
+   */
+  endUtterance() {
+    if (this.mode === 'utterance') {
+      this.flush('utterance_end');
+    }
+  }
+
+  /**
+   * Close the pending utterance, if any, and deliver it after previously closed ones
+   * @param {string} reason - Why the utterance was closed
+   * @returns {Promise} Resolves once every closed utterance has been delivered
+   */
+  flush(reason = 'flush') {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.pending.length > 0) {
+      const utterance = buildUtterance(this.pending, reason);
+      const context = this.onClose ? this.onClose(utterance) : undefined;
+      this.pending = [];
+
+      this.delivery = this.delivery
+        .then(() => this.onUtterance(utterance, context))
+        .catch(error => logger.error('Error delivering utterance:', error));
+    }
+
+    return this.delivery;
+  }
+
+  /**
+   * Final segments of the utterance still open
+   * @returns {Array<Object>} Pending transcript results
+   */
+  getPending() {
+    return this.pending;
+  }
+
+  /**
+   * Drop the pending utterance and stop the debounce timer
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = [];
+  }
+}
+
+/**
+ * Speaker of the first word of a segment
+ * @param {Object} result - Transcript result
+ * @returns {number|undefined} Speaker index
+ */
+function firstSpeaker(result) {
+  return result.words[0]?.speaker;
+}
+
+/**
+ * Speaker of the last word of the pending segments
+ * @param {Array<Object>} segments - Pending transcript results
+ * @returns {number|undefined} Speaker index
+ */
+function lastSpeaker(segments) {
+  const words = segments[segments.length - 1].words;
+  return words[words.length - 1]?.speaker;
+}
+
+/**
+ * Combine final segments into one utterance
+ * @param {Array<Object>} segments - Final transcript results in order
+ * @param {string} reason - Why the utterance was closed
+ * @returns {Object} Utterance ({ transcript, words, confidence, start, end, duration, segments, reason })
+ */
+function buildUtterance(segments, reason) {
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const end = last.start + last.duration;
+
+  return {
+    transcript: segments.map(segment => segment.transcript).join(' '),
+    words: segments.flatMap(segment => segment.words),
+    confidence: segments.reduce((sum, segment) => sum + segment.confidence, 0) / segments.length,
+    start: first.start,
+    end,
+    duration: end - first.start,
+    segments: segments.length,
+    reason,
+  };
+}
+
+module.exports = {
+  POST_MODES,
+  UtteranceAggregator,
+};
@@ -5,12 +5,30 @@
 
 const { logger } = require('./logger');
 
+// Media types ffmpeg can extract audio from, accepted when transcoding is enabled
+const TRANSCODABLE_MIME_PATTERN = /^(audio|video)\/[\w.+-]+$/;
+
+// Containers the speech-to-text provider cannot read directly, converted by ffmpeg first
+const TRANSCODABLE_HEADERS = {
+  matroska: [0x1A, 0x45, 0xDF, 0xA3], // EBML: WebM, MKV
+  asf: [0x30, 0x26, 0xB2, 0x75], // WMA, WMV
+  amr: [0x23, 0x21, 0x41, 0x4D, 0x52], // '#!AMR'
+  caf: [0x63, 0x61, 0x66, 0x66], // 'caff'
+  aiff: [0x46, 0x4F, 0x52, 0x4D], // 'FORM'
+  aac: [0xFF, 0xF1], // ADTS, MPEG-4 AAC
+  aac_mpeg2: [0xFF, 0xF9], // ADTS, MPEG-2 AAC
+};
+
 /**
  * Validate audio file upload
  * @param {Object} file - Multer file object
+ * @param {Object} options - Validation options
+ * @param {number} options.maxSize - Size limit in bytes (default: MAX_FILE_SIZE)
+ * @param {boolean} options.allowTranscoding - Also accept video and other audio containers that
+ *   are converted before transcription (default: TRANSCODE_ENABLED)
  * @returns {Object} Validation result
  */
-function validateAudioFile(file) {
+function validateAudioFile(file, options = {}) {
   const errors = [];
   
   if (!file) {
@@ -19,7 +37,7 @@ function validateAudioFile(file) {
   }
   
   // Check file size
-  const maxSize = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024; // 50MB default
+  const maxSize = options.maxSize || parseFileSize(process.env.MAX_FILE_SIZE);
   if (file.size > maxSize) {
     errors.push(`File too large: ${Math.round(file.size / 1024 / 1024)}MB (max: ${Math.round(maxSize / 1024 / 1024)}MB)`);
   }
@@ -29,20 +47,11 @@ function validateAudioFile(file) {
   }
   
   // Check MIME type
-  const supportedFormats = (process.env.SUPPORTED_FORMATS || 'wav,mp3,m4a,flac').split(',');
-  const allowedMimeTypes = supportedFormats.map(format => {
-    switch (format.toLowerCase()) {
-      case 'wav': return 'audio/wav';
-      case 'mp3': return 'audio/mpeg';
-      case 'm4a': return 'audio/m4a';
-      case 'flac': return 'audio/flac';
-      case 'ogg': return 'audio/ogg';
-      default: return `audio/${format}`;
-    }
-  });
+  const allowTranscoding = options.allowTranscoding ?? process.env.TRANSCODE_ENABLED === 'true';
+  const allowedMimeTypes = nativeMimeTypes();
   
-  if (!allowedMimeTypes.includes(file.mimetype)) {
-    errors.push(`Unsupported audio format: ${file.mimetype}. Supported: ${allowedMimeTypes.join(', ')}`);
+  if (!allowedMimeTypes.includes(file.mimetype) && !(allowTranscoding && TRANSCODABLE_MIME_PATTERN.test(file.mimetype || ''))) {
+    errors.push(`Unsupported audio format: ${file.mimetype}. Supported: ${allowedMimeTypes.join(', ')}${allowTranscoding ? ' and other audio or video types' : ''}`);
   }
   
   // Check filename
@@ -66,7 +75,7 @@ function validateAudioFile(file) {
   
   // Basic audio file validation
   if (file.buffer) {
-    const validation = validateAudioBuffer(file.buffer);
+    const validation = validateAudioBuffer(file.buffer, { allowTranscoding });
     if (!validation.isValid) {
       errors.push(...validation.errors);
     }
@@ -78,12 +87,56 @@ function validateAudioFile(file) {
   };
 }
 
+/**
+ * Parse file size string to bytes
+ * @param {string} sizeStr - Size string (e.g., '50MB')
+ * @returns {number} Size in bytes
+ */
+function parseFileSize(sizeStr) {
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  const match = (sizeStr || '').match(/^(\d+)([A-Z]{1,2})$/);
+
+  if (!match) return 50 * 1024 * 1024; // Default 50MB
+
+  const [, size, unit] = match;
+  return parseInt(size) * (units[unit] || 1);
+}
+
+/**
+ * MIME types of the configured formats the speech-to-text provider reads directly
+ * @returns {Array<string>} MIME types (SUPPORTED_FORMATS)
+ */
+function nativeMimeTypes() {
+  const supportedFormats = (process.env.SUPPORTED_FORMATS || 'wav,mp3,m4a,flac').split(',');
+  return supportedFormats.map(format => {
+    switch (format.toLowerCase()) {
+      case 'wav': return 'audio/wav';
+      case 'mp3': return 'audio/mpeg';
+      case 'm4a': return 'audio/m4a';
+      case 'flac': return 'audio/flac';
+      case 'ogg': return 'audio/ogg';
+      default: return `audio/${format}`;
+    }
+  });
+}
+
+/**
+ * Check whether a file can be transcribed as is, without transcoding
+ * @param {Object} file - { buffer, mimetype }
+ * @returns {boolean} True for supported formats with a matching header
+ */
+function isNativeAudio(file) {
+  return nativeMimeTypes().includes(file.mimetype) && validateAudioBuffer(file.buffer).isValid;
+}
+
 /**
  * Validate audio buffer content
  * @param {Buffer} buffer - Audio buffer
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowTranscoding - Also accept containers converted before transcription
  * @returns {Object} Validation result
  */
-function validateAudioBuffer(buffer) {
+function validateAudioBuffer(buffer, options = {}) {
   const errors = [];
   
   if (!Buffer.isBuffer(buffer)) {
@@ -101,6 +154,7 @@ function validateAudioBuffer(buffer) {
     wav: [0x52, 0x49, 0x46, 0x46], // 'RIFF'
     mp3: [0xFF, 0xFB], // MP3 frame sync
     mp3_alt: [0xFF, 0xFA], // MP3 frame sync alternative
+    mp3_id3: [0x49, 0x44, 0x33], // 'ID3' tag before the first frame
     flac: [0x66, 0x4C, 0x61, 0x43], // 'fLaC'
     ogg: [0x4F, 0x67, 0x67, 0x53], // 'OggS'
   };
@@ -123,6 +177,12 @@ function validateAudioBuffer(buffer) {
       validHeader = true;
     }
   }
+
+  // Video and less common audio containers, converted by ffmpeg before transcription
+  if (!validHeader && options.allowTranscoding) {
+    validHeader = Object.values(TRANSCODABLE_HEADERS)
+      .some(header => buffer.length >= header.length && header.every((byte, index) => buffer[index] === byte));
+  }
   
   if (!validHeader) {
     errors.push('Invalid audio file format or corrupted header');
@@ -137,13 +197,18 @@ function validateAudioBuffer(buffer) {
 /**
  * Validate audio stream chunk
  * @param {Buffer} chunk - Audio data chunk
- * @param {Object} options - Validation options
+ * @param {Object} options - Validation options (limits derived from the stream's format, see streamChunkLimits)
+ * @param {number} options.maxChunkSize - Largest chunk in bytes
+ * @param {number} options.minChunkSize - Smallest non-empty chunk in bytes
+ * @param {number} options.frameSize - Bytes per sample frame that chunks must be a multiple of (raw PCM)
+ * @param {boolean} options.allowEmpty - Accept empty chunks
  * @returns {Object} Validation result
  */
 function validateAudioStream(chunk, options = {}) {
   const {
     maxChunkSize = 8192,
     minChunkSize = 160,
+    frameSize = 1,
     allowEmpty = false,
   } = options;
   
@@ -166,6 +231,10 @@ function validateAudioStream(chunk, options = {}) {
   if (chunk.length < minChunkSize && chunk.length > 0) {
     errors.push(`Chunk too small: ${chunk.length} bytes (min: ${minChunkSize})`);
   }
+
+  if (chunk.length % frameSize !== 0) {
+    errors.push(`Chunk of ${chunk.length} bytes splits a ${frameSize}-byte sample frame`);
+  }
   
   // Check for null or corrupted data
   if (chunk.length > 0) {
@@ -230,7 +299,8 @@ function validateTranscriptionParams(params) {
       'ga-IE',
     ];
     
-    if (!validLanguages.includes(params.language)) {
+    // 'auto' detects the spoken language
+    if (params.language !== 'auto' && !validLanguages.includes(params.language)) {
       errors.push(`Unsupported language: ${params.language}`);
     }
   }
@@ -395,7 +465,9 @@ function validateEnvironmentConfig(env) {
 module.exports = {
   validateAudioFile,
   validateAudioBuffer,
+  isNativeAudio,
   validateAudioStream,
+  parseFileSize,
   validateTranscriptionParams,
   validateWebSocketParams,
   validateSlackMessage,
@@ -0,0 +1,222 @@
+/**
+ * Voice activity detection
+ * Energy-based speech detection on raw PCM streams. Silent stretches are held back from the
+ * transcription stream, and the skipped time is tracked so timestamps stay those of the client's audio.
+ */
+
+const { pcmBytesPerSecond } = require('./audio-format');
+
+// G.711 companded bytes decoded to 16-bit samples
+const MULAW_TABLE = buildTable(decodeMulaw);
+const ALAW_TABLE = buildTable(decodeAlaw);
+
+// Sample readers per PCM encoding: [bytes per sample, read(buffer, offset), full scale]
+const SAMPLE_READERS = {
+  linear16: [2, (buffer, offset) => buffer.readInt16LE(offset), 32768],
+  linear32: [4, (buffer, offset) => buffer.readInt32LE(offset), 2147483648],
+  mulaw: [1, (buffer, offset) => MULAW_TABLE[buffer[offset]], 32768],
+  alaw: [1, (buffer, offset) => ALAW_TABLE[buffer[offset]], 32768],
+};
+
+class VoiceActivityDetector {
+  /**
+   * @param {Object} format - PCM audio format ({ encoding, sampleRate, channels })
+   * @param {Object} options - Detection options
+   * @param {number} options.thresholdDb - RMS level (dBFS) from which a chunk is speech
+   * @param {number} options.hangoverMs - Silence still forwarded after speech, so pauses and
+   *   utterance ends reach the engine
+   * @param {number} options.prerollMs - Silence forwarded ahead of resumed speech, so word onsets are kept
+   */
+  constructor(format, { thresholdDb, hangoverMs, prerollMs }) {
+    this.format = format;
+    this.bytesPerSecond = pcmBytesPerSecond(format);
+    this.thresholdDb = thresholdDb;
+    this.hangoverSeconds = hangoverMs / 1000;
+    this.prerollBytes = Math.round(prerollMs / 1000 * this.bytesPerSecond);
+
+    this.quietSeconds = 0;
+    this.skipping = false;
+    this.preroll = [];
+    this.prerollSize = 0;
+    // Stream time (audio forwarded so far) and the silence skipped before each point of it
+    this.forwardedSeconds = 0;
+    this.skips = [];
+    this.stats = { speechSeconds: 0, silenceSeconds: 0, skippedSeconds: 0, skips: 0, keepAlives: 0 };
+  }
+
+  /**
+   * Check whether the voice activity of a format can be measured
+   * @param {Object|null} format - Audio format
+   * @returns {boolean} True for PCM formats; containers and compressed codecs are not inspected
+   */
+  static supports(format) {
+    return !!format && !!SAMPLE_READERS[format.encoding];
+  }
+
+  /**
+   * Classify a chunk and decide what to forward
+   * @param {Buffer} chunk - Audio chunk (whole sample frames)
+   * @returns {Object} { audio: chunks to forward, in order, paused: true when a skip starts with this chunk }
+   */
+  process(chunk) {
+    const seconds = chunk.length / this.bytesPerSecond;
+
+    if (chunkLevel(chunk, this.format.encoding) >= this.thresholdDb) {
+      this.stats.speechSeconds += seconds;
+      this.quietSeconds = 0;
+      this.skipping = false;
+
+      const audio = [...this.preroll, chunk];
+      this.preroll = [];
+      this.prerollSize = 0;
+      this.forward(audio);
+      return { audio, paused: false };
+    }
+
+    this.stats.silenceSeconds += seconds;
+    this.quietSeconds += seconds;
+    if (!this.skipping && this.quietSeconds <= this.hangoverSeconds) {
+      this.forward([chunk]);
+      return { audio: [chunk], paused: false };
+    }
+
+    const paused = !this.skipping;
+    if (paused) {
+      this.skipping = true;
+      this.stats.skips++;
+      const previous = this.skips[this.skips.length - 1];
+      this.skips.push({ at: this.forwardedSeconds, total: previous ? previous.total : 0 });
+    }
+
+    // The most recent silence is held back as preroll; older silence is skipped for good
+    this.preroll.push(chunk);
+    this.prerollSize += chunk.length;
+    while (this.prerollSize > this.prerollBytes) {
+      const evicted = this.preroll.shift();
+      const skipped = evicted.length / this.bytesPerSecond;
+      this.prerollSize -= evicted.length;
+      this.stats.skippedSeconds += skipped;
+      this.skips[this.skips.length - 1].total += skipped;
+    }
+
+    return { audio: [], paused };
+  }
+
+  /**
+   * Advance the stream time by forwarded chunks
+   * @param {Array<Buffer>} chunks - Forwarded chunks
+   */
+  forward(chunks) {
+    for (const chunk of chunks) {
+      this.forwardedSeconds += chunk.length / this.bytesPerSecond;
+    }
+  }
+
+  /**
+   * Count a keep-alive sent while silence is skipped
+   */
+  recordKeepAlive() {
+    this.stats.keepAlives++;
+  }
+
+  /**
+   * Map a time of the forwarded stream to the time of the client's audio
+   * @param {number} streamSeconds - Seconds into the forwarded audio
+   * @returns {number} Seconds into the session's audio, skipped silence included
+   */
+  toSessionTime(streamSeconds) {
+    // Lookups are mostly for recent results, near the end of the list
+    for (let index = this.skips.length - 1; index >= 0; index--) {
+      if (this.skips[index].at <= streamSeconds) {
+        return streamSeconds + this.skips[index].total;
+      }
+    }
+    return streamSeconds;
+  }
+
+  /**
+   * Speech and silence statistics
+   * @returns {Object} Seconds of speech, silence, forwarded and skipped audio, skips and keep-alives sent
+   */
+  getStats() {
+    const { speechSeconds, silenceSeconds, skippedSeconds, skips, keepAlives } = this.stats;
+    const totalSeconds = speechSeconds + silenceSeconds;
+
+    return {
+      speechSeconds: round(speechSeconds),
+      silenceSeconds: round(silenceSeconds),
+      forwardedSeconds: round(this.forwardedSeconds),
+      skippedSeconds: round(skippedSeconds),
+      skippedRatio: totalSeconds > 0 ? round(skippedSeconds / totalSeconds, 3) : 0,
+      skips,
+      keepAlives,
+    };
+  }
+}
+
+/**
+ * RMS level of a PCM chunk
+ * @param {Buffer} chunk - Audio chunk
+ * @param {string} encoding - PCM encoding
+ * @returns {number} Level in dBFS, -Infinity for digital silence
+ */
+function chunkLevel(chunk, encoding) {
+  const [bytesPerSample, read, fullScale] = SAMPLE_READERS[encoding];
+  const samples = Math.floor(chunk.length / bytesPerSample);
+  if (samples === 0) return -Infinity;
+
+  let sum = 0;
+  for (let offset = 0; offset < samples * bytesPerSample; offset += bytesPerSample) {
+    const sample = read(chunk, offset) / fullScale;
+    sum += sample * sample;
+  }
+  return 10 * Math.log10(sum / samples);
+}
+
+/**
+ * Decode a G.711 mu-law byte
+ * @param {number} byte - Companded sample
+ * @returns {number} 16-bit sample
+ */
+function decodeMulaw(byte) {
+  const value = ~byte & 0xFF;
+  const magnitude = ((((value & 0x0F) << 3) + 0x84) << ((value >> 4) & 0x07)) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Decode a G.711 A-law byte
+ * @param {number} byte - Companded sample
+ * @returns {number} 16-bit sample
+ */
+function decodeAlaw(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0F;
+  const magnitude = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+/**
+ * Precompute a decoding table for all byte values
+ * @param {Function} decode - Byte decoder
+ * @returns {Int16Array} Samples by byte value
+ */
+function buildTable(decode) {
+  return Int16Array.from({ length: 256 }, (_, byte) => decode(byte));
+}
+
+/**
+ * Round a number
+ * @param {number} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  VoiceActivityDetector,
+};
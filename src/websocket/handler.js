@@ -7,10 +7,14 @@ const WebSocket = require('ws');
 const url = require('url');
 const { v4: uuidv4 } = require('uuid');
 const { createDeepgramService } = require('../services/deepgram-service');
-const { getSlackService } = require('../services/slack-service');
+const { hasProvider } = require('../services/stt');
 const { logger } = require('../utils/logger');
 const { validateAudioStream } = require('../utils/validation');
 const { sanitizeInput } = require('../utils/security');
+const { verifyToken } = require('../middleware/auth');
+const { parseChannelLabels } = require('../utils/speakers');
+const { POST_MODES } = require('../utils/utterance-aggregator');
+const { parseAudioFormat, streamChunkLimits } = require('../utils/audio-format');
 
 /**
  * Setup WebSocket server and handlers
@@ -21,22 +25,41 @@ function setupWebSocket(wss) {
   const activeStreams = new Map();
 
   wss.on('connection', async (ws, req) => {
+    const connectionId = uuidv4();
+
     try {
       // Parse URL parameters
       const queryParams = url.parse(req.url, true).query;
-      const connectionId = uuidv4();
-      
+
       // Sanitize and validate parameters
       const params = sanitizeConnectionParams(queryParams);
       const validation = validateConnectionParams(params);
-      
+
       if (!validation.isValid) {
-        ws.close(1008, `Invalid parameters: ${validation.errors.join(', ')}`);
+        // Close reasons are capped at 123 bytes; the full list goes in an error message first
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: 'Invalid parameters',
+          details: validation.errors,
+        }));
+        ws.close(1008, `Invalid parameters: ${validation.errors.join(', ')}`.slice(0, 120));
+        return;
+      }
+
+      const auth = authenticateConnection(req, queryParams);
+      if (auth.error) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: auth.error,
+          code: 'INVALID_TOKEN',
+        }));
+        ws.close(1008, auth.error);
         return;
       }
 
       logger.info(`New WebSocket connection: ${connectionId}`, {
         params,
+        userId: auth.userId,
         ip: req.socket.remoteAddress,
       });
 
@@ -50,6 +73,8 @@ function setupWebSocket(wss) {
         startTime: new Date(),
         audioChunks: 0,
         totalBytes: 0,
+        audioFormat: validation.audioFormat,
+        chunkLimits: streamChunkLimits(validation.audioFormat),
       };
 
       activeStreams.set(connectionId, connectionState);
@@ -59,9 +84,15 @@ function setupWebSocket(wss) {
         sessionId: params.session,
         slackChannel: params.channel,
         conversationId: params.conversation,
+        userId: auth.userId || undefined,
+        provider: params.provider || undefined,
         language: params.language || 'en-US',
         model: params.model || 'nova-2',
-        onTranscript: async (result) => {
+        multichannel: params.multichannel === 'true',
+        channelLabels: parseChannelLabels(params.channel_labels),
+        postMode: params.post_mode || undefined,
+        audioFormat: validation.audioFormat,
+        onTranscript: (result) => {
           // Send transcript back to client
           if (ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
@@ -70,6 +101,34 @@ function setupWebSocket(wss) {
             }));
           }
         },
+        onUtterance: (utterance) => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+              type: 'utterance',
+              data: utterance,
+            }));
+          }
+        },
+        onTranslation: (translation) => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+              type: 'translation',
+              data: translation,
+            }));
+          }
+        },
+        onStatus: (status) => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+              type: 'status',
+              ...status,
+            }));
+            // The service has closed the session; end the stream with the reason
+            if (status.status === 'quota_exceeded') {
+              ws.close(1008, 'Usage quota exceeded');
+            }
+          }
+        },
         onError: (error) => {
           logger.error(`Deepgram error for connection ${connectionId}:`, error);
           if (ws.readyState === WebSocket.OPEN) {
@@ -88,13 +147,18 @@ function setupWebSocket(wss) {
         type: 'connected',
         connectionId,
         sessionId: params.session,
+        provider: deepgramConnection.provider,
+        ...deepgramConnection.getLanguage(),
+        audioFormat: connectionState.audioFormat,
+        recording: deepgramConnection.isRecording(),
         message: 'Connected to transcription service',
       }));
 
       // Handle incoming messages
-      ws.on('message', async (data) => {
+      ws.on('message', async (data, isBinary) => {
         try {
-          await handleWebSocketMessage(connectionState, data);
+          // ws delivers text frames as Buffers too; control messages are text frames
+          await handleWebSocketMessage(connectionState, isBinary ? data : data.toString());
         } catch (error) {
           logger.error(`Error handling WebSocket message for ${connectionId}:`, error);
           ws.send(JSON.stringify({
@@ -137,6 +201,17 @@ function setupWebSocket(wss) {
       });
 
     } catch (error) {
+      activeStreams.delete(connectionId);
+      if (error.code === 'QUOTA_EXCEEDED') {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: error.message,
+          code: error.code,
+          quota: error.quota,
+        }));
+        ws.close(1008, 'Usage quota exceeded');
+        return;
+      }
       logger.error('Error setting up WebSocket connection:', error);
       ws.close(1011, 'Internal server error');
     }
@@ -162,47 +237,94 @@ async function handleWebSocketMessage(connectionState, data) {
     // Handle JSON messages (control messages)
     if (typeof data === 'string') {
       const message = JSON.parse(data);
-      
+
       switch (message.type) {
-        case 'start':
-          logger.info(`Starting transcription for connection ${id}`);
+      case 'start': {
+        logger.info(`Starting transcription for connection ${id}`);
+
+        // The audio format may be declared here instead of in the URL, before any audio
+        if (message.format !== undefined) {
+          const formatError = declareAudioFormat(connectionState, message.format);
+          if (formatError) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              error: 'Invalid audio format',
+              details: formatError,
+            }));
+            break;
+          }
+        }
+
+        ws.send(JSON.stringify({
+          type: 'status',
+          status: 'started',
+          message: 'Transcription started',
+          audioFormat: connectionState.audioFormat,
+        }));
+        break;
+      }
+
+      case 'stop':
+        logger.info(`Stopping transcription for connection ${id}`);
+        if (deepgramConnection) {
+          deepgramConnection.close();
+        }
+        ws.send(JSON.stringify({
+          type: 'status',
+          status: 'stopped',
+          message: 'Transcription stopped',
+          voiceActivity: deepgramConnection ? deepgramConnection.getVoiceActivity() : null,
+        }));
+        break;
+
+      case 'config': {
+        logger.debug(`Config update for connection ${id}:`, message.config);
+        const configValidation = validateSessionConfig(message.config);
+
+        if (!configValidation.isValid) {
           ws.send(JSON.stringify({
-            type: 'status',
-            status: 'started',
-            message: 'Transcription started',
+            type: 'error',
+            error: 'Invalid configuration',
+            details: configValidation.errors,
           }));
           break;
-          
-        case 'stop':
-          logger.info(`Stopping transcription for connection ${id}`);
-          if (deepgramConnection) {
-            deepgramConnection.close();
-          }
+        }
+
+        if (!deepgramConnection) {
           ws.send(JSON.stringify({
-            type: 'status',
-            status: 'stopped',
-            message: 'Transcription stopped',
+            type: 'error',
+            error: 'Transcription session not ready',
           }));
           break;
-          
-        case 'config':
-          // Handle configuration updates
-          logger.debug(`Config update for connection ${id}:`, message.config);
-          break;
-          
-        default:
-          logger.warn(`Unknown message type: ${message.type}`);
+        }
+
+        const result = await deepgramConnection.reconfigure(configValidation.changes);
+
+        // Keep connection parameters in sync for stats and later reconnects
+        params.language = result.config.language;
+        params.model = result.config.model;
+        params.channel = result.config.slackChannel;
+
+        ws.send(JSON.stringify({
+          type: 'status',
+          status: 'reconfigured',
+          message: result.restarted ? 'Transcription stream reconfigured' : 'Session settings updated',
+          applied: result.applied,
+          config: result.config,
+        }));
+        break;
+      }
+
+      default:
+        logger.warn(`Unknown message type: ${message.type}`);
       }
       return;
     }
 
     // Handle binary audio data
     if (Buffer.isBuffer(data)) {
-      // Validate audio data
-      const audioValidation = validateAudioStream(data, {
-        maxChunkSize: 8192, // 8KB chunks
-        minChunkSize: 160,  // Minimum viable audio chunk
-      });
+      // Validate audio data against the limits of the stream's format
+      const audioValidation = validateAudioStream(data, connectionState.chunkLimits);
 
       if (!audioValidation.isValid) {
         logger.warn(`Invalid audio data from ${id}:`, audioValidation.errors);
@@ -213,8 +335,8 @@ async function handleWebSocketMessage(connectionState, data) {
       connectionState.audioChunks++;
       connectionState.totalBytes += data.length;
 
-      // Send audio to Deepgram
-      if (deepgramConnection && deepgramConnection.isConnected()) {
+      // Send audio to Deepgram (buffered by the service while reconnecting)
+      if (deepgramConnection) {
         deepgramConnection.sendAudio(data);
       } else {
         logger.warn(`Deepgram connection not ready for ${id}`);
@@ -227,6 +349,30 @@ async function handleWebSocketMessage(connectionState, data) {
   }
 }
 
+/**
+ * Identify the user of a connection from a JWT, sent as a Bearer Authorization header or, for
+ * browsers that cannot set headers on a WebSocket, as the token query parameter
+ * @param {Object} req - HTTP upgrade request
+ * @param {Object} queryParams - Raw query parameters
+ * @returns {Object} { userId }, null for anonymous connections, or { error } if the token is invalid
+ */
+function authenticateConnection(req, queryParams) {
+  const bearer = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  const token = bearer || (typeof queryParams.token === 'string' ? queryParams.token : null);
+  if (!token) return { userId: null };
+
+  try {
+    const decoded = verifyToken(token);
+    return { userId: decoded.sub ? String(decoded.sub) : null };
+  } catch (error) {
+    logger.warn('WebSocket token verification failed', {
+      error: error.message,
+      ip: req.socket.remoteAddress,
+    });
+    return { error: 'Invalid or expired token' };
+  }
+}
+
 /**
  * Sanitize connection parameters
  * @param {Object} params - Raw query parameters
@@ -240,6 +386,13 @@ function sanitizeConnectionParams(params) {
     user: sanitizeInput(params.user, { maxLength: 100 }),
     language: sanitizeInput(params.language, { maxLength: 10 }),
     model: sanitizeInput(params.model, { maxLength: 50 }),
+    provider: sanitizeInput(params.provider, { maxLength: 50 }),
+    multichannel: sanitizeInput(params.multichannel, { maxLength: 5 }),
+    channel_labels: sanitizeInput(params.channel_labels, { maxLength: 200 }),
+    post_mode: sanitizeInput(params.post_mode, { maxLength: 20 }),
+    encoding: sanitizeInput(params.encoding, { maxLength: 20 }),
+    sample_rate: sanitizeInput(params.sample_rate, { maxLength: 10 }),
+    channels: sanitizeInput(params.channels, { maxLength: 5 }),
   };
 }
 
@@ -266,7 +419,7 @@ function validateConnectionParams(params) {
   }
 
   // Validate language code
-  if (params.language && !params.language.match(/^[a-z]{2}(-[A-Z]{2})?$/)) {
+  if (params.language && params.language !== 'auto' && !params.language.match(/^[a-z]{2}(-[A-Z]{2})?$/)) {
     errors.push('invalid language format');
   }
 
@@ -276,9 +429,137 @@ function validateConnectionParams(params) {
     errors.push('invalid model specified');
   }
 
+  // Validate multichannel options
+  if (params.multichannel && !['true', 'false'].includes(params.multichannel)) {
+    errors.push('multichannel must be true or false');
+  }
+
+  if (params.channel_labels) {
+    const labels = parseChannelLabels(params.channel_labels);
+    if (labels.length > 8 || labels.some(label => !label.match(/^[\w .-]{1,30}$/))) {
+      errors.push('invalid channel_labels (up to 8 comma separated labels)');
+    }
+  }
+
+  // Validate Slack posting mode
+  if (params.post_mode && !POST_MODES.includes(params.post_mode)) {
+    errors.push(`post_mode must be one of: ${POST_MODES.join(', ')}`);
+  }
+
+  // Validate transcription provider
+  if (params.provider && !hasProvider(params.provider)) {
+    errors.push('unknown transcription provider');
+  }
+
+  // Validate the declared audio format (raw PCM and codecs)
+  const { format, errors: formatErrors } = parseAudioFormat(params, { multichannel: params.multichannel === 'true' });
+  errors.push(...formatErrors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    audioFormat: format,
+  };
+}
+
+/**
+ * Apply an audio format declared in a 'start' control message
+ * @param {Object} connectionState - Connection state object
+ * @param {Object} declared - { encoding, sample_rate, channels }
+ * @returns {Array<string>|null} Errors, or null if the format was applied
+ */
+function declareAudioFormat(connectionState, declared) {
+  const { params, deepgramConnection } = connectionState;
+
+  if (connectionState.audioChunks > 0) {
+    return ['the audio format must be declared before audio is sent'];
+  }
+  if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+    return ['format must be an object with encoding, sample_rate and channels'];
+  }
+
+  const { format, errors } = parseAudioFormat({
+    encoding: sanitizeInput(declared.encoding, { maxLength: 20 }),
+    sample_rate: declared.sample_rate,
+    channels: declared.channels,
+  }, { multichannel: params.multichannel === 'true' });
+  if (errors.length > 0) return errors;
+
+  deepgramConnection.setAudioFormat(format);
+  connectionState.audioFormat = format;
+  connectionState.chunkLimits = streamChunkLimits(format);
+  return null;
+}
+
+/**
+ * Validate and sanitize a live 'config' control message
+ * @param {Object} config - Requested settings
+ * @returns {Object} Validation result with normalized changes
+ */
+function validateSessionConfig(config) {
+  const errors = [];
+  const changes = {};
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { isValid: false, errors: ['config object is required'], changes };
+  }
+
+  if (config.language !== undefined) {
+    const language = sanitizeInput(config.language, { maxLength: 10 });
+    if (!language.match(/^[a-z]{2}(-[A-Z]{2})?$/)) {
+      errors.push('invalid language format');
+    } else {
+      changes.language = language;
+    }
+  }
+
+  if (config.model !== undefined) {
+    const validModels = ['nova-2', 'nova', 'enhanced', 'base'];
+    if (!validModels.includes(config.model)) {
+      errors.push('invalid model specified');
+    } else {
+      changes.model = config.model;
+    }
+  }
+
+  if (config.diarize !== undefined) {
+    if (typeof config.diarize !== 'boolean') {
+      errors.push('diarize must be a boolean');
+    } else {
+      changes.diarize = config.diarize;
+    }
+  }
+
+  if (config.keywords !== undefined) {
+    if (!Array.isArray(config.keywords) || config.keywords.length > 100) {
+      errors.push('keywords must be an array of at most 100 entries');
+    } else {
+      const keywords = config.keywords.map(keyword => sanitizeInput(keyword, { maxLength: 60 }));
+      if (keywords.some(keyword => !keyword.match(/^[\w\s'-]{1,50}(:-?\d+(\.\d+)?)?$/))) {
+        errors.push('invalid keyword format (expected "term" or "term:intensifier")');
+      } else {
+        changes.keywords = keywords;
+      }
+    }
+  }
+
+  if (config.channel !== undefined) {
+    const channel = sanitizeInput(config.channel, { maxLength: 100 });
+    if (!channel.match(/^[#@]?[a-zA-Z0-9_-]+$/)) {
+      errors.push('invalid channel format');
+    } else {
+      changes.slackChannel = channel;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push('no supported settings provided (language, model, diarize, keywords, channel)');
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
+    changes,
   };
 }
 
@@ -289,19 +570,19 @@ function validateConnectionParams(params) {
  */
 function cleanup(connectionId, activeStreams) {
   const connectionState = activeStreams.get(connectionId);
-  
+
   if (connectionState) {
     // Close Deepgram connection
     if (connectionState.deepgramConnection) {
       connectionState.deepgramConnection.close();
     }
-    
+
     // Mark as inactive
     connectionState.isActive = false;
-    
+
     // Remove from active streams
     activeStreams.delete(connectionId);
-    
+
     logger.info(`Cleaned up connection: ${connectionId}`);
   }
 }
@@ -313,10 +594,10 @@ function cleanup(connectionId, activeStreams) {
 function cleanupInactiveConnections(activeStreams) {
   const now = Date.now();
   const maxAge = 30 * 60 * 1000; // 30 minutes
-  
+
   for (const [connectionId, connectionState] of activeStreams) {
     const age = now - connectionState.startTime.getTime();
-    
+
     if (!connectionState.isActive || age > maxAge) {
       logger.info(`Cleaning up inactive connection: ${connectionId}`);
       cleanup(connectionId, activeStreams);
@@ -342,10 +623,10 @@ function getConnectionStats(activeStreams) {
     if (connectionState.isActive) {
       stats.activeConnections++;
     }
-    
+
     stats.totalAudioChunks += connectionState.audioChunks;
     stats.totalBytes += connectionState.totalBytes;
-    
+
     stats.connections.push({
       id: connectionId,
       isActive: connectionState.isActive,
@@ -354,6 +635,7 @@ function getConnectionStats(activeStreams) {
       totalBytes: connectionState.totalBytes,
       sessionId: connectionState.params.session,
       channel: connectionState.params.channel,
+      provider: connectionState.deepgramConnection?.provider,
     });
   }
 
@@ -363,4 +645,6 @@ function getConnectionStats(activeStreams) {
 module.exports = {
   setupWebSocket,
   getConnectionStats,
+  validateSessionConfig,
+  authenticateConnection,
 };
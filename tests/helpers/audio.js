@@ -0,0 +1,37 @@
+/**
+ * Audio fixtures
+ * Builds small audio files in memory for upload, probe and recording tests
+ */
+
+/**
+ * Build a 16-bit PCM WAV file of silence
+ * @param {number} seconds - Duration in seconds
+ * @param {Object} options - Format options
+ * @param {number} options.sampleRate - Samples per second
+ * @param {number} options.channels - Channel count
+ * @returns {Buffer} WAV file
+ */
+function wavFile(seconds, { sampleRate = 16000, channels = 1 } = {}) {
+  const dataBytes = Math.round(seconds * sampleRate) * channels * 2;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+
+  return Buffer.concat([header, Buffer.alloc(dataBytes)]);
+}
+
+module.exports = {
+  wavFile,
+};
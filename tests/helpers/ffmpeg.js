@@ -0,0 +1,53 @@
+/**
+ * Fake ffmpeg
+ * A stand-in executable whose behaviour is chosen by a keyword in the input file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Each run writes its arguments to args.json next to the executable.
+// Keywords: silent (no output), long (10 minutes), big (200 KB of output), hang, spin (burns CPU),
+// noaudio, corrupt and crash (failures); any other input converts to 2 s of audio
+const SCRIPT = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.writeFileSync(require('path').join(__dirname, 'args.json'), JSON.stringify(args));
+const input = fs.readFileSync(args[args.indexOf('-i') + 1], 'latin1');
+const mode = (input.match(/silent|long|big|hang|spin|noaudio|corrupt|crash/) || ['ok'])[0];
+
+const exit = (code, stderr) => {
+  process.stderr.write(stderr);
+  process.exitCode = code;
+};
+
+switch (mode) {
+  case 'silent': exit(0, 'progress=end\\n'); break;
+  case 'long': process.stderr.write('  Duration: 00:10:00.00, start: 0.000000\\n'); setTimeout(() => {}, 10000); break;
+  case 'big': process.stdout.write(Buffer.alloc(200000, 1)); setTimeout(() => {}, 10000); break;
+  case 'hang': setTimeout(() => {}, 10000); break;
+  case 'spin': for (;;) ; // eslint-disable-line no-empty
+  case 'noaudio': exit(1, "Stream map '0:a:0' matches no streams.\\n"); break;
+  case 'corrupt': exit(1, 'input.bin: Invalid data found when processing input\\n'); break;
+  case 'crash': exit(1, 'frame=0\\nConversion failed!\\n'); break;
+  default:
+    process.stderr.write('  Duration: 00:00:02.00, start: 0.000000\\n');
+    process.stdout.write(Buffer.alloc(64000, 1));
+    exit(0, 'out_time_us=2000000\\nprogress=end\\n');
+}
+`;
+
+/**
+ * Write the fake ffmpeg into a directory
+ * @param {string} dir - Directory to write it to
+ * @returns {string} Path of the executable
+ */
+function createFakeFfmpeg(dir) {
+  const ffmpegPath = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(ffmpegPath, SCRIPT, { mode: 0o755 });
+  return ffmpegPath;
+}
+
+module.exports = {
+  createFakeFfmpeg,
+};
@@ -0,0 +1,55 @@
+/**
+ * Local HTTP server
+ * Stands in for remote audio hosts and callback receivers on the loopback interface
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Start a server answering every request with a handler
+ * @param {Function} handler - Called with the recorded request and the response to write
+ * @returns {Promise<Object>} { origin, requests, close }; requests holds { method, path, headers, body }
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Send https requests to a local server instead, keeping their path
+ *
+ * Slack files and production callbacks are https only, which a test server cannot offer.
+ * @param {Object} server - Server from startServer()
+ * @returns {Object} Jest spy; restore it with mockRestore()
+ */
+function routeHttpsTo(server) {
+  return jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    const local = new URL(`${url.pathname}${url.search}`, server.origin);
+    return http.request(local, options, callback);
+  });
+}
+
+module.exports = {
+  startServer,
+  routeHttpsTo,
+};
@@ -0,0 +1,51 @@
+/**
+ * Provider stream helpers
+ * Record the audio the local provider receives, and wait for the asynchronous stream events
+ */
+
+const { getProvider } = require('../../src/services/stt');
+
+/**
+ * Record every stream the local provider opens from now on
+ * @returns {Object} { streams, restore }; each stream has `received` (chunks sent to it) and `audio()`
+ */
+function captureStreams() {
+  const provider = getProvider('local');
+  const createStream = provider.createStream;
+  const streams = [];
+
+  provider.createStream = function (options) {
+    const stream = createStream.call(this, options);
+    const send = stream.send.bind(stream);
+    stream.options = options;
+    stream.received = [];
+    stream.send = (chunk) => {
+      stream.received.push(Buffer.from(chunk));
+      send(chunk);
+    };
+    stream.audio = () => Buffer.concat(stream.received);
+    streams.push(stream);
+    return stream;
+  };
+
+  return {
+    streams,
+    restore: () => {
+      provider.createStream = createStream;
+    },
+  };
+}
+
+/**
+ * Wait for timers and the events the local provider emits on the next turns of the event loop
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  captureStreams,
+  settle,
+};
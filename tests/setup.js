@@ -0,0 +1,22 @@
+/**
+ * Test environment
+ * Required settings, the offline speech-to-text engine and in-memory stores, so that tests
+ * never reach Deepgram or Slack and never write to ./data
+ */
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  DEEPGRAM_API_KEY: 'test-deepgram-key',
+  SLACK_BOT_TOKEN: 'xoxb-test',
+  SLACK_APP_TOKEN: 'xapp-test',
+  SLACK_SIGNING_SECRET: 'test-signing-secret',
+  JWT_SECRET: 'test-jwt-secret-of-at-least-32-chars',
+  STT_PROVIDER: 'local',
+  TRANSCRIPT_STORE: 'memory',
+  SEARCH_INDEX_FILE: '',
+  USAGE_FILE: '',
+  RECORDING_INDEX_FILE: '',
+});
+
+require('../src/config/environment').validateEnvironment();
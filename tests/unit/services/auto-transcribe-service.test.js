@@ -0,0 +1,209 @@
+const mockSlack = {
+  getFileInfo: jest.fn(),
+  getUserInfo: jest.fn(),
+  getChannelInfo: jest.fn(),
+  sendMessage: jest.fn(),
+};
+jest.mock('../../../src/services/slack-service', () => ({
+  ...jest.requireActual('../../../src/services/slack-service'),
+  getSlackService: () => mockSlack,
+}));
+// The singleton Deepgram service schedules a cleanup interval; jobs share one without it
+jest.mock('../../../src/services/deepgram-service', () => {
+  const actual = jest.requireActual('../../../src/services/deepgram-service');
+  const service = new actual.DeepgramService();
+  return { ...actual, createDeepgramService: () => service };
+});
+
+const {
+  AutoTranscribeService,
+  getAutoTranscribeService,
+  runAutoTranscribeCommand,
+  isMediaFile,
+} = require('../../../src/services/auto-transcribe-service');
+const { wavFile } = require('../../helpers/audio');
+const { settle } = require('../../helpers/streams');
+const { startServer, routeHttpsTo } = require('../../helpers/http');
+
+/**
+ * Build a Slack file object
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Slack file
+ */
+function slackFile(fields = {}) {
+  return {
+    id: 'F0123',
+    name: 'voice-memo.wav',
+    mimetype: 'audio/wav',
+    size: 2048,
+    user: 'U012AB3CD',
+    url_private_download: 'https://93.184.216.34/files-pri/T1-F0123/download/voice-memo.wav',
+    shares: { public: { C123: [{ ts: '1700000000.000100' }] } },
+    ...fields,
+  };
+}
+
+/**
+ * Wait until a job has finished
+ * @param {AutoTranscribeService} service - Auto-transcription service
+ * @param {string} id - Job identifier
+ * @returns {Promise<Object>} Job record
+ */
+async function waitForJob(service, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = service.queue.get(id);
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+    await settle(10);
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+describe('isMediaFile', () => {
+  test('accepts audio and video uploads, voice memos and clips', () => {
+    expect(isMediaFile({ mimetype: 'audio/mpeg' })).toBe(true);
+    expect(isMediaFile({ mimetype: 'video/mp4' })).toBe(true);
+    expect(isMediaFile({ subtype: 'slack_audio' })).toBe(true);
+  });
+
+  test('skips other files and deleted ones', () => {
+    expect(isMediaFile({ mimetype: 'image/png' })).toBe(false);
+    expect(isMediaFile({ mimetype: 'audio/wav', mode: 'tombstone' })).toBe(false);
+    expect(isMediaFile(undefined)).toBe(false);
+  });
+});
+
+describe('AutoTranscribeService', () => {
+  let service;
+  let server;
+
+  beforeEach(() => {
+    service = new AutoTranscribeService();
+    service.enable('C123', { language: 'auto', enabledBy: 'U0ADMIN' });
+    Object.values(mockSlack).forEach(mock => mock.mockReset());
+    mockSlack.sendMessage.mockResolvedValue({ ts: '1700000000.000200' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server?.close();
+    server = null;
+  });
+
+  test('queues media files shared in opted-in channels, once each', () => {
+    const message = {
+      type: 'message',
+      channel: 'C123',
+      ts: '1700000000.000100',
+      files: [{ id: 'F0123', mimetype: 'audio/wav' }, { id: 'F0456', mimetype: 'image/png' }],
+    };
+
+    expect(service.handleEvent(message)).toHaveLength(1);
+    expect(service.handleEvent({ type: 'file_shared', channel_id: 'C123', file_id: 'F0123' })).toHaveLength(0);
+    expect(service.handleEvent({ type: 'file_shared', channel_id: 'C999', file_id: 'F0789' })).toHaveLength(0);
+    expect(service.handleEvent({ ...message, ts: '1700000000.000300', files: [{ id: 'F0999', mimetype: 'audio/wav' }], bot_id: 'B1' })).toHaveLength(0);
+  });
+
+  test('replies in the thread of the shared file with the speaker turns', async () => {
+    mockSlack.getFileInfo.mockResolvedValue(slackFile());
+    server = await startServer((request, res) => {
+      res.writeHead(200, { 'content-type': 'audio/wav' });
+      res.end(wavFile(3.9));
+    });
+    routeHttpsTo(server);
+
+    const [id] = service.handleEvent({ type: 'file_shared', channel_id: 'C123', file_id: 'F0123' });
+    const job = await waitForJob(service, id);
+
+    expect(job.status).toBe('completed');
+    expect(mockSlack.sendMessage).toHaveBeenCalledTimes(1);
+    const [reply] = mockSlack.sendMessage.mock.calls[0];
+    expect(reply).toMatchObject({ channel: 'C123', thread_ts: '1700000000.000100' });
+    expect(reply.text).toBe([
+      '🎙️ *Transcript*',
+      '*Speaker 1:* Welcome everyone to the weekly sync.',
+      '*Speaker 2:* Let us start with the status updates.',
+    ].join('\n'));
+    expect(JSON.stringify(reply.blocks)).toContain('File: voice-memo.wav | Confidence: 99% | Language: en (99%)');
+  });
+
+  test('tells the thread when a file cannot be transcribed', async () => {
+    mockSlack.getFileInfo.mockResolvedValue(slackFile({ size: 500 * 1024 * 1024 }));
+
+    const [id] = service.handleEvent({ type: 'message', channel: 'C123', ts: '1700000000.000100', files: [{ id: 'F0123', mimetype: 'audio/wav' }] });
+    await waitForJob(service, id);
+    await settle();
+
+    expect(mockSlack.sendMessage).toHaveBeenCalledWith({
+      channel: 'C123',
+      thread_ts: '1700000000.000100',
+      text: expect.stringMatching(/^⚠️ Could not transcribe voice-memo\.wav: File too large/),
+    });
+  });
+
+  test('probes the duration of files Slack gives none for', async () => {
+    mockSlack.getFileInfo.mockResolvedValue(slackFile());
+    server = await startServer((request, res) => {
+      res.writeHead(200, { 'content-type': 'audio/wav' });
+      res.end(wavFile(3.9));
+    });
+    routeHttpsTo(server);
+    service.limits.maxDuration = 2;
+
+    const [id] = service.handleEvent({ type: 'file_shared', channel_id: 'C123', file_id: 'F0123' });
+    const job = await waitForJob(service, id);
+    await settle();
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(mockSlack.sendMessage).toHaveBeenCalledTimes(1);
+    expect(mockSlack.sendMessage).toHaveBeenCalledWith({
+      channel: 'C123',
+      thread_ts: '1700000000.000100',
+      text: expect.stringMatching(/^⚠️ Could not transcribe voice-memo\.wav: Audio too long: 4s \(max: 2s\)/),
+    });
+  });
+});
+
+describe('runAutoTranscribeCommand', () => {
+  const service = getAutoTranscribeService();
+
+  beforeEach(() => {
+    Object.values(mockSlack).forEach(mock => mock.mockReset());
+    service.disable('CAUTO');
+  });
+
+  test('lets admins turn auto-transcription on and off', async () => {
+    mockSlack.getUserInfo.mockResolvedValue({ is_admin: true });
+
+    expect((await runAutoTranscribeCommand('on language=fr', 'CAUTO', 'U0ADMIN')).text).toMatch(/turned on.*language: `fr`/);
+    expect(service.get('CAUTO')).toMatchObject({ language: 'fr', enabledBy: 'U0ADMIN' });
+    expect((await runAutoTranscribeCommand('', 'CAUTO', 'U0ADMIN')).text)
+      .toBe('🎙️ Auto-transcription is *on* in this channel (language: `fr`, enabled by <@U0ADMIN>)');
+
+    expect((await runAutoTranscribeCommand('off', 'CAUTO', 'U0ADMIN')).text).toBe('🎙️ Auto-transcription turned off for this channel');
+    expect((await runAutoTranscribeCommand('off', 'CAUTO', 'U0ADMIN')).text).toBe('🎙️ Auto-transcription was not on in this channel');
+  });
+
+  test('lets the channel creator manage the channel', async () => {
+    mockSlack.getUserInfo.mockResolvedValue({});
+    mockSlack.getChannelInfo.mockResolvedValue({ creator: 'U0CREATOR' });
+
+    await runAutoTranscribeCommand('on', 'CAUTO', 'U0CREATOR');
+    expect(service.get('CAUTO')).toMatchObject({ language: 'auto' });
+  });
+
+  test('refuses other members', async () => {
+    mockSlack.getUserInfo.mockResolvedValue({});
+    mockSlack.getChannelInfo.mockResolvedValue({ creator: 'U0CREATOR' });
+
+    expect((await runAutoTranscribeCommand('on', 'CAUTO', 'U0MEMBER')).text).toMatch(/^🔒/);
+    expect(service.get('CAUTO')).toBeNull();
+  });
+
+  test('answers invalid languages and unknown actions with the usage', async () => {
+    mockSlack.getUserInfo.mockResolvedValue({ is_owner: true });
+
+    expect((await runAutoTranscribeCommand('on language=french', 'CAUTO', 'U0ADMIN')).text).toMatch(/^Invalid language `french`\. Usage:/);
+    expect((await runAutoTranscribeCommand('toggle', 'CAUTO', 'U0ADMIN')).text).toMatch(/^Usage:/);
+    expect(mockSlack.getUserInfo).toHaveBeenCalledTimes(1);
+  });
+});
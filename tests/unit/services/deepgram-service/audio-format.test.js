@@ -0,0 +1,46 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+describe('DeepgramService declared audio formats', () => {
+  const service = new DeepgramService();
+  let capture;
+
+  beforeEach(() => {
+    capture = captureStreams();
+  });
+
+  afterEach(() => {
+    capture.restore();
+  });
+
+  test('opens the provider stream with the declared format', async () => {
+    const format = { encoding: 'mulaw', sampleRate: 8000, channels: 1 };
+    const connection = await service.createStreamingConnection({ sessionId: 'format-declared', audioFormat: format });
+    await settle();
+
+    expect(capture.streams[0].options).toMatchObject({ encoding: 'mulaw', sampleRate: 8000, channels: 1 });
+    expect(service.getSessionInfo('format-declared').audioFormat).toEqual(format);
+
+    connection.close();
+  });
+
+  test('restarts the stream when a format is declared after it opened', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'format-late' });
+    await settle();
+    expect(service.getSessionInfo('format-late').audioFormat).toBeNull();
+
+    connection.setAudioFormat({ encoding: 'linear16', sampleRate: 48000, channels: 2 });
+    await settle();
+
+    expect(capture.streams).toHaveLength(2);
+    expect(capture.streams[1].options).toMatchObject({ encoding: 'linear16', sampleRate: 48000, channels: 2 });
+    expect(service.getSessionInfo('format-late').audioFormat).toEqual({ encoding: 'linear16', sampleRate: 48000, channels: 2 });
+
+    connection.setAudioFormat(null);
+    await settle();
+    expect(capture.streams[2].options.encoding).toBeUndefined();
+    expect(service.getSessionInfo('format-late').audioFormat).toBeNull();
+
+    connection.close();
+  });
+});
@@ -0,0 +1,104 @@
+process.env.SLACK_POST_MODE = 'segment';
+process.env.STT_LANGUAGE_DETECTION_MS = '10';
+
+const { DeepgramService, formatDetectedLanguage } = require('../../../../src/services/deepgram-service');
+const { getProvider } = require('../../../../src/services/stt');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService language detection', () => {
+  const service = new DeepgramService();
+  let capture;
+
+  beforeEach(() => {
+    capture = captureStreams();
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  afterEach(() => {
+    capture.restore();
+    jest.restoreAllMocks();
+  });
+
+  test('detects the language of the first audio, then opens the stream with it', async () => {
+    const statuses = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'language-auto',
+      slackChannel: 'C123',
+      language: 'auto',
+      onStatus: status => statuses.push(status),
+    });
+    await settle();
+
+    expect(capture.streams).toHaveLength(0);
+    expect(connection.getLanguage()).toEqual({ language: 'auto', detectedLanguage: null, languageDetection: 'pending' });
+
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES));
+    await settle(50);
+
+    expect(statuses).toEqual([{ status: 'language_detected', language: 'en', confidence: 0.99, fallback: false }]);
+    expect(capture.streams[0].options.language).toBe('en');
+    expect(capture.streams[0].audio()).toHaveLength(SEGMENT_BYTES);
+    expect(connection.getLanguage()).toEqual({
+      language: 'en',
+      detectedLanguage: { language: 'en', confidence: 0.99 },
+      languageDetection: 'locked',
+    });
+    expect(JSON.stringify(service.slackService.sendMessage.mock.calls[0][0].blocks)).toContain('Language: en (99%)');
+
+    connection.close();
+  });
+
+  test('falls back to the configured language when detection fails', async () => {
+    jest.spyOn(getProvider('local'), 'detectLanguage').mockRejectedValue(new Error('unsupported'));
+    const statuses = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'language-fallback',
+      language: 'auto',
+      onStatus: status => statuses.push(status),
+    });
+
+    connection.sendAudio(Buffer.alloc(320));
+    await settle(50);
+
+    expect(statuses).toEqual([{ status: 'language_detected', language: 'en-US', confidence: null, fallback: true }]);
+    expect(capture.streams[0].options.language).toBe('en-US');
+
+    connection.close();
+  });
+
+  test('locks an explicit language set while detecting', async () => {
+    const statuses = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'language-explicit',
+      language: 'auto',
+      onStatus: status => statuses.push(status),
+    });
+
+    connection.sendAudio(Buffer.alloc(320));
+    await connection.reconfigure({ language: 'fr' });
+    await settle(50);
+
+    expect(statuses).toEqual([]);
+    expect(capture.streams).toHaveLength(1);
+    expect(capture.streams[0].options.language).toBe('fr');
+    expect(capture.streams[0].audio()).toHaveLength(320);
+
+    connection.close();
+  });
+
+  test('reports the detected language of files', async () => {
+    const result = await service.transcribeFile(Buffer.alloc(SEGMENT_BYTES), { language: 'auto' });
+
+    expect(result.detectedLanguage).toEqual({ language: 'en', confidence: 0.99 });
+  });
+});
+
+describe('formatDetectedLanguage', () => {
+  test('shows the confidence as a percentage when known', () => {
+    expect(formatDetectedLanguage({ language: 'fr', confidence: 0.966 })).toBe('Language: fr (97%)');
+    expect(formatDetectedLanguage({ language: 'fr', confidence: null })).toBe('Language: fr');
+  });
+});
@@ -0,0 +1,39 @@
+process.env.SLACK_POST_MODE = 'live';
+process.env.LIVE_CAPTION_INTERVAL_MS = '10';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+// One second of 16 kHz 16-bit mono audio: half a scripted segment of the local provider
+const SECOND_BYTES = 32000;
+
+describe('DeepgramService live captions', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1', channel: 'C123' });
+    service.slackService.updateMessage = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  test('shows interim results in one message and finalizes it with the utterance', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'live-caption', slackChannel: 'C123' });
+    await settle();
+
+    connection.sendAudio(Buffer.alloc(SECOND_BYTES));
+    await settle(30);
+
+    expect(service.slackService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(service.slackService.sendMessage.mock.calls[0][0].text).toContain('Welcome everyone to');
+
+    connection.sendAudio(Buffer.alloc(SECOND_BYTES));
+    await settle(30);
+
+    // The final transcript replaces the caption instead of being posted again
+    expect(service.slackService.sendMessage).toHaveBeenCalledTimes(1);
+    const updates = service.slackService.updateMessage.mock.calls.map(([message]) => message);
+    expect(updates[updates.length - 1]).toMatchObject({ channel: 'C123', ts: '1.1' });
+    expect(updates[updates.length - 1].text).toContain('Welcome everyone to the weekly sync.');
+
+    connection.close();
+  });
+});
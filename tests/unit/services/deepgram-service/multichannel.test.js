@@ -0,0 +1,66 @@
+process.env.SLACK_POST_MODE = 'segment';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService multichannel transcription', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  test('labels the channels and turns of a file', async () => {
+    const result = await service.transcribeFile(Buffer.alloc(SEGMENT_BYTES * 2), {
+      multichannel: true,
+      channelLabels: ['Agent', 'Customer'],
+    });
+
+    expect(result.channels.map(channel => [channel.label, channel.transcript])).toEqual([
+      ['Agent', 'Welcome everyone to the weekly sync.'],
+      ['Customer', 'Let us start with the status updates.'],
+    ]);
+    expect(result.turns.map(turn => turn.label)).toEqual(['Agent', 'Customer']);
+  });
+
+  test('leaves channels out of single channel files', async () => {
+    const result = await service.transcribeFile(Buffer.alloc(SEGMENT_BYTES));
+
+    expect(result.success).toBe(true);
+    expect(result.channels).toBeUndefined();
+    expect(result.turns).toBeUndefined();
+  });
+
+  test('posts the live channels of a session as interleaved turns', async () => {
+    const results = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'multichannel-live',
+      slackChannel: 'C123',
+      multichannel: true,
+      channelLabels: ['Agent', 'Customer'],
+      onTranscript: result => results.push(result),
+    });
+    await settle();
+
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES * 2));
+    await settle();
+
+    expect(results.filter(result => result.is_final).map(result => result.channelLabel)).toEqual(['Agent', 'Customer']);
+    // Concurrent channels are held back so they can be posted together
+    expect(service.slackService.sendMessage).not.toHaveBeenCalled();
+
+    connection.close();
+    await settle();
+
+    // The session report and summary follow the transcript
+    const [message] = service.slackService.sendMessage.mock.calls[0];
+    expect(message.text).toBe([
+      '🎤 *Live Transcription*',
+      '*Agent:* Welcome everyone to the weekly sync.',
+      '*Customer:* Let us start with the status updates.',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,108 @@
+process.env.SLACK_POST_MODE = 'segment';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+const WEBM_HEADER = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(60, 1)]);
+const WEBM_CLUSTER = Buffer.from([0x1F, 0x43, 0xB6, 0x75]);
+
+describe('DeepgramService session reconfiguration', () => {
+  const service = new DeepgramService();
+  let capture;
+
+  beforeEach(() => {
+    capture = captureStreams();
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  afterEach(() => {
+    capture.restore();
+  });
+
+  test('renegotiates the stream with the new options and keeps the audio sent meanwhile', async () => {
+    const connection = await service.createStreamingConnection({
+      sessionId: 'reconfigure-options',
+      slackChannel: 'C123',
+      audioFormat: { encoding: 'linear16', sampleRate: 16000, channels: 1 },
+    });
+    await settle();
+
+    const result = await connection.reconfigure({ language: 'fr', diarize: false });
+    connection.sendAudio(Buffer.alloc(320, 4));
+    await settle();
+
+    expect(result).toMatchObject({
+      applied: { language: 'fr', diarize: false },
+      restarted: true,
+      config: { language: 'fr', model: 'nova-2', diarize: false, slackChannel: 'C123' },
+    });
+    expect(capture.streams).toHaveLength(2);
+    expect(capture.streams[0].isOpen()).toBe(false);
+    expect(capture.streams[1].options).toMatchObject({ language: 'fr', diarize: false });
+    expect(capture.streams[1].audio()).toEqual(Buffer.alloc(320, 4));
+    expect(service.slackService.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C123',
+      text: '⚙️ Transcription settings updated: language fr | diarization off',
+    }));
+
+    connection.close();
+  });
+
+  test('moves the session to another channel without restarting the stream', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'reconfigure-channel', slackChannel: 'C123' });
+    await settle();
+
+    const result = await connection.reconfigure({ slackChannel: 'C456' });
+
+    expect(result).toMatchObject({ applied: { slackChannel: 'C456' }, restarted: false });
+    expect(capture.streams).toHaveLength(1);
+    expect(service.slackService.sendMessage.mock.calls.map(([message]) => [message.channel, message.text])).toEqual([
+      ['C123', '➡️ Transcription moved to C456'],
+      ['C456', '⚙️ Transcription settings updated: channel C456'],
+    ]);
+
+    connection.close();
+  });
+
+  test('applies keyword boosts by resolving the vocabulary again', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'reconfigure-keywords' });
+    await settle();
+
+    const result = await connection.reconfigure({ keywords: ['Kubernetes:2'] });
+
+    expect(result).toMatchObject({ applied: { keywords: ['Kubernetes:2'] }, restarted: true });
+    expect(capture.streams[1].options.keywords).toContain('Kubernetes:2');
+
+    connection.close();
+  });
+
+  test('leaves the session alone when nothing changes', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'reconfigure-noop', slackChannel: 'C123' });
+    await settle();
+
+    const result = await connection.reconfigure({ language: 'en-US', model: 'nova-2' });
+
+    expect(result).toMatchObject({ applied: {}, restarted: false });
+    expect(capture.streams).toHaveLength(1);
+    expect(service.slackService.sendMessage).not.toHaveBeenCalled();
+
+    connection.close();
+  });
+
+  test('sends the container header first to the renegotiated stream', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'reconfigure-webm' });
+    await settle();
+
+    const first = Buffer.concat([WEBM_HEADER, WEBM_CLUSTER, Buffer.alloc(100, 2)]);
+    const next = Buffer.concat([WEBM_CLUSTER, Buffer.alloc(100, 3)]);
+    connection.sendAudio(first);
+    await connection.reconfigure({ model: 'nova' });
+    connection.sendAudio(next);
+    await settle();
+
+    expect(capture.streams[0].audio()).toEqual(first);
+    expect(capture.streams[1].audio()).toEqual(Buffer.concat([WEBM_HEADER, next]));
+
+    connection.close();
+  });
+});
@@ -0,0 +1,116 @@
+process.env.STT_RECONNECT_BASE_DELAY = '5';
+process.env.SLACK_POST_MODE = 'segment';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+const WEBM_HEADER = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(60, 1)]);
+
+/**
+ * Build a WebM cluster
+ * @param {number} fill - Byte the cluster is filled with
+ * @returns {Buffer} Cluster
+ */
+function cluster(fill) {
+  return Buffer.concat([Buffer.from([0x1F, 0x43, 0xB6, 0x75]), Buffer.alloc(200, fill)]);
+}
+
+describe('DeepgramService reconnection', () => {
+  const service = new DeepgramService();
+  let capture;
+
+  beforeEach(() => {
+    capture = captureStreams();
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  afterEach(() => {
+    capture.restore();
+  });
+
+  test('buffers audio while the stream is down and replays it once reconnected', async () => {
+    const statuses = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'reconnect-raw',
+      audioFormat: { encoding: 'linear16', sampleRate: 16000, channels: 1 },
+      onStatus: status => statuses.push(status),
+    });
+    await settle();
+
+    connection.sendAudio(Buffer.alloc(320, 1));
+    capture.streams[0].emit('close');
+    connection.sendAudio(Buffer.alloc(320, 2));
+    connection.sendAudio(Buffer.alloc(320, 3));
+    await settle(50);
+
+    expect(capture.streams).toHaveLength(2);
+    expect(capture.streams[1].received.map(chunk => chunk[0])).toEqual([2, 3]);
+    expect(statuses.map(status => status.status)).toEqual(['reconnecting', 'recovered']);
+    expect(statuses[1]).toMatchObject({ attempts: 1, replayedBytes: 640, droppedBytes: 0 });
+
+    connection.close();
+  });
+
+  test('sends the container header first to the reconnected stream', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'reconnect-webm' });
+    await settle();
+
+    connection.sendAudio(Buffer.concat([WEBM_HEADER, cluster(2)]));
+    connection.sendAudio(cluster(3));
+    capture.streams[0].emit('error', new Error('socket hang up'));
+    connection.sendAudio(cluster(4));
+    connection.sendAudio(cluster(5));
+    await settle(50);
+
+    const replayed = capture.streams[1].audio();
+    expect(replayed).toEqual(Buffer.concat([WEBM_HEADER, cluster(4), cluster(5)]));
+
+    connection.close();
+  });
+
+  test('keeps the header when the buffer evicted it during the outage', async () => {
+    const buffered = service.reconnectConfig.bufferBytes;
+    service.reconnectConfig.bufferBytes = 450;
+
+    try {
+      const connection = await service.createStreamingConnection({ sessionId: 'reconnect-evicted' });
+      await settle();
+      capture.streams[0].emit('close');
+
+      connection.sendAudio(Buffer.concat([WEBM_HEADER, cluster(2)]));
+      connection.sendAudio(cluster(3));
+      connection.sendAudio(cluster(4));
+      await settle(50);
+
+      expect(capture.streams[1].audio()).toEqual(Buffer.concat([WEBM_HEADER, cluster(3), cluster(4)]));
+
+      connection.close();
+    } finally {
+      service.reconnectConfig.bufferBytes = buffered;
+    }
+  });
+
+  test('gives up after the configured number of attempts', async () => {
+    const maxAttempts = service.reconnectConfig.maxAttempts;
+    service.reconnectConfig.maxAttempts = 0;
+
+    try {
+      const statuses = [];
+      const onError = jest.fn();
+      await service.createStreamingConnection({
+        sessionId: 'reconnect-failed',
+        onStatus: status => statuses.push(status),
+        onError,
+      });
+      await settle();
+
+      capture.streams[0].emit('close');
+
+      expect(statuses.map(status => status.status)).toEqual(['reconnect_failed']);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Transcription provider reconnection failed' }));
+      expect(service.activeConnections.has('reconnect-failed')).toBe(false);
+    } finally {
+      service.reconnectConfig.maxAttempts = maxAttempts;
+    }
+  });
+});
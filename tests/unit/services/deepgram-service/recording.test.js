@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-recording-test-'));
+process.env.RECORDING_STORE = 'file';
+process.env.RECORDING_DIR = recordingDir;
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+describe('DeepgramService session recording', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  afterAll(() => {
+    clearInterval(service.recordings.sweepTimer);
+    fs.rmSync(recordingDir, { recursive: true, force: true });
+  });
+
+  test('archives the audio of a closed session', async () => {
+    const connection = await service.createStreamingConnection({
+      sessionId: 'recorded-session',
+      audioFormat: { encoding: 'linear16', sampleRate: 16000, channels: 1 },
+    });
+    expect(connection.isRecording()).toBe(true);
+
+    connection.sendAudio(Buffer.alloc(32000));
+    await settle();
+    connection.close();
+    await settle(50);
+
+    const recording = service.recordings.getRecording('recorded-session');
+    expect(recording).toMatchObject({ store: 'file', contentType: 'audio/wav', size: 32044, durationSeconds: 1 });
+    expect(fs.statSync(path.join(recordingDir, recording.key)).size).toBe(32044);
+  });
+
+  test('does not record channels that turned recording off', async () => {
+    service.recordings.setPolicy('channel', 'C-private', { enabled: false });
+    const connection = await service.createStreamingConnection({ sessionId: 'unrecorded-session', slackChannel: 'C-private' });
+
+    expect(connection.isRecording()).toBe(false);
+    connection.close();
+  });
+});
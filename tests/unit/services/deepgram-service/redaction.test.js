@@ -0,0 +1,56 @@
+process.env.SLACK_POST_MODE = 'segment';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { getRedactionService, validatePolicy } = require('../../../../src/services/redaction-service');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService redaction', () => {
+  const service = new DeepgramService();
+  const redaction = getRedactionService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+    redaction.set('channel', 'CREDACT', validatePolicy({ types: ['pci'], patterns: ['weekly'], profanity: true }).policy);
+  });
+
+  afterEach(() => {
+    redaction.clear('channel', 'CREDACT');
+  });
+
+  test('requests redaction from the provider and redacts live results again', async () => {
+    const capture = captureStreams();
+    const results = [];
+
+    try {
+      const connection = await service.createStreamingConnection({
+        sessionId: 'redaction-live',
+        slackChannel: 'CREDACT',
+        onTranscript: result => results.push(result),
+      });
+      await settle();
+
+      connection.sendAudio(Buffer.alloc(SEGMENT_BYTES));
+      await settle();
+
+      expect(capture.streams[0].options).toMatchObject({ redact: ['pci'], profanityFilter: true });
+      const final = results.find(result => result.is_final);
+      expect(final.transcript).toBe('Welcome everyone to the [REDACTED] sync.');
+      expect(final.words.map(word => word.word)).toContain('[REDACTED]');
+      expect(service.slackService.sendMessage.mock.calls[0][0].text).toContain('Welcome everyone to the [REDACTED] sync.');
+
+      connection.close();
+    } finally {
+      capture.restore();
+    }
+  });
+
+  test('redacts file transcriptions of the channel', async () => {
+    const result = await service.transcribeFile(Buffer.alloc(SEGMENT_BYTES), { slackChannel: 'CREDACT' });
+
+    expect(result.transcript).toBe('Welcome everyone to the [REDACTED] sync.');
+    expect(result.redaction).toEqual(['pci']);
+  });
+});
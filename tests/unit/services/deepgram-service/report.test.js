@@ -0,0 +1,46 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService session reports', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  test('reports on active sessions and posts the report of finished ones to their thread', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'report-live', slackChannel: 'C123', conversationId: 'weekly-sync' });
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES * 2));
+    await settle();
+    service.setSpeakerNames('report-live', { 0: 'Alice', 1: 'U012AB3CD' });
+
+    expect(await service.getSessionReport('report-live')).toMatchObject({
+      active: true,
+      audioSeconds: 4,
+      audioChunks: 1,
+      audioBytes: SEGMENT_BYTES * 2,
+      speakers: [expect.objectContaining({ label: 'Alice' }), expect.objectContaining({ label: 'U012AB3CD' })],
+    });
+
+    connection.close();
+    await settle(50);
+
+    const message = service.slackService.sendMessage.mock.calls
+      .map(([posted]) => posted)
+      .find(posted => posted.text.startsWith('📊 *Session Report*'));
+    expect(message.thread_ts).toBe('1.1');
+    expect(message.text).toMatch(/^📊 \*Session Report\*\nDuration: 00:00:\d\d \| Audio: 00:00:04 \| Words: 13 \(195 wpm\) \| Confidence: \d+% \| Interruptions: 0$/);
+    expect(message.blocks[1].text.text.split('\n')).toEqual([
+      expect.stringMatching(/^█████░░░░░ \*Alice\* 50% · 00:00:02 · 6 words · \d+ wpm · 0 interruptions$/),
+      expect.stringMatching(/^█████░░░░░ <@U012AB3CD> 50% · 00:00:02 · 7 words · \d+ wpm · 0 interruptions$/),
+    ]);
+    expect(message.blocks[2].elements[0].text).toBe('Session: report-live | Conversation: weekly-sync');
+  });
+
+  test('returns nothing for unknown sessions', async () => {
+    await expect(service.getSessionReport('report-unknown')).resolves.toBeNull();
+  });
+});
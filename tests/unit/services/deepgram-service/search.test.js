@@ -0,0 +1,42 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService transcript search', () => {
+  const service = new DeepgramService();
+
+  test('indexes live turns with the names speakers are given later', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'search-live', conversationId: 'weekly-sync' });
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES * 2));
+    await settle();
+
+    service.setSpeakerNames('search-live', { 1: 'Bob' });
+
+    expect(service.search.search('status updates', { conversation: 'weekly-sync' }).results).toEqual([
+      expect.objectContaining({
+        transcriptId: 'search-live',
+        source: 'session',
+        speaker: 'Bob',
+        snippet: 'Let us start with the status updates.',
+      }),
+    ]);
+
+    connection.close();
+  });
+
+  test('replaces the entries of a reused session ID', async () => {
+    const first = await service.createStreamingConnection({ sessionId: 'search-reused' });
+    first.sendAudio(Buffer.alloc(SEGMENT_BYTES));
+    await settle();
+    first.close();
+    await settle(10);
+
+    const second = await service.createStreamingConnection({ sessionId: 'search-reused' });
+    await settle();
+
+    expect(service.search.search('weekly sync').results.filter(result => result.transcriptId === 'search-reused')).toEqual([]);
+    second.close();
+  });
+});
@@ -0,0 +1,53 @@
+process.env.SLACK_POST_MODE = 'segment';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService speaker names', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  test('labels the speaker turns of live results with the assigned names', async () => {
+    const results = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'speakers-live',
+      slackChannel: 'C123',
+      onTranscript: result => results.push(result),
+    });
+    await settle();
+
+    expect(service.setSpeakerNames('speakers-live', { 0: 'Alice', 1: '<@U012AB3CD>' })).toEqual({
+      0: { name: 'Alice' },
+      1: { slackUserId: 'U012AB3CD' },
+    });
+
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES * 2));
+    await settle();
+
+    const finals = results.filter(result => result.is_final);
+    expect(finals.map(result => result.speakers.map(turn => turn.label))).toEqual([['Alice'], ['U012AB3CD']]);
+
+    const posted = service.slackService.sendMessage.mock.calls.map(([message]) => JSON.stringify(message.blocks));
+    expect(posted[0]).toContain('*Alice:* Welcome everyone to the weekly sync.');
+    expect(posted[1]).toContain('<@U012AB3CD>: Let us start with the status updates.');
+
+    connection.close();
+  });
+
+  test('removes names assigned null and ignores unknown sessions', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'speakers-removed' });
+
+    service.setSpeakerNames('speakers-removed', { 0: 'Alice', 1: 'Bob' });
+    expect(service.setSpeakerNames('speakers-removed', { 0: null })).toEqual({ 1: { name: 'Bob' } });
+    expect(service.getSpeakerNames('speakers-removed')).toEqual({ 1: { name: 'Bob' } });
+    expect(service.setSpeakerNames('speakers-unknown', { 0: 'Alice' })).toBeNull();
+
+    connection.close();
+  });
+});
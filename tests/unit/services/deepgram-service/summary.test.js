@@ -0,0 +1,76 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { LlmSummarizer, registerSummarizer } = require('../../../../src/services/summarization');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+/**
+ * Run a two-segment session in a Slack channel and close it
+ * @param {DeepgramService} service - Service under test
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object>} Summary message posted to Slack
+ */
+async function summarizeSession(service, sessionId) {
+  const connection = await service.createStreamingConnection({ sessionId, slackChannel: 'C123', conversationId: 'weekly-sync' });
+  connection.sendAudio(Buffer.alloc(SEGMENT_BYTES * 2));
+  await settle();
+  service.setSpeakerNames(sessionId, { 0: 'Alice' });
+  connection.close();
+  await settle(50);
+
+  const calls = service.slackService.sendMessage.mock.calls.map(([message]) => message);
+  return calls.find(message => message.text.startsWith('📝 *Meeting Summary*'));
+}
+
+describe('DeepgramService session summaries', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  afterEach(() => {
+    service.summaryConfig.provider = 'extractive';
+  });
+
+  test('posts the summary of a finished session to its thread', async () => {
+    const message = await summarizeSession(service, 'summary-extractive');
+
+    expect(message.thread_ts).toBe('1.1');
+    expect(message.text).toBe('📝 *Meeting Summary*\nWelcome everyone to the weekly sync. Let us start with the status updates.');
+    expect(message.blocks.map(block => block.text?.text || block.elements[0].text)).toEqual([
+      message.text,
+      '*Key Decisions*\n_None recorded_',
+      '*Action Items*\n_None recorded_',
+      'Session: summary-extractive | Conversation: weekly-sync | Duration: 00:00:04 | Speakers: 2 | Summarized by extractive',
+    ]);
+  });
+
+  test('lists the items of the configured summarizer with their owners', async () => {
+    registerSummarizer('fake-llm', () => new LlmSummarizer({
+      name: 'fake-llm',
+      complete: () => Promise.resolve(JSON.stringify({
+        summary: 'The weekly sync covered status updates.',
+        decisions: ['Keep the weekly sync'],
+        actionItems: [{ text: 'Share the status page', owner: 'Alice', due: 'Friday' }],
+      })),
+    }));
+    service.summaryConfig.provider = 'fake-llm';
+
+    const message = await summarizeSession(service, 'summary-llm');
+
+    expect(message.blocks[1].text.text).toBe('*Key Decisions*\n• Keep the weekly sync');
+    expect(message.blocks[2].text.text).toBe('*Action Items*\n• Share the status page (*Alice*, due Friday)');
+    expect(message.blocks[3].elements[0].text).toMatch(/Summarized by fake-llm$/);
+  });
+
+  test('falls back to the extractive summarizer when the configured one fails', async () => {
+    registerSummarizer('broken-llm', () => new LlmSummarizer({ name: 'broken-llm', complete: () => Promise.reject(new Error('rate limited')) }));
+    service.summaryConfig.provider = 'broken-llm';
+
+    const message = await summarizeSession(service, 'summary-fallback');
+
+    expect(message.blocks[3].elements[0].text).toMatch(/Summarized by extractive$/);
+  });
+});
@@ -0,0 +1,56 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService stored transcripts', () => {
+  const service = new DeepgramService();
+
+  test('stores the final segments of a live session for retrieval', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'stored-live', conversationId: 'weekly-sync' });
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES * 2));
+    await settle();
+    service.setSpeakerNames('stored-live', { 0: 'Alice' });
+
+    const active = await service.getSessionTranscript('stored-live');
+    expect(active).toMatchObject({
+      sessionId: 'stored-live',
+      source: 'session',
+      conversationId: 'weekly-sync',
+      provider: 'local',
+      active: true,
+      endedAt: null,
+      speakerNames: { 0: { name: 'Alice' } },
+    });
+    expect(active.segments.map(segment => segment.transcript)).toEqual([
+      'Welcome everyone to the weekly sync.',
+      'Let us start with the status updates.',
+    ]);
+
+    connection.close();
+    await settle();
+
+    const ended = await service.getSessionTranscript('stored-live');
+    expect(ended).toMatchObject({ active: false, endedAt: expect.any(String), speakerNames: { 0: { name: 'Alice' } } });
+    expect(ended.segments).toHaveLength(2);
+  });
+
+  test('starts a new transcript when an ended session ID is reused', async () => {
+    const first = await service.createStreamingConnection({ sessionId: 'stored-reused' });
+    first.sendAudio(Buffer.alloc(SEGMENT_BYTES));
+    await settle();
+    first.close();
+    await settle();
+
+    const second = await service.createStreamingConnection({ sessionId: 'stored-reused' });
+    await settle();
+
+    expect((await service.getSessionTranscript('stored-reused')).segments).toEqual([]);
+    second.close();
+  });
+
+  test('returns nothing for sessions without a transcript', async () => {
+    await expect(service.getSessionTranscript('stored-unknown')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+process.env.SLACK_POST_MODE = 'segment';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { getTranslationService } = require('../../../../src/services/translation-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService translation', () => {
+  const service = new DeepgramService();
+  const translation = getTranslationService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1', channel: 'C123' });
+    translation.set('channel', 'CTRANSLATE', { targets: ['fr'] });
+  });
+
+  afterEach(() => {
+    translation.clear('channel', 'CTRANSLATE');
+  });
+
+  test('posts translations of final transcripts in the thread of the original', async () => {
+    const translations = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'translation-live',
+      slackChannel: 'CTRANSLATE',
+      diarize: false,
+      onTranslation: result => translations.push(result),
+    });
+    await settle();
+
+    connection.sendAudio(Buffer.alloc(SEGMENT_BYTES));
+    await settle();
+
+    expect(translations).toEqual([expect.objectContaining({
+      sessionId: 'translation-live',
+      source: 'en-US',
+      transcript: 'Welcome everyone to the weekly sync.',
+      translations: [expect.objectContaining({ language: 'fr' })],
+    })]);
+
+    const [original, translated] = service.slackService.sendMessage.mock.calls.map(([message]) => message);
+    expect(original.text).toContain('Welcome everyone to the weekly sync.');
+    expect(translated).toMatchObject({ channel: 'C123', thread_ts: '1.1' });
+    expect(translated.text).toContain('🌐 *Translation (fr)*');
+
+    connection.close();
+  });
+});
@@ -0,0 +1,51 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { UsageService } = require('../../../../src/services/usage-service');
+const { settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService usage metering', () => {
+  const service = new DeepgramService();
+
+  beforeEach(() => {
+    // Six seconds of audio a day for each user, with warnings from 60%
+    service.usage = new UsageService({
+      quotas: { workspace: { daily: 0, monthly: 0 }, channel: { daily: 0, monthly: 0 }, user: { daily: 0.1, monthly: 0 } },
+      warningRatio: 0.6,
+    });
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  test('meters transcribed audio, warns once and stops the session when the quota is used up', async () => {
+    const statuses = [];
+    await service.createStreamingConnection({
+      sessionId: 'usage-live',
+      userId: 'U1',
+      conversationId: 'weekly-sync',
+      onStatus: status => statuses.push(status),
+    });
+    await settle();
+
+    const connection = service.activeConnections.get('usage-live');
+    service.sendAudio(connection, Buffer.alloc(SEGMENT_BYTES * 4));
+    await settle(50);
+
+    expect(statuses.filter(({ status }) => status.startsWith('quota_'))).toEqual([
+      expect.objectContaining({ status: 'quota_warning', message: 'Daily audio quota of user U1 66% used (0.07 of 0.1 minutes)' }),
+      expect.objectContaining({ status: 'quota_exceeded', message: 'Daily audio quota of user U1 used up (0.1 of 0.1 minutes); transcription stopped' }),
+    ]);
+    expect(service.activeConnections.has('usage-live')).toBe(false);
+    expect(service.usage.getUsage('day').users).toEqual([expect.objectContaining({ id: 'U1', streamSeconds: expect.any(Number) })]);
+    expect(service.usage.getUsage('day').conversations[0].id).toBe('weekly-sync');
+  });
+
+  test('refuses to start sessions over quota', async () => {
+    service.usage.record({ source: 'upload', seconds: 6, userId: 'U1' });
+
+    await expect(service.createStreamingConnection({ sessionId: 'usage-refused', userId: 'U1' })).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+    const connection = await service.createStreamingConnection({ sessionId: 'usage-other', userId: 'U2' });
+    expect(connection.provider).toBe('local');
+    connection.close();
+  });
+});
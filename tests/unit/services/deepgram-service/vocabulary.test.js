@@ -0,0 +1,51 @@
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { getVocabularyService, validateVocabulary } = require('../../../../src/services/vocabulary-service');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+// Two seconds of 16 kHz 16-bit mono audio: one scripted segment of the local provider
+const SEGMENT_BYTES = 64000;
+
+describe('DeepgramService vocabulary', () => {
+  const service = new DeepgramService();
+  const vocabulary = getVocabularyService();
+
+  beforeEach(() => {
+    service.slackService.sendMessage = jest.fn().mockResolvedValue({ ts: '1.1' });
+  });
+
+  afterEach(() => {
+    vocabulary.clear('channel', 'CVOCAB');
+  });
+
+  test('applies the channel vocabulary to file transcriptions', async () => {
+    vocabulary.set('channel', 'CVOCAB', validateVocabulary({ replace: ['sync:standup'], search: ['weekly'] }).vocabulary);
+
+    const result = await service.transcribeFile(Buffer.alloc(SEGMENT_BYTES), { slackChannel: 'CVOCAB' });
+
+    expect(result.transcript).toBe('Welcome everyone to the weekly standup.');
+    expect(result.search).toEqual([expect.objectContaining({ query: 'weekly', hits: [expect.any(Object)] })]);
+  });
+
+  test('restarts the streams of a channel whose vocabulary changed', async () => {
+    const capture = captureStreams();
+
+    try {
+      const connection = await service.createStreamingConnection({ sessionId: 'vocabulary-refresh', slackChannel: 'CVOCAB' });
+      await settle();
+
+      vocabulary.add('channel', 'CVOCAB', validateVocabulary({ keywords: ['Acme:2'] }).vocabulary);
+      const refreshed = await service.refreshSessions({ channel: 'CVOCAB' }, '📚 Vocabulary updated');
+
+      expect(refreshed).toBe(1);
+      expect(capture.streams[1].options.keywords).toEqual(['Acme:2']);
+      expect(service.slackService.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ text: '📚 Vocabulary updated' }));
+
+      // Other channels are left alone
+      expect(await service.refreshSessions({ channel: 'COTHER' }, '📚 Vocabulary updated')).toBe(0);
+
+      connection.close();
+    } finally {
+      capture.restore();
+    }
+  });
+});
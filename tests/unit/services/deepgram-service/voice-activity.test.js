@@ -0,0 +1,113 @@
+process.env.VAD_ENABLED = 'true';
+process.env.VAD_THRESHOLD_DB = '-40';
+process.env.VAD_HANGOVER_MS = '200';
+process.env.VAD_PREROLL_MS = '100';
+process.env.VAD_KEEPALIVE_MS = '1000';
+
+const { DeepgramService } = require('../../../../src/services/deepgram-service');
+const { captureStreams, settle } = require('../../../helpers/streams');
+
+// 16 kHz 16-bit mono: 32000 bytes per second, 3200 bytes per 100 ms chunk
+const FORMAT = { encoding: 'linear16', sampleRate: 16000, channels: 1 };
+const CHUNK_BYTES = 3200;
+
+/**
+ * Chunks of a square wave at about -20 dBFS
+ * @param {number} seconds - Length in seconds (whole tenths)
+ * @returns {Array<Buffer>} Audio chunks
+ */
+function speech(seconds) {
+  const chunk = Buffer.alloc(CHUNK_BYTES);
+  for (let offset = 0; offset < CHUNK_BYTES; offset += 2) {
+    chunk.writeInt16LE(offset % 4 === 0 ? 3277 : -3277, offset);
+  }
+  return Array.from({ length: Math.round(seconds * 10) }, () => chunk);
+}
+
+/**
+ * Chunks of digital silence
+ * @param {number} seconds - Length in seconds (whole tenths)
+ * @returns {Array<Buffer>} Audio chunks
+ */
+function silence(seconds) {
+  return Array.from({ length: Math.round(seconds * 10) }, () => Buffer.alloc(CHUNK_BYTES));
+}
+
+describe('DeepgramService voice activity detection', () => {
+  const service = new DeepgramService();
+  let capture;
+
+  beforeEach(() => {
+    capture = captureStreams();
+  });
+
+  afterEach(() => {
+    capture.restore();
+    jest.restoreAllMocks();
+  });
+
+  test('holds skipped silence back from the provider and restores session timestamps', async () => {
+    const results = [];
+    const connection = await service.createStreamingConnection({
+      sessionId: 'vad-skip',
+      audioFormat: FORMAT,
+      onTranscript: result => results.push(result),
+    });
+    await settle();
+    const finalize = jest.spyOn(capture.streams[0], 'finalize');
+
+    // 1.5 s of speech, 3 s of silence of which 2.7 s are skipped, then 3 s of speech
+    [...speech(1.5), ...silence(3), ...speech(3)].forEach(chunk => connection.sendAudio(chunk));
+    await settle();
+
+    expect(capture.streams[0].audio()).toHaveLength(4.8 * 32000);
+    expect(finalize).toHaveBeenCalledTimes(1);
+
+    const finals = results.filter(result => result.is_final);
+    expect(finals.map(result => result.start)).toEqual([0, expect.closeTo(4.7)]);
+
+    expect(connection.getVoiceActivity()).toEqual({
+      speechSeconds: 4.5,
+      silenceSeconds: 3,
+      forwardedSeconds: 4.8,
+      skippedSeconds: 2.7,
+      skippedRatio: 0.36,
+      skips: 1,
+      keepAlives: 0,
+    });
+    expect(service.getSessionInfo('vad-skip').voiceActivity).toMatchObject({ skippedSeconds: 2.7 });
+
+    connection.close();
+  });
+
+  test('keeps the provider stream alive through long silences', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'vad-keepalive', audioFormat: FORMAT });
+    await settle();
+    const keepAlive = jest.spyOn(capture.streams[0], 'keepAlive');
+
+    [...speech(0.5), ...silence(1)].forEach(chunk => connection.sendAudio(chunk));
+    expect(keepAlive).not.toHaveBeenCalled();
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 1000);
+    connection.sendAudio(silence(0.1)[0]);
+    connection.sendAudio(silence(0.1)[0]);
+
+    expect(keepAlive).toHaveBeenCalledTimes(1);
+    expect(connection.getVoiceActivity().keepAlives).toBe(1);
+
+    connection.close();
+  });
+
+  test('leaves formats it cannot measure untouched', async () => {
+    const connection = await service.createStreamingConnection({ sessionId: 'vad-opus', audioFormat: { encoding: 'opus', sampleRate: 48000, channels: 1 } });
+    await settle();
+
+    silence(1).forEach(chunk => connection.sendAudio(chunk));
+
+    expect(capture.streams[0].audio()).toHaveLength(10 * CHUNK_BYTES);
+    expect(connection.getVoiceActivity()).toBeNull();
+
+    connection.close();
+  });
+});
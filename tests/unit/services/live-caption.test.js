@@ -0,0 +1,109 @@
+const { LiveCaption } = require('../../../src/services/live-caption');
+
+/**
+ * Create a caption with a fake Slack service
+ * @returns {Object} { caption, slackService, onPosted }
+ */
+function createCaption() {
+  const slackService = {
+    sendMessage: jest.fn().mockResolvedValue({ ts: '1.1', channel: 'C123' }),
+    updateMessage: jest.fn().mockResolvedValue({ ok: true }),
+  };
+  const onPosted = jest.fn();
+  const caption = new LiveCaption({
+    slackService,
+    channel: '#standup',
+    threadTs: '0.9',
+    intervalMs: 1000,
+    buildMessage: text => ({ text: `… ${text}`, blocks: [] }),
+    onPosted,
+  });
+  return { caption, slackService, onPosted };
+}
+
+describe('LiveCaption', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('posts the first hypothesis, then edits the message by channel ID', async () => {
+    const { caption, slackService, onPosted } = createCaption();
+
+    caption.show('Hello');
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(slackService.sendMessage).toHaveBeenCalledWith({ channel: '#standup', thread_ts: '0.9', text: '… Hello', blocks: [] });
+    expect(onPosted).toHaveBeenCalledWith({ ts: '1.1', channel: 'C123' });
+
+    caption.show('Hello there');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(slackService.updateMessage).toHaveBeenCalledWith({ channel: 'C123', ts: '1.1', text: '… Hello there', blocks: [] });
+  });
+
+  test('coalesces hypotheses arriving within the interval into one edit', async () => {
+    const { caption, slackService } = createCaption();
+
+    caption.show('One');
+    await jest.advanceTimersByTimeAsync(0);
+    caption.show('One two');
+    caption.show('One two three');
+    await jest.advanceTimersByTimeAsync(999);
+    expect(slackService.updateMessage).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(slackService.updateMessage).toHaveBeenCalledTimes(1);
+    expect(slackService.updateMessage.mock.calls[0][0].text).toBe('… One two three');
+  });
+
+  test('skips edits that would not change the text', async () => {
+    const { caption, slackService } = createCaption();
+
+    caption.show('Hello');
+    await jest.advanceTimersByTimeAsync(0);
+    caption.show('Hello');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(slackService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(slackService.updateMessage).not.toHaveBeenCalled();
+  });
+
+  test('replaces the caption with the final message and ignores later hypotheses', async () => {
+    const { caption, slackService } = createCaption();
+
+    caption.show('Hello');
+    await jest.advanceTimersByTimeAsync(0);
+    caption.show('Hello the');
+    const response = await caption.finalize({ text: 'Hello there.', blocks: [] });
+    caption.show('Hello there again');
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(response).toEqual({ ok: true });
+    expect(slackService.updateMessage).toHaveBeenCalledTimes(1);
+    expect(slackService.updateMessage.mock.calls[0][0].text).toBe('Hello there.');
+  });
+
+  test('posts the final message when no hypothesis was shown', async () => {
+    const { caption, slackService } = createCaption();
+
+    await caption.finalize({ text: 'Hello there.', blocks: [] });
+
+    expect(slackService.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ text: 'Hello there.' }));
+    expect(slackService.updateMessage).not.toHaveBeenCalled();
+  });
+
+  test('keeps going after a failed Slack call', async () => {
+    const { caption, slackService } = createCaption();
+    slackService.sendMessage.mockRejectedValueOnce(new Error('ratelimited'));
+
+    caption.show('Hello');
+    await jest.advanceTimersByTimeAsync(0);
+    await caption.finalize({ text: 'Hello there.', blocks: [] });
+
+    expect(slackService.sendMessage).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-service-test-'));
+process.env.RECORDING_STORE = 'file';
+process.env.RECORDING_DIR = recordingDir;
+process.env.RECORDING_RETENTION_DAYS = '30';
+process.env.RECORDING_MAX_SIZE = '1MB';
+
+const { RecordingService, validatePolicy } = require('../../../src/services/recording-service');
+const { settle } = require('../../helpers/streams');
+
+const FORMAT = { encoding: 'linear16', sampleRate: 16000, channels: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('validatePolicy', () => {
+  test('accepts partial policies', () => {
+    expect(validatePolicy({ enabled: false })).toEqual({ isValid: true, errors: [], policy: { enabled: false } });
+    expect(validatePolicy({ retentionDays: 0, other: 1 })).toEqual({ isValid: true, errors: [], policy: { retentionDays: 0 } });
+  });
+
+  test('rejects invalid and empty policies', () => {
+    expect(validatePolicy([]).errors).toEqual(['policy must be an object']);
+    expect(validatePolicy({ enabled: 'yes', retentionDays: -1 }).errors).toEqual([
+      'enabled must be a boolean',
+      'retentionDays must be a number of days (0 to keep recordings forever)',
+    ]);
+    expect(validatePolicy({ retentionDays: Infinity }).isValid).toBe(false);
+    expect(validatePolicy({}).errors).toEqual(['enabled or retentionDays is required']);
+  });
+});
+
+describe('RecordingService', () => {
+  const services = [];
+
+  /**
+   * Create a service, stopping its sweep timer after the test
+   * @param {Object} env - Environment overrides in effect while it is created
+   * @returns {RecordingService} Service
+   */
+  function createService(env = {}) {
+    const previous = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    try {
+      const service = new RecordingService();
+      services.push(service);
+      return service;
+    } finally {
+      Object.assign(process.env, previous);
+    }
+  }
+
+  /**
+   * Record a session of silent PCM audio
+   * @param {RecordingService} service - Service
+   * @param {Object} session - { sessionId, slackChannel, conversationId }
+   * @param {number} bytes - Audio bytes
+   * @returns {Promise<Object|null>} Recording entry
+   */
+  function record(service, session, bytes = 3200) {
+    const recorder = service.start({ ...session, audioFormat: FORMAT });
+    recorder.write(Buffer.alloc(bytes));
+    return service.finish(recorder, session);
+  }
+
+  afterEach(() => {
+    services.splice(0).forEach(service => clearInterval(service.sweepTimer));
+  });
+
+  afterAll(() => {
+    fs.rmSync(recordingDir, { recursive: true, force: true });
+  });
+
+  test('layers channel overrides over the workspace policy and the defaults', () => {
+    const service = createService();
+    expect(service.getPolicy('C1')).toEqual({ enabled: true, retentionDays: 30 });
+
+    service.setPolicy('global', undefined, { retentionDays: 7 });
+    service.setPolicy('channel', 'C1', { enabled: false });
+    expect(service.setPolicy('channel', 'C1', { retentionDays: 0 })).toEqual({ enabled: false, retentionDays: 0 });
+
+    expect(service.getPolicy()).toEqual({ enabled: true, retentionDays: 7 });
+    expect(service.getPolicy('C1')).toEqual({ enabled: false, retentionDays: 0 });
+    expect(service.getPolicy('C2')).toEqual({ enabled: true, retentionDays: 7 });
+    expect(service.getPolicyOverride('channel', 'C1')).toEqual({ enabled: false, retentionDays: 0 });
+    expect(service.listPolicies()).toEqual([
+      { scope: 'global', policy: { retentionDays: 7 } },
+      { scope: 'channel', id: 'C1', policy: { enabled: false, retentionDays: 0 } },
+    ]);
+
+    expect(service.deletePolicy('channel', 'C1')).toBe(true);
+    expect(service.deletePolicy('channel', 'C1')).toBe(false);
+    expect(service.getPolicy('C1')).toEqual({ enabled: true, retentionDays: 7 });
+  });
+
+  test('records only sessions of channels with recording enabled', () => {
+    const service = createService();
+    service.setPolicy('channel', 'C-off', { enabled: false });
+
+    expect(service.start({ sessionId: 'off', slackChannel: 'C-off', audioFormat: FORMAT })).toBeNull();
+    expect(service.start({ sessionId: 'on', slackChannel: 'C-on', audioFormat: FORMAT })).not.toBeNull();
+    expect(createService({ RECORDING_STORE: 'none' }).start({ sessionId: 'on', audioFormat: FORMAT })).toBeNull();
+  });
+
+  test('moves finished recordings to the store and opens them for download', async () => {
+    const service = createService();
+    const entry = await record(service, { sessionId: 'sync-1', slackChannel: 'C1', conversationId: 'weekly-sync' });
+
+    expect(entry).toMatchObject({
+      sessionId: 'sync-1',
+      slackChannel: 'C1',
+      conversationId: 'weekly-sync',
+      store: 'file',
+      key: expect.stringMatching(/^[0-9a-f]{32}-\d+\.wav$/),
+      contentType: 'audio/wav',
+      size: 3244,
+      format: FORMAT,
+      durationSeconds: 0.1,
+      truncated: false,
+    });
+    expect(fs.readdirSync(path.join(recordingDir, '.spool'))).toEqual([]);
+
+    const recording = service.getRecording('sync-1');
+    expect(recording.expiresAt).toBe(new Date(Date.parse(entry.endedAt) + 30 * DAY_MS).toISOString());
+
+    const { stream, size } = await service.openRecording('sync-1');
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    expect(size).toBe(3244);
+    expect(Buffer.concat(chunks).toString('ascii', 0, 4)).toBe('RIFF');
+
+    await expect(service.openRecording('unknown')).resolves.toBeNull();
+  });
+
+  test('replaces the recording of a reused session ID', async () => {
+    const service = createService();
+    const first = await record(service, { sessionId: 'reused' });
+    await settle(5);
+    const second = await record(service, { sessionId: 'reused' }, 6400);
+
+    expect(second.key).not.toBe(first.key);
+    expect(fs.existsSync(path.join(recordingDir, first.key))).toBe(false);
+    expect(fs.existsSync(path.join(recordingDir, second.key))).toBe(true);
+    expect(service.getRecording('reused').size).toBe(6444);
+  });
+
+  test('drops recordings the store cannot save', async () => {
+    const service = createService();
+    jest.spyOn(service.store, 'save').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(record(service, { sessionId: 'unsaved' })).resolves.toBeNull();
+    expect(service.getRecording('unsaved')).toBeNull();
+    expect(fs.readdirSync(path.join(recordingDir, '.spool'))).toEqual([]);
+  });
+
+  test('lists recordings newest first, by channel', async () => {
+    const service = createService();
+    await record(service, { sessionId: 'older', slackChannel: 'C1' });
+    await record(service, { sessionId: 'newer', slackChannel: 'C1' });
+    await record(service, { sessionId: 'elsewhere', slackChannel: 'C2' });
+    service.recordings.get('older').endedAt = new Date(Date.now() - DAY_MS).toISOString();
+
+    expect(service.listRecordings({ channel: 'C1' }).map(entry => entry.sessionId)).toEqual(['newer', 'older']);
+    expect(service.listRecordings()).toHaveLength(3);
+  });
+
+  test('hides and sweeps recordings past the retention of their channel', async () => {
+    const service = createService();
+    const expired = await record(service, { sessionId: 'expired', slackChannel: 'C1' });
+    await record(service, { sessionId: 'forever', slackChannel: 'C2' });
+    service.setPolicy('channel', 'C2', { retentionDays: 0 });
+    service.recordings.get('expired').endedAt = new Date(Date.now() - 31 * DAY_MS).toISOString();
+    service.recordings.get('forever').endedAt = new Date(Date.now() - 365 * DAY_MS).toISOString();
+
+    expect(service.getRecording('expired')).toBeNull();
+    expect(service.getRecording('forever').expiresAt).toBeNull();
+    expect(service.listRecordings().map(entry => entry.sessionId)).toEqual(['forever']);
+
+    await expect(service.sweep()).resolves.toBe(1);
+    expect(service.recordings.has('expired')).toBe(false);
+    expect(fs.existsSync(path.join(recordingDir, expired.key))).toBe(false);
+    await expect(service.sweep()).resolves.toBe(0);
+  });
+
+  test('deletes recordings on request', async () => {
+    const service = createService();
+    const entry = await record(service, { sessionId: 'deleted' });
+
+    await expect(service.deleteRecording('deleted')).resolves.toBe(true);
+    await expect(service.deleteRecording('deleted')).resolves.toBe(false);
+    expect(fs.existsSync(path.join(recordingDir, entry.key))).toBe(false);
+  });
+
+  test('persists recordings and policies to the index file', async () => {
+    const indexFile = path.join(recordingDir, 'index', 'recordings.json');
+    const service = createService({ RECORDING_INDEX_FILE: indexFile });
+    service.setPolicy('channel', 'C1', { retentionDays: 90 });
+    await record(service, { sessionId: 'persisted', slackChannel: 'C1' });
+
+    const restored = createService({ RECORDING_INDEX_FILE: indexFile });
+    expect(restored.getPolicy('C1')).toEqual({ enabled: true, retentionDays: 90 });
+    expect(restored.getRecording('persisted')).toMatchObject({ slackChannel: 'C1', size: 3244 });
+  });
+
+  test('removes spool files left by a previous process', () => {
+    const spoolDir = path.join(recordingDir, '.spool');
+    fs.mkdirSync(spoolDir, { recursive: true });
+    fs.writeFileSync(path.join(spoolDir, 'abandoned.part'), 'audio');
+
+    createService();
+    expect(fs.readdirSync(spoolDir)).toEqual([]);
+  });
+});
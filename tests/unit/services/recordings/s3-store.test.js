@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { S3RecordingStore } = require('../../../../src/services/recordings/s3-store');
+
+const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-store-test-'));
+const credentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' };
+
+/**
+ * Signature of a request, derived step by step as in the AWS Signature Version 4 documentation
+ * @param {string} canonicalRequest - Canonical request
+ * @returns {string} Hex signature
+ */
+function expectedSignature(canonicalRequest) {
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    '20261019T120000Z',
+    '20261019/eu-west-1/s3/aws4_request',
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  const dateKey = hmac(`AWS4${credentials.secretAccessKey}`, '20261019');
+  const regionKey = hmac(dateKey, 'eu-west-1');
+  const serviceKey = hmac(regionKey, 's3');
+  const signingKey = hmac(serviceKey, 'aws4_request');
+  return hmac(signingKey, stringToSign).toString('hex');
+}
+
+describe('S3RecordingStore', () => {
+  const originalFetch = global.fetch;
+  const store = new S3RecordingStore({ bucket: 'media', region: 'eu-west-1', prefix: 'recordings/', ...credentials });
+  let requests;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    requests = [];
+    global.fetch = jest.fn(async (url, init) => {
+      const body = init.body ? Buffer.from(await new Response(init.body).arrayBuffer()) : null;
+      requests.push({ url: String(url), method: init.method, headers: init.headers, body });
+      return new Response(null, { status: 200 });
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    global.fetch = originalFetch;
+  });
+
+  afterAll(() => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  test('addresses AWS buckets virtual-hosted and other services path-style', () => {
+    expect(store.objectUrl('ab cd/it\'s.wav').href).toBe('https://media.s3.eu-west-1.amazonaws.com/recordings/ab%20cd/it%27s.wav');
+
+    const minio = new S3RecordingStore({ bucket: 'media', region: 'us-east-1', endpoint: 'http://localhost:9000/', ...credentials });
+    expect(minio.objectUrl('a.wav').href).toBe('http://localhost:9000/media/a.wav');
+  });
+
+  test('uploads spooled files with Signature Version 4 headers and removes them', async () => {
+    const filePath = path.join(spoolDir, 'upload.part');
+    fs.writeFileSync(filePath, 'RIFF audio');
+
+    await store.save('ab cd.wav', filePath, { contentType: 'audio/wav', size: 10 });
+
+    const [request] = requests;
+    expect(request.method).toBe('PUT');
+    expect(request.url).toBe('https://media.s3.eu-west-1.amazonaws.com/recordings/ab%20cd.wav');
+    expect(request.body.toString()).toBe('RIFF audio');
+    expect(request.headers.host).toBeUndefined();
+
+    const signedHeaders = 'content-length;content-type;host;x-amz-content-sha256;x-amz-date';
+    const signature = expectedSignature([
+      'PUT',
+      '/recordings/ab%20cd.wav',
+      '',
+      'content-length:10',
+      'content-type:audio/wav',
+      'host:media.s3.eu-west-1.amazonaws.com',
+      'x-amz-content-sha256:UNSIGNED-PAYLOAD',
+      'x-amz-date:20261019T120000Z',
+      '',
+      signedHeaders,
+      'UNSIGNED-PAYLOAD',
+    ].join('\n'));
+    expect(request.headers).toEqual({
+      'content-type': 'audio/wav',
+      'content-length': '10',
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': '20261019T120000Z',
+      authorization: `AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20261019/eu-west-1/s3/aws4_request, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    });
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('keeps the spooled file when an upload fails', async () => {
+    const filePath = path.join(spoolDir, 'failed.part');
+    fs.writeFileSync(filePath, 'RIFF audio');
+    global.fetch.mockImplementationOnce(async (url, init) => {
+      await new Response(init.body).arrayBuffer();
+      return new Response('denied', { status: 403 });
+    });
+
+    await expect(store.save('failed.wav', filePath, { contentType: 'audio/wav', size: 10 }))
+      .rejects.toThrow('S3 upload of failed.wav failed: HTTP 403');
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+
+  test('streams downloads, and returns nothing for missing objects', async () => {
+    global.fetch.mockResolvedValueOnce(new Response('RIFF audio', { status: 200, headers: { 'content-length': '10' } }));
+
+    const file = await store.open('a.wav');
+    expect(file.size).toBe(10);
+    const chunks = [];
+    for await (const chunk of file.stream) chunks.push(chunk);
+    expect(Buffer.concat(chunks).toString()).toBe('RIFF audio');
+
+    global.fetch.mockResolvedValueOnce(new Response('missing', { status: 404 }));
+    await expect(store.open('missing.wav')).resolves.toBeNull();
+
+    global.fetch.mockResolvedValueOnce(new Response('error', { status: 500 }));
+    await expect(store.open('broken.wav')).rejects.toThrow('S3 download of broken.wav failed: HTTP 500');
+  });
+
+  test('deletes objects, treating missing ones as deleted', async () => {
+    await store.delete('a.wav');
+    expect(requests[0]).toMatchObject({ method: 'DELETE', url: 'https://media.s3.eu-west-1.amazonaws.com/recordings/a.wav' });
+
+    global.fetch.mockResolvedValueOnce(new Response(null, { status: 404 }));
+    await expect(store.delete('missing.wav')).resolves.toBeUndefined();
+
+    global.fetch.mockResolvedValueOnce(new Response(null, { status: 500 }));
+    await expect(store.delete('broken.wav')).rejects.toThrow('S3 delete of broken.wav failed: HTTP 500');
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionRecorder } = require('../../../../src/services/recordings/session-recorder');
+
+const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-recorder-test-'));
+const WEBM_HEADER = Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x86, 0x81]);
+
+/**
+ * Create a recorder spooling to the test directory
+ * @param {Object} options - Options overriding the defaults
+ * @returns {SessionRecorder} Recorder
+ */
+function createRecorder(options = {}) {
+  return new SessionRecorder({ sessionId: 'recorded', spoolDir, maxBytes: 100000, format: null, ...options });
+}
+
+describe('SessionRecorder', () => {
+  afterAll(() => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  test('wraps PCM audio in a WAV header', async () => {
+    const format = { encoding: 'linear16', sampleRate: 16000, channels: 2 };
+    const recorder = createRecorder({ format });
+    recorder.write(Buffer.alloc(32000, 1));
+    recorder.write(Buffer.alloc(32000, 2));
+
+    const file = await recorder.finish();
+    expect(file).toMatchObject({
+      size: 64044,
+      extension: 'wav',
+      contentType: 'audio/wav',
+      format,
+      durationSeconds: 1,
+      truncated: false,
+    });
+
+    const data = fs.readFileSync(file.filePath);
+    expect(data).toHaveLength(64044);
+    expect(data.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(data.readUInt32LE(4)).toBe(36 + 64000);
+    expect(data.toString('ascii', 8, 16)).toBe('WAVEfmt ');
+    expect(data.readUInt16LE(20)).toBe(1);
+    expect(data.readUInt16LE(22)).toBe(2);
+    expect(data.readUInt32LE(24)).toBe(16000);
+    expect(data.readUInt32LE(28)).toBe(64000);
+    expect(data.readUInt16LE(32)).toBe(4);
+    expect(data.readUInt16LE(34)).toBe(16);
+    expect(data.toString('ascii', 36, 40)).toBe('data');
+    expect(data.readUInt32LE(40)).toBe(64000);
+    expect(data[44]).toBe(1);
+    expect(data[64043]).toBe(2);
+  });
+
+  test('tags G.711 audio with its WAV format', async () => {
+    const recorder = createRecorder({ format: { encoding: 'mulaw', sampleRate: 8000, channels: 1 } });
+    recorder.write(Buffer.alloc(4000, 0xFF));
+
+    const file = await recorder.finish();
+    const data = fs.readFileSync(file.filePath);
+    expect(data.readUInt16LE(20)).toBe(7);
+    expect(data.readUInt16LE(34)).toBe(8);
+    expect(file.durationSeconds).toBe(0.5);
+  });
+
+  test('keeps containers as they arrive', async () => {
+    const recorder = createRecorder();
+    const audio = Buffer.concat([WEBM_HEADER, Buffer.alloc(100)]);
+    recorder.write(audio);
+
+    const file = await recorder.finish();
+    expect(file).toMatchObject({ size: audio.length, extension: 'webm', contentType: 'audio/webm', format: null, durationSeconds: null });
+    expect(fs.readFileSync(file.filePath)).toEqual(audio);
+  });
+
+  test('uses the format declared before the first audio', async () => {
+    const recorder = createRecorder();
+    recorder.setFormat({ encoding: 'linear16', sampleRate: 16000, channels: 1 });
+    recorder.write(Buffer.alloc(3200));
+    recorder.setFormat(null);
+
+    expect(await recorder.finish()).toMatchObject({ extension: 'wav', size: 3244, durationSeconds: 0.1 });
+  });
+
+  test('does not record raw codec frames', async () => {
+    const recorder = createRecorder({ format: { encoding: 'opus', sampleRate: 48000, channels: 1 } });
+    recorder.write(Buffer.alloc(100));
+
+    expect(recorder.unsupported).toBe(true);
+    await expect(recorder.finish()).resolves.toBeNull();
+  });
+
+  test('stops recording at the size limit', async () => {
+    const recorder = createRecorder({ format: { encoding: 'linear16', sampleRate: 16000, channels: 1 }, maxBytes: 5000 });
+    recorder.write(Buffer.alloc(3200));
+    recorder.write(Buffer.alloc(3200));
+    recorder.write(Buffer.alloc(100));
+
+    expect(await recorder.finish()).toMatchObject({ size: 3244, truncated: true });
+  });
+
+  test('removes the spool file of a discarded recording', async () => {
+    const recorder = createRecorder();
+    recorder.write(WEBM_HEADER);
+    await new Promise(resolve => recorder.stream.once('open', resolve));
+
+    await recorder.discard();
+    expect(fs.existsSync(recorder.filePath)).toBe(false);
+    await expect(createRecorder().discard()).resolves.toBeUndefined();
+  });
+});
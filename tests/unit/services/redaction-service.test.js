@@ -0,0 +1,117 @@
+process.env.REDACTION_PUBLIC_CHANNELS = 'CPUBLIC,#General,C0456';
+
+const CHANNEL_NAMES = { C0123: 'general', C0456: 'press' };
+const mockSlack = {
+  getChannelInfo: jest.fn(id => Promise.resolve({ id, name: CHANNEL_NAMES[id] })),
+};
+jest.mock('../../../src/services/slack-service', () => ({
+  getSlackService: () => mockSlack,
+}));
+
+const { RedactionService, validatePolicy, normalizeChannel } = require('../../../src/services/redaction-service');
+
+describe('normalizeChannel', () => {
+  test('strips the # of channel names and lowercases them, keeping IDs', () => {
+    expect(normalizeChannel('#General')).toBe('general');
+    expect(normalizeChannel(' general ')).toBe('general');
+    expect(normalizeChannel('C0123')).toBe('C0123');
+    expect(normalizeChannel(undefined)).toBe('');
+  });
+});
+
+describe('validatePolicy', () => {
+  test('normalizes types in a fixed order and removes duplicate patterns', () => {
+    expect(validatePolicy({ types: ['numbers', 'pci'], patterns: ['acme-\\d+', 'acme-\\d+'] })).toEqual({
+      isValid: true,
+      errors: [],
+      policy: { types: ['pci', 'numbers'], patterns: ['acme-\\d+'], profanity: false },
+    });
+  });
+
+  test('reports unknown types, bad patterns and a non-boolean profanity flag', () => {
+    expect(validatePolicy({ types: ['email'], patterns: ['a*'], profanity: 'yes' }).errors).toEqual([
+      'types must be an array of: pci, ssn, numbers',
+      'pattern matches empty text: a*',
+      'profanity must be a boolean',
+    ]);
+  });
+});
+
+describe('RedactionService', () => {
+  let service;
+
+  beforeEach(() => {
+    mockSlack.getChannelInfo.mockClear();
+    service = new RedactionService();
+  });
+
+  test('prefers the session policy over the channel policy over the default', () => {
+    service.set('channel', 'C123', validatePolicy({ types: ['pci'] }).policy);
+    service.set('session', 's1', validatePolicy({ types: ['numbers'], profanity: true }).policy);
+
+    expect(service.resolve({ channel: 'C123', session: 's1' })).toEqual({
+      types: ['numbers'],
+      patterns: [],
+      profanity: true,
+      enforced: false,
+    });
+    expect(service.resolve({ channel: 'C123', session: 's2' }).types).toEqual(['pci']);
+    expect(service.resolve({ channel: 'C999' }).types).toEqual([]);
+  });
+
+  test('always adds the mandatory types in public channels', () => {
+    service.set('session', 's1', validatePolicy({ types: ['numbers'] }).policy);
+
+    expect(service.isPublicChannel('CPUBLIC')).toBe(true);
+    expect(service.resolve({ channel: 'CPUBLIC', session: 's1' })).toMatchObject({
+      types: ['pci', 'ssn', 'numbers'],
+      enforced: true,
+    });
+  });
+
+  test('checks that a policy includes the mandatory types', () => {
+    expect(service.meetsPublicRequirements(validatePolicy({ types: ['ssn', 'pci'] }).policy)).toBe(true);
+    expect(service.meetsPublicRequirements(validatePolicy({ types: ['pci'] }).policy)).toBe(false);
+  });
+
+  test('treats #name, name and channel ID as the same public channel', async () => {
+    expect(service.isPublicChannel('#general')).toBe(true);
+    expect(service.isPublicChannel('C0123')).toBe(false);
+
+    await service.identifyChannel('C0123');
+    for (const channel of ['#general', 'general', 'C0123']) {
+      expect(service.isPublicChannel(channel)).toBe(true);
+      expect(service.resolve({ channel }).enforced).toBe(true);
+    }
+
+    // Public channels tagged by ID are named on the first lookup
+    expect(service.isPublicChannel('#press')).toBe(true);
+    expect(service.isPublicChannel('C0456')).toBe(true);
+    expect(service.isPublicChannel('#random')).toBe(false);
+  });
+
+  test('stores one channel policy for the #name, name and ID of a channel', async () => {
+    service.set('channel', '#Standup', validatePolicy({ types: ['pci'] }).policy);
+
+    expect(service.get('channel', 'standup').types).toEqual(['pci']);
+    expect(service.resolve({ channel: '#standup' }).types).toEqual(['pci']);
+
+    CHANNEL_NAMES.C0789 = 'standup';
+    await service.identifyChannel('C0789');
+    expect(service.get('channel', 'C0789').types).toEqual(['pci']);
+
+    service.set('channel', 'C0789', validatePolicy({ types: ['ssn'] }).policy);
+    expect(service.store.get('channel', 'standup')).toBeUndefined();
+    expect(service.get('channel', '#standup').types).toEqual(['ssn']);
+
+    expect(service.clear('channel', 'standup')).toBe(true);
+    expect(service.get('channel', 'C0789')).toBeNull();
+  });
+
+  test('asks Slack for the name of each channel once', async () => {
+    await service.identifyChannel('C0123');
+    await service.identifyChannel('#general');
+
+    expect(mockSlack.getChannelInfo.mock.calls.map(([id]) => id).sort()).toEqual(['C0123', 'C0456', 'CPUBLIC']);
+  });
+});
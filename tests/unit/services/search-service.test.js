@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TranscriptSearchService,
+  getSearchService,
+  runSearchCommand,
+  parseQuery,
+} = require('../../../src/services/search-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Index one turn
+ * @param {TranscriptSearchService} service - Search service
+ * @param {string} text - Spoken text
+ * @param {Object} fields - Transcript and segment fields overriding the defaults
+ */
+function index(service, text, fields = {}) {
+  const { transcriptId = 'session-1', channel = 'C123', conversationId = 'weekly-sync', language = 'en', ...segment } = fields;
+  service.indexSegment(
+    { transcriptId, source: 'session', channel, conversationId, language },
+    { start: 12.5, end: 15, transcript: text, timestamp: '2026-10-19T09:00:00.000Z', ...segment },
+  );
+}
+
+describe('parseQuery', () => {
+  test('separates quoted phrases from single words', () => {
+    expect(parseQuery('Budget "Quarterly Réview" "launch" ')).toEqual({
+      terms: ['budget', 'launch'],
+      phrases: [['quarterly', 'review']],
+    });
+  });
+});
+
+describe('TranscriptSearchService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TranscriptSearchService();
+  });
+
+  test('finds turns containing every word, ignoring case and accents', () => {
+    index(service, 'The café budget was approved.');
+    index(service, 'The budget is still open.');
+
+    const { total, results } = service.search('CAFE budget');
+
+    expect(total).toBe(1);
+    expect(results[0]).toMatchObject({
+      transcriptId: 'session-1',
+      channel: 'C123',
+      snippet: 'The café budget was approved.',
+      highlights: [[4, 8], [9, 15]],
+      link: '/api/transcription/sessions/session-1/transcript#t=12',
+    });
+  });
+
+  test('matches quoted phrases as written and ranks words said together first', () => {
+    index(service, 'The review was quarterly.', { timestamp: '2026-10-19T10:00:00.000Z' });
+    index(service, 'The quarterly review is done.');
+
+    expect(service.search('"quarterly review"').results.map(result => result.snippet)).toEqual(['The quarterly review is done.']);
+    expect(service.search('quarterly review').results.map(result => result.snippet)).toEqual([
+      'The quarterly review is done.',
+      'The review was quarterly.',
+    ]);
+  });
+
+  test('indexes each speaker turn and filters by speaker, channel, conversation, language and date', () => {
+    index(service, 'Ship it today. Ship it tomorrow.', {
+      speakers: [
+        { speaker: 0, label: 'Alice', start: 0, end: 1, transcript: 'Ship it today.' },
+        { speaker: 1, label: 'U012AB3CD', slackUserId: 'U012AB3CD', start: 1, end: 2, transcript: 'Ship it tomorrow.' },
+      ],
+    });
+    index(service, 'Ship the fix.', { transcriptId: 'session-2', channel: 'C999', conversationId: 'standup', language: 'en-US', timestamp: '2026-10-21T09:00:00.000Z' });
+
+    const snippets = filters => service.search('ship', filters).results.map(result => result.snippet).sort();
+
+    expect(snippets({ speaker: 'alice' })).toEqual(['Ship it today.']);
+    expect(snippets({ speaker: '@U012AB3CD' })).toEqual(['Ship it tomorrow.']);
+    expect(snippets({ channels: ['#c999'] })).toEqual(['Ship the fix.']);
+    expect(snippets({ conversation: 'weekly-sync' })).toHaveLength(2);
+    expect(snippets({ language: 'en' })).toHaveLength(3);
+    expect(snippets({ language: 'en-us' })).toEqual(['Ship the fix.']);
+    expect(snippets({ from: '2026-10-20' })).toEqual(['Ship the fix.']);
+    expect(snippets({ to: '2026-10-19' })).toHaveLength(2);
+  });
+
+  test('pages results', () => {
+    for (let i = 0; i < 5; i++) index(service, `Action item ${i}.`);
+
+    expect(service.search('action', { limit: 2, offset: 4 })).toMatchObject({ total: 5, results: [expect.any(Object)] });
+    expect(service.search('"a"')).toEqual({ total: 0, results: [] });
+    expect(service.search('')).toEqual({ total: 0, results: [] });
+  });
+
+  test('cuts long turns around the first match without splitting words', () => {
+    const text = `${'lorem ipsum '.repeat(20)}deadline ${'dolor sit '.repeat(20)}`.trim();
+    index(service, text);
+
+    const [result] = service.search('deadline').results;
+    const [start, end] = result.highlights[0];
+
+    expect(result.snippet.startsWith('…ipsum')).toBe(true);
+    expect(result.snippet.endsWith('…')).toBe(true);
+    expect(result.snippet.length).toBeLessThanOrEqual(202);
+    expect(result.snippet.slice(start, end)).toBe('deadline');
+  });
+
+  test('relabels turns when speakers are renamed', () => {
+    index(service, 'Ship it.', { speakers: [{ speaker: 0, label: 'Speaker 1', start: 0, end: 1, transcript: 'Ship it.' }] });
+
+    service.renameSpeakers('session-1', { 0: { name: 'Alice' } });
+
+    expect(service.search('ship', { speaker: 'Alice' }).total).toBe(1);
+  });
+
+  test('removes the entries of a reused transcript ID', () => {
+    index(service, 'Old session.');
+    index(service, 'New session.', { timestamp: '2026-10-20T09:00:00.000Z' });
+
+    service.removeTranscript('session-1', '2026-10-20T00:00:00.000Z');
+
+    expect(service.search('session').results.map(result => result.snippet)).toEqual(['New session.']);
+  });
+
+  test('persists entries and drops them after the retention period', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-service-test-'));
+    const filePath = path.join(dir, 'index', 'search.jsonl');
+    try {
+      const persisted = new TranscriptSearchService({ filePath, retentionMs: 7 * DAY_MS });
+      index(persisted, 'Recent decision.', { timestamp: new Date().toISOString() });
+      index(persisted, 'Old decision.', { timestamp: new Date(Date.now() - 8 * DAY_MS).toISOString() });
+
+      const reloaded = new TranscriptSearchService({ filePath, retentionMs: 7 * DAY_MS });
+
+      expect(reloaded.search('decision').results.map(result => result.snippet)).toEqual(['Recent decision.']);
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runSearchCommand', () => {
+  beforeAll(() => {
+    const service = getSearchService();
+    index(service, 'We agreed on the *launch* date.', {
+      speakers: [{ speaker: 0, label: 'Alice', start: 65, end: 68, transcript: 'We agreed on the *launch* date.' }],
+    });
+    index(service, 'The launch is in another channel.', { channel: 'C999' });
+  });
+
+  test('lists matches from the channel the command was issued in', () => {
+    expect(runSearchCommand('launch speaker=alice', ['C123', '#general']).text).toBe([
+      '🔍 1 match for `launch`',
+      '',
+      '*Alice* · `session-1` at 00:01:05 · 2026-10-19\n> We agreed on the  *launch*  date.',
+    ].join('\n'));
+  });
+
+  test('explains queries without matches or words', () => {
+    expect(runSearchCommand('budget', ['C123']).text).toBe('🔍 No transcripts in this channel match `budget`');
+    expect(runSearchCommand('speaker=alice', ['C123']).text).toMatch(/^Usage:/);
+    expect(runSearchCommand('launch from=yesterday', ['C123']).text).toMatch(/^Invalid date `yesterday`\. Usage:/);
+  });
+});
@@ -0,0 +1,40 @@
+const mockDeepgramService = { setSpeakerNames: jest.fn() };
+jest.mock('../../../src/services/deepgram-service', () => ({
+  createDeepgramService: () => mockDeepgramService,
+}));
+
+const { runSpeakerCommand } = require('../../../src/services/slack-service');
+
+describe('runSpeakerCommand', () => {
+  beforeEach(() => {
+    mockDeepgramService.setSpeakerNames.mockReset();
+  });
+
+  test('assigns a Slack user to a one-based speaker number', () => {
+    mockDeepgramService.setSpeakerNames.mockReturnValue({ 1: { slackUserId: 'U012AB3CD' } });
+
+    expect(runSpeakerCommand('session_123 2 <@U012AB3CD|alice>')).toEqual({
+      text: '🗣️ Speaker 2 in session `session_123` is now <@U012AB3CD>',
+      assigned: true,
+    });
+    expect(mockDeepgramService.setSpeakerNames).toHaveBeenCalledWith('session_123', { 1: '<@U012AB3CD|alice>' });
+  });
+
+  test('assigns a display name', () => {
+    mockDeepgramService.setSpeakerNames.mockReturnValue({ 0: { name: 'Alice Smith' } });
+
+    expect(runSpeakerCommand('session_123 1 Alice Smith').text).toBe('🗣️ Speaker 1 in session `session_123` is now Alice Smith');
+  });
+
+  test('reports unknown sessions', () => {
+    mockDeepgramService.setSpeakerNames.mockReturnValue(null);
+
+    expect(runSpeakerCommand('session_404 1 Alice')).toEqual({ text: 'Session not found: session_404', assigned: false });
+  });
+
+  test('answers malformed commands with the usage', () => {
+    expect(runSpeakerCommand('session_123 0 Alice')).toMatchObject({ assigned: false, text: expect.stringMatching(/^Usage:/) });
+    expect(runSpeakerCommand('')).toMatchObject({ assigned: false });
+    expect(mockDeepgramService.setSpeakerNames).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+const { Readable } = require('stream');
+const { LocalProvider } = require('../../../../src/services/stt/local-provider');
+
+// 16 kHz, 16-bit mono
+const BYTES_PER_SECOND = 32000;
+
+describe('LocalProvider', () => {
+  const provider = new LocalProvider({ segmentSeconds: 2 });
+
+  test('transcribes one scripted segment per window of audio', async () => {
+    const result = await provider.transcribe(Buffer.alloc(5 * BYTES_PER_SECOND));
+
+    expect(result.metadata).toMatchObject({ duration: 5, channels: 1, provider: 'local' });
+    expect(result.transcript).toBe(
+      'Welcome everyone to the weekly sync. Let us start with the status updates. The release is on track for Friday.',
+    );
+    expect(result.words[0]).toMatchObject({ word: 'welcome', punctuated_word: 'Welcome', start: 0, speaker: 0 });
+    expect(result.detectedLanguage).toBeUndefined();
+  });
+
+  test('reads streamed files like buffers', async () => {
+    const stream = Readable.from([Buffer.alloc(BYTES_PER_SECOND), Buffer.alloc(BYTES_PER_SECOND)]);
+
+    const result = await provider.transcribe(stream);
+
+    expect(result.metadata.duration).toBe(2);
+    expect(result.transcript).toBe('Welcome everyone to the weekly sync.');
+  });
+
+  test('splits multichannel results by channel, in time order', async () => {
+    const result = await provider.transcribe(Buffer.alloc(4 * BYTES_PER_SECOND), { multichannel: true });
+
+    expect(result.channels.map(channel => channel.channel)).toEqual([0, 1]);
+    expect(result.channels[1].transcript).toBe('Let us start with the status updates.');
+    expect(result.words.every((word, index) => index === 0 || word.start >= result.words[index - 1].start)).toBe(true);
+  });
+
+  test('reports the language when asked to detect it', async () => {
+    const result = await provider.transcribe(Buffer.alloc(BYTES_PER_SECOND), { language: 'auto' });
+
+    expect(result.detectedLanguage).toEqual({ language: 'en', confidence: 0.99 });
+    await expect(provider.detectLanguage(Buffer.alloc(1))).resolves.toEqual({ language: 'en', confidence: 0.99 });
+  });
+
+  test('applies find/replace pairs and reports search hits', async () => {
+    const result = await provider.transcribe(Buffer.alloc(2 * BYTES_PER_SECOND), {
+      replace: ['sync:standup'],
+      search: ['weekly'],
+    });
+
+    expect(result.transcript).toBe('Welcome everyone to the weekly standup.');
+    expect(result.search).toEqual([{ query: 'weekly', hits: [expect.objectContaining({ start: expect.any(Number) })] }]);
+  });
+
+  test('streams interim and final segments as audio arrives', async () => {
+    const stream = provider.createStream({ encoding: 'linear16', sampleRate: 16000, channels: 1 });
+    const segments = [];
+    stream.on('transcript', segment => segments.push(segment));
+    await new Promise(resolve => stream.once('open', resolve));
+
+    stream.send(Buffer.alloc(BYTES_PER_SECOND));
+    stream.send(Buffer.alloc(BYTES_PER_SECOND));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(segments.map(segment => segment.is_final)).toEqual([false, true]);
+    expect(segments[1]).toMatchObject({ transcript: 'Welcome everyone to the weekly sync.', start: 0, duration: 2 });
+
+    stream.close();
+    expect(stream.isOpen()).toBe(false);
+  });
+});
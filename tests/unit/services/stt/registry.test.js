@@ -0,0 +1,77 @@
+const {
+  SpeechProvider,
+  normalizeSegment,
+  registerProvider,
+  hasProvider,
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+} = require('../../../../src/services/stt');
+
+class FakeProvider extends SpeechProvider {
+  constructor() {
+    super('fake');
+  }
+}
+
+describe('speech-to-text provider registry', () => {
+  test('registers the bundled providers', () => {
+    expect(hasProvider('deepgram')).toBe(true);
+    expect(hasProvider('local')).toBe(true);
+    expect(hasProvider('whisper')).toBe(false);
+  });
+
+  test('resolves the configured provider by default', () => {
+    expect(getDefaultProviderName()).toBe('local');
+    expect(getProvider().name).toBe('local');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => getProvider('whisper')).toThrow('Unknown transcription provider: whisper');
+  });
+
+  test('creates each provider once, and again after it is registered anew', () => {
+    const factory = jest.fn(() => new FakeProvider());
+    registerProvider('fake', factory);
+
+    const provider = getProvider('fake');
+    expect(getProvider('fake')).toBe(provider);
+    expect(factory).toHaveBeenCalledTimes(1);
+
+    registerProvider('fake', factory);
+    expect(getProvider('fake')).not.toBe(provider);
+    expect(factory).toHaveBeenCalledTimes(2);
+  });
+
+  test('lists providers with their capabilities and the default', () => {
+    const local = listProviders().find(provider => provider.name === 'local');
+
+    expect(local.isDefault).toBe(true);
+    expect(local.capabilities).toMatchObject({ streaming: true, batch: true, languageDetection: true });
+  });
+});
+
+describe('SpeechProvider', () => {
+  test('rejects transcriptions and language detection until implemented', async () => {
+    const provider = new FakeProvider();
+
+    await expect(provider.transcribe(Buffer.alloc(0))).rejects.toThrow('FakeProvider must implement transcribe()');
+    await expect(provider.detectLanguage(Buffer.alloc(0))).rejects.toThrow('fake does not support language detection');
+  });
+});
+
+describe('normalizeSegment', () => {
+  test('fills the fields a provider left out', () => {
+    expect(normalizeSegment({ transcript: 'hello', is_final: 1 })).toEqual({
+      transcript: 'hello',
+      confidence: 0,
+      is_final: true,
+      speech_final: false,
+      duration: 0,
+      start: 0,
+      channel: 0,
+      words: [],
+      search: [],
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { ExtractiveSummarizer } = require('../../../../src/services/summarization/extractive-summarizer');
+
+const alice = { label: 'Alice', slackUserId: 'U0ALICE' };
+
+const turns = [
+  {
+    ...alice,
+    start: 0,
+    end: 20,
+    transcript: 'Welcome to the launch planning meeting. We decided to ship the mobile release on Friday. I\'ll update the release notes by tomorrow.',
+  },
+  {
+    label: 'Speaker 2',
+    start: 20,
+    end: 40,
+    transcript: 'Carol needs to test the payment flow before Thursday. Can you send the launch checklist? The launch checklist covers payment testing and the release notes. Thanks everyone.',
+  },
+];
+
+describe('ExtractiveSummarizer', () => {
+  const summarizer = new ExtractiveSummarizer();
+
+  test('spots decisions with who made them and when', async () => {
+    const { decisions } = await summarizer.summarize({ turns, language: 'en' });
+
+    expect(decisions).toEqual([
+      { text: 'We decided to ship the mobile release on Friday.', speaker: alice, start: 0 },
+    ]);
+  });
+
+  test('spots action items with their owner and deadline, skipping questions', async () => {
+    const { actionItems } = await summarizer.summarize({ turns, language: 'en' });
+
+    expect(actionItems).toEqual([
+      { text: 'I\'ll update the release notes by tomorrow.', owner: alice, due: 'tomorrow', speaker: alice, start: 0 },
+      {
+        text: 'Carol needs to test the payment flow before Thursday.',
+        owner: { label: 'Carol', slackUserId: null },
+        due: 'Thursday',
+        speaker: { label: 'Speaker 2', slackUserId: null },
+        start: 20,
+      },
+    ]);
+  });
+
+  test('leaves owners unstated by the sentence empty', async () => {
+    const { actionItems } = await summarizer.summarize({
+      turns: [{ label: null, start: 0, transcript: 'We need to renew the certificate by end of the week. Everyone should read the doc.' }],
+    });
+
+    expect(actionItems.map(({ owner, due, speaker }) => ({ owner, due, speaker }))).toEqual([
+      { owner: null, due: 'end of the week', speaker: null },
+      { owner: null, due: null, speaker: null },
+    ]);
+  });
+
+  test('summarizes with the sentences sharing the most content words, in spoken order', async () => {
+    const { summary } = await summarizer.summarize({ turns }, { maxSentences: 2 });
+
+    expect(summary).toBe('I\'ll update the release notes by tomorrow. The launch checklist covers payment testing and the release notes.');
+  });
+
+  test('lists repeated items once', async () => {
+    const { decisions } = await summarizer.summarize({
+      turns: [{ label: null, start: 0, transcript: 'We agreed on the new logo. We agreed on the new logo!' }],
+    });
+
+    expect(decisions).toHaveLength(1);
+  });
+
+  test('falls back to the first sentences of short transcripts', async () => {
+    await expect(summarizer.summarize({ turns: [{ start: 0, transcript: 'Hi. Hello there.' }] })).resolves.toEqual({
+      summary: 'Hi. Hello there.',
+      decisions: [],
+      actionItems: [],
+    });
+    await expect(summarizer.summarize({ turns: [] })).resolves.toMatchObject({ summary: '' });
+  });
+});
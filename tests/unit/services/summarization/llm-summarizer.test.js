@@ -0,0 +1,90 @@
+const {
+  Summarizer,
+  LlmSummarizer,
+  registerSummarizer,
+  hasSummarizer,
+  getSummarizer,
+} = require('../../../../src/services/summarization');
+
+const transcript = {
+  language: 'de',
+  turns: [
+    { label: 'Alice', start: 65, transcript: 'Wir veröffentlichen am Freitag.' },
+    { label: null, start: 70, transcript: 'Gut.' },
+  ],
+};
+
+describe('LlmSummarizer', () => {
+  test('prompts with the timestamped transcript and its language', async () => {
+    const complete = jest.fn().mockResolvedValue('{"summary": "Release on Friday."}');
+    const summarizer = new LlmSummarizer({ name: 'fake-llm', complete });
+
+    await summarizer.summarize(transcript, { maxSentences: 2 });
+
+    const [prompt] = complete.mock.calls[0];
+    expect(prompt).toContain('The summary has at most 2 sentences.');
+    expect(prompt).toContain('Write in the language of the transcript (de).');
+    expect(prompt.endsWith('Transcript:\n[00:01:05] Alice: Wir veröffentlichen am Freitag.\n[00:01:10] Gut.')).toBe(true);
+  });
+
+  test('cuts long transcripts', async () => {
+    const complete = jest.fn().mockResolvedValue('{"summary": ""}');
+
+    await new LlmSummarizer({ name: 'fake-llm', complete, maxTranscriptChars: 20 }).summarize(transcript);
+
+    expect(complete.mock.calls[0][0].endsWith('Transcript:\n[00:01:05] Alice: Wi\n[transcript truncated]')).toBe(true);
+  });
+
+  test('reads JSON wrapped in prose or a code fence and normalizes its items', async () => {
+    const reply = [
+      'Here is the summary:',
+      '```json',
+      JSON.stringify({
+        summary: ' Release on Friday. ',
+        decisions: ['Ship on Friday', { text: ' ' }, 42],
+        actionItems: [{ text: 'Write the notes', owner: 'Alice', due: 'Thursday' }, { text: 'Tell support', owner: '', due: null }],
+      }),
+      '```',
+    ].join('\n');
+    const summarizer = new LlmSummarizer({ name: 'fake-llm', complete: () => Promise.resolve(reply) });
+
+    await expect(summarizer.summarize(transcript)).resolves.toEqual({
+      summary: 'Release on Friday.',
+      decisions: [{ text: 'Ship on Friday', speaker: null, start: null }],
+      actionItems: [
+        { text: 'Write the notes', owner: { label: 'Alice', slackUserId: null }, due: 'Thursday', speaker: null, start: null },
+        { text: 'Tell support', owner: null, due: null, speaker: null, start: null },
+      ],
+    });
+  });
+
+  test('rejects replies without a usable summary', async () => {
+    const reply = value => new LlmSummarizer({ name: 'fake-llm', complete: () => Promise.resolve(value) }).summarize(transcript);
+
+    await expect(reply('I cannot help with that.')).rejects.toThrow('Summarizer response is not valid JSON');
+    await expect(reply('{"decisions": []}')).rejects.toThrow('Summarizer response has no summary');
+  });
+});
+
+describe('summarizer registry', () => {
+  test('resolves the configured summarizer once', () => {
+    const summarizer = getSummarizer();
+
+    expect(summarizer.name).toBe('extractive');
+    expect(getSummarizer('extractive')).toBe(summarizer);
+  });
+
+  test('registers language model backends and rejects unknown names', async () => {
+    registerSummarizer('fake-llm', () => new LlmSummarizer({ name: 'fake-llm', complete: () => Promise.resolve('{"summary": "Done."}') }));
+
+    expect(hasSummarizer('fake-llm')).toBe(true);
+    await expect(getSummarizer('fake-llm').summarize(transcript)).resolves.toMatchObject({ summary: 'Done.' });
+    expect(() => getSummarizer('gpt')).toThrow('Unknown summarizer: gpt');
+  });
+
+  test('rejects summaries of backends that do not implement them', async () => {
+    class EmptySummarizer extends Summarizer {}
+
+    await expect(new EmptySummarizer('empty').summarize(transcript)).rejects.toThrow('EmptySummarizer must implement summarize()');
+  });
+});
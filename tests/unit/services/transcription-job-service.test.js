@@ -0,0 +1,293 @@
+process.env.JOB_CALLBACK_SECRET = 'test-callback-secret-of-at-least-32-chars';
+process.env.JOB_RETRY_DELAY_MS = '5';
+
+// The singleton Deepgram service schedules a cleanup interval; jobs share one without it
+jest.mock('../../../src/services/deepgram-service', () => {
+  const actual = jest.requireActual('../../../src/services/deepgram-service');
+  const service = new actual.DeepgramService();
+  return { ...actual, createDeepgramService: () => service };
+});
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscriptionJobService, signCallback } = require('../../../src/services/transcription-job-service');
+const { wavFile } = require('../../helpers/audio');
+const { createFakeFfmpeg } = require('../../helpers/ffmpeg');
+const { startServer, routeHttpsTo } = require('../../helpers/http');
+const { settle } = require('../../helpers/streams');
+
+const CALLBACK_SECRET = process.env.JOB_CALLBACK_SECRET;
+const PARAMS = { language: 'en-US', model: 'nova-2' };
+
+/**
+ * Wait until a job has finished
+ * @param {TranscriptionJobService} service - Job service
+ * @param {string} id - Job identifier
+ * @returns {Promise<Object>} Job description
+ */
+async function waitForJob(service, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = service.getJob(id);
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+    await settle(10);
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+/**
+ * Build an uploaded WAV file
+ * @param {number} seconds - Duration in seconds
+ * @returns {Object} Upload ({ buffer, originalname, size, mimetype })
+ */
+function upload(seconds) {
+  const buffer = wavFile(seconds);
+  return { buffer, originalname: 'standup.wav', size: buffer.length, mimetype: 'audio/wav' };
+}
+
+describe('signCallback', () => {
+  test('signs the versioned timestamp and body with HMAC-SHA256', () => {
+    expect(signCallback('{"event":"job.completed"}', '1700000000', CALLBACK_SECRET))
+      .toBe('v1=bdbea73369208925518019d872e4f8ba3531c909555ebf5b336e1cc0af84abd1');
+  });
+});
+
+describe('TranscriptionJobService', () => {
+  const callbackUrl = 'https://93.184.216.34/hooks/transcription';
+  let server;
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server?.close();
+    server = null;
+  });
+
+  test('transcribes uploads in the background', async () => {
+    const service = new TranscriptionJobService();
+
+    const queued = service.submit(upload(2), PARAMS);
+    expect(queued).toMatchObject({ status: 'processing', metadata: { source: 'upload', filename: 'standup.wav', callback: false } });
+
+    const job = await waitForJob(service, queued.id);
+    expect(job.status).toBe('completed');
+    expect(job.result).toMatchObject({
+      success: true,
+      transcript: expect.stringMatching(/^Welcome everyone to the weekly sync\./),
+      metadata: { filename: 'standup.wav', language: 'en-US', provider: 'local' },
+    });
+  });
+
+  test('posts a signed callback once the job finishes, retrying failed deliveries', async () => {
+    server = await startServer((request, res) => {
+      if (server.requests.length === 1) return res.socket.destroy();
+      res.writeHead(server.requests.length === 2 ? 502 : 200).end();
+    });
+    routeHttpsTo(server);
+    const service = new TranscriptionJobService();
+
+    const queued = service.submit(upload(2), PARAMS, callbackUrl);
+    await waitForJob(service, queued.id);
+    await settle(50);
+
+    expect(server.requests).toHaveLength(3);
+    const { method, path: requestPath, headers, body } = server.requests[2];
+    const timestamp = headers['x-signature-timestamp'];
+    const expected = crypto.createHmac('sha256', CALLBACK_SECRET).update(`v1:${timestamp}:${body}`).digest('hex');
+
+    expect(method).toBe('POST');
+    expect(requestPath).toBe('/hooks/transcription');
+    expect(headers['x-signature']).toBe(`v1=${expected}`);
+    expect(JSON.parse(body)).toMatchObject({ event: 'job.completed', job: { id: queued.id, status: 'completed' } });
+  });
+
+  test('notifies callbacks of cancelled jobs', async () => {
+    server = await startServer((request, res) => res.writeHead(200).end());
+    routeHttpsTo(server);
+    const service = new TranscriptionJobService();
+
+    const queued = service.submit(upload(2), PARAMS, callbackUrl);
+    expect(service.cancelJob(queued.id)).toMatchObject({ status: 'cancelled' });
+    await settle(50);
+
+    expect(JSON.parse(server.requests[0].body)).toMatchObject({ event: 'job.cancelled' });
+    expect(service.getJob(queued.id).status).toBe('cancelled');
+  });
+
+  test('does not follow callback redirects', async () => {
+    server = await startServer((request, res) => {
+      res.writeHead(307, { location: 'http://169.254.169.254/latest/meta-data' }).end();
+    });
+    routeHttpsTo(server);
+    const service = new TranscriptionJobService();
+
+    const queued = service.submit(upload(2), PARAMS, callbackUrl);
+    await waitForJob(service, queued.id);
+    await settle(50);
+
+    expect(server.requests.map(request => request.path)).toEqual(Array(3).fill('/hooks/transcription'));
+  });
+
+  test('refuses callback hosts on private networks', async () => {
+    const service = new TranscriptionJobService();
+
+    await expect(service.assertCallbackHost('http://[::ffff:7f00:1]:8080/hooks')).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    await expect(service.assertCallbackHost('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    await expect(service.assertCallbackHost(callbackUrl)).resolves.toBeUndefined();
+  });
+
+  test('does not deliver callbacks to private hosts', async () => {
+    server = await startServer((request, res) => res.writeHead(200).end());
+    const service = new TranscriptionJobService();
+
+    const queued = service.submit(upload(2), PARAMS, `${server.origin}/hooks`);
+    await waitForJob(service, queued.id);
+    await settle(50);
+    expect(server.requests).toHaveLength(0);
+
+    service.remoteAudio.allowPrivate = true;
+    const allowed = service.submit(upload(2), PARAMS, `${server.origin}/hooks`);
+    await waitForJob(service, allowed.id);
+    await settle(50);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('refuses callbacks without a signing secret', () => {
+    delete process.env.JOB_CALLBACK_SECRET;
+    try {
+      const service = new TranscriptionJobService();
+
+      expect(() => service.submit(upload(1), PARAMS, 'https://example.com/hooks/transcription'))
+        .toThrow('Job callbacks require JOB_CALLBACK_SECRET');
+      expect(service.getStats()).toMatchObject({ queued: 0, processing: 0 });
+    } finally {
+      process.env.JOB_CALLBACK_SECRET = CALLBACK_SECRET;
+    }
+  });
+});
+
+describe('TranscriptionJobService remote audio', () => {
+  const url = 'https://93.184.216.34/recordings/standup';
+  let service;
+  let server;
+
+  beforeEach(() => {
+    service = new TranscriptionJobService();
+    service.remoteAudio.maxDuration = 1;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server?.close();
+    server = null;
+  });
+
+  /**
+   * Serve one file to the next downloads
+   * @param {Buffer} body - File contents
+   * @param {string} contentType - Content-Type header
+   */
+  async function serve(body, contentType) {
+    server = await startServer((request, res) => {
+      res.writeHead(200, { 'content-type': contentType });
+      res.end(body);
+    });
+    routeHttpsTo(server);
+  }
+
+  test('names the file and falls back to its extension for generic content types', async () => {
+    await serve(wavFile(0.5), 'application/octet-stream');
+
+    const file = await service.fetchRemoteAudio({ url: `${url}.wav` });
+
+    expect(file).toMatchObject({ originalname: 'standup.wav', mimetype: 'audio/wav', size: 16044 });
+  });
+
+  test('rejects files longer than the duration limit', async () => {
+    await serve(wavFile(2), 'audio/wav');
+
+    await expect(service.fetchRemoteAudio({ url: `${url}.wav` })).rejects.toMatchObject({
+      code: 'AUDIO_TOO_LONG',
+      message: 'Audio too long: 2s (max: 1s)',
+    });
+  });
+
+  test('bounds files without a declared duration by their size', async () => {
+    await serve(Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x00]), Buffer.alloc(100000)]), 'audio/mpeg');
+
+    await expect(service.fetchRemoteAudio({ url: `${url}.mp3` })).rejects.toMatchObject({
+      code: 'AUDIO_TOO_LONG',
+      message: 'Audio too long: at least 3s (max: 1s)',
+    });
+  });
+
+  test('rejects files that are not audio', async () => {
+    await serve(Buffer.alloc(2048), 'text/html');
+
+    await expect(service.fetchRemoteAudio({ url: `${url}.html` })).rejects.toMatchObject({ code: 'INVALID_FILE' });
+  });
+
+  test('needs Slack to fetch Slack files', async () => {
+    await expect(service.fetchRemoteAudio({ slackFileId: 'F0123' })).rejects.toMatchObject({ code: 'SLACK_UNAVAILABLE' });
+  });
+
+  test('fails remote jobs without retrying rejected sources', async () => {
+    await serve(wavFile(2), 'audio/wav');
+
+    const queued = service.submitRemote({ url: `${url}.wav` }, PARAMS);
+    const job = await waitForJob(service, queued.id);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, error: 'Audio too long: 2s (max: 1s)', metadata: { source: 'url' } });
+  });
+});
+
+describe('TranscriptionJobService transcoding', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-transcode-test-'));
+  const logPath = path.join(dir, 'args.json');
+  const service = new TranscriptionJobService();
+  service.transcoding.ffmpegPath = createFakeFfmpeg(dir);
+
+  /**
+   * Build an uploaded WebM video
+   * @param {string} content - Keyword choosing how the fake ffmpeg converts it
+   * @returns {Object} Upload ({ buffer, originalname, size, mimetype })
+   */
+  const video = (content) => {
+    const buffer = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(2048, content)]);
+    return { buffer, originalname: 'standup.webm', size: buffer.length, mimetype: 'video/webm' };
+  };
+
+  beforeEach(() => {
+    fs.rmSync(logPath, { force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('converts video before transcribing it', async () => {
+    const job = await waitForJob(service, service.submit(video('meeting'), PARAMS).id);
+
+    expect(job.status).toBe('completed');
+    expect(job.result.transcript).toBe('Welcome everyone to the weekly sync.');
+    expect(JSON.parse(fs.readFileSync(logPath, 'utf8'))).toContain('-ac');
+  });
+
+  test('keeps the channels of multichannel jobs', async () => {
+    await waitForJob(service, service.submit(video('meeting'), { ...PARAMS, multichannel: true }).id);
+
+    expect(JSON.parse(fs.readFileSync(logPath, 'utf8'))).not.toContain('-ac');
+  });
+
+  test('sends native audio to the provider as it is', async () => {
+    await waitForJob(service, service.submit(upload(2), PARAMS).id);
+
+    expect(fs.existsSync(logPath)).toBe(false);
+  });
+
+  test('fails files that cannot be converted without retrying', async () => {
+    const job = await waitForJob(service, service.submit(video('noaudio'), PARAMS).id);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, error: 'The file has no audio track' });
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TranscriptStore,
+  registerTranscriptStore,
+  getTranscriptStore,
+} = require('../../../../src/services/transcripts');
+const { FileTranscriptStore } = require('../../../../src/services/transcripts/file-store');
+const { MemoryTranscriptStore } = require('../../../../src/services/transcripts/memory-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a session record
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} Session record
+ */
+function session(sessionId) {
+  return {
+    sessionId,
+    conversationId: 'weekly-sync',
+    slackChannel: 'C123',
+    provider: 'local',
+    language: 'en',
+    speakerNames: {},
+    startedAt: new Date().toISOString(),
+  };
+}
+
+const segment = (start, transcript) => ({ start, end: start + 2, transcript, confidence: 0.9, words: [] });
+
+describe.each([
+  ['memory', () => new MemoryTranscriptStore({ retentionMs: HOUR_MS })],
+  ['file', dir => new FileTranscriptStore({ dir, retentionMs: HOUR_MS })],
+])('%s transcript store', (name, createStore) => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-store-test-'));
+    store = createStore(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns the segments of a session in order with its updated record', async () => {
+    await expect(store.startSession(session('s1'))).resolves.toBe(false);
+    await store.appendSegment('s1', segment(0, 'Welcome everyone.'));
+    await store.appendSegment('s1', segment(2, 'Let us start.'));
+    await store.updateSession('s1', { speakerNames: { 0: { name: 'Alice' } } });
+
+    const transcript = await store.getTranscript('s1');
+    expect(transcript.session).toMatchObject({
+      sessionId: 's1',
+      conversationId: 'weekly-sync',
+      speakerNames: { 0: { name: 'Alice' } },
+      endedAt: null,
+      updatedAt: expect.any(String),
+    });
+    expect(transcript.segments.map(({ transcript: text }) => text)).toEqual(['Welcome everyone.', 'Let us start.']);
+    await expect(store.getTranscript('s2')).resolves.toBeNull();
+  });
+
+  test('continues a session that never ended and replaces one that did', async () => {
+    const first = session('s1');
+    await store.startSession(first);
+    await store.appendSegment('s1', segment(0, 'Before the restart.'));
+
+    await expect(store.startSession({ ...session('s1'), startedAt: '2030-01-01T00:00:00.000Z' })).resolves.toBe(false);
+    let transcript = await store.getTranscript('s1');
+    expect(transcript.session.startedAt).toBe(first.startedAt);
+    expect(transcript.segments).toHaveLength(1);
+
+    await store.updateSession('s1', { endedAt: new Date().toISOString() });
+    await expect(store.startSession(session('s1'))).resolves.toBe(true);
+    transcript = await store.getTranscript('s1');
+    expect(transcript.session.endedAt).toBeNull();
+    expect(transcript.segments).toEqual([]);
+  });
+
+  test('deletes transcripts', async () => {
+    await store.startSession(session('s1'));
+
+    await expect(store.deleteTranscript('s1')).resolves.toBe(true);
+    await expect(store.getTranscript('s1')).resolves.toBeNull();
+    await expect(store.deleteTranscript('s1')).resolves.toBe(false);
+  });
+
+  test('forgets transcripts past the retention period', async () => {
+    await store.startSession(session('s1'));
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + HOUR_MS + 1000);
+
+    await expect(store.getTranscript('s1')).resolves.toBeNull();
+    store.sweep();
+    jest.restoreAllMocks();
+    await expect(store.getTranscript('s1')).resolves.toBeNull();
+  });
+});
+
+describe('FileTranscriptStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('names files after a hash of the session ID', async () => {
+    const store = new FileTranscriptStore({ dir, retentionMs: 0 });
+    await store.startSession(session('../../escape'));
+    await store.appendSegment('../../escape', segment(0, 'Hello.'));
+
+    expect(fs.readdirSync(dir).sort()).toEqual([expect.stringMatching(/^[0-9a-f]{32}\.json$/), expect.stringMatching(/^[0-9a-f]{32}\.jsonl$/)]);
+    await expect(store.getTranscript('../../escape')).resolves.toMatchObject({ segments: [{ transcript: 'Hello.' }] });
+    await store.close();
+  });
+
+  test('keeps transcripts across restarts and deletes expired ones on start', async () => {
+    const first = new FileTranscriptStore({ dir, retentionMs: HOUR_MS });
+    await first.startSession(session('s1'));
+    await first.appendSegment('s1', segment(0, 'Hello.'));
+    await first.close();
+
+    const restarted = new FileTranscriptStore({ dir, retentionMs: HOUR_MS });
+    await expect(restarted.getTranscript('s1')).resolves.toMatchObject({ segments: [{ transcript: 'Hello.' }] });
+    await restarted.close();
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR_MS);
+    const later = new FileTranscriptStore({ dir, retentionMs: HOUR_MS });
+    jest.restoreAllMocks();
+    expect(fs.readdirSync(dir)).toEqual([]);
+    await later.close();
+  });
+});
+
+describe('transcript store registry', () => {
+  test('resolves the configured store once', () => {
+    const store = getTranscriptStore();
+
+    expect(store.name).toBe('memory');
+    expect(getTranscriptStore('memory')).toBe(store);
+  });
+
+  test('rejects unknown stores and redis without a URL', () => {
+    expect(() => getTranscriptStore('s3')).toThrow('Unknown transcript store: s3');
+    expect(() => getTranscriptStore('redis')).toThrow('The redis transcript store requires REDIS_URL');
+  });
+
+  test('creates registered stores with the retention in milliseconds', async () => {
+    class FakeStore extends TranscriptStore {}
+    const factory = jest.fn(({ retentionMs }) => new FakeStore('fake', { retentionMs }));
+    registerTranscriptStore('fake', factory);
+
+    const store = getTranscriptStore('fake');
+
+    expect(store.retentionMs).toBe(30 * 24 * HOUR_MS);
+    await expect(store.getTranscript('s1')).rejects.toThrow('FakeStore must implement getTranscript()');
+  });
+});
@@ -0,0 +1,61 @@
+const { TranslationService, validateTranslation } = require('../../../src/services/translation-service');
+
+describe('validateTranslation', () => {
+  test('removes duplicate targets', () => {
+    expect(validateTranslation({ targets: ['fr', 'es-ES', 'fr'] })).toEqual({
+      isValid: true,
+      errors: [],
+      settings: { targets: ['fr', 'es-ES'] },
+    });
+  });
+
+  test('reports invalid language codes and too many targets', () => {
+    expect(validateTranslation({ targets: ['french', 3] }).errors).toEqual([
+      'invalid target language: "french"',
+      'invalid target language: 3',
+    ]);
+    expect(validateTranslation({ targets: ['fr', 'es', 'de', 'it', 'pt', 'nl'] }).errors).toEqual([
+      'targets must be an array of at most 5 language codes',
+    ]);
+    expect(validateTranslation('fr').errors).toEqual(['translation settings must be an object']);
+  });
+});
+
+describe('TranslationService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TranslationService();
+  });
+
+  test('prefers the session settings over the channel settings over the default', () => {
+    service.set('channel', 'C123', { targets: ['fr'] });
+    service.set('session', 's1', { targets: ['es'] });
+
+    expect(service.resolve({ channel: 'C123', session: 's1' })).toEqual({ targets: ['es'] });
+    expect(service.resolve({ channel: 'C123' })).toEqual({ targets: ['fr'] });
+    expect(service.resolve({ channel: 'C999' })).toEqual({ targets: [] });
+  });
+
+  test('translates into each target other than the spoken language', async () => {
+    const translations = await service.translate({ transcript: 'Thanks everyone.' }, { source: 'en-US', targets: ['en-GB', 'fr', 'de'] });
+
+    expect(translations).toEqual([
+      { language: 'fr', transcript: 'Merci tous.', turns: [] },
+      { language: 'de', transcript: 'Danke alle.', turns: [] },
+    ]);
+  });
+
+  test('translates speaker turns one by one', async () => {
+    const [translation] = await service.translate({
+      transcript: 'Hello. Yes.',
+      turns: [{ label: 'Alice', transcript: 'Hello.' }, { label: 'Bob', transcript: 'Yes.' }],
+    }, { source: 'en', targets: ['es'] });
+
+    expect(translation).toEqual({
+      language: 'es',
+      transcript: 'Hola. Sí.',
+      turns: [{ label: 'Alice', transcript: 'Hola.' }, { label: 'Bob', transcript: 'Sí.' }],
+    });
+  });
+});
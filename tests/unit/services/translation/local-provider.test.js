@@ -0,0 +1,44 @@
+const {
+  TranslationProvider,
+  primaryLanguage,
+  registerTranslationProvider,
+  getTranslationProvider,
+} = require('../../../../src/services/translation');
+
+describe('LocalTranslationProvider', () => {
+  const provider = getTranslationProvider('local');
+
+  test('translates known words, keeping punctuation and capitalization', async () => {
+    await expect(provider.translate('Welcome everyone to the weekly sync.', { target: 'fr-CA' }))
+      .resolves.toBe('Bienvenue tous à le hebdomadaire synchro.');
+  });
+
+  test('echoes unknown words and unsupported languages', async () => {
+    await expect(provider.translate('Hello Bob!', { target: 'es' })).resolves.toBe('Hola Bob!');
+    await expect(provider.translate('Hello Bob!', { target: 'ja' })).resolves.toBe('Hello Bob!');
+  });
+
+  test('lists its dictionary languages', () => {
+    expect(provider.getCapabilities()).toEqual({ languages: ['fr', 'es', 'de'] });
+  });
+});
+
+describe('translation provider registry', () => {
+  test('resolves the configured provider by default and rejects unknown ones', () => {
+    expect(getTranslationProvider().name).toBe('local');
+    expect(() => getTranslationProvider('deepl')).toThrow('Unknown translation provider: deepl');
+  });
+
+  test('rejects translations until a provider implements them', async () => {
+    class EchoProvider extends TranslationProvider {}
+    registerTranslationProvider('echo', () => new EchoProvider('echo'));
+
+    await expect(getTranslationProvider('echo').translate('Hello', { target: 'fr' }))
+      .rejects.toThrow('EchoProvider must implement translate()');
+  });
+
+  test('compares languages by their primary subtag', () => {
+    expect(primaryLanguage('fr-CA')).toBe('fr');
+    expect(primaryLanguage(undefined)).toBe('');
+  });
+});
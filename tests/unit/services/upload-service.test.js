@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-service-test-'));
+process.env.UPLOAD_DIR = uploadDir;
+process.env.UPLOAD_CHUNK_SIZE = '4000B';
+process.env.TRANSCODE_ENABLED = 'false';
+
+// The singleton Deepgram service schedules a cleanup interval; jobs share one without it
+jest.mock('../../../src/services/deepgram-service', () => {
+  const actual = jest.requireActual('../../../src/services/deepgram-service');
+  const service = new actual.DeepgramService();
+  return { ...actual, createDeepgramService: () => service };
+});
+
+const crypto = require('crypto');
+const { ChunkedUploadService } = require('../../../src/services/upload-service');
+const { getTranscriptionJobService } = require('../../../src/services/transcription-job-service');
+const { wavFile } = require('../../helpers/audio');
+const { settle } = require('../../helpers/streams');
+
+const audio = wavFile(0.3); // 9644 bytes: two full chunks and a short one
+
+/**
+ * Announce the test recording
+ * @param {ChunkedUploadService} service - Upload service
+ * @param {Object} fields - Fields overriding the announced file
+ * @returns {Promise<Object>} Upload description
+ */
+function createUpload(service, fields = {}) {
+  return service.create({ filename: 'meeting.wav', size: audio.length, mimetype: 'audio/wav', ...fields }, { language: 'en' });
+}
+
+/**
+ * @param {Buffer} file - Whole file
+ * @param {number} index - Chunk number
+ * @returns {Buffer} Bytes of one 4000-byte chunk
+ */
+function chunk(file, index) {
+  return file.subarray(index * 4000, (index + 1) * 4000);
+}
+
+describe('ChunkedUploadService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ChunkedUploadService();
+  });
+
+  afterEach(async () => {
+    await Promise.all([...service.uploads.keys()].map(id => service.abort(id)));
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  test('splits announced files into chunks', async () => {
+    const upload = await createUpload(service);
+
+    expect(upload).toMatchObject({
+      id: expect.stringMatching(/^upl_/),
+      status: 'uploading',
+      size: 9644,
+      chunkSize: 4000,
+      chunkCount: 3,
+      receivedChunks: 0,
+      offset: 0,
+      missingChunks: [0, 1, 2],
+    });
+    expect(fs.existsSync(path.join(uploadDir, upload.id, 'manifest.json'))).toBe(true);
+  });
+
+  test('refuses files it would not transcribe', async () => {
+    await expect(createUpload(service, { mimetype: 'video/mp4' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_FILE' });
+  });
+
+  test('resumes after the chunks received without gaps', async () => {
+    const { id } = await createUpload(service);
+
+    await service.writeChunk(id, 0, chunk(audio, 0));
+    const upload = await service.writeChunk(id, 2, chunk(audio, 2));
+
+    expect(upload).toMatchObject({ receivedChunks: 2, offset: 4000, missingChunks: [1] });
+    expect((await service.writeChunk(id, 1, chunk(audio, 1))).offset).toBe(9644);
+  });
+
+  test('rejects chunks out of range, of the wrong length or not matching their checksum', async () => {
+    const { id } = await createUpload(service);
+    const checksum = crypto.createHash('sha256').update(chunk(audio, 1)).digest('hex');
+
+    await expect(service.writeChunk(id, 3, chunk(audio, 2))).rejects.toMatchObject({ code: 'INVALID_CHUNK' });
+    await expect(service.writeChunk(id, 2, chunk(audio, 1))).rejects.toThrow('Chunk 2 must be 1644 bytes, got 4000');
+    await expect(service.writeChunk(id, 0, chunk(audio, 0), checksum)).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+    await expect(service.writeChunk(id, 1, chunk(audio, 1), checksum.toUpperCase())).resolves.toMatchObject({ receivedChunks: 1 });
+    await expect(service.writeChunk('upl_unknown', 0, chunk(audio, 0))).rejects.toMatchObject({ statusCode: 404, code: 'UPLOAD_NOT_FOUND' });
+  });
+
+  test('will not complete while chunks are missing', async () => {
+    const { id } = await createUpload(service);
+    await service.writeChunk(id, 0, chunk(audio, 0));
+
+    await expect(service.complete(id)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'UPLOAD_INCOMPLETE',
+      message: 'Missing 2 chunk(s), first missing: 1',
+    });
+  });
+
+  test('assembles the chunks in order and transcribes the file', async () => {
+    const jobs = getTranscriptionJobService();
+    const submitSpooled = jobs.submitSpooled.bind(jobs);
+    let assembled;
+    // The job starts at once and deletes the file when done
+    const submit = jest.spyOn(jobs, 'submitSpooled').mockImplementation((file, ...rest) => {
+      assembled = fs.readFileSync(file.path);
+      return submitSpooled(file, ...rest);
+    });
+    const { id } = await createUpload(service);
+    for (const index of [2, 0, 1]) {
+      await service.writeChunk(id, index, chunk(audio, index));
+    }
+
+    const job = await service.complete(id);
+
+    const [file, params] = submit.mock.calls[0];
+    expect(assembled.equals(audio)).toBe(true);
+    expect(params).toEqual({ language: 'en' });
+    expect(fs.existsSync(path.join(uploadDir, id))).toBe(false);
+    expect(service.get(id)).toMatchObject({ status: 'completed', jobId: job.id, receivedChunks: 3, offset: 9644 });
+    await expect(service.complete(id)).resolves.toMatchObject({ id: job.id });
+    await expect(service.writeChunk(id, 0, chunk(audio, 0))).rejects.toMatchObject({ code: 'UPLOAD_FINISHED' });
+
+    // The assembled file is deleted once the job has finished
+    for (let i = 0; i < 100 && fs.existsSync(file.path); i++) {
+      await settle(10);
+    }
+    expect(jobs.getJob(job.id).status).toBe('completed');
+    expect(fs.existsSync(file.path)).toBe(false);
+    submit.mockRestore();
+  });
+
+  test('keeps accepting chunks when the assembled file is not audio', async () => {
+    const noise = Buffer.alloc(audio.length, 0x20);
+    const { id } = await createUpload(service);
+    for (const index of [0, 1, 2]) {
+      await service.writeChunk(id, index, chunk(noise, index));
+    }
+
+    await expect(service.complete(id)).rejects.toMatchObject({ code: 'INVALID_FILE' });
+    expect(service.get(id).status).toBe('uploading');
+    expect(fs.existsSync(path.join(uploadDir, `${id}.audio`))).toBe(false);
+  });
+
+  test('restores uploads in progress after a restart', async () => {
+    const { id } = await createUpload(service);
+    await service.writeChunk(id, 1, chunk(audio, 1));
+    fs.writeFileSync(path.join(uploadDir, 'upl_leftover.audio'), 'assembled');
+    fs.mkdirSync(path.join(uploadDir, 'upl_broken'));
+
+    const restarted = new ChunkedUploadService();
+
+    expect(restarted.get(id)).toMatchObject({ status: 'uploading', receivedChunks: 1, missingChunks: [0, 2] });
+    expect(restarted.get(id).createdAt).toBeInstanceOf(Date);
+    expect(fs.existsSync(path.join(uploadDir, 'upl_leftover.audio'))).toBe(false);
+    expect(fs.existsSync(path.join(uploadDir, 'upl_broken'))).toBe(false);
+  });
+
+  test('expires uploads left without activity', async () => {
+    const { id } = await createUpload(service);
+    service.uploads.get(id).updatedAt = new Date(Date.now() - service.ttlMs - 1);
+
+    service.sweep();
+    await settle();
+
+    expect(service.get(id)).toBeNull();
+    expect(fs.existsSync(path.join(uploadDir, id))).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  UsageService,
+  QuotaExceededError,
+  getUsageService,
+  describeQuota,
+} = require('../../../src/services/usage-service');
+
+const unlimited = { daily: 0, monthly: 0 };
+const noon = new Date('2026-10-19T12:00:00.000Z');
+
+/**
+ * Create a service keeping counters in memory
+ * @param {Object} quotas - Default quotas in minutes by scope, unlimited when omitted
+ * @returns {UsageService} Service
+ */
+function createService(quotas = {}) {
+  return new UsageService({
+    quotas: { workspace: unlimited, channel: unlimited, user: unlimited, ...quotas },
+    warningRatio: 0.8,
+  });
+}
+
+describe('UsageService', () => {
+  test('counts streamed and uploaded seconds per scope, day and month', () => {
+    const service = createService({ channel: { daily: 10, monthly: 0 } });
+    service.record({ source: 'stream', seconds: 90, userId: 'U1', channel: 'C1', conversationId: 'sync' }, noon);
+    service.record({ source: 'upload', seconds: 30, userId: 'U2', channel: 'C1' }, noon);
+    service.record({ source: 'upload', seconds: 60, userId: 'U2' }, new Date('2026-10-20T00:00:00.000Z'));
+    service.record({ source: 'stream', seconds: 0, userId: 'U2' }, noon);
+
+    const day = service.getUsage('day', noon);
+    expect(day).toMatchObject({
+      period: '2026-10-19',
+      workspace: { streamSeconds: 90, uploadSeconds: 30, totalSeconds: 120, minutes: 2 },
+      channels: [{ id: 'C1', totalSeconds: 120, quotaMinutes: 10, quotaUsed: 0.2 }],
+      users: [{ id: 'U1', totalSeconds: 90 }, { id: 'U2', totalSeconds: 30 }],
+      conversations: [{ id: 'sync', streamSeconds: 90 }],
+    });
+    expect(day.users[0]).not.toHaveProperty('quotaMinutes');
+    expect(service.getUsage('month', noon)).toMatchObject({ period: '2026-10', workspace: { totalSeconds: 180 } });
+    expect(service.getUsage('day', new Date('2026-01-01'))).toMatchObject({ workspace: { totalSeconds: 0 }, users: [] });
+  });
+
+  test('warns when a quota is nearly used and reports the fullest first', () => {
+    const service = createService({ workspace: { daily: 0, monthly: 100 }, user: { daily: 1, monthly: 0 } });
+
+    service.record({ source: 'stream', seconds: 47, userId: 'U1' }, noon);
+    expect(service.checkQuotas({ userId: 'U1' }, noon).status).toBe('ok');
+
+    service.record({ source: 'stream', seconds: 1, userId: 'U1' }, noon);
+    expect(service.checkQuotas({ userId: 'U1' }, noon)).toEqual({
+      status: 'warning',
+      quotas: [
+        { scope: 'user', id: 'U1', period: 'daily', usedSeconds: 48, limitSeconds: 60, ratio: 0.8 },
+        { scope: 'workspace', id: null, period: 'monthly', usedSeconds: 48, limitSeconds: 6000, ratio: 0.008 },
+      ],
+    });
+    expect(service.checkQuotas({ userId: 'U2' }, noon).status).toBe('ok');
+  });
+
+  test('refuses use once a quota is used up', () => {
+    const service = createService({ channel: { daily: 1, monthly: 0 } });
+    service.record({ source: 'upload', seconds: 60, userId: 'U1', channel: 'C1' });
+
+    expect(() => service.assertWithinQuota({ userId: 'U2', channel: 'C2' })).not.toThrow();
+
+    let error;
+    try {
+      service.assertWithinQuota({ userId: 'U2', channel: 'C1' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error).toMatchObject({
+      statusCode: 429,
+      code: 'QUOTA_EXCEEDED',
+      retryable: false,
+      message: 'Daily audio quota of channel C1 used up (1 of 1 minutes)',
+      quota: { scope: 'channel', id: 'C1', period: 'daily' },
+    });
+  });
+
+  test('overrides quotas per scope over the defaults', () => {
+    const service = createService({ user: { daily: 60, monthly: 600 } });
+
+    expect(service.setQuota('user', 'U1', { daily: 0 })).toEqual({ daily: 0, monthly: 600 });
+    expect(service.setQuota('workspace', null, { monthly: 1000 })).toEqual({ daily: 0, monthly: 1000 });
+    expect(service.getQuota('user', 'U2')).toEqual({ daily: 60, monthly: 600 });
+    expect(service.listQuotas()).toEqual([
+      { scope: 'user', id: 'U1', daily: 0 },
+      { scope: 'workspace', monthly: 1000 },
+    ]);
+
+    expect(service.deleteQuota('user', 'U1')).toBe(true);
+    expect(service.deleteQuota('user', 'U1')).toBe(false);
+    expect(service.getQuota('user', 'U1')).toEqual({ daily: 60, monthly: 600 });
+  });
+
+  test('persists counters and overrides, dropping old days', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-service-test-'));
+    const filePath = path.join(dir, 'usage.json');
+    try {
+      const service = new UsageService({ filePath, quotas: { workspace: unlimited, channel: unlimited, user: unlimited }, warningRatio: 0.8 });
+      service.record({ source: 'stream', seconds: 30, userId: 'U1' });
+      service.record({ source: 'stream', seconds: 30, userId: 'U1' }, new Date(Date.now() - 90 * 24 * 60 * 60 * 1000));
+      service.setQuota('channel', 'C1', { daily: 5 });
+
+      const reloaded = new UsageService({ filePath, quotas: { workspace: unlimited, channel: unlimited, user: unlimited }, warningRatio: 0.8 });
+
+      expect(reloaded.getUsage('day').users).toEqual([expect.objectContaining({ id: 'U1', totalSeconds: 30 })]);
+      expect([...reloaded.usage.keys()].filter(key => key.startsWith('day:'))).toHaveLength(1);
+      expect(reloaded.getQuota('channel', 'C1')).toEqual({ daily: 5, monthly: 0 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('is configured from the environment without persistence in tests', () => {
+    const service = getUsageService();
+
+    expect(service.filePath).toBeNull();
+    expect(service.warningRatio).toBe(0.8);
+    expect(service.getQuota('workspace')).toEqual(unlimited);
+  });
+});
+
+describe('describeQuota', () => {
+  test('names the period, owner and minutes', () => {
+    expect(describeQuota({ scope: 'workspace', period: 'monthly', usedSeconds: 5430, limitSeconds: 6000 }, '90% used'))
+      .toBe('Monthly audio quota of the workspace 90% used (90.5 of 100 minutes)');
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  VocabularyService,
+  validateVocabulary,
+  mergeVocabularies,
+  toProviderOptions,
+  runVocabularyCommand,
+} = require('../../../src/services/vocabulary-service');
+
+describe('validateVocabulary', () => {
+  test('normalizes keywords, replacements and search terms', () => {
+    expect(validateVocabulary({
+      keywords: ['Deepgram', 'kubectl:2.5', { term: ' Acme ', boost: -1 }],
+      replace: ['k eight s:k8s', { find: 'gee pee tee', replace: 'GPT' }],
+      search: [' invoice '],
+    })).toEqual({
+      isValid: true,
+      errors: [],
+      vocabulary: {
+        keywords: [{ term: 'Deepgram', boost: 1 }, { term: 'kubectl', boost: 2.5 }, { term: 'Acme', boost: -1 }],
+        replace: [{ find: 'k eight s', replace: 'k8s' }, { find: 'gee pee tee', replace: 'GPT' }],
+        search: ['invoice'],
+      },
+    });
+  });
+
+  test('reports invalid entries', () => {
+    const result = validateVocabulary({ keywords: [{ term: 'Acme', boost: 'high' }], replace: ['no-separator'], search: [42] });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'invalid keyword: {"term":"Acme","boost":"high"}',
+      'invalid replacement: "no-separator"',
+      'invalid search term: 42',
+    ]);
+  });
+
+  test('rejects fields that are not arrays', () => {
+    expect(validateVocabulary({ keywords: 'Acme' }).errors).toEqual(['keywords must be an array of at most 200 entries']);
+    expect(validateVocabulary(null).errors).toEqual(['vocabulary must be an object']);
+  });
+});
+
+describe('mergeVocabularies', () => {
+  test('lets narrower scopes override entries of the same term', () => {
+    const merged = mergeVocabularies(
+      { keywords: [{ term: 'Acme', boost: 1 }], replace: [{ find: 'acme', replace: 'ACME' }], search: ['invoice'] },
+      null,
+      { keywords: [{ term: 'acme', boost: 3 }], replace: [], search: ['invoice', 'refund'] },
+    );
+
+    expect(merged).toEqual({
+      keywords: [{ term: 'acme', boost: 3 }],
+      replace: [{ find: 'acme', replace: 'ACME' }],
+      search: ['invoice', 'refund'],
+    });
+  });
+});
+
+describe('toProviderOptions', () => {
+  test('writes boosts other than 1 as term:boost', () => {
+    expect(toProviderOptions({
+      keywords: [{ term: 'Acme', boost: 1 }, { term: 'kubectl', boost: 2 }],
+      replace: [{ find: 'k eight s', replace: 'k8s' }],
+      search: ['invoice'],
+    })).toEqual({ keywords: ['Acme', 'kubectl:2'], replace: ['k eight s:k8s'], search: ['invoice'] });
+  });
+});
+
+describe('VocabularyService', () => {
+  test('resolves the global, channel and session scopes in order', () => {
+    const service = new VocabularyService();
+    service.set('global', undefined, validateVocabulary({ keywords: ['Acme'], search: ['invoice'] }).vocabulary);
+    service.add('channel', 'C123', validateVocabulary({ keywords: ['Acme:2'] }).vocabulary);
+    service.add('session', 's1', validateVocabulary({ keywords: ['kubectl'] }).vocabulary);
+
+    expect(service.resolve({ channel: 'C123', session: 's1' }).keywords).toEqual([
+      { term: 'Acme', boost: 2 },
+      { term: 'kubectl', boost: 1 },
+    ]);
+    expect(service.resolve({ channel: 'C999' }).keywords).toEqual([{ term: 'Acme', boost: 1 }]);
+  });
+
+  test('removes a term from every list of a scope and clears scopes', () => {
+    const service = new VocabularyService();
+    service.add('channel', 'C123', validateVocabulary({ keywords: ['Acme'], replace: ['acme:ACME'], search: ['Acme', 'refund'] }).vocabulary);
+
+    expect(service.remove('channel', 'C123', 'ACME')).toEqual({ keywords: [], replace: [], search: ['refund'] });
+    expect(service.clear('channel', 'C123')).toBe(true);
+    expect(service.clear('channel', 'C123')).toBe(false);
+    expect(service.get('channel', 'C123')).toEqual({ keywords: [], replace: [], search: [] });
+  });
+});
+
+describe('runVocabularyCommand', () => {
+  test('edits the vocabulary of the channel', () => {
+    expect(runVocabularyCommand('add Acme:2', 'CVOCAB')).toEqual({ text: '📚 Added `Acme:2` to the channel vocabulary', changed: true });
+    expect(runVocabularyCommand('replace k eight s:k8s', 'CVOCAB').changed).toBe(true);
+    expect(runVocabularyCommand('search invoice', 'CVOCAB').changed).toBe(true);
+
+    expect(runVocabularyCommand('', 'CVOCAB')).toEqual({
+      text: [
+        '📚 *Vocabulary for this channel* (including workspace entries)',
+        '• Keywords: Acme (2)',
+        '• Replacements: k eight s → k8s',
+        '• Search terms: invoice',
+      ].join('\n'),
+      changed: false,
+    });
+
+    expect(runVocabularyCommand('remove invoice', 'CVOCAB').changed).toBe(true);
+    expect(runVocabularyCommand('clear', 'CVOCAB')).toEqual({ text: '📚 Channel vocabulary cleared', changed: true });
+  });
+
+  test('answers invalid entries and unknown actions with the usage', () => {
+    expect(runVocabularyCommand('replace missing-separator', 'CVOCAB')).toMatchObject({
+      text: expect.stringMatching(/^Invalid entry `missing-separator`\. Usage:/),
+      changed: false,
+    });
+    expect(runVocabularyCommand('add', 'CVOCAB')).toMatchObject({ text: expect.stringMatching(/^Usage:/), changed: false });
+  });
+});
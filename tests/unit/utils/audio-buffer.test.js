@@ -0,0 +1,33 @@
+const { AudioRingBuffer } = require('../../../src/utils/audio-buffer');
+
+describe('AudioRingBuffer', () => {
+  test('keeps chunks in arrival order', () => {
+    const buffer = new AudioRingBuffer(100);
+    buffer.push(Buffer.from('ab'));
+    buffer.push(Buffer.from('cd'));
+
+    expect(buffer.peek().toString()).toBe('abcd');
+    expect(buffer.drain().map(chunk => chunk.toString())).toEqual(['ab', 'cd']);
+    expect(buffer.size).toBe(0);
+  });
+
+  test('evicts the oldest chunks over budget and counts the dropped bytes', () => {
+    const buffer = new AudioRingBuffer(5);
+    buffer.push(Buffer.from('abc'));
+    buffer.push(Buffer.from('de'));
+    buffer.push(Buffer.from('fg'));
+
+    expect(buffer.peek().toString()).toBe('defg');
+    expect(buffer.takeDroppedBytes()).toBe(3);
+    expect(buffer.takeDroppedBytes()).toBe(0);
+  });
+
+  test('clears audio and counters', () => {
+    const buffer = new AudioRingBuffer(2);
+    buffer.push(Buffer.from('abc'));
+    buffer.clear();
+
+    expect(buffer.size).toBe(0);
+    expect(buffer.takeDroppedBytes()).toBe(0);
+  });
+});
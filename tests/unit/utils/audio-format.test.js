@@ -0,0 +1,85 @@
+const {
+  parseAudioFormat,
+  pcmBytesPerSecond,
+  streamChunkLimits,
+  describeAudioFormat,
+} = require('../../../src/utils/audio-format');
+
+describe('parseAudioFormat', () => {
+  test('leaves containers to be detected from the audio', () => {
+    expect(parseAudioFormat({})).toEqual({ format: null, errors: [] });
+    expect(parseAudioFormat({ sample_rate: '16000' })).toEqual({ format: null, errors: ['encoding is required with sample_rate or channels'] });
+  });
+
+  test('accepts raw and codec formats, as strings or numbers', () => {
+    expect(parseAudioFormat({ encoding: 'linear16', sample_rate: '16000' })).toEqual({
+      format: { encoding: 'linear16', sampleRate: 16000, channels: 1 },
+      errors: [],
+    });
+    expect(parseAudioFormat({ encoding: 'opus', sample_rate: 48000, channels: 2 }, { multichannel: true }).format)
+      .toEqual({ encoding: 'opus', sampleRate: 48000, channels: 2 });
+  });
+
+  test('reports every problem of a declared format', () => {
+    expect(parseAudioFormat({ encoding: 'mp3', channels: '0' }).errors).toEqual([
+      expect.stringMatching(/^encoding must be one of: linear16, linear32, mulaw/),
+      'sample_rate is required with encoding mp3',
+      'channels must be between 1 and 8',
+    ]);
+    expect(parseAudioFormat({ encoding: 'linear16', sample_rate: '96000', channels: '9' }).errors).toEqual([
+      'sample_rate must be between 8000 and 48000 Hz',
+      'channels must be between 1 and 8',
+    ]);
+    expect(parseAudioFormat({ encoding: 'amr-wb', sample_rate: '8000' }).errors).toEqual(['sample_rate for amr-wb must be one of: 16000']);
+    expect(parseAudioFormat({ encoding: 'linear16', sample_rate: '16000.5' }).errors).toHaveLength(1);
+  });
+
+  test('needs several channels for multichannel streams', () => {
+    expect(parseAudioFormat({ encoding: 'mulaw', sample_rate: '8000' }, { multichannel: true }).errors)
+      .toEqual(['multichannel requires channels of 2 or more']);
+  });
+
+  test('does not take inherited properties for encodings', () => {
+    expect(parseAudioFormat({ encoding: 'constructor', sample_rate: '16000' }).format).toBeNull();
+  });
+});
+
+describe('pcmBytesPerSecond', () => {
+  test('is known for PCM only', () => {
+    expect(pcmBytesPerSecond({ encoding: 'linear16', sampleRate: 16000, channels: 2 })).toBe(64000);
+    expect(pcmBytesPerSecond({ encoding: 'mulaw', sampleRate: 8000, channels: 1 })).toBe(8000);
+    expect(pcmBytesPerSecond({ encoding: 'opus', sampleRate: 48000, channels: 1 })).toBeNull();
+    expect(pcmBytesPerSecond(null)).toBeNull();
+  });
+});
+
+describe('streamChunkLimits', () => {
+  test('keeps the defaults for detected containers', () => {
+    expect(streamChunkLimits(null)).toEqual({ minChunkSize: 160, maxChunkSize: 8192, frameSize: 1 });
+  });
+
+  test('expects whole frames of at least 10 ms and at most a second of PCM', () => {
+    expect(streamChunkLimits({ encoding: 'linear16', sampleRate: 48000, channels: 2 })).toEqual({
+      minChunkSize: 1920,
+      maxChunkSize: 192000,
+      frameSize: 4,
+    });
+    expect(streamChunkLimits({ encoding: 'mulaw', sampleRate: 8000, channels: 1 })).toEqual({
+      minChunkSize: 80,
+      maxChunkSize: 8192,
+      frameSize: 1,
+    });
+  });
+
+  test('accepts codec frames of any size', () => {
+    expect(streamChunkLimits({ encoding: 'g729', sampleRate: 8000, channels: 1 })).toEqual({ minChunkSize: 1, maxChunkSize: 16000, frameSize: 1 });
+  });
+});
+
+describe('describeAudioFormat', () => {
+  test('names the encoding, rate and channels', () => {
+    expect(describeAudioFormat(null)).toBe('auto-detected container');
+    expect(describeAudioFormat({ encoding: 'linear16', sampleRate: 16000, channels: 2 })).toBe('linear16 16000 Hz stereo');
+    expect(describeAudioFormat({ encoding: 'opus', sampleRate: 48000, channels: 4 })).toBe('opus 48000 Hz 4 channels');
+  });
+});
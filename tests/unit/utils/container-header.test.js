@@ -0,0 +1,96 @@
+const { ContainerHeader } = require('../../../src/utils/container-header');
+
+const WEBM_MAGIC = [0x1A, 0x45, 0xDF, 0xA3];
+const WEBM_CLUSTER = [0x1F, 0x43, 0xB6, 0x75];
+
+/**
+ * Build an Ogg page
+ * @param {number} granule - Granule position
+ * @param {number} bodySize - Body size in bytes (one segment)
+ * @returns {Buffer} Page
+ */
+function oggPage(granule, bodySize) {
+  const header = Buffer.alloc(28);
+  header.write('OggS', 0, 'ascii');
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header[26] = 1;
+  header[27] = bodySize;
+  return Buffer.concat([header, Buffer.alloc(bodySize, 7)]);
+}
+
+describe('ContainerHeader', () => {
+  test('keeps the WebM header up to the first cluster', () => {
+    const header = new ContainerHeader();
+    const start = Buffer.from([...WEBM_MAGIC, 1, 2, 3, 4]);
+
+    header.push(start);
+    expect(header.status).toBe('pending');
+    // Until the header is complete, everything received so far is the prefix
+    expect(header.prefix()).toEqual(start);
+
+    header.push(Buffer.from([5, 6, ...WEBM_CLUSTER, 9, 9]));
+    expect(header.status).toBe('complete');
+    expect(header.prefix()).toEqual(Buffer.from([...WEBM_MAGIC, 1, 2, 3, 4, 5, 6]));
+
+    // Later audio does not change the header
+    header.push(Buffer.from([...WEBM_CLUSTER, 8]));
+    expect(header.prefix()).toHaveLength(10);
+  });
+
+  test('keeps the Ogg pages with granule position 0', () => {
+    const header = new ContainerHeader();
+    header.push(Buffer.concat([oggPage(0, 19), oggPage(0, 30), oggPage(960, 50)]));
+
+    expect(header.status).toBe('complete');
+    expect(header.prefix()).toHaveLength(47 + 58);
+  });
+
+  test('keeps a WAV header up to the samples', () => {
+    const wav = Buffer.alloc(44 + 100);
+    wav.write('RIFF', 0, 'ascii');
+    wav.write('WAVE', 8, 'ascii');
+    wav.write('fmt ', 12, 'ascii');
+    wav.writeUInt32LE(16, 16);
+    wav.write('data', 36, 'ascii');
+    wav.writeUInt32LE(100, 40);
+
+    const header = new ContainerHeader();
+    header.push(wav);
+
+    expect(header.prefix()).toEqual(wav.subarray(0, 44));
+  });
+
+  test('keeps the FLAC marker and metadata blocks', () => {
+    const streamInfo = Buffer.concat([Buffer.from([0x00, 0, 0, 34]), Buffer.alloc(34)]);
+    const comment = Buffer.concat([Buffer.from([0x84, 0, 0, 8]), Buffer.alloc(8)]);
+    const frame = Buffer.from([0xFF, 0xF8, 0, 0]);
+
+    const header = new ContainerHeader();
+    header.push(Buffer.concat([Buffer.from('fLaC'), streamInfo, comment, frame]));
+
+    expect(header.prefix()).toHaveLength(4 + 38 + 12);
+  });
+
+  test('keeps the AMR magic line', () => {
+    const header = new ContainerHeader();
+    header.push(Buffer.from('#!AMR-WB\n\x04\x05'));
+
+    expect(header.prefix().toString()).toBe('#!AMR-WB\n');
+  });
+
+  test('keeps nothing for streams without a header', () => {
+    const header = new ContainerHeader();
+    header.push(Buffer.from([0xFF, 0xFB, 0x90, 0x00, 0x00, 0x00]));
+
+    expect(header.status).toBe('none');
+    expect(header.prefix()).toHaveLength(0);
+  });
+
+  test('gives up on headers larger than the limit', () => {
+    const header = new ContainerHeader(16);
+    header.push(Buffer.from([...WEBM_MAGIC, ...Buffer.alloc(20)]));
+
+    expect(header.status).toBe('none');
+    expect(header.prefix()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,177 @@
+const { JobQueue, describeJob } = require('../../../src/utils/job-queue');
+
+/**
+ * Create a queue with test defaults
+ * @param {Object} options - Queue options overriding the defaults
+ * @returns {JobQueue} Queue
+ */
+function createQueue(options) {
+  return new JobQueue({
+    name: 'test',
+    concurrency: 1,
+    maxAttempts: 3,
+    retryDelay: 100,
+    ttlMs: 60000,
+    ...options,
+  });
+}
+
+/**
+ * Create a promise with its resolve and reject functions
+ * @returns {Object} { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('JobQueue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs jobs in order within the concurrency limit', async () => {
+    const started = [];
+    const runs = [deferred(), deferred(), deferred()];
+    const queue = createQueue({
+      concurrency: 2,
+      handler: (job) => {
+        started.push(job.payload.index);
+        return runs[job.payload.index].promise;
+      },
+    });
+
+    const jobs = [0, 1, 2].map(index => queue.add({ index }));
+    expect(started).toEqual([0, 1]);
+    expect(jobs[2].status).toBe('queued');
+
+    runs[0].resolve('first');
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(started).toEqual([0, 1, 2]);
+    expect(jobs[0]).toMatchObject({ status: 'completed', result: 'first', payload: null, progress: { stage: 'done', percent: 100 } });
+    expect(queue.getStats()).toMatchObject({ processing: 2, completed: 1, concurrency: 2 });
+  });
+
+  test('retries failed attempts with a doubling delay, then fails', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('provider unavailable'));
+    const onFinished = jest.fn();
+    const queue = createQueue({ handler, onFinished });
+
+    const job = queue.add({});
+    await jest.advanceTimersByTimeAsync(0);
+    expect(job).toMatchObject({ status: 'retrying', attempts: 1, error: 'provider unavailable' });
+    expect(job.nextAttemptAt.getTime() - Date.now()).toBe(100);
+
+    await jest.advanceTimersByTimeAsync(100);
+    expect(job).toMatchObject({ status: 'retrying', attempts: 2 });
+    expect(job.nextAttemptAt.getTime() - Date.now()).toBe(200);
+
+    await jest.advanceTimersByTimeAsync(199);
+    expect(handler).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(job).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null });
+    expect(onFinished).toHaveBeenCalledWith(job);
+  });
+
+  test('does not retry errors marked as not retryable', async () => {
+    const error = Object.assign(new Error('file too long'), { retryable: false });
+    const queue = createQueue({ handler: jest.fn().mockRejectedValue(error) });
+
+    const job = queue.add({});
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, error: 'file too long' });
+  });
+
+  test('cancels queued jobs before they start', async () => {
+    const run = deferred();
+    const handler = jest.fn(() => run.promise);
+    const queue = createQueue({ handler });
+
+    queue.add({});
+    const queued = queue.add({});
+    expect(queue.cancel(queued.id)).toMatchObject({ status: 'cancelled' });
+
+    run.resolve();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('discards the result of a job cancelled while processing', async () => {
+    const run = deferred();
+    let context;
+    const onFinished = jest.fn();
+    const queue = createQueue({
+      handler: (_job, jobContext) => {
+        context = jobContext;
+        return run.promise;
+      },
+      onFinished,
+    });
+
+    const job = queue.add({});
+    queue.cancel(job.id);
+    expect(context.isCancelled()).toBe(true);
+
+    context.setProgress('transcribing', 50);
+    run.resolve('late result');
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(job).toMatchObject({ status: 'cancelled', result: null, progress: { stage: 'queued', percent: 0 } });
+    expect(onFinished).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancels jobs waiting for a retry', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('provider unavailable'));
+    const queue = createQueue({ handler });
+
+    const job = queue.add({});
+    await jest.advanceTimersByTimeAsync(0);
+    queue.cancel(job.id);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(job.status).toBe('cancelled');
+    expect(handler).toHaveBeenCalledTimes(1);
+    // Finished jobs are left alone
+    expect(queue.cancel(job.id).status).toBe('cancelled');
+    expect(queue.cancel('job_unknown')).toBeNull();
+  });
+
+  test('forgets finished jobs after their time to live', async () => {
+    const queue = createQueue({ handler: () => Promise.resolve('done') });
+
+    const job = queue.add({});
+    await jest.advanceTimersByTimeAsync(0);
+    expect(queue.get(job.id)).toBe(job);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(queue.get(job.id)).toBeNull();
+  });
+});
+
+describe('describeJob', () => {
+  test('shows the result of completed jobs and the error of others', () => {
+    const base = { id: 'job_1', progress: {}, attempts: 1, maxAttempts: 3, metadata: {}, payload: { buffer: Buffer.alloc(1) } };
+
+    const completed = describeJob({ ...base, status: 'completed', result: { transcript: 'Hello' }, error: 'earlier failure' });
+    expect(completed.result).toEqual({ transcript: 'Hello' });
+    expect(completed).not.toHaveProperty('error');
+    expect(completed).not.toHaveProperty('payload');
+
+    const retrying = describeJob({ ...base, status: 'retrying', result: null, error: 'timeout', nextAttemptAt: new Date(0) });
+    expect(retrying).toMatchObject({ error: 'timeout', nextAttemptAt: new Date(0) });
+    expect(retrying).not.toHaveProperty('result');
+  });
+});
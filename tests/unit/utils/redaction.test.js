@@ -0,0 +1,88 @@
+const {
+  checkPattern,
+  isRedacting,
+  redactText,
+  redactWords,
+  redactResult,
+} = require('../../../src/utils/redaction');
+
+const policy = (types, patterns = []) => ({ types, patterns, profanity: false });
+
+/**
+ * Build timed words from a sentence, one second each
+ * @param {string} sentence - Space separated words
+ * @returns {Array<Object>} Words
+ */
+function words(sentence) {
+  return sentence.split(' ').map((token, index) => ({
+    word: token.toLowerCase(),
+    punctuated_word: token,
+    start: index,
+    end: index + 1,
+  }));
+}
+
+describe('redactText', () => {
+  test('masks card numbers and social security numbers', () => {
+    const text = 'Card 4111 1111 1111 1111, SSN 123-45-6789, room 42.';
+
+    expect(redactText(text, policy(['pci', 'ssn']))).toBe('Card [PCI], SSN [SSN], room 42.');
+  });
+
+  test('masks any numeral with the numbers type', () => {
+    expect(redactText('Call 555 0100 at 9.30', policy(['numbers']))).toBe('Call [NUMBER] at [NUMBER]');
+  });
+
+  test('applies custom patterns before the built-in types', () => {
+    expect(redactText('Order ACME-1234 for Bob', policy(['numbers'], ['acme-\\d+']))).toBe('Order [REDACTED] for Bob');
+  });
+
+  test('leaves text alone without rules', () => {
+    expect(isRedacting(policy([]))).toBe(false);
+    expect(redactText('Card 4111 1111 1111 1111', policy([]))).toBe('Card 4111 1111 1111 1111');
+  });
+});
+
+describe('redactWords', () => {
+  test('collapses the words of a match into one labelled word spanning them', () => {
+    const redacted = redactWords(words('My card is 4111 1111 1111 1111 thanks'), policy(['pci']));
+
+    expect(redacted.map(word => word.punctuated_word)).toEqual(['My', 'card', 'is', '[PCI]', 'thanks']);
+    expect(redacted[3]).toMatchObject({ word: '[PCI]', start: 3, end: 7 });
+  });
+
+  test('keeps consecutive matches apart', () => {
+    const redacted = redactWords(words('rooms 12 and 14'), policy(['numbers']));
+
+    expect(redacted.map(word => word.word)).toEqual(['rooms', '[NUMBER]', 'and', '[NUMBER]']);
+  });
+});
+
+describe('redactResult', () => {
+  test('redacts the transcript, words, channels and search snippets', () => {
+    const result = redactResult({
+      transcript: 'SSN 123-45-6789',
+      words: words('SSN 123-45-6789'),
+      channels: [{ transcript: 'SSN 123-45-6789', words: words('SSN 123-45-6789') }],
+      search: [{ query: 'ssn', hits: [{ snippet: 'SSN 123-45-6789' }] }],
+    }, policy(['ssn']));
+
+    expect(result.transcript).toBe('SSN [SSN]');
+    expect(result.words.map(word => word.word)).toEqual(['ssn', '[SSN]']);
+    expect(result.channels[0].transcript).toBe('SSN [SSN]');
+    expect(result.search[0].hits[0].snippet).toBe('SSN [SSN]');
+  });
+});
+
+describe('checkPattern', () => {
+  test('accepts usable expressions', () => {
+    expect(checkPattern('acme-\\d+')).toBeNull();
+  });
+
+  test('rejects invalid, empty-matching and backtracking expressions', () => {
+    expect(checkPattern('(unclosed')).toMatch(/^invalid pattern \(unclosed:/);
+    expect(checkPattern('a*')).toBe('pattern matches empty text: a*');
+    expect(checkPattern('(a+)+')).toBe('pattern has nested quantifiers: (a+)+');
+    expect(checkPattern('')).toBe('pattern must be a string of 1-200 characters');
+  });
+});
@@ -0,0 +1,305 @@
+const dns = require('dns');
+const {
+  RemoteAudioError,
+  downloadAudio,
+  downloadSlackFile,
+  probeAudioDuration,
+  isPrivateAddress,
+  assertPublicHost,
+  sendRequest,
+} = require('../../../src/utils/remote-audio');
+const { wavFile } = require('../../helpers/audio');
+const { startServer, routeHttpsTo } = require('../../helpers/http');
+
+// Public address, so that no DNS lookup is needed; requests to it reach the local server
+const HOST = 'https://93.184.216.34';
+const OPTIONS = { maxBytes: 4096, timeoutMs: 1000 };
+
+/**
+ * Build a FLAC file header
+ * @param {number} sampleRate - Samples per second
+ * @param {number} samples - Total samples per channel
+ * @returns {Buffer} Marker and STREAMINFO block
+ */
+function flacFile(sampleRate, samples) {
+  const streamInfo = Buffer.alloc(34);
+  streamInfo[10] = sampleRate >> 12;
+  streamInfo[11] = (sampleRate >> 4) & 0xFF;
+  streamInfo[12] = (sampleRate & 0x0F) << 4;
+  streamInfo[13] = Math.floor(samples / 2 ** 32) & 0x0F;
+  streamInfo.writeUInt32BE(samples % 2 ** 32, 14);
+  return Buffer.concat([Buffer.from('fLaC'), Buffer.from([0x80, 0, 0, 34]), streamInfo]);
+}
+
+/**
+ * Build an MP4 box
+ * @param {string} type - Box type
+ * @param {Buffer} contents - Box contents
+ * @returns {Buffer} Box
+ */
+function box(type, contents) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + contents.length);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, contents]);
+}
+
+/**
+ * Build an M4A file header with a version 0 movie header
+ * @param {number} timescale - Time units per second
+ * @param {number} duration - Duration in time units
+ * @returns {Buffer} ftyp and moov boxes
+ */
+function mp4File(timescale, duration) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(timescale, 12);
+  mvhd.writeUInt32BE(duration, 16);
+  return Buffer.concat([box('ftyp', Buffer.from('M4A \0\0\0\0')), box('moov', box('mvhd', mvhd))]);
+}
+
+/**
+ * Answer requests in turn with the given responses
+ * @param {Array<Array>} responses - [status, headers, body] of each request, the last one repeated
+ * @returns {Function} Server handler
+ */
+function respond(...responses) {
+  return (request, res) => {
+    const [status, headers = {}, body] = responses.length > 1 ? responses.shift() : responses[0];
+    res.writeHead(status, headers);
+    res.end(body);
+  };
+}
+
+describe('probeAudioDuration', () => {
+  test('reads WAV, FLAC and MP4 headers', () => {
+    expect(probeAudioDuration(wavFile(1.5))).toBe(1.5);
+    expect(probeAudioDuration(flacFile(44100, 44100 * 90))).toBe(90);
+    expect(probeAudioDuration(mp4File(1000, 125500))).toBe(125.5);
+  });
+
+  test('trusts the bytes present over a placeholder WAV data size', () => {
+    const wav = wavFile(1);
+    wav.writeUInt32LE(0xFFFFFFFF, 40);
+
+    expect(probeAudioDuration(wav)).toBe(1);
+  });
+
+  test('returns null for formats without a declared duration', () => {
+    expect(probeAudioDuration(Buffer.from([0xFF, 0xFB, 0x90, 0x00, ...Buffer.alloc(20)]))).toBeNull();
+    expect(probeAudioDuration(flacFile(44100, 0))).toBeNull();
+    expect(probeAudioDuration(Buffer.alloc(4))).toBeNull();
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test('recognizes loopback, private and link-local addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::', '::1', 'fd00::1', 'fe80::1', 'fe80::1%eth0']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  test('recognizes IPv4-mapped addresses in dotted and hex form', () => {
+    // new URL() rewrites [::ffff:169.254.169.254] to [::ffff:a9fe:a9fe] and [::ffff:127.0.0.1] to [::ffff:7f00:1]
+    expect(new URL('http://[::ffff:169.254.169.254]/').hostname).toBe('[::ffff:a9fe:a9fe]');
+    for (const address of ['::ffff:10.0.0.1', '::ffff:a9fe:a9fe', '::ffff:7f00:1', '0:0:0:0:0:ffff:7f00:1', '::ffff:c0a8:101']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+    expect(isPrivateAddress('::ffff:5db8:d822')).toBe(false);
+  });
+
+  test('checks the IPv4 address inside NAT64 addresses and refuses local-use NAT64', () => {
+    expect(isPrivateAddress('64:ff9b::a9fe:a9fe')).toBe(true);
+    expect(isPrivateAddress('64:ff9b::127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('64:ff9b::5db8:d822')).toBe(false);
+    expect(isPrivateAddress('64:ff9b:1::5db8:d822')).toBe(true);
+  });
+
+  test('recognizes multicast, reserved, documentation and tunnel addresses', () => {
+    for (const address of ['224.0.0.1', '239.255.255.250', '240.0.0.1', '255.255.255.255', '192.0.2.1', '198.18.0.1', 'ff02::1', '2001:db8::1', '2002:7f00:1::1', '2001::1']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  test('accepts public addresses', () => {
+    for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:2800:220:1::1']) {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  });
+});
+
+describe('assertPublicHost', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects literal and mapped private hosts', async () => {
+    for (const url of ['http://127.0.0.1/', 'http://[::ffff:169.254.169.254]/', 'http://[::ffff:127.0.0.1]/', 'http://0x7f.1/']) {
+      await expect(assertPublicHost(new URL(url))).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    }
+  });
+
+  test('rejects names with any private address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.1', family: 4 }]);
+
+    await expect(assertPublicHost(new URL('https://audio.example.com/a.wav'))).rejects.toMatchObject({
+      code: 'FORBIDDEN_HOST',
+      message: 'Host audio.example.com is not allowed',
+    });
+  });
+});
+
+describe('sendRequest', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startServer(respond([200, {}, 'ok']));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+  });
+
+  test('connects to the address that was checked, not to a second DNS answer', async () => {
+    const port = new URL(server.origin).port;
+    // The first answer passes the check; the socket then gets the loopback address
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    await expect(sendRequest(new URL(`http://rebind.example.com:${port}/`))).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('reaches private hosts only when allowed, without following redirects', async () => {
+    await server.close();
+    server = await startServer(respond([302, { location: '/moved' }]));
+
+    await expect(sendRequest(new URL(server.origin))).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+
+    const response = await sendRequest(new URL(`${server.origin}/hook`), { method: 'POST', body: '{}', allowPrivate: true });
+    response.body.resume();
+    expect(response).toMatchObject({ status: 302, ok: false, headers: { location: '/moved' } });
+    expect(server.requests).toEqual([expect.objectContaining({ method: 'POST', path: '/hook', body: '{}' })]);
+  });
+});
+
+describe('downloadAudio', () => {
+  let server;
+
+  /**
+   * Serve the next downloads from a local server, reached through HOST
+   * @param {Function} handler - Server handler
+   */
+  async function serve(handler) {
+    server = await startServer(handler);
+    routeHttpsTo(server);
+  }
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server?.close();
+    server = null;
+  });
+
+  test('downloads the file with its content type and name', async () => {
+    await serve(respond([200, { 'content-type': 'audio/wav; charset=binary' }, Buffer.alloc(2048, 1)]));
+
+    const download = await downloadAudio(`${HOST}/recordings/stand%20up.wav`, OPTIONS);
+
+    expect(download).toEqual({ buffer: Buffer.alloc(2048, 1), contentType: 'audio/wav', filename: 'stand up.wav' });
+  });
+
+  test('rejects other protocols and private hosts before connecting', async () => {
+    await serve(respond([200, {}, Buffer.alloc(16)]));
+
+    await expect(downloadAudio('ftp://93.184.216.34/a.wav', OPTIONS)).rejects.toMatchObject({ code: 'INVALID_URL' });
+    await expect(downloadAudio('https://127.0.0.1/a.wav', OPTIONS)).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    await expect(downloadAudio('https://[::1]/a.wav', OPTIONS)).rejects.toBeInstanceOf(RemoteAudioError);
+    await expect(downloadAudio('https://[::ffff:169.254.169.254]/latest/meta-data', OPTIONS)).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    await expect(downloadAudio('https://[::ffff:7f00:1]/a.wav', OPTIONS)).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('checks every redirect and keeps credentials on the original host', async () => {
+    await serve(respond(
+      [302, { location: '/moved.wav' }],
+      [302, { location: 'https://93.184.216.35/final.wav' }],
+      [200, {}, Buffer.alloc(2048)],
+    ));
+
+    const download = await downloadAudio(`${HOST}/a.wav`, { ...OPTIONS, headers: { Authorization: 'Bearer xoxb-test' } });
+
+    expect(download.filename).toBe('final.wav');
+    expect(server.requests.map(request => [request.path, request.headers.authorization])).toEqual([
+      ['/a.wav', 'Bearer xoxb-test'],
+      ['/moved.wav', 'Bearer xoxb-test'],
+      ['/final.wav', undefined],
+    ]);
+  });
+
+  test('rejects redirects to private hosts', async () => {
+    await serve(respond([302, { location: 'https://[::ffff:a00:1]/internal.wav' }]));
+
+    await expect(downloadAudio(`${HOST}/a.wav`, OPTIONS)).rejects.toMatchObject({ code: 'FORBIDDEN_HOST' });
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('rejects files larger than the limit, declared or not', async () => {
+    await serve(respond(
+      [200, { 'content-length': '5000' }, Buffer.alloc(5000)],
+      [200, { 'transfer-encoding': 'chunked' }, Buffer.alloc(5000)],
+    ));
+
+    await expect(downloadAudio(`${HOST}/a.wav`, OPTIONS)).rejects.toMatchObject({
+      code: 'FILE_TOO_LARGE',
+      message: 'File too large: 5000 bytes (max: 4096)',
+    });
+    await expect(downloadAudio(`${HOST}/a.wav`, OPTIONS)).rejects.toMatchObject({
+      code: 'FILE_TOO_LARGE',
+      message: 'File too large: more than 4096 bytes',
+    });
+  });
+
+  test('reports failed downloads without retrying them', async () => {
+    await serve(respond([404, {}, 'missing']));
+
+    const error = await downloadAudio(`${HOST}/a.wav`, OPTIONS).catch(rejection => rejection);
+    expect(error).toMatchObject({ code: 'DOWNLOAD_FAILED', message: 'Download failed with HTTP 404', retryable: false });
+  });
+});
+
+describe('downloadSlackFile', () => {
+  const slackOptions = { token: 'xoxb-test', maxBytes: 4096, maxDuration: 60, timeoutMs: 1000 };
+  let server;
+
+  beforeEach(async () => {
+    server = await startServer(respond([200, { 'content-type': 'application/octet-stream' }, Buffer.alloc(2048)]));
+    routeHttpsTo(server);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+  });
+
+  test('downloads with the bot token and keeps the Slack file name and type', async () => {
+    const download = await downloadSlackFile({
+      name: 'standup.m4a',
+      mimetype: 'audio/m4a',
+      size: 2048,
+      url_private_download: `${HOST}/files-pri/T1-F1/download/standup.m4a`,
+    }, slackOptions);
+
+    expect(download).toMatchObject({ filename: 'standup.m4a', contentType: 'audio/m4a' });
+    expect(server.requests[0].headers.authorization).toBe('Bearer xoxb-test');
+  });
+
+  test('rejects files Slack reports as too large or too long without downloading them', async () => {
+    await expect(downloadSlackFile({ size: 5000 }, slackOptions)).rejects.toMatchObject({ code: 'FILE_TOO_LARGE' });
+    await expect(downloadSlackFile({ size: 1024, duration_ms: 61000 }, slackOptions)).rejects.toMatchObject({
+      code: 'AUDIO_TOO_LONG',
+      message: 'Audio too long: 61s (max: 60s)',
+    });
+    expect(server.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,147 @@
+const { buildSessionReport } = require('../../../src/utils/session-report');
+
+/**
+ * Build a timed word
+ * @param {string} text - Punctuated word
+ * @param {number} start - Start in seconds
+ * @param {number} end - End in seconds
+ * @param {Object} fields - Speaker, channel or confidence
+ * @returns {Object} Word
+ */
+function word(text, start, end, fields = {}) {
+  return { word: text.toLowerCase(), punctuated_word: text, start, end, confidence: 0.9, ...fields };
+}
+
+const session = {
+  sessionId: 'weekly-sync-1',
+  conversationId: 'weekly-sync',
+  slackChannel: 'C123',
+  startedAt: '2026-10-19T09:00:00.000Z',
+  endedAt: '2026-10-19T09:01:30.000Z',
+  speakerNames: { 0: { name: 'Alice' }, 1: { slackUserId: 'U0BOB' } },
+};
+
+const segments = [
+  {
+    start: 0,
+    end: 4,
+    words: [
+      ...['Good', 'morning', 'team.'].map((text, index) => word(text, index * 0.5, index * 0.5 + 0.5, { speaker: 0 })),
+      ...['So', 'the', 'plan'].map((text, index) => word(text, 2 + index * 0.5, 2.5 + index * 0.5, { speaker: 0 })),
+      word('Wait.', 3.6, 4, { speaker: 1, confidence: 0.6 }),
+    ],
+  },
+  {
+    start: 7,
+    end: 8,
+    words: [word('Okay,', 7, 7.5, { speaker: 0 }), word('thanks.', 7.5, 8, { speaker: 0 })],
+  },
+];
+
+describe('buildSessionReport', () => {
+  test('measures the talk time, pace and interruptions of each speaker', () => {
+    const report = buildSessionReport({ ...session, segments, audio: { chunks: 40, bytes: 256000 } });
+
+    expect(report).toEqual({
+      sessionId: 'weekly-sync-1',
+      conversationId: 'weekly-sync',
+      slackChannel: 'C123',
+      active: false,
+      startedAt: '2026-10-19T09:00:00.000Z',
+      endedAt: '2026-10-19T09:01:30.000Z',
+      wallClockSeconds: 90,
+      audioSeconds: 8,
+      audioChunks: 40,
+      audioBytes: 256000,
+      voiceActivity: null,
+      talkTime: 4.9,
+      silence: 3.1,
+      words: 9,
+      wordsPerMinute: 68,
+      averageConfidence: 0.867,
+      interruptions: 1,
+      dominantSpeaker: 'Alice',
+      speakers: [
+        {
+          speaker: 0,
+          label: 'Alice',
+          slackUserId: undefined,
+          talkTime: 4.5,
+          share: 0.918,
+          words: 8,
+          turns: 2,
+          wordsPerMinute: 107,
+          averageConfidence: 0.9,
+          interruptions: 0,
+          interrupted: 1,
+        },
+        {
+          speaker: 1,
+          label: 'U0BOB',
+          slackUserId: 'U0BOB',
+          talkTime: 0.4,
+          share: 0.082,
+          words: 1,
+          turns: 1,
+          wordsPerMinute: 150,
+          averageConfidence: 0.6,
+          interruptions: 1,
+          interrupted: 0,
+        },
+      ],
+    });
+  });
+
+  test('leaves long pauses of one speaker out of their talk time', () => {
+    const report = buildSessionReport({
+      ...session,
+      segments: [{ start: 0, end: 10, words: [word('Hello.', 0, 1, { speaker: 0 }), word('Anyone?', 9, 10, { speaker: 0 })] }],
+    });
+
+    expect(report).toMatchObject({ talkTime: 2, silence: 8, dominantSpeaker: null });
+    expect(report.speakers[0]).toMatchObject({ turns: 2, share: 1 });
+  });
+
+  test('reports channels of multichannel sessions in time order', () => {
+    const report = buildSessionReport({
+      ...session,
+      multichannel: true,
+      channelLabels: ['Agent', 'Customer'],
+      segments: [
+        { channel: 1, start: 1, end: 3, words: [word('Hi', 1, 3)] },
+        { channel: 0, start: 0, end: 1, words: [word('Hello', 0, 0.9)] },
+      ],
+    });
+
+    expect(report.speakers.map(({ channel, label, talkTime }) => ({ channel, label, talkTime }))).toEqual([
+      { channel: 1, label: 'Customer', talkTime: 2 },
+      { channel: 0, label: 'Agent', talkTime: 0.9 },
+    ]);
+    // Cut off mid-sentence by the customer
+    expect(report.interruptions).toBe(1);
+  });
+
+  test('falls back to segment text and confidence without word timings', () => {
+    const report = buildSessionReport({
+      ...session,
+      endedAt: null,
+      active: true,
+      segments: [
+        { start: 0, end: 2, duration: 2, confidence: 0.9, transcript: 'Welcome everyone.' },
+        { start: 2, end: 8, duration: 6, confidence: 0.5, transcript: 'Let us start with updates.' },
+      ],
+    }, new Date('2026-10-19T09:00:45.000Z'));
+
+    expect(report).toMatchObject({
+      active: true,
+      endedAt: null,
+      wallClockSeconds: 45,
+      words: 7,
+      wordsPerMinute: 53,
+      averageConfidence: 0.6,
+      talkTime: 0,
+      speakers: [],
+      dominantSpeaker: null,
+    });
+  });
+});
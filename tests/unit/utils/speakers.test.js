@@ -0,0 +1,112 @@
+const {
+  parseSpeakerAssignment,
+  speakerLabel,
+  channelLabel,
+  parseChannelLabels,
+  groupSpeakerTurns,
+  groupChannelTurns,
+  formatTurns,
+} = require('../../../src/utils/speakers');
+
+/**
+ * Build a diarized word
+ * @param {string} punctuated - Punctuated word
+ * @param {number} start - Start in seconds
+ * @param {number} speaker - Speaker index
+ * @returns {Object} Word
+ */
+function word(punctuated, start, speaker) {
+  return { word: punctuated.toLowerCase(), punctuated_word: punctuated, start, end: start + 0.5, speaker };
+}
+
+describe('parseSpeakerAssignment', () => {
+  test('recognizes Slack users as raw IDs and mentions', () => {
+    expect(parseSpeakerAssignment('U012AB3CD')).toEqual({ slackUserId: 'U012AB3CD' });
+    expect(parseSpeakerAssignment('<@U012AB3CD|alice>')).toEqual({ slackUserId: 'U012AB3CD' });
+    expect(parseSpeakerAssignment('&lt;@W012AB3CD&gt;')).toEqual({ slackUserId: 'W012AB3CD' });
+  });
+
+  test('keeps anything else as a display name', () => {
+    expect(parseSpeakerAssignment('  Alice Smith ')).toEqual({ name: 'Alice Smith' });
+  });
+});
+
+describe('speakerLabel', () => {
+  test('falls back to the one-based speaker number', () => {
+    expect(speakerLabel(1, { 0: { name: 'Alice' } })).toBe('Speaker 2');
+    expect(speakerLabel(0, { 0: { name: 'Alice' } })).toBe('Alice');
+  });
+});
+
+describe('groupSpeakerTurns', () => {
+  test('groups consecutive words of a speaker into turns', () => {
+    const turns = groupSpeakerTurns([
+      word('Hello', 0, 0),
+      word('there.', 0.5, 0),
+      word('Hi!', 1, 1),
+      word('Welcome.', 1.5, 0),
+    ], { 1: { slackUserId: 'U012AB3CD' } });
+
+    expect(turns).toEqual([
+      { speaker: 0, label: 'Speaker 1', slackUserId: undefined, start: 0, end: 1, transcript: 'Hello there.' },
+      { speaker: 1, label: 'U012AB3CD', slackUserId: 'U012AB3CD', start: 1, end: 1.5, transcript: 'Hi!' },
+      { speaker: 0, label: 'Speaker 1', slackUserId: undefined, start: 1.5, end: 2, transcript: 'Welcome.' },
+    ]);
+  });
+
+  test('keeps words without a speaker in the current turn', () => {
+    const turns = groupSpeakerTurns([word('One', 0, 1), word('two', 0.5, undefined)]);
+
+    expect(turns).toHaveLength(1);
+    expect(turns[0]).toMatchObject({ speaker: 1, transcript: 'One two' });
+  });
+
+  test('returns no turns for words that are not diarized', () => {
+    expect(groupSpeakerTurns([word('Hello', 0, undefined)])).toEqual([]);
+    expect(groupSpeakerTurns()).toEqual([]);
+  });
+});
+
+describe('channel labels', () => {
+  test('parses comma separated labels', () => {
+    expect(parseChannelLabels(' Agent, Customer ')).toEqual(['Agent', 'Customer']);
+    expect(parseChannelLabels(undefined)).toEqual([]);
+  });
+
+  test('falls back to the one-based channel number', () => {
+    expect(channelLabel(0, ['Agent'])).toBe('Agent');
+    expect(channelLabel(1, ['Agent'])).toBe('Channel 2');
+  });
+});
+
+describe('groupChannelTurns', () => {
+  test('interleaves the words of each channel in time order', () => {
+    const turns = groupChannelTurns([
+      { ...word('Hello,', 0, undefined), channel: 0 },
+      { ...word('thanks', 2, undefined), channel: 0 },
+      { ...word('Hi.', 1, undefined), channel: 1 },
+      { ...word('Yes.', 3, undefined) },
+    ], ['Agent', 'Customer']);
+
+    expect(turns).toEqual([
+      { channel: 0, label: 'Agent', start: 0, end: 0.5, transcript: 'Hello,' },
+      { channel: 1, label: 'Customer', start: 1, end: 1.5, transcript: 'Hi.' },
+      { channel: 0, label: 'Agent', start: 2, end: 3.5, transcript: 'thanks Yes.' },
+    ]);
+  });
+});
+
+describe('formatTurns', () => {
+  const turns = [
+    { label: 'Alice', transcript: 'Hello.' },
+    { label: 'U012AB3CD', slackUserId: 'U012AB3CD', transcript: 'Hi!' },
+  ];
+
+  test('renders one line per turn', () => {
+    expect(formatTurns(turns)).toBe('Alice: Hello.\nU012AB3CD: Hi!');
+  });
+
+  test('uses bold labels and user mentions for Slack', () => {
+    expect(formatTurns(turns, { slack: true })).toBe('*Alice:* Hello.\n<@U012AB3CD>: Hi!');
+  });
+});
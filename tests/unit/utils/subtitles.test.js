@@ -0,0 +1,148 @@
+const {
+  SUBTITLE_FORMATS,
+  segmentsToWords,
+  buildCues,
+  formatSrt,
+  formatVtt,
+  renderSubtitles,
+  parseSubtitleOptions,
+} = require('../../../src/utils/subtitles');
+
+/**
+ * Build timed words spoken back to back
+ * @param {string} text - Words separated by spaces
+ * @param {number} start - Start of the first word in seconds
+ * @param {Object} fields - Fields shared by the words (speaker...)
+ * @param {number} step - Duration of each word in seconds
+ * @returns {Array<Object>} Words
+ */
+function words(text, start = 0, fields = {}, step = 0.25) {
+  return text.split(' ').map((token, index) => ({
+    word: token.toLowerCase(),
+    punctuated_word: token,
+    start: start + index * step,
+    end: start + (index + 1) * step,
+    ...fields,
+  }));
+}
+
+describe('segmentsToWords', () => {
+  test('keeps word timings and spreads transcripts without them over the segment', () => {
+    const timed = words('Good morning.', 0);
+
+    expect(segmentsToWords([
+      { start: 0, duration: 0.5, transcript: 'Good morning.', words: timed },
+      { start: 2, duration: 1, transcript: 'Hello  there', words: [] },
+      { start: 4, duration: 1, transcript: '' },
+    ])).toEqual([
+      ...timed,
+      { punctuated_word: 'Hello', start: 2, end: 2.5 },
+      { punctuated_word: 'there', start: 2.5, end: 3 },
+    ]);
+  });
+});
+
+describe('buildCues', () => {
+  test('starts a new cue when the speaker changes or after a pause', () => {
+    const cues = buildCues([
+      ...words('Shall we begin?', 0, { speaker: 0 }),
+      ...words('Yes, go ahead.', 0.75, { speaker: 1 }),
+      ...words('Thanks.', 4, { speaker: 1 }),
+    ]);
+
+    expect(cues.map(({ speaker, lines }) => [speaker, lines])).toEqual([
+      [0, ['Shall we begin?']],
+      [1, ['Yes, go ahead.']],
+      [1, ['Thanks.']],
+    ]);
+  });
+
+  test('holds short cues on screen without overlapping the next one', () => {
+    const cues = buildCues([
+      ...words('Hi.', 0, { speaker: 0 }),
+      ...words('Hello.', 0.5, { speaker: 1 }),
+    ]);
+
+    expect(cues.map(({ start, end }) => [start, end])).toEqual([[0, 0.5], [0.5, 1.5]]);
+  });
+
+  test('wraps long cues into balanced lines and splits them by length and duration', () => {
+    const text = 'We shipped the new onboarding flow last week and the early numbers look really promising so far';
+    const cues = buildCues(words(text), { maxLineLength: 32 });
+
+    expect(cues.map(cue => cue.lines)).toEqual([
+      ['We shipped the new onboarding', 'flow last week and the early'],
+      ['numbers look', 'really promising so far'],
+    ]);
+    expect(cues.every(cue => cue.lines.every(line => line.length <= 32))).toBe(true);
+
+    const timed = buildCues(words(text, 0, {}, 1), { maxCueDuration: 5 });
+    expect(timed.map(cue => cue.lines.join(' ').split(' ').length)).toEqual([5, 5, 5, 2]);
+  });
+
+  test('ends cues at a sentence once they are half full', () => {
+    const cues = buildCues(words('The release candidate passed all the checks. Deploy it tomorrow.'));
+
+    expect(cues.map(cue => cue.lines.join(' '))).toEqual([
+      'The release candidate passed all the checks.',
+      'Deploy it tomorrow.',
+    ]);
+  });
+});
+
+describe('formatSrt', () => {
+  const cues = [
+    { start: 0, end: 1.5, speaker: 0, lines: ['Welcome everyone.'] },
+    { start: 3725.5, end: 3727.004, speaker: 1, lines: ['Thanks for', 'joining.'] },
+  ];
+
+  test('numbers the cues with comma-separated milliseconds', () => {
+    expect(formatSrt(cues)).toBe([
+      '1',
+      '00:00:00,000 --> 00:00:01,500',
+      'Welcome everyone.',
+      '',
+      '2',
+      '01:02:05,500 --> 01:02:07,004',
+      'Thanks for',
+      'joining.',
+      '',
+    ].join('\n'));
+  });
+
+  test('prefixes the first line with the speaker when asked', () => {
+    expect(formatSrt(cues, { speakerLabels: true, speakerNames: { 0: { name: 'Alice' } } }))
+      .toContain('Alice: Welcome everyone.\n\n2\n01:02:05,500 --> 01:02:07,004\nSpeaker 2: Thanks for\njoining.');
+  });
+});
+
+describe('formatVtt', () => {
+  test('writes the header, dotted milliseconds and escaped voice tags', () => {
+    const cues = [{ start: 1.25, end: 2, speaker: 0, lines: ['Q&A starts <now>'] }];
+
+    expect(formatVtt(cues)).toBe('WEBVTT\n\n00:00:01.250 --> 00:00:02.000\nQ&amp;A starts &lt;now&gt;\n');
+    expect(formatVtt(cues, { speakerLabels: true, speakerNames: { 0: { name: 'R&D' } } }))
+      .toBe('WEBVTT\n\n00:00:01.250 --> 00:00:02.000\n<v R&amp;D>Q&amp;A starts &lt;now&gt;\n');
+  });
+});
+
+describe('renderSubtitles', () => {
+  test('renders SRT unless WebVTT is asked for', () => {
+    const timed = words('Good morning.', 0, { speaker: 0 });
+
+    expect(renderSubtitles(timed, 'srt')).toBe('1\n00:00:00,000 --> 00:00:01,000\nGood morning.\n');
+    expect(renderSubtitles(timed, 'vtt', { speakerLabels: true })).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<v Speaker 1>Good morning.\n');
+    expect(renderSubtitles([], 'vtt')).toBe('WEBVTT\n');
+    expect(SUBTITLE_FORMATS.vtt.contentType).toBe('text/vtt; charset=utf-8');
+  });
+});
+
+describe('parseSubtitleOptions', () => {
+  test('keeps options within range', () => {
+    expect(parseSubtitleOptions({ max_line_length: '32', max_cue_duration: '4.5', speaker_labels: 'true' }))
+      .toEqual({ maxLineLength: 32, maxCueDuration: 4.5, speakerLabels: true });
+    expect(parseSubtitleOptions({ max_line_length: '8', max_cue_duration: '60', speaker_labels: '1' }))
+      .toEqual({ speakerLabels: false });
+    expect(parseSubtitleOptions()).toEqual({ speakerLabels: false });
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscodeError, transcodeAudio } = require('../../../src/utils/transcode');
+const { createFakeFfmpeg } = require('../../helpers/ffmpeg');
+
+describe('transcodeAudio', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-test-'));
+  const logPath = path.join(dir, 'args.json');
+  const options = {
+    ffmpegPath: createFakeFfmpeg(dir),
+    maxDuration: 300,
+    maxBytes: 100000,
+    timeoutMs: 5000,
+    cpuSeconds: 10,
+  };
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('converts buffers to 16 kHz mono FLAC through a temporary file', async () => {
+    const result = await transcodeAudio(Buffer.from('video'), options);
+
+    expect(result).toEqual({ buffer: expect.any(Buffer), mimetype: 'audio/flac', duration: 2 });
+    expect(result.buffer).toHaveLength(64000);
+
+    const args = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+    const input = args[args.indexOf('-i') + 1];
+    expect(args).toEqual(expect.arrayContaining(['-map', '0:a:0', '-ac', '1', '-ar', '16000', '-c:a', 'flac', 'pipe:1']));
+    expect(input.startsWith(os.tmpdir())).toBe(true);
+    expect(fs.existsSync(input)).toBe(false);
+  });
+
+  test('reads files on disk in place and keeps their channels when asked', async () => {
+    const inputPath = path.join(dir, 'meeting.mkv');
+    fs.writeFileSync(inputPath, 'video');
+
+    await transcodeAudio(inputPath, { ...options, keepChannels: true });
+
+    const args = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+    expect(args[args.indexOf('-i') + 1]).toBe(inputPath);
+    expect(args).not.toContain('-ac');
+    expect(fs.existsSync(inputPath)).toBe(true);
+  });
+
+  test.each([
+    ['silent', 'NO_AUDIO', 'The file has no audio'],
+    ['noaudio', 'NO_AUDIO', 'The file has no audio track'],
+    ['corrupt', 'INVALID_FILE', 'The file is corrupted or not a media file'],
+    ['crash', 'TRANSCODE_FAILED', 'Transcoding failed: Conversion failed!'],
+    ['long', 'AUDIO_TOO_LONG', 'Audio too long: 600s (max: 300s)'],
+    ['big', 'FILE_TOO_LARGE', 'Converted audio too large: more than 100000 bytes'],
+  ])('rejects %s input with %s', async (input, code, message) => {
+    const error = await transcodeAudio(Buffer.from(input), options).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TranscodeError);
+    expect(error).toMatchObject({ code, message, statusCode: 422, retryable: false });
+  });
+
+  test('stops conversions running past the time limit', async () => {
+    await expect(transcodeAudio(Buffer.from('hang'), { ...options, timeoutMs: 300 }))
+      .rejects.toMatchObject({ code: 'TRANSCODE_TIMEOUT', message: 'Transcoding took longer than 0s' });
+  });
+
+  test('stops conversions using up their CPU time', async () => {
+    await expect(transcodeAudio(Buffer.from('spin'), { ...options, cpuSeconds: 1 }))
+      .rejects.toMatchObject({ code: 'TRANSCODE_TIMEOUT', message: 'Transcoding exceeded 1s of CPU time' });
+  }, 10000);
+
+  test('reports a missing ffmpeg', async () => {
+    await expect(transcodeAudio(Buffer.from('video'), { ...options, ffmpegPath: path.join(dir, 'missing') }))
+      .rejects.toMatchObject({ code: 'TRANSCODER_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  buildTranscriptTurns,
+  describeTranscript,
+  renderTranscriptText,
+  renderTranscriptMarkdown,
+  formatClock,
+} = require('../../../src/utils/transcript-format');
+
+/**
+ * Build a diarized segment from the words of one or more speakers
+ * @param {number} start - Start in seconds
+ * @param {Array<Array>} parts - [speaker, text] pairs, spoken one after another
+ * @returns {Object} Final segment
+ */
+function segment(start, parts) {
+  const words = [];
+  for (const [speaker, text] of parts) {
+    for (const token of text.split(' ')) {
+      const at = start + words.length * 0.5;
+      words.push({ word: token.toLowerCase(), punctuated_word: token, start: at, end: at + 0.5, speaker });
+    }
+  }
+  return {
+    start,
+    end: start + words.length * 0.5,
+    transcript: parts.map(([, text]) => text).join(' '),
+    words,
+  };
+}
+
+const transcript = {
+  sessionId: 'weekly_sync',
+  conversationId: 'Weekly *sync*',
+  slackChannel: 'C123',
+  language: 'en',
+  startedAt: '2026-10-19T09:00:00.000Z',
+  endedAt: '2026-10-19T09:30:00.000Z',
+  speakerNames: { 0: { name: 'Alice' }, 1: { slackUserId: 'U012AB3CD' } },
+  segments: [
+    segment(0, [[0, 'Welcome everyone.']]),
+    segment(62, [[0, 'Status first.'], [1, 'Sounds good.']]),
+    segment(3725, [[1, 'Use `npm test` now.']]),
+  ],
+};
+
+describe('buildTranscriptTurns', () => {
+  test('merges consecutive segments of the same speaker under their current names', () => {
+    expect(buildTranscriptTurns(transcript)).toEqual([
+      { label: 'Alice', start: 0, end: 63, transcript: 'Welcome everyone. Status first.' },
+      { label: 'U012AB3CD', slackUserId: 'U012AB3CD', start: 63, end: 3727, transcript: 'Sounds good. Use `npm test` now.' },
+    ]);
+  });
+
+  test('labels channels of multichannel sessions and leaves undiarized text unlabelled', () => {
+    expect(buildTranscriptTurns({
+      multichannel: true,
+      channelLabels: ['Agent'],
+      segments: [{ channel: 0, start: 0, end: 2, transcript: 'Hello.' }, { channel: 1, start: 2, end: 4, transcript: 'Hi.' }],
+    }).map(turn => turn.label)).toEqual(['Agent', 'Channel 2']);
+
+    expect(buildTranscriptTurns({ segments: [{ start: 0, end: 2, transcript: 'Hello.', words: [] }] }))
+      .toEqual([{ label: null, start: 0, end: 2, transcript: 'Hello.' }]);
+  });
+});
+
+describe('describeTranscript', () => {
+  test('adds the duration, full text and turns to the session fields', () => {
+    const described = describeTranscript(transcript);
+
+    expect(described).toMatchObject({ sessionId: 'weekly_sync', duration: 3727, segments: transcript.segments });
+    expect(described.transcript).toBe('Welcome everyone. Status first. Sounds good. Use `npm test` now.');
+    expect(described.turns).toHaveLength(2);
+  });
+});
+
+describe('renderTranscriptText', () => {
+  test('writes one timestamped line per turn', () => {
+    expect(renderTranscriptText(transcript)).toBe([
+      '[00:00:00] Alice: Welcome everyone. Status first.',
+      '[00:01:03] U012AB3CD: Sounds good. Use `npm test` now.',
+    ].join('\n'));
+  });
+});
+
+describe('renderTranscriptMarkdown', () => {
+  test('writes a metadata header and escaped turns', () => {
+    expect(renderTranscriptMarkdown(transcript)).toBe([
+      '# Transcript: weekly\\_sync',
+      '',
+      '- **Conversation:** Weekly \\*sync\\*',
+      '- **Channel:** C123',
+      '- **Started:** 2026-10-19T09:00:00.000Z',
+      '- **Ended:** 2026-10-19T09:30:00.000Z',
+      '- **Duration:** 01:02:07',
+      '- **Language:** en',
+      '',
+      '**Alice** (00:00:00): Welcome everyone. Status first.',
+      '',
+      '**U012AB3CD** (00:01:03): Sounds good. Use \\`npm test\\` now.',
+      '',
+    ].join('\n'));
+  });
+
+  test('notes sessions in progress and without speech', () => {
+    const markdown = renderTranscriptMarkdown({ sessionId: 's1', language: 'en', startedAt: 'now', endedAt: null, segments: [] });
+
+    expect(markdown).toContain('- **Status:** in progress');
+    expect(markdown.endsWith('_No speech was transcribed._\n')).toBe(true);
+  });
+});
+
+describe('formatClock', () => {
+  test('formats whole seconds as hours, minutes and seconds', () => {
+    expect(formatClock(3725.9)).toBe('01:02:05');
+    expect(formatClock(-1)).toBe('00:00:00');
+    expect(formatClock(undefined)).toBe('00:00:00');
+  });
+});
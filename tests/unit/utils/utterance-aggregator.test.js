@@ -0,0 +1,159 @@
+const { UtteranceAggregator } = require('../../../src/utils/utterance-aggregator');
+
+/**
+ * Build a final segment
+ * @param {string} transcript - Segment text
+ * @param {number} start - Start in seconds
+ * @param {Object} options - Extra fields
+ * @param {number} options.speaker - Speaker of every word
+ * @param {boolean} options.speechFinal - Whether the provider marked the end of speech
+ * @returns {Object} Transcript result
+ */
+function segment(transcript, start, { speaker = 0, speechFinal = false } = {}) {
+  return {
+    transcript,
+    words: transcript.split(' ').map(word => ({ word, start, end: start + 1, speaker })),
+    confidence: 0.9,
+    start,
+    duration: 1,
+    speech_final: speechFinal,
+  };
+}
+
+/**
+ * Create an aggregator recording the utterances it delivers
+ * @param {Object} options - Aggregator options
+ * @returns {Object} { aggregator, utterances }
+ */
+function createAggregator(options = {}) {
+  const utterances = [];
+  const aggregator = new UtteranceAggregator({
+    mode: 'utterance',
+    debounceMs: 1000,
+    maxChars: 100,
+    onUtterance: utterance => utterances.push(utterance),
+    ...options,
+  });
+  return { aggregator, utterances };
+}
+
+describe('UtteranceAggregator', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('closes an utterance at the end of speech', async () => {
+    const { aggregator, utterances } = createAggregator();
+
+    aggregator.add(segment('Hello', 0));
+    aggregator.add(segment('there', 1, { speechFinal: true }));
+    await aggregator.flush();
+
+    expect(utterances).toEqual([{
+      transcript: 'Hello there',
+      words: expect.any(Array),
+      confidence: 0.9,
+      start: 0,
+      end: 2,
+      duration: 2,
+      segments: 2,
+      reason: 'speech_final',
+    }]);
+  });
+
+  test('closes an utterance on an utterance-end signal', async () => {
+    const { aggregator, utterances } = createAggregator();
+
+    aggregator.add(segment('Hello', 0));
+    aggregator.endUtterance();
+    await aggregator.flush();
+
+    expect(utterances.map(utterance => utterance.reason)).toEqual(['utterance_end']);
+  });
+
+  test('closes an utterance when the speaker changes', async () => {
+    const { aggregator, utterances } = createAggregator();
+
+    aggregator.add(segment('Hello', 0, { speaker: 0 }));
+    aggregator.add(segment('Hi', 1, { speaker: 1 }));
+    await aggregator.flush('close');
+
+    expect(utterances.map(utterance => [utterance.transcript, utterance.reason])).toEqual([
+      ['Hello', 'speaker_change'],
+      ['Hi', 'close'],
+    ]);
+  });
+
+  test('closes an utterance after a pause', async () => {
+    const { aggregator, utterances } = createAggregator();
+
+    aggregator.add(segment('Hello', 0));
+    jest.advanceTimersByTime(999);
+    aggregator.add(segment('again', 1));
+    jest.advanceTimersByTime(999);
+    expect(aggregator.getPending()).toHaveLength(2);
+
+    jest.advanceTimersByTime(1);
+    await aggregator.flush();
+
+    expect(utterances.map(utterance => [utterance.transcript, utterance.reason])).toEqual([['Hello again', 'pause']]);
+  });
+
+  test('closes an utterance once it reaches the length limit', async () => {
+    const { aggregator, utterances } = createAggregator({ maxChars: 10 });
+
+    aggregator.add(segment('Hello', 0));
+    aggregator.add(segment('world', 1));
+    await aggregator.flush();
+
+    expect(utterances.map(utterance => utterance.reason)).toEqual(['max_length']);
+  });
+
+  test('ignores end-of-speech signals in paragraph mode', async () => {
+    const { aggregator, utterances } = createAggregator({ mode: 'paragraph' });
+
+    aggregator.add(segment('First sentence.', 0, { speechFinal: true }));
+    aggregator.endUtterance();
+    aggregator.add(segment('Second sentence.', 1, { speechFinal: true }));
+    expect(utterances).toHaveLength(0);
+
+    await aggregator.flush('close');
+    expect(utterances.map(utterance => utterance.transcript)).toEqual(['First sentence. Second sentence.']);
+  });
+
+  test('delivers utterances in order and passes on the close context', async () => {
+    const delivered = [];
+    const aggregator = new UtteranceAggregator({
+      mode: 'utterance',
+      debounceMs: 1000,
+      maxChars: 100,
+      onClose: utterance => `caption for ${utterance.transcript}`,
+      onUtterance: async (utterance, context) => {
+        // The first delivery is slower; the second must still wait for it
+        if (utterance.transcript === 'One') await Promise.resolve();
+        delivered.push(context);
+      },
+    });
+
+    aggregator.add(segment('One', 0, { speechFinal: true }));
+    aggregator.add(segment('Two', 1, { speechFinal: true }));
+    await aggregator.flush();
+
+    expect(delivered).toEqual(['caption for One', 'caption for Two']);
+  });
+
+  test('drops the pending utterance when cleared', async () => {
+    const { aggregator, utterances } = createAggregator();
+
+    aggregator.add(segment('Hello', 0));
+    aggregator.clear();
+    jest.advanceTimersByTime(1000);
+    await aggregator.flush();
+
+    expect(utterances).toHaveLength(0);
+  });
+});
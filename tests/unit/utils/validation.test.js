@@ -0,0 +1,46 @@
+const { validateAudioFile, validateAudioStream } = require('../../../src/utils/validation');
+const { streamChunkLimits } = require('../../../src/utils/audio-format');
+
+describe('validateAudioStream', () => {
+  const stereo = streamChunkLimits({ encoding: 'linear16', sampleRate: 16000, channels: 2 });
+
+  test('accepts chunks within the limits of the declared format', () => {
+    expect(validateAudioStream(Buffer.alloc(640, 1), stereo)).toEqual({ isValid: true, errors: [] });
+    expect(validateAudioStream(Buffer.alloc(64000, 1), stereo).isValid).toBe(true);
+  });
+
+  test('rejects chunks that split a sample frame or fall outside the limits', () => {
+    expect(validateAudioStream(Buffer.alloc(642, 1), stereo).errors).toEqual(['Chunk of 642 bytes splits a 4-byte sample frame']);
+    expect(validateAudioStream(Buffer.alloc(320, 1), stereo).errors).toEqual(['Chunk too small: 320 bytes (min: 640)']);
+    expect(validateAudioStream(Buffer.alloc(64004, 1), stereo).errors).toEqual(['Chunk too large: 64004 bytes (max: 64000)']);
+  });
+
+  test('keeps the default limits for containers', () => {
+    expect(validateAudioStream(Buffer.alloc(8193, 1)).errors).toEqual(['Chunk too large: 8193 bytes (max: 8192)']);
+    expect(validateAudioStream(Buffer.alloc(0)).errors).toEqual(['Empty audio chunk']);
+    expect(validateAudioStream('audio').errors).toEqual(['Invalid chunk format: expected Buffer']);
+  });
+});
+
+describe('validateAudioFile', () => {
+  const webm = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(2048, 1)]);
+
+  test('accepts video and other containers only when they can be converted', () => {
+    const file = { buffer: webm, originalname: 'standup.webm', size: webm.length, mimetype: 'video/webm' };
+
+    expect(validateAudioFile(file, { allowTranscoding: true })).toEqual({ isValid: true, errors: [] });
+    expect(validateAudioFile(file, { allowTranscoding: false }).errors).toEqual([
+      'Unsupported audio format: video/webm. Supported: audio/wav, audio/mpeg, audio/m4a, audio/flac',
+      'Invalid audio file format or corrupted header',
+    ]);
+  });
+
+  test('still checks the content of files to convert', () => {
+    const text = Buffer.alloc(2048, 0x20);
+
+    expect(validateAudioFile({ buffer: text, originalname: 'notes.mp4', size: text.length, mimetype: 'video/mp4' }, { allowTranscoding: true }).errors)
+      .toEqual(['Invalid audio file format or corrupted header']);
+    expect(validateAudioFile({ originalname: 'notes.txt', size: 2048, mimetype: 'text/plain' }, { allowTranscoding: true }).errors)
+      .toEqual(['Unsupported audio format: text/plain. Supported: audio/wav, audio/mpeg, audio/m4a, audio/flac and other audio or video types']);
+  });
+});
@@ -0,0 +1,135 @@
+const { VoiceActivityDetector } = require('../../../src/utils/voice-activity');
+
+// 16 kHz 16-bit mono: 32000 bytes per second, 3200 bytes per 100 ms chunk
+const FORMAT = { encoding: 'linear16', sampleRate: 16000, channels: 1 };
+const CHUNK_BYTES = 3200;
+
+/**
+ * 100 ms of a square wave at about -20 dBFS
+ * @returns {Buffer} Audio chunk
+ */
+function speech() {
+  const chunk = Buffer.alloc(CHUNK_BYTES);
+  for (let offset = 0; offset < CHUNK_BYTES; offset += 2) {
+    chunk.writeInt16LE(offset % 4 === 0 ? 3277 : -3277, offset);
+  }
+  return chunk;
+}
+
+/**
+ * 100 ms of digital silence
+ * @returns {Buffer} Audio chunk
+ */
+function silence() {
+  return Buffer.alloc(CHUNK_BYTES);
+}
+
+/**
+ * Feed chunks to a detector
+ * @param {VoiceActivityDetector} vad - Detector
+ * @param {Array<Buffer>} chunks - Audio chunks
+ * @returns {Array<Object>} Result of each chunk
+ */
+function run(vad, chunks) {
+  return chunks.map(chunk => vad.process(chunk));
+}
+
+describe('VoiceActivityDetector', () => {
+  const options = { thresholdDb: -40, hangoverMs: 200, prerollMs: 100 };
+
+  test('supports PCM formats only', () => {
+    expect(VoiceActivityDetector.supports(FORMAT)).toBe(true);
+    expect(VoiceActivityDetector.supports({ encoding: 'linear32', sampleRate: 16000, channels: 1 })).toBe(true);
+    expect(VoiceActivityDetector.supports({ encoding: 'mulaw', sampleRate: 8000, channels: 1 })).toBe(true);
+    expect(VoiceActivityDetector.supports({ encoding: 'alaw', sampleRate: 8000, channels: 1 })).toBe(true);
+    expect(VoiceActivityDetector.supports({ encoding: 'opus', sampleRate: 48000, channels: 1 })).toBe(false);
+    expect(VoiceActivityDetector.supports(null)).toBe(false);
+  });
+
+  test('forwards speech and the silence of the hangover', () => {
+    const vad = new VoiceActivityDetector(FORMAT, options);
+    const chunks = [speech(), speech(), silence(), silence()];
+
+    const results = run(vad, chunks);
+
+    expect(results.map(result => result.audio)).toEqual(chunks.map(chunk => [chunk]));
+    expect(results.every(result => !result.paused)).toBe(true);
+    expect(vad.forwardedSeconds).toBeCloseTo(0.4);
+  });
+
+  test('measures levels against the threshold', () => {
+    const quiet = new VoiceActivityDetector(FORMAT, { ...options, hangoverMs: 0 });
+    const loud = new VoiceActivityDetector(FORMAT, { ...options, thresholdDb: -10, hangoverMs: 0 });
+
+    expect(quiet.process(speech()).audio).toHaveLength(1);
+    expect(loud.process(speech())).toEqual({ audio: [], paused: true });
+  });
+
+  test('skips silence after the hangover, keeping the preroll for the next speech', () => {
+    const vad = new VoiceActivityDetector(FORMAT, options);
+    run(vad, [speech(), speech(), silence(), silence()]);
+
+    const quiet = [silence(), silence(), silence(), silence()];
+    const results = run(vad, quiet);
+    expect(results.map(result => result.paused)).toEqual([true, false, false, false]);
+    expect(results.every(result => result.audio.length === 0)).toBe(true);
+
+    const resumed = speech();
+    expect(vad.process(resumed)).toEqual({ audio: [quiet[3], resumed], paused: false });
+
+    expect(vad.getStats()).toEqual({
+      speechSeconds: 0.3,
+      silenceSeconds: 0.6,
+      forwardedSeconds: 0.6,
+      skippedSeconds: 0.3,
+      skippedRatio: 0.333,
+      skips: 1,
+      keepAlives: 0,
+    });
+  });
+
+  test('maps stream time back to the time of the client audio', () => {
+    const vad = new VoiceActivityDetector(FORMAT, options);
+    run(vad, [speech(), speech(), silence(), silence(), silence(), silence(), silence(), silence(), speech()]);
+    // Second pause: 0.5 s skipped after 0.8 s of forwarded audio
+    run(vad, [silence(), silence(), silence(), silence(), silence(), silence(), silence(), silence(), speech()]);
+
+    expect(vad.toSessionTime(0.3)).toBeCloseTo(0.3);
+    expect(vad.toSessionTime(0.5)).toBeCloseTo(0.8);
+    expect(vad.toSessionTime(0.9)).toBeCloseTo(1.7);
+    expect(vad.getStats()).toMatchObject({ skippedSeconds: 0.8, skips: 2 });
+  });
+
+  test('counts keep-alives', () => {
+    const vad = new VoiceActivityDetector(FORMAT, options);
+
+    vad.recordKeepAlive();
+    vad.recordKeepAlive();
+
+    expect(vad.getStats()).toEqual({
+      speechSeconds: 0,
+      silenceSeconds: 0,
+      forwardedSeconds: 0,
+      skippedSeconds: 0,
+      skippedRatio: 0,
+      skips: 0,
+      keepAlives: 2,
+    });
+  });
+
+  test('decodes G.711 audio before measuring it', () => {
+    const format = { encoding: 'mulaw', sampleRate: 8000, channels: 1 };
+    const vad = new VoiceActivityDetector(format, { ...options, hangoverMs: 0 });
+
+    // 0xFF is mu-law zero, 0x00 its loudest negative sample
+    expect(vad.process(Buffer.alloc(800, 0x00)).audio).toHaveLength(1);
+    expect(vad.process(Buffer.alloc(800, 0xFF))).toEqual({ audio: [], paused: true });
+
+    const alaw = new VoiceActivityDetector({ ...format, encoding: 'alaw' }, { ...options, hangoverMs: 0 });
+    // 0xD5 is A-law's smallest positive sample, 0xAA its loudest
+    const quiet = Buffer.alloc(800, 0xD5);
+    const loud = Buffer.alloc(800, 0xAA);
+    expect(alaw.process(quiet)).toEqual({ audio: [], paused: true });
+    expect(alaw.process(loud)).toEqual({ audio: [quiet, loud], paused: false });
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('jsonwebtoken', () => ({ verify: jest.fn(), sign: jest.fn() }), { virtual: true });
+
+const jwt = require('jsonwebtoken');
+const { validateSessionConfig, authenticateConnection } = require('../../../src/websocket/handler');
+
+describe('validateSessionConfig', () => {
+  test('normalizes the supported settings', () => {
+    expect(validateSessionConfig({
+      language: 'fr',
+      model: 'nova',
+      diarize: false,
+      keywords: ['Kubernetes:2', 'kubectl'],
+      channel: '#eng-standup',
+    })).toEqual({
+      isValid: true,
+      errors: [],
+      changes: {
+        language: 'fr',
+        model: 'nova',
+        diarize: false,
+        keywords: ['Kubernetes:2', 'kubectl'],
+        slackChannel: '#eng-standup',
+      },
+    });
+  });
+
+  test('reports every invalid setting', () => {
+    const result = validateSessionConfig({
+      language: 'french',
+      model: 'whisper',
+      diarize: 'yes',
+      keywords: ['ok', 'term:loud'],
+      channel: 'bad channel!',
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'invalid language format',
+      'invalid model specified',
+      'diarize must be a boolean',
+      'invalid keyword format (expected "term" or "term:intensifier")',
+      'invalid channel format',
+    ]);
+  });
+
+  test('requires at least one supported setting', () => {
+    expect(validateSessionConfig({ volume: 11 }).errors).toEqual([
+      'no supported settings provided (language, model, diarize, keywords, channel)',
+    ]);
+    expect(validateSessionConfig([]).errors).toEqual(['config object is required']);
+  });
+});
+
+describe('authenticateConnection', () => {
+  const request = headers => ({ headers, socket: { remoteAddress: '203.0.113.7' } });
+
+  beforeEach(() => {
+    jwt.verify.mockReset();
+  });
+
+  test('identifies users from a bearer header or the token parameter', () => {
+    jwt.verify.mockReturnValue({ sub: 42 });
+
+    expect(authenticateConnection(request({ authorization: 'Bearer header-token' }), { token: 'query-token' })).toEqual({ userId: '42' });
+    expect(jwt.verify).toHaveBeenLastCalledWith('header-token', process.env.JWT_SECRET);
+    expect(authenticateConnection(request({}), { token: 'query-token' })).toEqual({ userId: '42' });
+    expect(jwt.verify).toHaveBeenLastCalledWith('query-token', process.env.JWT_SECRET);
+  });
+
+  test('accepts anonymous connections and tokens without a subject', () => {
+    jwt.verify.mockReturnValue({});
+
+    expect(authenticateConnection(request({}), {})).toEqual({ userId: null });
+    expect(authenticateConnection(request({}), { token: ['a', 'b'] })).toEqual({ userId: null });
+    expect(jwt.verify).not.toHaveBeenCalled();
+    expect(authenticateConnection(request({ authorization: 'Bearer token' }), {})).toEqual({ userId: null });
+  });
+
+  test('rejects invalid tokens', () => {
+    jwt.verify.mockImplementation(() => {
+      throw new Error('jwt expired');
+    });
+
+    expect(authenticateConnection(request({ authorization: 'Bearer stale' }), {})).toEqual({ error: 'Invalid or expired token' });
+  });
+});